@@ -0,0 +1,80 @@
+/**
+ * Express Application
+ *
+ * PURPOSE:
+ * - Configure the Express app (security, parsing, routes, errors)
+ * - Stay separate from server.js so the app can be imported without
+ *   opening a port or a database connection
+ *
+ * MIDDLEWARE ORDER (matters!):
+ * 1. Security headers (helmet)
+ * 2. CORS
+ * 3. Body + cookie parsing
+ * 4. Routes
+ * 5. 404 handler
+ * 6. Centralized error handler (must be last)
+ */
+
+import express from 'express';
+import helmet from 'helmet';
+import cors from 'cors';
+import cookieParser from 'cookie-parser';
+import dotenv from 'dotenv';
+import { corsOptions } from './config/cors.js';
+import { trustProxy } from './utils/requester.js';
+import { getDefaultProvider, getStorage } from './storage/index.js';
+import authRoutes from './routes/auth.routes.js';
+import sessionRoutes from './routes/session.routes.js';
+import fileRoutes from './routes/file.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import deviceRoutes from './routes/device.routes.js';
+import searchRoutes from './routes/search.routes.js';
+import { notFound, errorHandler } from './middleware/errorHandler.js';
+
+dotenv.config();
+
+const app = express();
+
+// Behind a reverse proxy, req.ip comes from X-Forwarded-For
+app.set('trust proxy', trustProxy ? 1 : false);
+
+app.use(helmet());
+app.use(cors(corsOptions));
+
+// Reject huge JSON bodies early (messages are sent over the socket,
+// no JSON route takes more than a few fields)
+app.use(express.json({ limit: '100kb' }));
+app.use(express.urlencoded({ extended: false }));
+app.use(cookieParser());
+
+// Health check (used by load balancers and uptime monitors)
+app.get('/api/health', (req, res) => {
+  res.json({ success: true, status: 'ok', timestamp: new Date() });
+});
+
+// Serve files stored on local disk (other drivers hand out their own URLs).
+// Uploads are user content: browsers must download them, never render
+// them as pages of this origin or guess a different type.
+if (getDefaultProvider() === 'local') {
+  app.use(
+    '/uploads',
+    express.static(getStorage('local').root, {
+      setHeaders: (res) => {
+        res.set('Content-Disposition', 'attachment');
+        res.set('X-Content-Type-Options', 'nosniff');
+      },
+    })
+  );
+}
+
+app.use('/api/auth', authRoutes);
+app.use('/api/sessions/:code/files', fileRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/search', searchRoutes);
+
+app.use(notFound);
+app.use(errorHandler);
+
+export default app;
@@ -0,0 +1,33 @@
+/**
+ * Account Email Configuration
+ *
+ * PURPOSE:
+ * Settings for email verification and password reset
+ * (services/accountService.js)
+ *
+ * ENVIRONMENT:
+ * - ACCOUNT_TOKEN_SECRET: Signs verification and reset links
+ *   (default: JWT_ACCESS_SECRET; separate audiences keep them apart)
+ * - EMAIL_VERIFICATION_TTL_HOURS: Verification link lifetime (default: 24)
+ * - PASSWORD_RESET_TTL_MINUTES: Reset link lifetime (default: 30)
+ * - ACCOUNT_LINK_BASE_URL: Web app that handles the links
+ *   (default: first CLIENT_URL)
+ * - REQUIRE_EMAIL_VERIFICATION: "true" blocks login until verified
+ */
+
+import dotenv from 'dotenv';
+import { allowedOrigins } from './cors.js';
+
+dotenv.config();
+
+const accountConfig = {
+  tokenSecret:
+    process.env.ACCOUNT_TOKEN_SECRET || process.env.JWT_ACCESS_SECRET,
+  verificationTtlHours:
+    parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+  resetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+  linkBaseUrl: process.env.ACCOUNT_LINK_BASE_URL || allowedOrigins[0],
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+};
+
+export default accountConfig;
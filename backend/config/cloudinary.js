@@ -0,0 +1,23 @@
+/**
+ * Cloudinary Configuration
+ *
+ * PURPOSE:
+ * - Configure the Cloudinary SDK once from environment variables
+ * - Export the configured v2 client for the Cloudinary storage driver
+ *
+ * Get credentials from: https://cloudinary.com/console
+ */
+
+import { v2 as cloudinary } from 'cloudinary';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+  secure: true, // Always generate https:// URLs
+});
+
+export default cloudinary;
@@ -0,0 +1,28 @@
+/**
+ * CORS Configuration
+ *
+ * PURPOSE:
+ * Shared by Express and Socket.io so both accept the same origins
+ *
+ * CLIENT_URL may contain several comma-separated origins
+ * (e.g. "http://localhost:3000,https://ctrl-w.app").
+ *
+ * credentials: true is required for the browser to send the
+ * httpOnly refresh cookie on cross-origin requests.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const allowedOrigins = (process.env.CLIENT_URL || 'http://localhost:3000')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+const corsOptions = {
+  origin: allowedOrigins,
+  credentials: true,
+};
+
+export { allowedOrigins, corsOptions };
@@ -0,0 +1,23 @@
+/**
+ * Device Identity Configuration
+ *
+ * PURPOSE:
+ * Settings for persistent device IDs (services/deviceService.js)
+ *
+ * ENVIRONMENT:
+ * - DEVICE_TOKEN_SECRET: Signs device tokens (default:
+ *   JWT_ACCESS_SECRET; a separate audience keeps them apart)
+ * - DEVICE_IDLE_DAYS: Devices unseen this long are deleted, and their
+ *   tokens stop working (default: 180)
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const deviceConfig = {
+  tokenSecret: process.env.DEVICE_TOKEN_SECRET || process.env.JWT_ACCESS_SECRET,
+  idleDays: parseInt(process.env.DEVICE_IDLE_DAYS) || 180,
+};
+
+export default deviceConfig;
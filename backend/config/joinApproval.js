@@ -0,0 +1,20 @@
+/**
+ * Join Approval Configuration
+ *
+ * PURPOSE:
+ * Settings for host-approved joins (socket/joinApprovals.js)
+ *
+ * ENVIRONMENT:
+ * - JOIN_APPROVAL_TIMEOUT_SECONDS: How long a device waits for the
+ *   host to answer before its join fails (default: 120)
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const joinApprovalConfig = {
+  timeoutSeconds: parseInt(process.env.JOIN_APPROVAL_TIMEOUT_SECONDS) || 120,
+};
+
+export default joinApprovalConfig;
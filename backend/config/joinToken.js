@@ -0,0 +1,27 @@
+/**
+ * Join Token Configuration
+ *
+ * PURPOSE:
+ * Settings for QR-code / deep-link joining (services/joinTokenService.js)
+ *
+ * ENVIRONMENT:
+ * - JOIN_TOKEN_SECRET: Signing secret (default: JWT_ACCESS_SECRET; a
+ *   separate audience keeps the two token types apart)
+ * - JOIN_TOKEN_TTL_SECONDS: Token lifetime (default: 300)
+ * - JOIN_APP_URL: App deep link (default: ctrlw://join)
+ * - JOIN_WEB_URL: Web join page (default: first CLIENT_URL + /join)
+ */
+
+import dotenv from 'dotenv';
+import { allowedOrigins } from './cors.js';
+
+dotenv.config();
+
+const joinTokenConfig = {
+  secret: process.env.JOIN_TOKEN_SECRET || process.env.JWT_ACCESS_SECRET,
+  ttlSeconds: parseInt(process.env.JOIN_TOKEN_TTL_SECONDS) || 5 * 60,
+  appUrl: process.env.JOIN_APP_URL || 'ctrlw://join',
+  webUrl: process.env.JOIN_WEB_URL || `${allowedOrigins[0]}/join`,
+};
+
+export default joinTokenConfig;
@@ -0,0 +1,46 @@
+/**
+ * Login Lockout Configuration
+ *
+ * PURPOSE:
+ * Limits for password guessing against one account
+ * (see User.findByCredentials)
+ *
+ * ENVIRONMENT:
+ * - LOGIN_MAX_FAILURES: Wrong passwords before a lockout, 0 disables
+ *   (default: 5)
+ * - LOGIN_FAILURE_WINDOW_MINUTES: Failures older than this are
+ *   forgotten (default: 15)
+ * - LOGIN_LOCKOUT_BASE_SECONDS: First lockout, doubled each time until
+ *   a successful login (default: 60)
+ * - LOGIN_LOCKOUT_MAX_SECONDS: Longest lockout (default: 3600)
+ *
+ * WHY PER ACCOUNT?
+ * IP limits don't stop a botnet trying one password from each address.
+ * The counter on the user does, at the price that an attacker can keep
+ * a victim locked out. The cap on the lockout bounds that annoyance.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Read Integer Setting
+ *
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default when unset or invalid
+ * @returns {number}
+ */
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+const loginLockoutConfig = {
+  maxFailures: readInt('LOGIN_MAX_FAILURES', 5),
+  failureWindowMs: readInt('LOGIN_FAILURE_WINDOW_MINUTES', 15) * 60 * 1000,
+  lockoutBaseSeconds: readInt('LOGIN_LOCKOUT_BASE_SECONDS', 60),
+  lockoutMaxSeconds: readInt('LOGIN_LOCKOUT_MAX_SECONDS', 60 * 60),
+};
+
+export default loginLockoutConfig;
@@ -0,0 +1,36 @@
+/**
+ * Two-Factor Authentication Configuration
+ *
+ * PURPOSE:
+ * Settings for TOTP enrollment and the two-step login
+ * (services/mfaService.js)
+ *
+ * ENVIRONMENT:
+ * - MFA_TOKEN_SECRET: Signs "mfa pending" tokens
+ *   (default: JWT_ACCESS_SECRET; a separate audience keeps them apart)
+ * - MFA_PENDING_TTL_MINUTES: Time to enter the code after the
+ *   password (default: 5)
+ * - MFA_ISSUER: Name shown in authenticator apps (default: ctrl+w)
+ * - MFA_RECOVERY_CODE_COUNT: Recovery codes per batch (default: 10)
+ *
+ * TOTP PARAMETERS:
+ * SHA-1, 6 digits, 30-second steps: the only combination every
+ * authenticator app supports. One step of clock drift is accepted
+ * either way.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const mfaConfig = {
+  tokenSecret: process.env.MFA_TOKEN_SECRET || process.env.JWT_ACCESS_SECRET,
+  pendingTtlMinutes: parseInt(process.env.MFA_PENDING_TTL_MINUTES) || 5,
+  issuer: process.env.MFA_ISSUER || 'ctrl+w',
+  recoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT) || 10,
+  digits: 6,
+  stepSeconds: 30,
+  driftSteps: 1,
+};
+
+export default mfaConfig;
@@ -0,0 +1,74 @@
+/**
+ * Pairing Code Configuration
+ *
+ * PURPOSE:
+ * Pick the shape of pairing codes per deployment
+ *
+ * ENVIRONMENT:
+ * - PAIRING_CODE_FORMAT:
+ *   - digits: 0-9 (default), e.g. 042917
+ *   - crockford: Crockford base32, no I/L/O/U, e.g. 7KQ2XM
+ *   - custom: Characters from PAIRING_CODE_ALPHABET
+ *   - words: Words from the bundled list plus digits, e.g. amber-tiger-42
+ * - PAIRING_CODE_LENGTH: Characters per code (default: 6)
+ * - PAIRING_CODE_ALPHABET: Allowed characters (custom format only)
+ * - PAIRING_CODE_WORD_COUNT: Words per code (default: 2)
+ * - PAIRING_CODE_WORD_DIGITS: Trailing digits (default: 2)
+ *
+ * Invalid settings throw at startup rather than producing weak codes.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const ALPHABETS = {
+  digits: '0123456789',
+  crockford: '0123456789ABCDEFGHJKMNPQRSTVWXYZ',
+};
+
+const PAIRING_CODE_FORMATS = ['digits', 'crockford', 'custom', 'words'];
+
+const readInt = (name, fallback, min, max) => {
+  if (process.env[name] === undefined || process.env[name] === '') {
+    return fallback;
+  }
+
+  const value = Number(process.env[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+};
+
+const format = process.env.PAIRING_CODE_FORMAT || 'digits';
+
+if (!PAIRING_CODE_FORMATS.includes(format)) {
+  throw new Error(
+    `Unknown PAIRING_CODE_FORMAT "${format}". Use one of: ${PAIRING_CODE_FORMATS.join(', ')}`
+  );
+}
+
+let alphabet = ALPHABETS[format] || null;
+
+if (format === 'custom') {
+  alphabet = [...new Set(process.env.PAIRING_CODE_ALPHABET || '')].join('');
+
+  // Separators are stripped from user input, so they can't be code characters
+  if (alphabet.length < 2 || /[\s\-_]/.test(alphabet)) {
+    throw new Error(
+      'PAIRING_CODE_ALPHABET needs at least 2 distinct characters and no spaces, dashes or underscores'
+    );
+  }
+}
+
+const pairingCodeConfig = {
+  format,
+  alphabet,
+  length: readInt('PAIRING_CODE_LENGTH', 6, 4, 32),
+  wordCount: readInt('PAIRING_CODE_WORD_COUNT', 2, 1, 8),
+  wordDigits: readInt('PAIRING_CODE_WORD_DIGITS', 2, 0, 6),
+};
+
+export { PAIRING_CODE_FORMATS };
+export default pairingCodeConfig;
@@ -0,0 +1,45 @@
+/**
+ * Pairing Guard Configuration
+ *
+ * PURPOSE:
+ * Limits for guessing pairing codes (see services/pairingGuardService.js)
+ *
+ * ENVIRONMENT:
+ * - PAIRING_GUARD_STORE: "memory" or "mongo" (default: memory)
+ * - PAIRING_MAX_FAILURES: Failed lookups before a lockout (default: 5)
+ * - PAIRING_FAILURE_WINDOW_MINUTES: Window failures are counted in (default: 15)
+ * - PAIRING_LOCKOUT_BASE_SECONDS: First lockout, doubled each time (default: 60)
+ * - PAIRING_LOCKOUT_MAX_SECONDS: Longest lockout (default: 86400)
+ * - PAIRING_SCAN_THRESHOLD: Distinct wrong codes in the window that
+ *   count as scanning, locked out for the maximum (default: 10)
+ * - PAIRING_CODE_MAX_FAILURES: Failed guesses against one session
+ *   before it is closed, 0 disables (default: 0)
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Read Integer Setting
+ *
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default when unset or invalid
+ * @returns {number}
+ */
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+const pairingGuardConfig = {
+  store: process.env.PAIRING_GUARD_STORE || 'memory',
+  maxFailures: readInt('PAIRING_MAX_FAILURES', 5),
+  failureWindowMs: readInt('PAIRING_FAILURE_WINDOW_MINUTES', 15) * 60 * 1000,
+  lockoutBaseSeconds: readInt('PAIRING_LOCKOUT_BASE_SECONDS', 60),
+  lockoutMaxSeconds: readInt('PAIRING_LOCKOUT_MAX_SECONDS', 24 * 60 * 60),
+  scanThreshold: readInt('PAIRING_SCAN_THRESHOLD', 10),
+  codeMaxFailures: readInt('PAIRING_CODE_MAX_FAILURES', 0),
+};
+
+export default pairingGuardConfig;
@@ -0,0 +1,21 @@
+/**
+ * Participant Grace Configuration
+ *
+ * PURPOSE:
+ * How long a disconnected device keeps its place in a session before
+ * it counts as having left (jobs/participantCleanupJob.js)
+ *
+ * ENVIRONMENT:
+ * - PARTICIPANT_GRACE_SECONDS: Time to reconnect and rejoin without
+ *   the PIN, host approval or "joined" notices (default: 120)
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const participantGraceConfig = {
+  graceSeconds: parseInt(process.env.PARTICIPANT_GRACE_SECONDS) || 120,
+};
+
+export default participantGraceConfig;
@@ -0,0 +1,36 @@
+/**
+ * Upload Configuration
+ *
+ * PURPOSE:
+ * Per-deployment limits for file uploads
+ *
+ * ENVIRONMENT:
+ * - MAX_FILE_SIZE_MB: Largest accepted file (default: 4)
+ * - ALLOWED_FILE_TYPES: Comma-separated MIME allowlist, wildcards allowed
+ *   (default: common image formats)
+ *   e.g. "image/*,application/pdf,text/plain"
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+];
+
+const maxFileSizeMB = parseInt(process.env.MAX_FILE_SIZE_MB) || 4;
+
+const uploadConfig = {
+  maxFileSizeBytes: maxFileSizeMB * 1024 * 1024,
+  allowedFileTypes: process.env.ALLOWED_FILE_TYPES
+    ? process.env.ALLOWED_FILE_TYPES.split(',')
+        .map((type) => type.trim().toLowerCase())
+        .filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES,
+};
+
+export default uploadConfig;
@@ -0,0 +1,87 @@
+/**
+ * Message Expiry Job
+ *
+ * PURPOSE:
+ * Delete self-destructing messages (message:send { ttlSeconds }) when
+ * their timer runs out, and tell the sessions they were in
+ *
+ * CONFIGURATION:
+ * - MESSAGE_EXPIRY_ENABLED: "false" disables the job (default: enabled)
+ * - MESSAGE_EXPIRY_CRON: Cron expression with seconds
+ *   (default: every 10 seconds)
+ *
+ * WHY A JOB AND NOT TIMERS?
+ * setTimeout per message would be lost on restart. The job finds
+ * expired messages in the database, so none is missed. History
+ * already hides a message from the moment it expires; the job only
+ * decides how soon it leaves the database and the screens.
+ *
+ * If the job is disabled, the TTL index on Message.expiresAt still
+ * deletes expired messages, but silently and up to a minute late.
+ */
+
+import cron from 'node-cron';
+import messageService from '../services/messageService.js';
+import EVENTS from '../socket/events.js';
+import { emitToSession } from '../socket/index.js';
+
+const DEFAULT_SCHEDULE = '*/10 * * * * *';
+
+// Prevents a slow run from overlapping with the next tick
+let isRunning = false;
+
+/**
+ * Run Once
+ *
+ * @returns {Promise<number|null>} - Messages deleted, or null if skipped
+ */
+const runMessageExpiryJob = async () => {
+  if (isRunning) {
+    return null;
+  }
+
+  isRunning = true;
+
+  try {
+    const purged = await messageService.purgeExpiredMessages();
+
+    for (const { sessionId, messageIds } of purged) {
+      emitToSession(sessionId, EVENTS.MESSAGE_DELETED, {
+        messageIds,
+        reason: 'expired',
+      });
+    }
+
+    return purged.reduce((sum, { messageIds }) => sum + messageIds.length, 0);
+  } catch (error) {
+    console.error('Message expiry job failed:', error);
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Schedule Message Expiry Job
+ *
+ * @returns {Object|null} - node-cron task, or null if disabled
+ */
+const scheduleMessageExpiryJob = () => {
+  if (process.env.MESSAGE_EXPIRY_ENABLED === 'false') {
+    console.log(
+      '⏸️  Message expiry job disabled (MESSAGE_EXPIRY_ENABLED=false)'
+    );
+    return null;
+  }
+
+  const schedule = process.env.MESSAGE_EXPIRY_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid MESSAGE_EXPIRY_CRON expression: "${schedule}"`);
+  }
+
+  console.log(`🕒 Message expiry job scheduled (${schedule})`);
+  return cron.schedule(schedule, runMessageExpiryJob);
+};
+
+export { runMessageExpiryJob, scheduleMessageExpiryJob };
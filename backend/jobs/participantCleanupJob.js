@@ -0,0 +1,102 @@
+/**
+ * Participant Cleanup Job
+ *
+ * PURPOSE:
+ * Remove devices that disconnected and didn't rejoin within the grace
+ * period (PARTICIPANT_GRACE_SECONDS), and tell their sessions they left
+ *
+ * CONFIGURATION:
+ * - PARTICIPANT_CLEANUP_ENABLED: "false" disables the job (default: enabled)
+ * - PARTICIPANT_CLEANUP_CRON: Cron expression with seconds
+ *   (default: every 15 seconds)
+ *
+ * WHY A JOB AND NOT TIMERS?
+ * Like messageExpiryJob: a setTimeout per disconnect would be lost on
+ * restart, and every device connected at the time would stay listed
+ * as offline until its session ends.
+ */
+
+import cron from 'node-cron';
+import sessionService from '../services/sessionService.js';
+import messageService from '../services/messageService.js';
+import participantGraceConfig from '../config/participantGrace.js';
+import EVENTS from '../socket/events.js';
+import { emitToSession } from '../socket/index.js';
+
+const DEFAULT_SCHEDULE = '*/15 * * * * *';
+
+// Prevents a slow run from overlapping with the next tick
+let isRunning = false;
+
+/**
+ * Run Once
+ *
+ * @returns {Promise<number|null>} - Devices removed, or null if skipped
+ */
+const runParticipantCleanupJob = async () => {
+  if (isRunning) {
+    return null;
+  }
+
+  isRunning = true;
+
+  try {
+    const removed = await sessionService.removeOfflineParticipants(
+      participantGraceConfig.graceSeconds
+    );
+
+    for (const {
+      sessionId,
+      deviceId,
+      socketId,
+      deviceInfo,
+      participantCount,
+    } of removed) {
+      const systemMessage = await messageService.createSystemMessage(
+        sessionId,
+        `${deviceInfo} left the session`
+      );
+
+      emitToSession(sessionId, EVENTS.PARTICIPANT_LEFT, {
+        deviceId,
+        socketId,
+        participantCount,
+      });
+      emitToSession(sessionId, EVENTS.MESSAGE_NEW, systemMessage);
+    }
+
+    return removed.length;
+  } catch (error) {
+    console.error('Participant cleanup job failed:', error);
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Schedule Participant Cleanup Job
+ *
+ * @returns {Object|null} - node-cron task, or null if disabled
+ */
+const scheduleParticipantCleanupJob = () => {
+  if (process.env.PARTICIPANT_CLEANUP_ENABLED === 'false') {
+    console.log(
+      '⏸️  Participant cleanup job disabled (PARTICIPANT_CLEANUP_ENABLED=false)'
+    );
+    return null;
+  }
+
+  const schedule = process.env.PARTICIPANT_CLEANUP_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    throw new Error(
+      `Invalid PARTICIPANT_CLEANUP_CRON expression: "${schedule}"`
+    );
+  }
+
+  console.log(`🕒 Participant cleanup job scheduled (${schedule})`);
+  return cron.schedule(schedule, runParticipantCleanupJob);
+};
+
+export { runParticipantCleanupJob, scheduleParticipantCleanupJob };
@@ -0,0 +1,98 @@
+/**
+ * Retention Job
+ *
+ * PURPOSE:
+ * Run the retention service on a schedule with node-cron
+ *
+ * CONFIGURATION:
+ * - RETENTION_ENABLED: "false" disables the job (default: enabled)
+ * - RETENTION_CRON: Cron expression (default: every 5 minutes)
+ *
+ * SCALING NOTE:
+ * Every server instance schedules the job. Runs are idempotent, so
+ * overlapping instances only do redundant work. At larger scale, run
+ * it on one instance (RETENTION_ENABLED=false on the others).
+ */
+
+import cron from 'node-cron';
+import retentionService from '../services/retentionService.js';
+import { closeSessionRoom } from '../socket/index.js';
+
+const DEFAULT_SCHEDULE = '*/5 * * * *';
+
+// Prevents a slow run from overlapping with the next tick
+let isRunning = false;
+
+/**
+ * Run Once
+ *
+ * Logs a one-line summary whenever something was purged.
+ *
+ * @returns {Promise<Object|null>} - Summary, or null if skipped
+ */
+const runRetentionJob = async () => {
+  if (isRunning) {
+    console.warn('Retention: previous run still in progress, skipping');
+    return null;
+  }
+
+  isRunning = true;
+
+  try {
+    const summary = await retentionService.runRetention();
+
+    // Devices still connected to a purged session should stop using it
+    for (const sessionId of summary.purgedSessionIds) {
+      closeSessionRoom(sessionId, { reason: 'expired' });
+    }
+
+    const didWork =
+      summary.sessionsMarked ||
+      summary.sessionsPurged ||
+      summary.messagesDeleted ||
+      summary.filesDeleted ||
+      summary.blobFailures;
+
+    if (didWork) {
+      console.log(
+        `🧹 Retention: ${summary.sessionsMarked} sessions expired, ` +
+          `${summary.sessionsPurged} purged, ` +
+          `${summary.messagesDeleted} messages and ` +
+          `${summary.filesDeleted} files deleted` +
+          (summary.blobFailures
+            ? `, ${summary.blobFailures} blob deletions failed (will retry)`
+            : '')
+      );
+    }
+
+    return summary;
+  } catch (error) {
+    console.error('Retention job failed:', error);
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Schedule Retention Job
+ *
+ * @returns {Object|null} - node-cron task, or null if disabled
+ */
+const scheduleRetentionJob = () => {
+  if (process.env.RETENTION_ENABLED === 'false') {
+    console.log('⏸️  Retention job disabled (RETENTION_ENABLED=false)');
+    return null;
+  }
+
+  const schedule = process.env.RETENTION_CRON || DEFAULT_SCHEDULE;
+
+  if (!cron.validate(schedule)) {
+    throw new Error(`Invalid RETENTION_CRON expression: "${schedule}"`);
+  }
+
+  console.log(`🕒 Retention job scheduled (${schedule})`);
+  return cron.schedule(schedule, runRetentionJob);
+};
+
+export { runRetentionJob, scheduleRetentionJob };
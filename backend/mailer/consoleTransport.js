@@ -0,0 +1,25 @@
+/**
+ * Console Mail Transport
+ *
+ * PURPOSE:
+ * Print emails to the server log instead of sending them
+ * Default in development: links show up right in the terminal
+ */
+
+/**
+ * Create Console Transport
+ *
+ * @returns {Object} - Mail transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    console.log(
+      `📧 Email (not sent)\n   From: ${from}\n   To: ${to}\n   Subject: ${subject}\n\n${text}\n`
+    );
+    return { messageId: null };
+  },
+});
+
+export default createConsoleTransport;
@@ -0,0 +1,45 @@
+/**
+ * File Mail Transport
+ *
+ * PURPOSE:
+ * Write each email to a JSON file instead of sending it
+ * Handy for tests and scripts that need to read the link back
+ *
+ * CONFIGURATION:
+ * - MAIL_FILE_DIR: Output directory (default: ./mail)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create File Transport
+ *
+ * @param {Object} options
+ * @param {string} options.directory - Where emails are written
+ * @returns {Object} - Mail transport
+ */
+const createFileTransport = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  return {
+    name: 'file',
+    root,
+
+    async send(message) {
+      await fs.mkdir(root, { recursive: true });
+
+      // Timestamp first, so a directory listing is in sending order
+      const messageId = `${Date.now()}-${crypto.randomUUID()}`;
+      await fs.writeFile(
+        path.join(root, `${messageId}.json`),
+        JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+      );
+
+      return { messageId };
+    },
+  };
+};
+
+export default createFileTransport;
@@ -0,0 +1,85 @@
+/**
+ * Mailer
+ *
+ * PURPOSE:
+ * - Send account emails (verification, password reset)
+ * - Pick the transport from MAIL_TRANSPORT
+ *
+ * TRANSPORT INTERFACE:
+ * - name: Transport name
+ * - send({ from, to, subject, text, html }) → Promise<{ messageId }>
+ *
+ * TRANSPORTS:
+ * - console: Log emails (default, development)
+ * - file: Write emails as JSON files (tests, scripts)
+ * - smtp: Real delivery
+ *
+ * "Same Strategy pattern as the storage layer: services call sendMail
+ * and never know whether the email went to a terminal or an inbox."
+ */
+
+import dotenv from 'dotenv';
+import createConsoleTransport from './consoleTransport.js';
+import createFileTransport from './fileTransport.js';
+import createSmtpTransport from './smtpTransport.js';
+
+dotenv.config();
+
+const MAIL_TRANSPORTS = ['console', 'file', 'smtp'];
+
+const factories = {
+  console: () => createConsoleTransport(),
+
+  file: () =>
+    createFileTransport({
+      directory: process.env.MAIL_FILE_DIR || 'mail',
+    }),
+
+  smtp: () =>
+    createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    }),
+};
+
+// Created on first use, like storage drivers
+let transport = null;
+
+/**
+ * Get Mail Transport
+ *
+ * @returns {Object} - Active transport (MAIL_TRANSPORT, default: console)
+ */
+const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+
+    if (!MAIL_TRANSPORTS.includes(name)) {
+      throw new Error(
+        `Unknown mail transport "${name}". Use one of: ${MAIL_TRANSPORTS.join(', ')}`
+      );
+    }
+
+    transport = factories[name]();
+  }
+
+  return transport;
+};
+
+/**
+ * Send Mail
+ *
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - { messageId }
+ */
+const sendMail = async (message) => {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'ctrl+w <no-reply@localhost>',
+    ...message,
+  });
+};
+
+export { MAIL_TRANSPORTS, getMailTransport, sendMail };
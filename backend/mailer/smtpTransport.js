@@ -0,0 +1,54 @@
+/**
+ * SMTP Mail Transport
+ *
+ * PURPOSE:
+ * Send real emails through any SMTP server (SES, Mailgun, Postfix, ...)
+ *
+ * CONFIGURATION:
+ * - SMTP_HOST, SMTP_PORT (default: 587)
+ * - SMTP_SECURE: "true" for implicit TLS (port 465); otherwise STARTTLS
+ * - SMTP_USER, SMTP_PASS: Credentials (optional for local relays)
+ */
+
+import nodemailer from 'nodemailer';
+
+/**
+ * Create SMTP Transport
+ *
+ * @param {Object} options
+ * @param {string} options.host - SMTP server
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Implicit TLS
+ * @param {string} [options.user] - Username
+ * @param {string} [options.pass] - Password
+ * @returns {Object} - Mail transport
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP mail transport requires SMTP_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ from, to, subject, text, html }) {
+      const info = await transporter.sendMail({
+        from,
+        to,
+        subject,
+        text,
+        html,
+      });
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+export default createSmtpTransport;
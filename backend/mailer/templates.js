@@ -0,0 +1,79 @@
+/**
+ * Email Templates
+ *
+ * PURPOSE:
+ * Subject, plain-text and HTML bodies for account emails
+ *
+ * Every email has a plain-text part: some clients show only that, and
+ * it's what the console transport prints.
+ */
+
+/**
+ * Escape HTML
+ *
+ * @param {string} value - Untrusted text
+ * @returns {string} - Safe to embed in HTML
+ */
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Build Action Email
+ *
+ * @param {Object} options
+ * @param {string} options.subject - Subject line
+ * @param {string} options.intro - First paragraph
+ * @param {string} options.action - Button label
+ * @param {string} options.url - Link the button opens
+ * @param {string} options.outro - Closing paragraph
+ * @returns {Object} - { subject, text, html }
+ */
+const actionEmail = ({ subject, intro, action, url, outro }) => ({
+  subject,
+  text: `${intro}\n\n${action}: ${url}\n\n${outro}\n`,
+  html: [
+    `<p>${escapeHtml(intro)}</p>`,
+    `<p><a href="${escapeHtml(url)}">${escapeHtml(action)}</a></p>`,
+    `<p>${escapeHtml(outro)}</p>`,
+  ].join('\n'),
+});
+
+/**
+ * Verify Email
+ *
+ * @param {Object} params
+ * @param {string} params.url - Verification link
+ * @param {number} params.expiresInHours - Link lifetime
+ * @returns {Object} - { subject, text, html }
+ */
+const verifyEmail = ({ url, expiresInHours }) =>
+  actionEmail({
+    subject: 'Verify your ctrl+w email address',
+    intro: 'Confirm that this address belongs to your ctrl+w account.',
+    action: 'Verify email address',
+    url,
+    outro: `The link expires in ${expiresInHours} hours. If you didn't create an account, ignore this email.`,
+  });
+
+/**
+ * Reset Password
+ *
+ * @param {Object} params
+ * @param {string} params.url - Reset link
+ * @param {number} params.expiresInMinutes - Link lifetime
+ * @returns {Object} - { subject, text, html }
+ */
+const resetPassword = ({ url, expiresInMinutes }) =>
+  actionEmail({
+    subject: 'Reset your ctrl+w password',
+    intro: 'Someone asked to reset the password for your ctrl+w account.',
+    action: 'Choose a new password',
+    url,
+    outro: `The link expires in ${expiresInMinutes} minutes and works once. If it wasn't you, ignore this email; your password stays the same.`,
+  });
+
+export default { verifyEmail, resetPassword };
@@ -0,0 +1,185 @@
+/**
+ * Authentication Middleware
+ *
+ * PURPOSE:
+ * - Extract the JWT access token from the Authorization header
+ * - Verify it through authService (signature, expiry, active user)
+ * - Attach the authenticated user ID to req.userId
+ * - Attach the decoded token to req.accessToken (logout revokes it)
+ *
+ * TWO FLAVOURS:
+ * - authenticate: Route requires a logged-in user (401 otherwise)
+ * - optionalAuth: Route works for anonymous users too, but knows who
+ *   the user is when a valid token is present
+ *
+ * ROLES:
+ * - requireRole: Runs after authenticate, 403 for other roles
+ *
+ * API TOKENS:
+ * Personal access tokens (ctw_pat_...) are accepted only on routes
+ * that put allowApiTokens(scope) before authenticate/optionalAuth.
+ * Elsewhere they get 401; a token without the scope gets 403.
+ * req.accessToken.scopes is set for them (undefined for JWTs).
+ *
+ * "Anonymous usage is a core feature, so most session routes use
+ * optionalAuth. Only account routes require authenticate."
+ */
+
+import authService from '../services/authService.js';
+import apiTokenService from '../services/apiTokenService.js';
+
+/**
+ * Extract Bearer Token
+ *
+ * HEADER FORMAT:
+ * Authorization: Bearer <access_token>
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} - Raw token or null if missing
+ */
+const extractToken = (req) => {
+  const header = req.headers.authorization;
+
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+
+  return header.slice('Bearer '.length).trim() || null;
+};
+
+/**
+ * Allow API Tokens
+ *
+ * USAGE:
+ * router.post('/', allowApiTokens('sessions:write'), optionalAuth, ...)
+ *
+ * @param {string} scope - Scope a personal access token needs here
+ * @returns {Function} - Express middleware
+ */
+const allowApiTokens = (scope) => (req, res, next) => {
+  req.apiTokenScope = scope;
+  next();
+};
+
+/**
+ * Verify Bearer Token
+ *
+ * JWT access token, or a personal access token where the route
+ * allows one
+ *
+ * @param {Object} req - Express request
+ * @param {string} token - Raw bearer token
+ * @returns {Promise<Object>} - Decoded token
+ */
+const verifyBearer = async (req, token) => {
+  if (!apiTokenService.isApiToken(token)) {
+    return authService.authenticateAccessToken(token);
+  }
+
+  if (!req.apiTokenScope) {
+    const error = new Error('API tokens cannot be used for this endpoint');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const decoded = await apiTokenService.authenticateToken(token, {
+    ip: req.ip,
+  });
+
+  if (!decoded.scopes.includes(req.apiTokenScope)) {
+    const error = new Error(`API token lacks the ${req.apiTokenScope} scope`);
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return decoded;
+};
+
+/**
+ * Require Authentication
+ *
+ * FLOW:
+ * 1. Read Bearer token
+ * 2. Verify token and user status
+ * 3. Attach userId to request
+ * 4. Reject with 401 on any failure (403 for a missing scope)
+ */
+const authenticate = async (req, res, next) => {
+  const token = extractToken(req);
+
+  if (!token) {
+    const error = new Error('Authentication required');
+    error.statusCode = 401;
+    return next(error);
+  }
+
+  try {
+    req.accessToken = await verifyBearer(req, token);
+    req.userId = req.accessToken.userId;
+    next();
+  } catch (error) {
+    error.statusCode = error.statusCode === 403 ? 403 : 401;
+    next(error);
+  }
+};
+
+/**
+ * Optional Authentication
+ *
+ * FLOW:
+ * - No token: continue as anonymous (req.userId = null)
+ * - Valid token: attach userId
+ * - Invalid token: reject, so clients notice stale credentials
+ *   instead of silently losing ownership of what they create
+ */
+const optionalAuth = async (req, res, next) => {
+  const token = extractToken(req);
+  req.userId = null;
+  req.accessToken = null;
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    req.accessToken = await verifyBearer(req, token);
+    req.userId = req.accessToken.userId;
+    next();
+  } catch (error) {
+    error.statusCode = error.statusCode === 403 ? 403 : 401;
+    next(error);
+  }
+};
+
+/**
+ * Require Role
+ *
+ * USAGE:
+ * router.use(authenticate, requireRole('admin'));
+ *
+ * The role comes from the database, not the token claim (see
+ * authService.authenticateAccessToken), so a demoted admin loses
+ * access right away.
+ *
+ * @param {...string} roles - Roles allowed through
+ * @returns {Function} - Express middleware
+ */
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.accessToken || !roles.includes(req.accessToken.role)) {
+      const error = new Error('You do not have permission to do this');
+      error.statusCode = 403;
+      return next(error);
+    }
+
+    next();
+  };
+
+export {
+  authenticate,
+  optionalAuth,
+  allowApiTokens,
+  requireRole,
+  extractToken,
+};
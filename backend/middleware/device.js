@@ -0,0 +1,43 @@
+/**
+ * Device Middleware
+ *
+ * PURPOSE:
+ * Identify the device behind an HTTP request from its device token
+ * (see services/deviceService.js)
+ *
+ * HEADER FORMAT:
+ * X-Device-Token: <device_token>
+ *
+ * Sockets send the same token as auth.deviceToken in the handshake.
+ */
+
+import deviceService from '../services/deviceService.js';
+
+const DEVICE_TOKEN_HEADER = 'x-device-token';
+
+/**
+ * Require Device
+ *
+ * FLOW:
+ * 1. Read the X-Device-Token header (400 when missing)
+ * 2. Verify it and load the device (401 when invalid or retired)
+ * 3. Attach the device to req.device
+ */
+const requireDevice = async (req, res, next) => {
+  const token = req.get(DEVICE_TOKEN_HEADER);
+
+  if (!token) {
+    const error = new Error('X-Device-Token header is required');
+    error.statusCode = 400;
+    return next(error);
+  }
+
+  try {
+    req.device = await deviceService.authenticateDevice(token.trim());
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export { requireDevice };
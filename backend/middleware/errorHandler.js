@@ -0,0 +1,125 @@
+/**
+ * Centralized Error Handling Middleware
+ *
+ * PURPOSE:
+ * - Turn every error into a consistent JSON response
+ * - Respect statusCode values set by the service layer (409, 401, ...)
+ * - Map well-known library errors (Mongoose, JWT) to HTTP status codes
+ * - Hide stack traces outside development
+ *
+ * RESPONSE SHAPE:
+ * { success: false, message: '...', errors?: [...] }
+ *
+ * "Services throw plain Errors with a statusCode property. The HTTP layer
+ * is the only place that knows how to turn them into responses."
+ */
+
+/**
+ * Not Found Handler
+ *
+ * PURPOSE:
+ * Catch requests that did not match any route
+ * Must be registered AFTER all routes and BEFORE errorHandler
+ */
+const notFound = (req, res, next) => {
+  const error = new Error(`Route not found: ${req.method} ${req.originalUrl}`);
+  error.statusCode = 404;
+  next(error);
+};
+
+/**
+ * Resolve Status Code
+ *
+ * PURPOSE:
+ * Pick the HTTP status for an error
+ *
+ * PRIORITY:
+ * 1. statusCode set explicitly by our code
+ * 2. Known error names from libraries
+ * 3. 500 for everything else
+ *
+ * @param {Error} error - Error thrown somewhere in the request pipeline
+ * @returns {number} - HTTP status code
+ */
+const resolveStatusCode = (error) => {
+  if (error.statusCode) {
+    return error.statusCode;
+  }
+
+  // Mongoose schema validation failed
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return 400;
+  }
+
+  // MongoDB duplicate key (unique index violation)
+  if (error.code === 11000) {
+    return 409;
+  }
+
+  // JWT verification failures
+  if (
+    error.name === 'JsonWebTokenError' ||
+    error.name === 'TokenExpiredError'
+  ) {
+    return 401;
+  }
+
+  // multer limits (file too large, too many files or fields)
+  if (error.name === 'MulterError') {
+    return error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+  }
+
+  // Malformed JSON body (thrown by express.json())
+  if (error.type === 'entity.parse.failed') {
+    return 400;
+  }
+
+  return 500;
+};
+
+/**
+ * Error Handler
+ *
+ * NOTE:
+ * Express recognizes error middleware by its 4-argument signature,
+ * so `_next` must stay in the parameter list even though it is unused.
+ */
+const errorHandler = (error, req, res, _next) => {
+  const statusCode = resolveStatusCode(error);
+
+  const body = {
+    success: false,
+    // Never leak internal error messages for unexpected failures in production
+    message:
+      statusCode === 500 && process.env.NODE_ENV === 'production'
+        ? 'Internal server error'
+        : error.message,
+  };
+
+  // Field-level details (express-validator or Mongoose validation)
+  if (error.errors) {
+    body.errors = Array.isArray(error.errors)
+      ? error.errors
+      : Object.values(error.errors).map((e) => ({
+          field: e.path,
+          message: e.message,
+        }));
+  }
+
+  if (process.env.NODE_ENV === 'development') {
+    body.stack = error.stack;
+  }
+
+  // Lockouts tell the client when to retry (pairing guard)
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  if (statusCode === 500) {
+    console.error('Unhandled error:', error);
+  }
+
+  res.status(statusCode).json(body);
+};
+
+export { notFound, errorHandler };
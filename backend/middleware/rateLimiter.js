@@ -0,0 +1,63 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * PURPOSE:
+ * - Cap how often one IP can hit endpoints that send email
+ * - Stop the API from being used to flood someone's inbox
+ *
+ * RESPONSE:
+ * Limited requests go through the centralized error handler (429 with
+ * a Retry-After header), so the body has the usual error shape.
+ *
+ * CONFIGURATION:
+ * - EMAIL_RATE_LIMIT: Requests per IP per window (default: 5)
+ * - EMAIL_RATE_LIMIT_WINDOW_MINUTES: Window length (default: 15)
+ *
+ * SCALING NOTE:
+ * Counters live in process memory. Behind several instances each one
+ * counts separately, so the effective limit is multiplied.
+ */
+
+import rateLimit from 'express-rate-limit';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Create Limiter
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMinutes - Window length
+ * @param {string} options.message - Error message for limited requests
+ * @returns {Function} - Express middleware
+ */
+const createLimiter = ({ limit, windowMinutes, message }) =>
+  rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+      const error = new Error(message);
+      error.statusCode = options.statusCode;
+      const resetAt =
+        req.rateLimit.resetTime?.getTime() ?? Date.now() + options.windowMs;
+      error.retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      next(error);
+    },
+  });
+
+/**
+ * Email Limiter
+ *
+ * For endpoints that send mail to an address taken from the body
+ * (verification resend, forgot password)
+ */
+const emailLimiter = createLimiter({
+  limit: parseInt(process.env.EMAIL_RATE_LIMIT) || 5,
+  windowMinutes: parseInt(process.env.EMAIL_RATE_LIMIT_WINDOW_MINUTES) || 15,
+  message: 'Too many email requests, please try again later',
+});
+
+export { createLimiter, emailLimiter };
@@ -0,0 +1,56 @@
+/**
+ * Session PIN Middleware
+ *
+ * PURPOSE:
+ * Load the session named by :code for routes that reveal what is in
+ * it, and ask for its PIN when the creator set one
+ *
+ * HEADER FORMAT:
+ * X-Session-Pin: <pin>
+ *
+ * Sockets send the same PIN as pin in the session:join payload.
+ */
+
+import sessionService from '../services/sessionService.js';
+import { requesterFromRequest } from '../utils/requester.js';
+import { closeSessionRoom } from '../socket/index.js';
+
+const SESSION_PIN_HEADER = 'x-session-pin';
+
+/**
+ * Require Session PIN
+ *
+ * FLOW:
+ * 1. Look up the session by code (throttled like every code lookup)
+ * 2. PIN-protected: verify X-Session-Pin (401 when missing or wrong;
+ *    wrong PINs count toward the lockout)
+ * 3. Attach the session to req.pairingSession
+ *
+ * Too many wrong PINs close the session; connected devices are told
+ * before the error reaches the client.
+ */
+const requireSessionPin = async (req, res, next) => {
+  const requester = requesterFromRequest(req);
+
+  try {
+    const session = await sessionService.findActiveSessionByCode(
+      req.params.code,
+      requester
+    );
+    await sessionService.verifyPin(
+      session,
+      req.get(SESSION_PIN_HEADER),
+      requester
+    );
+
+    req.pairingSession = session;
+    next();
+  } catch (error) {
+    if (error.closedSessionId) {
+      closeSessionRoom(error.closedSessionId, { reason: 'too_many_attempts' });
+    }
+    next(error);
+  }
+};
+
+export { requireSessionPin };
@@ -0,0 +1,67 @@
+/**
+ * File Upload Middleware
+ *
+ * PURPOSE:
+ * - Reject oversized uploads before any bytes are buffered
+ * - Parse multipart/form-data with multer into memory
+ *
+ * TWO SIZE CHECKS:
+ * 1. Content-Length header: Refuses obviously oversized requests
+ *    immediately, without reading the body at all
+ * 2. multer limits.fileSize: Aborts the stream as soon as the file
+ *    crosses the limit (covers chunked requests without Content-Length)
+ *
+ * WHY MEMORY STORAGE?
+ * Files are small (a few MB) and go straight to the storage driver,
+ * so writing a temp file to disk first would only add I/O.
+ */
+
+import multer from 'multer';
+import uploadConfig from '../config/upload.js';
+
+// Room for multipart boundaries and the other form fields
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+/**
+ * Reject Oversized Request
+ *
+ * Runs before multer, so a 2GB request is refused after reading headers.
+ */
+const rejectOversizedRequest = (req, res, next) => {
+  const contentLength = parseInt(req.get('content-length'));
+
+  if (
+    contentLength >
+    uploadConfig.maxFileSizeBytes + MULTIPART_OVERHEAD_BYTES
+  ) {
+    const error = new Error(
+      `File exceeds the maximum size of ${uploadConfig.maxFileSizeBytes / (1024 * 1024)}MB`
+    );
+    error.statusCode = 413; // Payload Too Large
+    return next(error);
+  }
+
+  next();
+};
+
+const parser = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: uploadConfig.maxFileSizeBytes,
+    files: 1,
+    fields: 10,
+  },
+});
+
+/**
+ * Single File Upload
+ *
+ * USAGE:
+ * router.post('/', rejectOversizedRequest, ..., uploadSingleFile('file'), handler)
+ *
+ * @param {string} fieldName - Multipart field holding the file
+ * @returns {Function} - multer middleware
+ */
+const uploadSingleFile = (fieldName) => parser.single(fieldName);
+
+export { rejectOversizedRequest, uploadSingleFile };
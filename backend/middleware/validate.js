@@ -0,0 +1,34 @@
+/**
+ * Request Validation Middleware
+ *
+ * PURPOSE:
+ * - Collect the results of express-validator chains
+ * - Stop the request with a 400 before it reaches the route handler
+ *
+ * USAGE:
+ * router.post('/login', [body('email').isEmail(), validate], handler);
+ *
+ * "Validation rules live next to the route that needs them. This
+ * middleware is the single place that turns failures into an error."
+ */
+
+import { validationResult } from 'express-validator';
+
+const validate = (req, res, next) => {
+  const result = validationResult(req);
+
+  if (result.isEmpty()) {
+    return next();
+  }
+
+  const error = new Error('Validation failed');
+  error.statusCode = 400;
+  // Forwarded as `errors` by the centralized error handler
+  error.errors = result.array().map((e) => ({
+    field: e.path,
+    message: e.msg,
+  }));
+  next(error);
+};
+
+export default validate;
@@ -0,0 +1,26 @@
+/**
+ * Shared Validation Rules
+ *
+ * PURPOSE:
+ * express-validator chains used by more than one router
+ */
+
+import { param } from 'express-validator';
+import {
+  pairingCodeForLookup,
+  describePairingCode,
+} from '../utils/pairingCode.js';
+
+/**
+ * Pairing Code Route Parameter (:code)
+ *
+ * Replaces req.params.code with its canonical form, so handlers can
+ * look it up directly ("7kq-2xm" → "7KQ2XM"). Codes of an earlier
+ * format pass through unchanged (see pairingCodeForLookup).
+ */
+const pairingCodeParam = param('code')
+  .customSanitizer(pairingCodeForLookup)
+  .custom((code) => code !== null)
+  .withMessage(`Pairing code must be ${describePairingCode()}`);
+
+export { pairingCodeParam };
@@ -0,0 +1,106 @@
+/**
+ * ApiToken Model
+ *
+ * PURPOSE:
+ * - Personal access tokens for scripts and CI (no interactive login)
+ * - Store only a hash of the token, like refresh tokens
+ * - Limit each token to a few scopes
+ *
+ * TOKEN FORMAT:
+ * ctw_pat_<43 base64url chars> (256 random bits). The fixed prefix
+ * lets the auth middleware tell it from a JWT, and secret scanners
+ * recognise it in leaked logs.
+ *
+ * - "Revoking deletes the document: there is no refresh flow to catch
+ *   reuse for, so nothing is gained by keeping it"
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const API_TOKEN_SCOPES = ['sessions:read', 'sessions:write', 'files:write'];
+
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Chosen by the user ("GitHub Actions")
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    // SHA-256 of the token
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // First characters, so users can match a listed token to a secret
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    scopes: {
+      type: [{ type: String, enum: API_TOKEN_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+
+    // null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ *
+ * - { user }: Token list
+ * - TTL on expiresAt: Expired tokens disappear on their own
+ *   (documents without an expiry are never touched)
+ */
+apiTokenSchema.index({ user: 1 });
+apiTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static Method: Hash Token
+ *
+ * SHA-256, not bcrypt: 256 random bits can't be brute-forced, and
+ * lookups must be by hash.
+ *
+ * @param {string} token - Plain token
+ * @returns {string} - Hex digest
+ */
+apiTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+export { API_TOKEN_SCOPES };
+export default ApiToken;
@@ -0,0 +1,87 @@
+/**
+ * Device Model
+ *
+ * PURPOSE:
+ * - Give each browser, app or CLI install an identity that outlives
+ *   its socket connections
+ * - Store the name the user picked and what its User-Agent says
+ *
+ * WHY?
+ * Socket IDs change on every reconnect. A page refresh or a mobile
+ * network blip used to turn the same phone into a new participant and
+ * orphan its messages, files and receipts. Sessions, messages and
+ * files now point here instead.
+ *
+ * IDENTIFYING A DEVICE:
+ * The client keeps a signed device token (services/deviceService.js)
+ * and presents it on every connection. The token only carries this
+ * document's ID, so renaming never requires a new token.
+ *
+ * - "Devices unseen for DEVICE_IDLE_DAYS are deleted by a TTL index;
+ *   their tokens then stop working and the client registers again"
+ */
+
+import mongoose from 'mongoose';
+import deviceConfig from '../config/device.js';
+
+const deviceSchema = new mongoose.Schema(
+  {
+    // Chosen by the user ("Work laptop"); null until they pick one
+    name: {
+      type: String,
+      default: null,
+      trim: true,
+      maxlength: 100,
+    },
+
+    // Derived from the User-Agent at registration ("Firefox on Windows")
+    platform: {
+      type: String,
+      default: 'Unknown device',
+    },
+    userAgent: {
+      type: String,
+      default: null,
+      maxlength: 512,
+    },
+
+    // Optional: Account that registered the device
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * TTL Index
+ *
+ * Idle devices disappear on their own. Messages and files keep their
+ * device ID; serializers fall back to "Unknown device".
+ */
+deviceSchema.index(
+  { lastSeenAt: 1 },
+  { expireAfterSeconds: deviceConfig.idleDays * 24 * 60 * 60 }
+);
+
+/**
+ * Virtual: Display Name
+ *
+ * Used in participant lists and system messages
+ */
+deviceSchema.virtual('displayName').get(function () {
+  return this.name || this.platform;
+});
+
+const Device = mongoose.model('Device', deviceSchema);
+
+export default Device;
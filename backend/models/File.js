@@ -3,22 +3,53 @@
  * 
  * PURPOSE:
  * - Store metadata for uploaded files
- * - Track Cloudinary URLs and public IDs
+ * - Track where each file's bytes live (storage provider + key)
  * - Link files to sessions
- * - Enable file deletion from Cloudinary
+ * - Enable file deletion through the storage layer
  * 
- * - "I store file metadata in MongoDB, actual files in Cloudinary CDN"
- * - "Storing public_id allows programmatic deletion from Cloudinary"
+ * - "I store file metadata in MongoDB, actual files in a storage backend"
+ * - "Storing the key allows programmatic deletion from any backend"
  * - "File validation happens before upload (size, type)"
- * - "CDN URLs are permanent even after session expires (optional cleanup)"
+ * - "URLs are generated on demand, so private buckets can use signed URLs"
  * 
  * DESIGN DECISIONS:
- * - Why Cloudinary? Free CDN, automatic optimization, no server storage
+ * - Why pluggable storage? Self-hosters use disk or MinIO, others Cloudinary
  * - Why store metadata? Track uploads, enable deletion, analytics
  * - Why 4MB limit? Balance of UX vs infrastructure cost
  */
 
 import mongoose from 'mongoose';
+import { STORAGE_PROVIDERS, getStorage } from '../storage/index.js';
+import { ENCRYPTION_ALGORITHMS } from '../utils/encryptionEnvelope.js';
+
+/**
+ * Encryption Envelope (E2E sessions only)
+ * 
+ * The stored blob is ciphertext. The real name and MIME type travel
+ * encrypted in `metadata`, so originalName/fileType are placeholders.
+ */
+const encryptionSchema = new mongoose.Schema(
+  {
+    algorithm: {
+      type: String,
+      enum: ENCRYPTION_ALGORITHMS,
+      required: true,
+    },
+    // Base64 nonce used for the file blob
+    nonce: {
+      type: String,
+      required: true,
+    },
+    // Base64 of (nonce || ciphertext) for JSON { name, type }
+    // Carries its own nonce: an AEAD nonce must never be reused
+    // under the same key
+    metadata: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
 
 const fileSchema = new mongoose.Schema(
   {
@@ -31,8 +62,10 @@ const fileSchema = new mongoose.Schema(
     },
 
     // Uploader Information
-    uploaderSocketId: {
-      type: String,
+    // The uploading device (stable across reconnects)
+    uploaderDevice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
       required: true,
     },
 
@@ -43,17 +76,19 @@ const fileSchema = new mongoose.Schema(
       default: null,
     },
 
-    // Cloudinary Information
-    cloudinaryUrl: {
+    // Storage Information
+    // Which driver holds the bytes (see storage/index.js)
+    storageProvider: {
       type: String,
+      enum: STORAGE_PROVIDERS,
       required: true,
     },
 
-    cloudinaryPublicId: {
+    storageKey: {
       type: String,
       required: true,
-      // Public ID format: "ctrl-w/abc123xyz"
-      // Used for deletion: cloudinary.uploader.destroy(publicId)
+      // Key format: "<sessionId>/<uuid>.<ext>"
+      // Used for URLs and deletion: getStorage(provider).delete(key)
     },
 
     // File Metadata
@@ -74,7 +109,7 @@ const fileSchema = new mongoose.Schema(
       required: true,
       // Size in bytes
       validate: {
-        validator: function (size) {
+        validator(size) {
           // Validate against MAX_FILE_SIZE from env
           const maxSizeMB = parseInt(process.env.MAX_FILE_SIZE_MB) || 4;
           const maxSizeBytes = maxSizeMB * 1024 * 1024;
@@ -84,7 +119,13 @@ const fileSchema = new mongoose.Schema(
       },
     },
 
-    // Thumbnail URL (Cloudinary auto-generates)
+    // Encryption Envelope (null for plaintext sessions)
+    encryption: {
+      type: encryptionSchema,
+      default: null,
+    },
+
+    // Thumbnail URL (optional, provider-generated previews)
     thumbnailUrl: {
       type: String,
     },
@@ -115,7 +156,8 @@ const fileSchema = new mongoose.Schema(
  * Indexes
  */
 fileSchema.index({ session: 1, createdAt: -1 });
-fileSchema.index({ cloudinaryPublicId: 1 }); // For deletion lookups
+fileSchema.index({ storageProvider: 1, storageKey: 1 }); // For deletion lookups
+fileSchema.index({ originalName: 'text' }, { name: 'file_text' }); // Search
 
 /**
  * Virtual: File Size in MB
@@ -148,7 +190,9 @@ fileSchema.virtual('fileSizeMB').get(function () {
 fileSchema.statics.getSessionFiles = async function (sessionId) {
   return this.find({ session: sessionId, isDeleted: false })
     .sort({ createdAt: -1 }) // Newest first
-    .select('originalName fileType fileSize cloudinaryUrl thumbnailUrl createdAt')
+    .select(
+      'originalName fileType fileSize storageProvider storageKey encryption thumbnailUrl createdAt'
+    )
     .lean();
 };
 
@@ -168,31 +212,46 @@ fileSchema.methods.softDelete = async function () {
 };
 
 /**
- * Instance Method: Delete from Cloudinary
+ * Instance Method: Get URL
+ * 
+ * PURPOSE:
+ * Ask the storage driver that holds this file for a download URL
+ * (public URL, or a short-lived signed URL for private buckets)
+ * 
+ * @returns {Promise<string>} - Download URL
+ */
+fileSchema.methods.getUrl = async function () {
+  return getStorage(this.storageProvider).getUrl(this.storageKey, {
+    contentType: this.fileType,
+  });
+};
+
+/**
+ * Instance Method: Delete from Storage
  * 
  * PURPOSE:
- * Remove file from Cloudinary CDN and mark as deleted in DB
+ * Remove file bytes from its storage backend and mark as deleted in DB
  * 
- * INTERVIEW NOTE:
- * "I implement soft delete first, then hard delete from CDN.
- * This allows for audit trails and potential recovery windows."
+ * NOTE:
+ * Uses the provider recorded on the file, not the current STORAGE_DRIVER,
+ * so files uploaded before a driver switch can still be deleted.
  * 
  * @returns {Promise<void>}
  */
-fileSchema.methods.deleteFromCloudinary = async function () {
+fileSchema.methods.deleteFromStorage = async function () {
   try {
-    // Import cloudinary config (will create in file upload section)
-    const cloudinary = (await import('../config/cloudinary.js')).default;
-
-    // Delete from Cloudinary
-    await cloudinary.uploader.destroy(this.cloudinaryPublicId);
+    await getStorage(this.storageProvider).delete(this.storageKey, {
+      contentType: this.fileType,
+    });
 
     // Mark as deleted in database
     await this.softDelete();
 
-    console.log(`✅ Deleted file ${this.cloudinaryPublicId} from Cloudinary`);
+    console.log(
+      `✅ Deleted file ${this.storageKey} from ${this.storageProvider} storage`
+    );
   } catch (error) {
-    console.error('Error deleting file from Cloudinary:', error);
+    console.error('Error deleting file from storage:', error);
     throw error;
   }
 };
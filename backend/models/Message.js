@@ -18,6 +18,50 @@
  */
 
 import mongoose from 'mongoose';
+import { ENCRYPTION_ALGORITHMS } from '../utils/encryptionEnvelope.js';
+
+/**
+ * Encryption Envelope (E2E sessions only)
+ * 
+ * The server stores these values as opaque strings. It never sees the key,
+ * so it can't decrypt, index or search encrypted messages.
+ */
+const encryptionSchema = new mongoose.Schema(
+  {
+    algorithm: {
+      type: String,
+      enum: ENCRYPTION_ALGORITHMS,
+      required: true,
+    },
+    // Base64 nonce/IV, unique per message
+    nonce: {
+      type: String,
+      required: true,
+    },
+    // Base64 ciphertext including the AEAD authentication tag
+    ciphertext: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Types devices can send, plus 'system' for session events
+const MESSAGE_TYPES = ['text', 'code', 'link', 'rich', 'file', 'system'];
+
+// Size limits per payload field, in characters (content holds text,
+// code or a caption, depending on the type)
+const MESSAGE_LIMITS = {
+  text: 10000,
+  code: 50000,
+  caption: 500,
+  url: 2048,
+  html: 100000,
+};
+
+// Types whose content is an optional caption
+const CAPTIONED_TYPES = ['link', 'file'];
 
 const messageSchema = new mongoose.Schema(
   {
@@ -30,10 +74,12 @@ const messageSchema = new mongoose.Schema(
     },
 
     // Sender Information
-    // We store socket ID since users might be anonymous
-    senderSocketId: {
-      type: String,
-      required: true,
+    // The sending device (users might be anonymous); null for system
+    // messages. Unlike a socket ID, it survives reconnects.
+    senderDevice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device',
+      default: null,
     },
 
     // Optional: Link to User (if sender is logged in)
@@ -43,34 +89,104 @@ const messageSchema = new mongoose.Schema(
       default: null,
     },
 
-    // Message Content
+    // Message Content (plaintext sessions and system messages)
+    // The text, the code of a 'code' message, the plaintext fallback
+    // of a 'rich' one, or an optional caption for 'link' and 'file'.
+    // Per-type limits and trimming are done by messageService (code
+    // keeps its indentation); this is the largest limit.
     content: {
       type: String,
-      required: [true, 'Message content is required'],
-      trim: true,
-      maxlength: [10000, 'Message cannot exceed 10000 characters'],
+      required: [
+        function () {
+          return !this.encryption && !CAPTIONED_TYPES.includes(this.type);
+        },
+        'Message content is required',
+      ],
+      maxlength: [
+        MESSAGE_LIMITS.code,
+        `Message cannot exceed ${MESSAGE_LIMITS.code} characters`,
+      ],
+    },
+
+    // Encrypted Content (E2E sessions, replaces content)
+    encryption: {
+      type: encryptionSchema,
+      default: null,
     },
 
-    // Message Type (for future extensions)
+    // Message Type
+    // 'system' for "User joined", etc.; the others are sent by devices
     type: {
       type: String,
-      enum: ['text', 'system'], // 'system' for "User joined", etc.
+      enum: MESSAGE_TYPES,
       default: 'text',
     },
 
-    // Read Status (for future read receipts feature)
+    // Type-Specific Payload (unset for other types)
+    // code: Language tag for highlighting ('plaintext' if unknown)
+    language: {
+      type: String,
+      maxlength: 32,
+    },
+    // link: The shared URL (http or https)
+    url: {
+      type: String,
+      maxlength: MESSAGE_LIMITS.url,
+    },
+    // rich: Sanitized HTML (utils/richText.js); content holds the
+    // plaintext fallback for clients that don't render HTML
+    html: {
+      type: String,
+      maxlength: MESSAGE_LIMITS.html,
+    },
+    // file: A file uploaded to the same session
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+    },
+
+    // Read Status (one entry per device that displayed the message)
+    // deviceInfo is kept so senders see "seen on Firefox Desktop" even
+    // after that device left
     readBy: [
       {
-        socketId: String,
+        device: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Device',
+        },
+        deviceInfo: String,
         readAt: Date,
       },
     ],
 
     // Delivery Status
+    // Set once any device other than the sender's acknowledges it
     delivered: {
       type: Boolean,
       default: false,
     },
+
+    // Last Edit (null = never edited)
+    // Edits overwrite the content; earlier versions are not kept
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Burn After Reading
+    // Deleted as soon as the first other device reads it
+    burnAfterReading: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Self-Destruct Timer (null = lives as long as the session)
+    // The message expiry job deletes it and tells the session; until
+    // then, history already leaves it out
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // createdAt, updatedAt
@@ -82,6 +198,7 @@ const messageSchema = new mongoose.Schema(
  * 
  * PURPOSE:
  * Optimize query: "Get all messages for a session, sorted by time"
+ * (and the before/after ranges of getSessionPage)
  * 
  * QUERY:
  * Message.find({ session: sessionId }).sort({ createdAt: 1 })
@@ -92,25 +209,121 @@ const messageSchema = new mongoose.Schema(
  */
 messageSchema.index({ session: 1, createdAt: 1 });
 
+/**
+ * Text Index: Search
+ * 
+ * PURPOSE:
+ * Full-text search over a user's sessions (services/searchService.js)
+ * Covers the text of every type: content (text, code, rich fallback,
+ * captions) and url. Encrypted messages have neither, so they are
+ * never indexed.
+ * 
+ * LANGUAGE OVERRIDE:
+ * MongoDB reads a document's text language from a field called
+ * 'language' by default, which is our code language tag ('js' would
+ * be rejected). Point it at a field we never set.
+ */
+messageSchema.index(
+  { content: 'text', url: 'text' },
+  { name: 'message_text', language_override: 'textLanguage' }
+);
+
+/**
+ * TTL Index: Self-Destructing Messages
+ * 
+ * Safety net only. The message expiry job (jobs/messageExpiryJob.js)
+ * deletes expired messages within seconds and notifies the session;
+ * if it is disabled or down, MongoDB still deletes them (documents
+ * without expiresAt are never touched).
+ */
+messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static Method: Get Session Page
+ *
+ * PURPOSE:
+ * Cursor pagination over a session's messages, in either direction
+ *
+ * CURSORS:
+ * { createdAt, _id } of a message, or { createdAt } alone for a point
+ * in time. Messages created in the same millisecond are ordered by
+ * _id, so no message is skipped or repeated at a page boundary.
+ *
+ * MODES:
+ * - Neither: Latest `limit` messages
+ * - before: The `limit` messages just before the cursor
+ * - after: The `limit` messages just after the cursor
+ *
+ * All ranges walk the { session, createdAt } index. One extra message
+ * is fetched to tell whether more exist in that direction.
+ *
+ * @param {ObjectId} sessionId - Session ID
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Page size (default: 50)
+ * @param {Object} [options.before] - Cursor { createdAt, _id? }
+ * @param {Object} [options.after] - Cursor { createdAt, _id? }
+ * @returns {Promise<Object>} - { messages (oldest first), hasMore }
+ */
+messageSchema.statics.getSessionPage = async function (
+  sessionId,
+  { limit = 50, before = null, after = null } = {}
+) {
+  const cursor = before || after;
+  const forward = Boolean(after);
+  const op = forward ? '$gt' : '$lt';
+
+  // Self-destructed messages may wait a few seconds for the expiry
+  // job; they are gone for readers from the moment they expire
+  const filter = {
+    session: sessionId,
+    expiresAt: { $not: { $lte: new Date() } },
+  };
+  if (cursor) {
+    filter.$or = [{ createdAt: { [op]: cursor.createdAt } }];
+    if (cursor._id) {
+      filter.$or.push({
+        createdAt: cursor.createdAt,
+        _id: { [op]: cursor._id },
+      });
+    }
+  }
+
+  const direction = forward ? 1 : -1;
+  const messages = await this.find(filter)
+    .sort({ createdAt: direction, _id: direction })
+    .limit(limit + 1)
+    .select(
+      'content encryption senderDevice sender type language url html file readBy delivered editedAt burnAfterReading expiresAt createdAt'
+    ) // Only needed fields
+    // File messages show the file's name, type and size
+    .populate('file', 'originalName fileType fileSize isDeleted')
+    .lean(); // Return plain JS objects (faster, no Mongoose overhead)
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+
+  return {
+    messages: forward ? page : page.reverse(),
+    hasMore,
+  };
+};
+
 /**
  * Static Method: Get Session History
  * 
  * PURPOSE:
- * Retrieve all messages for a session, sorted chronologically
+ * Retrieve the latest messages for a session, sorted chronologically
  * 
  * USAGE:
  * const history = await Message.getSessionHistory(sessionId, limit);
  * 
  * @param {ObjectId} sessionId - Session ID
  * @param {number} limit - Maximum messages to return
- * @returns {Promise<Array>} - Array of messages
+ * @returns {Promise<Array>} - Array of messages, oldest first
  */
 messageSchema.statics.getSessionHistory = async function (sessionId, limit = 50) {
-  return this.find({ session: sessionId })
-    .sort({ createdAt: 1 }) // Oldest first
-    .limit(limit)
-    .select('content senderSocketId type createdAt') // Only needed fields
-    .lean(); // Return plain JS objects (faster, no Mongoose overhead)
+  const { messages } = await this.getSessionPage(sessionId, { limit });
+  return messages;
 };
 
 /**
@@ -151,4 +364,5 @@ messageSchema.post('save', async function () {
 
 const Message = mongoose.model('Message', messageSchema);
 
+export { MESSAGE_TYPES, MESSAGE_LIMITS };
 export default Message;
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * RefreshToken Model
+ *
+ * PURPOSE:
+ * - One document per token family: one signed-in device
+ * - Store only a hash of the family's current refresh token
+ * - Power the "signed-in devices" list
+ *
+ * TOKEN FAMILIES:
+ * Logging in starts a family. Every refresh rotates the token: the new
+ * token's hash replaces the old one in the same document. Presenting
+ * an older token from the family means it leaked (someone else already
+ * rotated it), so the whole family is revoked.
+ *
+ * - "Hashing refresh tokens means a database leak doesn't hand out
+ *   working sessions, same reason we hash passwords"
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Family ID, also carried in the JWTs as `fam`
+    family: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // SHA-256 of the family's current refresh token
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+
+    // When the current token was issued (compared with User.tokensValidAfter)
+    issuedAt: {
+      type: Date,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Device details, captured at login
+    deviceName: {
+      type: String,
+      default: null,
+      maxlength: 100,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'signed_out_by_user',
+        'reuse_detected',
+        'logout_all',
+        null,
+      ],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ *
+ * - { user, revokedAt }: Device list
+ * - TTL on expiresAt: Expired families disappear on their own. Revoked
+ *   families stay until then, so reuse of their tokens is still noticed.
+ */
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static Method: Hash Token
+ *
+ * SHA-256, not bcrypt: the token is a signed JWT with a random ID,
+ * so there is nothing to brute-force, and lookups must be by hash.
+ *
+ * @param {string} token - Refresh token
+ * @returns {string} - Hex digest
+ */
+refreshTokenSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -3,27 +3,40 @@
  *
  * PURPOSE:
  * - Store temporary pairing sessions
- * - Generate unique 6-digit codes
- * - Track active participants (socket IDs)
+ * - Generate unique pairing codes (format set by PAIRING_CODE_FORMAT)
+ * - Track active participants (devices and their current sockets)
  * - Auto-expire after configurable time
  * - Handle collision detection for codes
  *
  * - "6-digit codes give 1 million combinations (000000-999999)"
+ * - "Crockford base32 codes of the same length give ~1 billion"
  * - "Indexing pairingCode ensures O(1) lookups instead of O(n) scans"
  *
  */
 
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
 import mongoose from 'mongoose';
+import {
+  generatePairingCode,
+  isValidPairingCode,
+} from '../utils/pairingCode.js';
 
 const sessionSchema = new mongoose.Schema(
   {
-    // Pairing Code (6-digit string)
+    // Pairing Code (canonical form, see utils/pairingCode.js)
     pairingCode: {
       type: String,
       required: true,
       unique: true, // No two sessions can have the same code
-      length: 6,
-      match: /^[0-9]{6}$/, // Only digits 0-9,
+      validate: {
+        // Only new sessions must match the configured format, so sessions
+        // created before a format change keep working until they expire
+        validator(code) {
+          return !this.isNew || isValidPairingCode(code);
+        },
+        message: 'Pairing code does not match the configured format',
+      },
       index: true, // Fast lookups by code
     },
     // Optional: Creator (if user is logged in)
@@ -34,10 +47,37 @@ const sessionSchema = new mongoose.Schema(
       default: null,
       index: true,
     },
-    // Active Participants (array of socket IDs)
-    // Socket IDs are temporary identifiers for WebSocket connections
+    // Creator Secret (anonymous sessions only)
+    // SHA-256 hash of a random secret handed to the creator once,
+    // so anonymous creators can still extend or close their session
+    creatorSecretHash: {
+      type: String,
+      default: null,
+      select: false, // Sensitive data, exclude by default
+    },
+    // Session PIN (optional, set by the creator)
+    // Asked for on every join on top of the pairing code. Hashed with
+    // bcrypt by the pre-save hook below, like User.password.
+    pin: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Whether pin is set (pin itself is never loaded by default)
+    pinRequired: {
+      type: Boolean,
+      default: false,
+    },
+    // Active Participants (one entry per device)
+    // The device is the stable identity; socketId is its current
+    // connection and changes when the device reconnects
     participants: [
       {
+        device: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Device',
+          required: true,
+        },
         socketId: {
           type: String,
           required: true,
@@ -51,8 +91,67 @@ const sessionSchema = new mongoose.Schema(
           type: String,
           default: 'Unknown',
         },
+        // Joined with creator rights (see sessionService.joinSession);
+        // hosts answer join requests and can kick other participants
+        isHost: {
+          type: Boolean,
+          default: false,
+        },
+        // Set when the device's connection drops. It keeps its place
+        // until it rejoins or the grace period runs out (see
+        // jobs/participantCleanupJob.js); null = connected
+        disconnectedAt: {
+          type: Date,
+          default: null,
+        },
       },
     ],
+    // Participant Limit (null = unlimited; hosts don't count against it
+    // when they join)
+    maxParticipants: {
+      type: Number,
+      default: null,
+      min: 2,
+    },
+    // Host Approval
+    // Devices other than hosts wait in session:join until a host
+    // approves or denies them
+    requireApproval: {
+      type: Boolean,
+      default: false,
+    },
+    // Registered users who ever joined (kept after they leave), so
+    // they can search the session's history later
+    members: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      select: false,
+    },
+    // Devices kicked by a host; they can't rejoin this session
+    blockedDevices: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Device' }],
+      select: false,
+    },
+    // Outstanding Join Tokens (QR codes / deep links)
+    // Only the token ID (jti) is stored; redeeming a token removes its
+    // entry, which is what makes it single-use
+    joinTokens: {
+      type: [
+        {
+          _id: false,
+          jti: { type: String, required: true },
+          expiresAt: { type: Date, required: true },
+        },
+      ],
+      select: false,
+    },
+    // End-to-end encryption (opt-in at creation)
+    // Devices derive a shared key from the pairing code via a PAKE
+    // handshake relayed by the server; messages and files are stored
+    // as ciphertext the server can't read
+    encrypted: {
+      type: Boolean,
+      default: false,
+    },
     status: {
       type: String,
       enum: ['active', 'expired', 'closed'],
@@ -62,7 +161,7 @@ const sessionSchema = new mongoose.Schema(
     expiresAt: {
       type: Date,
       required: true,
-      index: true,
+      // Indexed by the TTL index below (a second index would conflict)
       //Different date for each session, based on creation time(Dynamic value)
       default: () => {
         const minutes = parseInt(process.env.SESSION_EXPIRY_MINUTES) || 30;
@@ -86,6 +185,13 @@ const sessionSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+
+    // Purge Timestamp
+    // Set by the retention job once messages, files and blobs are gone
+    purgedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -104,6 +210,7 @@ const sessionSchema = new mongoose.Schema(
  */
 sessionSchema.index({ creator: 1, status: 1 });
 sessionSchema.index({ status: 1, expiresAt: 1 });
+sessionSchema.index({ members: 1 }); // Sessions a user joined (search)
 
 /**
  * TTL Index (Time-To-Live)
@@ -113,9 +220,19 @@ sessionSchema.index({ status: 1, expiresAt: 1 });
  * 
  * HOW IT WORKS:
  * MongoDB checks every 60 seconds for documents where:
- * - expiresAt < current time
+ * - expiresAt + grace period < current time
  * - Deletes matching documents automatically
  * 
+ * GRACE PERIOD:
+ * The retention job (jobs/retentionJob.js) must see an expired session
+ * before MongoDB deletes it, or its messages, files and blobs would be
+ * orphaned. The TTL index is only a safety net, delayed by
+ * SESSION_TTL_GRACE_HOURS (default: 24).
+ * 
+ * NOTE:
+ * MongoDB can't change expireAfterSeconds of an existing index through
+ * createIndex. Existing deployments need collMod (or drop + recreate).
+ * 
  * INTERVIEW NOTE:
  * "TTL indexes are perfect for temporary data like sessions, OTPs, or cache.
  * MongoDB handles cleanup automatically, so we don't need cron jobs for
@@ -125,42 +242,71 @@ sessionSchema.index({ status: 1, expiresAt: 1 });
  * - Runs every 60 seconds (not instant deletion)
  * - Single field only (can't do compound TTL)
  */
-sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const ttlGraceHours = parseInt(process.env.SESSION_TTL_GRACE_HOURS) || 24;
+sessionSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: ttlGraceHours * 60 * 60 }
+);
 
 
+/**
+ * Pre-Save Hook: Hash PIN
+ *
+ * PURPOSE:
+ * Store only a bcrypt hash of the PIN, and keep pinRequired in step
+ *
+ * WHY BCRYPT HERE?
+ * Unlike the creator secret, a PIN is chosen by a human and short,
+ * so a leaked hash must be slow to brute-force.
+ */
+sessionSchema.pre('save', async function (next) {
+  if (!this.isModified('pin')) {
+    return next();
+  }
+
+  this.pinRequired = Boolean(this.pin);
+
+  if (!this.pin) {
+    this.pin = null;
+    return next();
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.pin = await bcrypt.hash(this.pin, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * Static Method: Generate Unique Pairing Code
  * 
  * PURPOSE:
- * Create a random 6-digit code that doesn't already exist
+ * Create a random code that doesn't already exist
  * 
  * ALGORITHM:
- * 1. Generate random 6-digit number
+ * 1. Generate random code in the configured format
  * 2. Check if it exists in database
  * 3. If exists, retry (collision handling)
  * 4. If unique, return code
  * 
- * COLLISION PROBABILITY:
+ * COLLISION PROBABILITY (6 digits):
  * - Total codes: 1,000,000 (000000-999999)
  * - With 10,000 active sessions: ~1% collision rate
  * - With 100,000 active sessions: ~10% collision rate
+ * Larger alphabets or word codes make collisions far rarer.
  * 
  * 
  * @param {number} maxRetries - Maximum retry attempts
- * @returns {Promise<string>} - Unique 6-digit code
+ * @returns {Promise<string>} - Unique code (canonical form)
  */
 sessionSchema.statics.generateUniquePairingCode = async function (
   maxRetries = 10
 ) {
   for (let attempt = 0; attempt < maxRetries; attempt++) {
-    // Generate random 6-digit number
-    // Math.random() → 0.0 to 1.0
-    // * 1000000 → 0 to 1000000
-    // Math.floor() → Remove decimals
-    // .toString().padStart(6, '0') → Ensure 6 digits (e.g., 000042)
-    const code = Math.floor(Math.random() * 1000000)
-      .toString()
-      .padStart(6, '0');
+    const code = generatePairingCode();
 
     // Check if code already exists
     const existing = await this.findOne({ pairingCode: code });
@@ -183,49 +329,204 @@ sessionSchema.statics.generateUniquePairingCode = async function (
  * Instance Method: Add Participant
  * 
  * PURPOSE:
- * Add a socket ID to the session's participant list
+ * Add a device to the session's participant list, or move an existing
+ * participant to its new connection (page refresh, network blip)
+ * 
+ * ATOMIC:
+ * Each step is one conditional update, so concurrent joins can't
+ * overshoot maxParticipants and kicked devices can't slip back in.
+ * A new device is only added if:
+ * - The session is still active
+ * - The device is not blocked
+ * - There is room (hosts skip this check)
  * 
  * USAGE:
  * const session = await Session.findOne({ pairingCode: '123456' });
- * await session.addParticipant('socket-id-abc', 'Chrome on iPhone');
+ * const { session: updated, rejoined } =
+ *   await session.addParticipant(deviceId, 'socket-abc', 'Chrome on iPhone');
  * 
+ * @param {ObjectId|string} deviceId - Device ID
  * @param {string} socketId - Socket.io connection ID
  * @param {string} deviceInfo - Optional device information
+ * @param {Object} [options]
+ * @param {boolean} [options.isHost] - Device joined with creator rights
+ * @param {string|null} [options.userId] - Logged-in user, recorded in
+ *   members
+ * @returns {Promise<Object|null>} - { session (updated document),
+ *   rejoined }, or null if a check failed (this document is unchanged)
  */
-sessionSchema.methods.addParticipant = async function (socketId, deviceInfo) {
-  // Check if socket ID already exists (prevent duplicates)
-  const exists = this.participants.some((p) => p.socketId === socketId);
-
-  if (!exists) {
-    this.participants.push({
-      socketId,
-      deviceInfo: deviceInfo || 'Unknown',
-      joinedAt: new Date(),
-    });
-
-    this.lastActivity = new Date();
-    await this.save();
+sessionSchema.methods.addParticipant = async function (
+  deviceId,
+  socketId,
+  deviceInfo,
+  { isHost = false, userId = null } = {}
+) {
+  const Session = this.constructor;
+  const now = new Date();
+  const addMember = userId ? { $addToSet: { members: userId } } : {};
+
+  // One entry per device, however often it reconnects
+  const rejoined = await Session.findOneAndUpdate(
+    { _id: this._id, status: 'active', 'participants.device': deviceId },
+    {
+      $set: {
+        'participants.$.socketId': socketId,
+        'participants.$.disconnectedAt': null,
+        ...(isHost ? { 'participants.$.isHost': true } : {}),
+        lastActivity: now,
+      },
+      ...addMember,
+    },
+    { new: true }
+  );
+
+  if (rejoined) {
+    return { session: rejoined, rejoined: true };
+  }
+
+  const filter = {
+    _id: this._id,
+    status: 'active',
+    'participants.device': { $ne: deviceId },
+    blockedDevices: { $ne: deviceId },
+  };
+
+  // Compared in the database, so a limit changed since this document
+  // was loaded still applies
+  if (!isHost) {
+    filter.$expr = {
+      $or: [
+        { $eq: [{ $ifNull: ['$maxParticipants', null] }, null] },
+        { $lt: [{ $size: '$participants' }, '$maxParticipants'] },
+      ],
+    };
   }
+
+  const joined = await Session.findOneAndUpdate(
+    filter,
+    {
+      $push: {
+        participants: {
+          device: deviceId,
+          socketId,
+          deviceInfo: deviceInfo || 'Unknown',
+          isHost,
+          joinedAt: now,
+        },
+      },
+      $set: { lastActivity: now },
+      ...addMember,
+    },
+    { new: true }
+  );
+
+  return joined ? { session: joined, rejoined: false } : null;
+};
+
+/**
+ * Instance Method: Mark Participant Offline
+ * 
+ * PURPOSE:
+ * Keep a disconnected device's place, so a refresh or a network blip
+ * rejoins without the PIN, host approval or "joined" notices
+ * 
+ * Same socketId condition as removeParticipant: a late disconnect from
+ * a replaced connection leaves the rejoined device online.
+ * 
+ * @param {ObjectId|string} deviceId - Device ID
+ * @param {string} socketId - Connection that dropped
+ * @returns {Promise<Document|null>} - Updated session, or null if the
+ *   device wasn't there on that connection
+ */
+sessionSchema.methods.markParticipantOffline = async function (
+  deviceId,
+  socketId
+) {
+  const Session = this.constructor;
+
+  return Session.findOneAndUpdate(
+    {
+      _id: this._id,
+      participants: { $elemMatch: { device: deviceId, socketId } },
+    },
+    { $set: { 'participants.$.disconnectedAt': new Date() } },
+    { new: true }
+  );
 };
 
 /**
  * Instance Method: Remove Participant
  * 
  * PURPOSE:
- * Remove a socket ID when user disconnects
+ * Remove a device when it leaves, or when it stayed disconnected for
+ * longer than the grace period
  * 
- * @param {string} socketId - Socket.io connection ID
+ * NOTE:
+ * Only if socketId is still the device's current connection. After a
+ * quick reconnect, the old socket's disconnect arrives late and must
+ * not remove the device that has already rejoined.
+ * 
+ * An emptied session stays active: devices take turns (a CLI sends,
+ * then another receives), and expiresAt or the creator ends it.
+ * 
+ * @param {ObjectId|string} deviceId - Device ID
+ * @param {string} socketId - Connection that is leaving
+ * @returns {Promise<Document|null>} - Updated session, or null if the
+ *   device wasn't there on that connection
  */
-sessionSchema.methods.removeParticipant = async function (socketId) {
-  this.participants = this.participants.filter((p) => p.socketId !== socketId);
-  this.lastActivity = new Date();
+sessionSchema.methods.removeParticipant = async function (deviceId, socketId) {
+  const Session = this.constructor;
+
+  return Session.findOneAndUpdate(
+    {
+      _id: this._id,
+      participants: { $elemMatch: { device: deviceId, socketId } },
+    },
+    {
+      $pull: { participants: { device: deviceId, socketId } },
+      $set: { lastActivity: new Date() },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Instance Method: Kick Participant
+ * 
+ * PURPOSE:
+ * Remove a device and block it from rejoining, in one update
+ * (hosts can't be kicked)
+ * 
+ * @param {ObjectId|string} deviceId - Device to remove
+ * @returns {Promise<Object|null>} - { participant (removed entry),
+ *   participantCount (remaining) }, or null if it isn't a guest here
+ */
+sessionSchema.methods.kickParticipant = async function (deviceId) {
+  const Session = this.constructor;
+
+  // The document from before the update still holds the entry
+  const before = await Session.findOneAndUpdate(
+    {
+      _id: this._id,
+      status: 'active',
+      participants: { $elemMatch: { device: deviceId, isHost: false } },
+    },
+    {
+      $pull: { participants: { device: deviceId } },
+      $addToSet: { blockedDevices: deviceId },
+      $set: { lastActivity: new Date() },
+    }
+  );
 
-  // If no participants left, mark as closed
-  if (this.participants.length === 0) {
-    this.status = 'closed';
+  if (!before) {
+    return null;
   }
 
-  await this.save();
+  const participant = before.participants.find(
+    (p) => p.device.toString() === deviceId.toString()
+  );
+
+  return { participant, participantCount: before.participants.length - 1 };
 };
 
 /**
@@ -258,6 +559,63 @@ sessionSchema.methods.extendExpiration = async function (minutes) {
   await this.save();
 };
 
+/**
+ * Static Method: Hash Creator Secret
+ *
+ * WHY SHA-256 AND NOT BCRYPT?
+ * The secret is 32 random bytes, not a human-chosen password, so it
+ * can't be brute-forced and doesn't need a slow hash.
+ *
+ * @param {string} secret - Plain creator secret
+ * @returns {string} - Hex-encoded hash
+ */
+sessionSchema.statics.hashCreatorSecret = function (secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Instance Method: Verify Creator Secret
+ *
+ * PURPOSE:
+ * Check the secret an anonymous creator presents
+ * Requires the document to be loaded with .select('+creatorSecretHash')
+ *
+ * @param {string} secret - Plain creator secret
+ * @returns {boolean} - True if secret matches
+ */
+sessionSchema.methods.verifyCreatorSecret = function (secret) {
+  if (!this.creatorSecretHash || typeof secret !== 'string') {
+    return false;
+  }
+
+  const candidate = Buffer.from(this.constructor.hashCreatorSecret(secret));
+  const expected = Buffer.from(this.creatorSecretHash);
+
+  // Constant-time comparison prevents timing attacks
+  return (
+    candidate.length === expected.length &&
+    crypto.timingSafeEqual(candidate, expected)
+  );
+};
+
+/**
+ * Instance Method: Compare PIN
+ *
+ * PURPOSE:
+ * Check the PIN a joining device presents
+ * Requires the document to be loaded with .select('+pin')
+ *
+ * @param {string} candidatePin - PIN entered by the user
+ * @returns {Promise<boolean>} - True if the PIN matches
+ */
+sessionSchema.methods.comparePin = async function (candidatePin) {
+  if (!this.pin || typeof candidatePin !== 'string') {
+    return false;
+  }
+
+  return bcrypt.compare(candidatePin, this.pin);
+};
+
 // Create the model
 const Session = mongoose.model('Session', sessionSchema);
 
@@ -0,0 +1,57 @@
+/**
+ * StoreEntry Model
+ *
+ * PURPOSE:
+ * - Back the Mongo implementation of the key-value store (stores/)
+ * - Hold short-lived security state: attempt counters, lockouts
+ *
+ * WHY A GENERIC MODEL?
+ * Every entry is "some JSON under a key until a deadline". One
+ * collection with a TTL index covers all of them; the namespace keeps
+ * different features from colliding.
+ */
+
+import mongoose from 'mongoose';
+
+const storeEntrySchema = new mongoose.Schema(
+  {
+    // Feature that owns the entry (e.g. 'pairing-guard')
+    namespace: {
+      type: String,
+      required: true,
+    },
+
+    key: {
+      type: String,
+      required: true,
+    },
+
+    // Arbitrary JSON value
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Indexes
+ *
+ * - { namespace, key }: Unique lookups
+ * - TTL on expiresAt: MongoDB removes stale entries on its own
+ *   (reads still check expiresAt, since the TTL monitor runs every 60s)
+ */
+storeEntrySchema.index({ namespace: 1, key: 1 }, { unique: true });
+storeEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const StoreEntry = mongoose.model('StoreEntry', storeEntrySchema);
+
+export default StoreEntry;
@@ -13,10 +13,18 @@
  * - Salt rounds: 10 (good balance of security vs performance)
  * - Password field has select: false (excluded from queries by default)
  * - Email is unique and validated
+ * - Repeated wrong passwords lock the account for a while
+ * - Optional TOTP second factor; its secret and the recovery-code
+ *   hashes are select: false like the password
  */
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import lockoutConfig from '../config/loginLockout.js';
+
+// Compared against when the email is unknown, so that case takes as
+// long as a wrong password (response time doesn't reveal accounts)
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('ctrl-w-no-such-user', 10);
 
 const userSchema = new mongoose.Schema(
   {
@@ -28,7 +36,7 @@ const userSchema = new mongoose.Schema(
       lowercase: true, // Converts to lowercase before saving
       trim: true, // Removes whitespace
       validate: {
-        validator: function (email) {
+        validator(email) {
           // Simple email regex validation
           return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
         },
@@ -58,17 +66,93 @@ const userSchema = new mongoose.Schema(
       default: true,
     },
 
+    // Email Verification
+    // Set when the user opens the verification link (or resets their
+    // password, which proves the same thing)
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+
     // Last Login Tracking (useful for analytics)
     lastLogin: {
       type: Date,
       default: null,
     },
+    lastLoginIp: {
+      type: String,
+      default: null,
+    },
+    lastLoginUserAgent: {
+      type: String,
+      default: null,
+    },
+
+    // Failed Login Tracking (account lockout)
+    // failedLoginAttempts: Wrong passwords since the last lockout/success
+    // lockoutCount: Lockouts since the last success, drives the backoff
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      default: null,
+    },
+    lastFailedLoginIp: {
+      type: String,
+      default: null,
+    },
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0,
+    },
 
-    // Refresh Token Storage (for JWT refresh strategy)
-    // Will implement in auth section
-    refreshToken: {
+    // Two-Factor Authentication (TOTP)
+    // mfaPendingSecret: Generated at setup, moves to mfaSecret once the
+    //   user confirms it with a first code
+    // mfaLastUsedStep: Time step of the last accepted code, so a code
+    //   can't be replayed within its 30 seconds
+    // mfaRecoveryCodes: SHA-256 hashes, each removed when used
+    mfaEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    mfaSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    mfaPendingSecret: {
       type: String,
-      select: false, // Sensitive data, exclude by default
+      default: null,
+      select: false,
+    },
+    mfaLastUsedStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    mfaRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+
+    // Revocation Watermark
+    // Every token issued before this moment is rejected, on every device
+    // (set on password change, deactivation and "log out everywhere")
+    tokensValidAfter: {
+      type: Date,
+      default: null,
     },
   },
   {
@@ -77,10 +161,13 @@ const userSchema = new mongoose.Schema(
 
     // JSON transformation (what gets sent to client)
     toJSON: {
-      transform: function (doc, ret) {
+      transform(doc, ret) {
         // Remove sensitive fields when converting to JSON
         delete ret.password;
-        delete ret.refreshToken;
+        delete ret.mfaSecret;
+        delete ret.mfaPendingSecret;
+        delete ret.mfaLastUsedStep;
+        delete ret.mfaRecoveryCodes;
         delete ret.__v; // Remove MongoDB version key
         return ret;
       },
@@ -88,6 +175,29 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Pre-Save Middleware: Revoke Tokens On Security Changes
+ *
+ * PURPOSE:
+ * A new password or a deactivated account must log out every device,
+ * including ones holding still-valid access tokens
+ *
+ * Registered before the hashing hook so it sees the plain change.
+ */
+userSchema.pre('save', function (next) {
+  if (this.isNew) {
+    return next();
+  }
+
+  const deactivated = this.isModified('isActive') && !this.isActive;
+
+  if (this.isModified('password') || deactivated) {
+    this.revokeAllTokens();
+  }
+
+  next();
+});
+
 /**
  * Pre-Save Middleware (Hook)
  *
@@ -159,25 +269,188 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
  * - Static: Called on Model (User.findByCredentials)
  * - Instance: Called on document (user.comparePassword)
  *
+ * LOCKOUT:
+ * A locked account answers exactly like a wrong password, even when the
+ * password is right. The password is still checked, so the response
+ * time doesn't give the lock away either. Attempts during a lockout
+ * aren't counted; the next lockout is longer anyway.
+ *
  * USAGE:
- * const user = await User.findByCredentials('email@example.com', 'password123');
+ * const user = await User.findByCredentials('email@example.com', 'password123', { ip });
+ *
+ * @param {string} email - Account email
+ * @param {string} password - Plain-text password
+ * @param {Object} [context] - { ip } of the caller, kept for admins
+ * @returns {Promise<Document>} - User (caller records the login)
  */
 
-userSchema.statics.findByCredentials = async function (email, password) {
+userSchema.statics.findByCredentials = async function (
+  email,
+  password,
+  context = {}
+) {
   const user = await this.findOne({ email }).select('+password');
   if (!user) {
+    await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
     throw new Error('Invalid credentials');
   }
 
   const isMatch = await user.comparePassword(password);
 
+  if (user.isLocked()) {
+    throw new Error('Invalid credentials');
+  }
+
   if (!isMatch) {
+    await user.recordFailedLogin(context);
     throw new Error('Invalid credentials');
   }
 
   return user;
 };
 
+/**
+ * Instance Method: Is Locked
+ *
+ * @returns {boolean} - True while a lockout is running
+ */
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+/**
+ * Instance Method: Record Failed Login
+ *
+ * FLOW:
+ * 1. Count the failure atomically (parallel guesses can't slip past
+ *    the limit); restart the count if the last failure is too old
+ * 2. On reaching LOGIN_MAX_FAILURES, lock the account for
+ *    base * 2^lockoutCount seconds (capped) and reset the count
+ *
+ * @param {Object} [context] - { ip }
+ * @returns {Promise<void>}
+ */
+userSchema.methods.recordFailedLogin = async function ({ ip = null } = {}) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - lockoutConfig.failureWindowMs);
+  const recent = { $gt: ['$lastFailedLoginAt', windowStart] };
+
+  // Pipeline update: the window check reads the stored value, not the
+  // one this request loaded, so parallel first failures all count
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    [
+      {
+        $set: {
+          failedLoginAttempts: {
+            $cond: [recent, { $add: ['$failedLoginAttempts', 1] }, 1],
+          },
+          lastFailedLoginAt: now,
+          lastFailedLoginIp: ip,
+        },
+      },
+    ],
+    { new: true }
+  );
+
+  if (
+    !updated ||
+    lockoutConfig.maxFailures === 0 ||
+    updated.failedLoginAttempts < lockoutConfig.maxFailures
+  ) {
+    return;
+  }
+
+  const seconds = Math.min(
+    lockoutConfig.lockoutBaseSeconds * 2 ** updated.lockoutCount,
+    lockoutConfig.lockoutMaxSeconds
+  );
+
+  // Matching the count makes exactly one of several parallel requests
+  // apply the lockout
+  const locked = await this.constructor.updateOne(
+    { _id: this._id, failedLoginAttempts: updated.failedLoginAttempts },
+    {
+      $set: {
+        failedLoginAttempts: 0,
+        lockUntil: new Date(now.getTime() + seconds * 1000),
+      },
+      $inc: { lockoutCount: 1 },
+    }
+  );
+
+  if (locked.modifiedCount > 0) {
+    console.warn(
+      `🔒 Account ${this._id} locked for ${seconds}s after ` +
+        `${updated.failedLoginAttempts} failed logins (last from ${ip || 'unknown IP'})`
+    );
+  }
+};
+
+/**
+ * Instance Method: Record Login
+ *
+ * PURPOSE:
+ * Track where the user logged in from and end any lockout history
+ * Caller must save() the document
+ *
+ * @param {Object} [context] - { ip, userAgent }
+ */
+userSchema.methods.recordLogin = function ({
+  ip = null,
+  userAgent = null,
+} = {}) {
+  this.lastLogin = new Date();
+  this.lastLoginIp = ip;
+  this.lastLoginUserAgent = userAgent;
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = null;
+};
+
+/**
+ * Instance Method: Clear Lockout
+ *
+ * PURPOSE:
+ * Let an admin unlock an account before the lockout runs out
+ * Caller must save() the document
+ */
+userSchema.methods.clearLockout = function () {
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = null;
+};
+
+/**
+ * Instance Method: Revoke All Tokens
+ *
+ * PURPOSE:
+ * Move the revocation watermark to now, which invalidates every
+ * access and refresh token issued so far
+ * Caller must save() the document
+ *
+ * WHY ROUND DOWN TO SECONDS?
+ * JWT iat has one-second precision. Rounding down keeps tokens issued
+ * right after the revocation (e.g. for the device that changed the
+ * password) valid, at the cost of a window of under a second.
+ */
+userSchema.methods.revokeAllTokens = function () {
+  this.tokensValidAfter = new Date(Math.floor(Date.now() / 1000) * 1000);
+};
+
+/**
+ * Instance Method: Is Token Revoked
+ *
+ * @param {number} issuedAt - JWT iat claim (seconds since epoch)
+ * @returns {boolean} - True if issued before the revocation watermark
+ */
+userSchema.methods.isTokenRevoked = function (issuedAt) {
+  if (!this.tokensValidAfter) {
+    return false;
+  }
+  return issuedAt * 1000 < this.tokensValidAfter.getTime();
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
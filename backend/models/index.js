@@ -26,8 +26,21 @@ import User from './User.js';
 import Session from './Session.js';
 import Message from './Message.js';
 import File from './File.js';
+import StoreEntry from './StoreEntry.js';
+import RefreshToken from './RefreshToken.js';
+import ApiToken from './ApiToken.js';
+import Device from './Device.js';
 
-export { User, Session, Message, File };
+export {
+  User,
+  Session,
+  Message,
+  File,
+  StoreEntry,
+  RefreshToken,
+  ApiToken,
+  Device,
+};
 
 /*
 *
@@ -39,4 +52,8 @@ export default {
   Session,
   Message,
   File,
+  StoreEntry,
+  RefreshToken,
+  ApiToken,
+  Device,
 };
\ No newline at end of file
@@ -0,0 +1,87 @@
+/**
+ * Admin Routes
+ *
+ * PURPOSE:
+ * - Let admins see and clear login lockouts
+ *
+ * ENDPOINTS:
+ * - GET    /api/admin/lockouts              List locked accounts
+ * - GET    /api/admin/users/:id/login-status  Lockout and last-login details
+ * - DELETE /api/admin/users/:id/lockout     Unlock an account
+ *
+ * ACCESS:
+ * Every route requires a logged-in user with the admin role
+ * (403 otherwise).
+ */
+
+import express from 'express';
+import { param } from 'express-validator';
+import adminService from '../services/adminService.js';
+import { authenticate, requireRole } from '../middleware/auth.js';
+import validate from '../middleware/validate.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router();
+
+router.use(authenticate, requireRole('admin'));
+
+const userIdParam = param('id').isMongoId().withMessage('Invalid user ID');
+
+/**
+ * GET /api/admin/lockouts
+ *
+ * RESPONSE:
+ * { accounts: [{ id, email, lockUntil, lockoutCount, lastFailedLoginIp, ... }] }
+ */
+router.get(
+  '/lockouts',
+  asyncHandler(async (req, res) => {
+    const accounts = await adminService.listLockedAccounts();
+
+    res.json({
+      success: true,
+      data: { accounts },
+    });
+  })
+);
+
+/**
+ * GET /api/admin/users/:id/login-status
+ */
+router.get(
+  '/users/:id/login-status',
+  [userIdParam],
+  validate,
+  asyncHandler(async (req, res) => {
+    const status = await adminService.getLoginStatus(req.params.id);
+
+    res.json({
+      success: true,
+      data: { status },
+    });
+  })
+);
+
+/**
+ * DELETE /api/admin/users/:id/lockout
+ *
+ * Unlocks the account and resets its backoff
+ */
+router.delete(
+  '/users/:id/lockout',
+  [userIdParam],
+  validate,
+  asyncHandler(async (req, res) => {
+    const status = await adminService.clearLockout(req.params.id);
+
+    console.log(`🔓 Account ${req.params.id} unlocked by admin ${req.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared',
+      data: { status },
+    });
+  })
+);
+
+export default router;
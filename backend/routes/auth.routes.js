@@ -0,0 +1,679 @@
+/**
+ * Authentication Routes
+ *
+ * PURPOSE:
+ * - Expose authService over HTTP
+ * - Validate request bodies before they reach the service layer
+ * - Keep the refresh token in an httpOnly cookie
+ *
+ * ENDPOINTS:
+ * - POST /api/auth/register  Create account
+ * - POST /api/auth/login     Exchange credentials for tokens
+ * - POST /api/auth/login/mfa Second login step (two-factor code)
+ * - POST /api/auth/refresh   Rotate refresh token, issue new access token
+ * - POST /api/auth/logout    Revoke refresh token and this access token
+ * - POST /api/auth/logout-all  Revoke every token, on every device
+ * - GET  /api/auth/devices     List signed-in devices
+ * - DELETE /api/auth/devices/:id  Sign out one device
+ * - GET  /api/auth/me        Current user profile
+ * - POST /api/auth/verify-email         Confirm email with link token
+ * - POST /api/auth/verify-email/resend  Send a new verification link
+ * - POST /api/auth/forgot-password      Email a password-reset link
+ * - POST /api/auth/reset-password       Set new password with link token
+ * - POST /api/auth/mfa/setup            Start TOTP enrollment (QR code)
+ * - POST /api/auth/mfa/confirm          Turn 2FA on with a first code
+ * - POST /api/auth/mfa/disable          Turn 2FA off (password + code)
+ * - POST /api/auth/mfa/recovery-codes   New recovery codes (password + code)
+ * - GET  /api/auth/tokens        List personal API tokens
+ * - POST /api/auth/tokens        Create one (shown once)
+ * - DELETE /api/auth/tokens/:id  Revoke one
+ *
+ * TOKEN DELIVERY:
+ * - Access token: JSON body (client keeps it in memory)
+ * - Refresh token: httpOnly cookie (JavaScript can't read it, so XSS
+ *   can't steal it)
+ *
+ * ACCOUNT ENUMERATION:
+ * resend and forgot-password answer the same way whether or not the
+ * address has an account. Both are rate limited per IP.
+ */
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { body, param } from 'express-validator';
+import authService from '../services/authService.js';
+import { authenticate } from '../middleware/auth.js';
+import validate from '../middleware/validate.js';
+import { emailLimiter } from '../middleware/rateLimiter.js';
+import accountService from '../services/accountService.js';
+import mfaService from '../services/mfaService.js';
+import apiTokenService from '../services/apiTokenService.js';
+import { API_TOKEN_SCOPES } from '../models/ApiToken.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import {
+  disconnectUserSockets,
+  disconnectDeviceSockets,
+} from '../socket/index.js';
+
+const router = express.Router();
+
+const REFRESH_COOKIE = 'refreshToken';
+
+/**
+ * Refresh Cookie Options
+ *
+ * - httpOnly: Not readable from JavaScript
+ * - secure: HTTPS only in production
+ * - sameSite: 'strict' blocks the cookie on cross-site requests (CSRF)
+ * - path: Only sent to auth endpoints, not to every API call
+ */
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth',
+});
+
+/**
+ * Set Refresh Cookie
+ *
+ * The cookie expires together with the token itself, so we read the
+ * `exp` claim instead of parsing JWT_REFRESH_EXPIRY a second time.
+ *
+ * @param {Object} res - Express response
+ * @param {string} refreshToken - Signed refresh token
+ */
+const setRefreshCookie = (res, refreshToken) => {
+  const { exp } = jwt.decode(refreshToken);
+
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    expires: new Date(exp * 1000),
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+/**
+ * Device Details
+ *
+ * Shown in the device list so users can recognise their devices.
+ * deviceName is optional and chosen by the client ("Work laptop").
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} - { deviceName, userAgent, ip }
+ */
+const deviceOf = (req) => ({
+  deviceName: req.body.deviceName || null,
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip || null,
+});
+
+const deviceNameRule = body('deviceName')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Device name must be 1-100 characters');
+
+// Shared validation rules
+const emailRule = body('email')
+  .trim()
+  .isEmail()
+  .withMessage('Please provide a valid email address')
+  .normalizeEmail();
+
+const newPasswordRule = body('password')
+  .isString()
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters');
+
+const credentialRules = [emailRule, newPasswordRule];
+
+const mfaCodeRule = body('code')
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage('Authentication code is required');
+
+const currentPasswordRule = body('password')
+  .isString()
+  .notEmpty()
+  .withMessage('Password is required');
+
+const linkTokenRule = body('token')
+  .isString()
+  .notEmpty()
+  .withMessage('Token is required');
+
+/**
+ * Send Mail Without Revealing The Outcome
+ *
+ * Only real accounts get a mail, so neither its duration nor its
+ * failure may reach the caller: the response doesn't wait for it, and
+ * failures are logged.
+ *
+ * @param {Promise} sending - Pending accountService call
+ */
+const sendQuietly = (sending) => {
+  sending.catch((error) => {
+    console.error('Failed to send account email:', error.message);
+  });
+};
+
+/**
+ * POST /api/auth/register
+ *
+ * NOTE:
+ * `role` is deliberately not accepted from the body. Anyone could
+ * register as admin otherwise.
+ *
+ * With REQUIRE_EMAIL_VERIFICATION, no tokens are issued: accessToken
+ * is null until the user verifies and logs in.
+ */
+router.post(
+  '/register',
+  [...credentialRules, deviceNameRule],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    const { user, accessToken, refreshToken } = await authService.register(
+      email,
+      password,
+      'user',
+      deviceOf(req)
+    );
+
+    if (refreshToken) {
+      setRefreshCookie(res, refreshToken);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: refreshToken
+        ? 'User registered successfully'
+        : 'User registered, check your email to verify your address',
+      data: { user, accessToken },
+    });
+  })
+);
+
+/**
+ * POST /api/auth/login
+ *
+ * TWO-FACTOR:
+ * With 2FA enabled, no tokens are issued yet. The response carries
+ * { mfaRequired: true, mfaToken }; send it to /login/mfa with a code.
+ */
+router.post(
+  '/login',
+  [
+    emailRule,
+    body('password').isString().notEmpty().withMessage('Password is required'),
+    deviceNameRule,
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    const result = await authService.login(email, password, deviceOf(req));
+
+    if (result.mfaRequired) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: { mfaRequired: true, mfaToken: result.mfaToken },
+      });
+    }
+
+    const { user, accessToken, refreshToken } = result;
+    setRefreshCookie(res, refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: { user, accessToken },
+    });
+  })
+);
+
+/**
+ * POST /api/auth/login/mfa
+ *
+ * BODY: { mfaToken, code, deviceName? }
+ * code is a 6-digit TOTP code or a recovery code
+ */
+router.post(
+  '/login/mfa',
+  [
+    body('mfaToken').isString().notEmpty().withMessage('mfaToken is required'),
+    mfaCodeRule,
+    deviceNameRule,
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { mfaToken, code } = req.body;
+    const { user, accessToken, refreshToken } =
+      await authService.completeMfaLogin(mfaToken, code, deviceOf(req));
+
+    setRefreshCookie(res, refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: { user, accessToken },
+    });
+  })
+);
+
+/**
+ * POST /api/auth/refresh
+ *
+ * TOKEN SOURCE:
+ * Browsers send the httpOnly cookie automatically. Non-browser clients
+ * (scripts, mobile) may send { refreshToken } in the body instead.
+ */
+router.post(
+  '/refresh',
+  [body('refreshToken').optional().isString()],
+  validate,
+  asyncHandler(async (req, res) => {
+    const token = req.cookies?.[REFRESH_COOKIE] || req.body.refreshToken;
+
+    if (!token) {
+      const error = new Error('Refresh token is required');
+      error.statusCode = 401;
+      throw error;
+    }
+
+    try {
+      const { accessToken, refreshToken } = await authService.refresh(token, {
+        ip: req.ip,
+      });
+      setRefreshCookie(res, refreshToken);
+
+      res.json({
+        success: true,
+        message: 'Token refreshed',
+        data: { accessToken },
+      });
+    } catch (error) {
+      // A rejected refresh token is useless, so drop it from the browser
+      clearRefreshCookie(res);
+      throw error;
+    }
+  })
+);
+
+/**
+ * POST /api/auth/logout
+ */
+router.post(
+  '/logout',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    await authService.logout(req.userId, req.accessToken);
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  })
+);
+
+/**
+ * POST /api/auth/logout-all
+ *
+ * PURPOSE:
+ * "Log out everywhere": for a lost device or a suspected leak
+ */
+router.post(
+  '/logout-all',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    await authService.logoutAll(req.userId);
+    disconnectUserSockets(req.userId);
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out on all devices',
+    });
+  })
+);
+
+/**
+ * GET /api/auth/devices
+ *
+ * RESPONSE:
+ * { devices: [{ id, deviceName, userAgent, ip, signedInAt, lastUsedAt, current }] }
+ */
+router.get(
+  '/devices',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const devices = await authService.listDevices(
+      req.userId,
+      req.accessToken.fam
+    );
+
+    res.json({
+      success: true,
+      data: { devices },
+    });
+  })
+);
+
+/**
+ * DELETE /api/auth/devices/:id
+ *
+ * Revokes the device's refresh token and its access tokens, and drops
+ * its WebSocket connections.
+ */
+router.delete(
+  '/devices/:id',
+  authenticate,
+  [param('id').isUUID().withMessage('Invalid device ID')],
+  validate,
+  asyncHandler(async (req, res) => {
+    await authService.signOutDevice(req.userId, req.params.id);
+    disconnectDeviceSockets(req.params.id);
+
+    if (req.params.id === req.accessToken.fam) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Device signed out',
+    });
+  })
+);
+
+/**
+ * GET /api/auth/me
+ */
+router.get(
+  '/me',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const user = await authService.getCurrentUser(req.userId);
+
+    res.json({
+      success: true,
+      data: { user },
+    });
+  })
+);
+
+/**
+ * POST /api/auth/verify-email
+ *
+ * BODY: { token } - From the link in the verification email
+ */
+router.post(
+  '/verify-email',
+  [linkTokenRule],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { email } = await accountService.verifyEmail(req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Email verified',
+      data: { email },
+    });
+  })
+);
+
+/**
+ * POST /api/auth/verify-email/resend
+ *
+ * BODY: { email }
+ */
+router.post(
+  '/verify-email/resend',
+  emailLimiter,
+  [emailRule],
+  validate,
+  asyncHandler(async (req, res) => {
+    sendQuietly(accountService.resendVerificationEmail(req.body.email));
+
+    res.json({
+      success: true,
+      message: 'If that address needs verifying, a new link is on its way',
+    });
+  })
+);
+
+/**
+ * POST /api/auth/forgot-password
+ *
+ * BODY: { email }
+ */
+router.post(
+  '/forgot-password',
+  emailLimiter,
+  [emailRule],
+  validate,
+  asyncHandler(async (req, res) => {
+    sendQuietly(accountService.requestPasswordReset(req.body.email));
+
+    res.json({
+      success: true,
+      message: 'If that address has an account, a reset link is on its way',
+    });
+  })
+);
+
+/**
+ * POST /api/auth/reset-password
+ *
+ * BODY: { token, password }
+ *
+ * Every device is signed out: the password change moves the user's
+ * token watermark.
+ */
+router.post(
+  '/reset-password',
+  [linkTokenRule, newPasswordRule],
+  validate,
+  asyncHandler(async (req, res) => {
+    await accountService.resetPassword(req.body.token, req.body.password);
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Password reset, please log in again',
+    });
+  })
+);
+
+/**
+ * POST /api/auth/mfa/setup
+ *
+ * RESPONSE:
+ * { secret, otpauthUri, qrCode } - qrCode is a PNG data URL; secret is
+ * for typing into apps that can't scan
+ */
+router.post(
+  '/mfa/setup',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const enrollment = await mfaService.startEnrollment(req.userId);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code, then confirm with a code from the app',
+      data: enrollment,
+    });
+  })
+);
+
+/**
+ * POST /api/auth/mfa/confirm
+ *
+ * BODY: { code }
+ *
+ * RESPONSE:
+ * { recoveryCodes } - Shown only this once
+ */
+router.post(
+  '/mfa/confirm',
+  authenticate,
+  [mfaCodeRule],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { recoveryCodes } = await mfaService.confirmEnrollment(
+      req.userId,
+      req.body.code
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes },
+    });
+  })
+);
+
+/**
+ * POST /api/auth/mfa/disable
+ *
+ * BODY: { password, code }
+ *
+ * Wrong passwords and codes count towards the login lockout.
+ */
+router.post(
+  '/mfa/disable',
+  authenticate,
+  [currentPasswordRule, mfaCodeRule],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+    await mfaService.disable(req.userId, password, code, { ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  })
+);
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ *
+ * BODY: { password, code }
+ *
+ * Old recovery codes stop working. Wrong passwords and codes count
+ * towards the login lockout.
+ */
+router.post(
+  '/mfa/recovery-codes',
+  authenticate,
+  [currentPasswordRule, mfaCodeRule],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { password, code } = req.body;
+    const { recoveryCodes } = await mfaService.regenerateRecoveryCodes(
+      req.userId,
+      password,
+      code,
+      { ip: req.ip }
+    );
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated',
+      data: { recoveryCodes },
+    });
+  })
+);
+
+/**
+ * GET /api/auth/tokens
+ *
+ * RESPONSE:
+ * { tokens: [{ id, name, prefix, scopes, expiresAt, lastUsedAt, lastUsedIp, createdAt }] }
+ */
+router.get(
+  '/tokens',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const tokens = await apiTokenService.listTokens(req.userId);
+
+    res.json({
+      success: true,
+      data: { tokens },
+    });
+  })
+);
+
+/**
+ * POST /api/auth/tokens
+ *
+ * BODY: { name, scopes, expiresInDays? }
+ * scopes: any of API_TOKEN_SCOPES; no expiresInDays = never expires
+ *
+ * RESPONSE (201):
+ * { token, apiToken } - token is shown only this once
+ */
+router.post(
+  '/tokens',
+  authenticate,
+  [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('At least one scope is required'),
+    body('scopes.*')
+      .isIn(API_TOKEN_SCOPES)
+      .withMessage(`Scopes must be among: ${API_TOKEN_SCOPES.join(', ')}`),
+    body('expiresInDays')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('expiresInDays must be between 1 and 365')
+      .toInt(),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body;
+    const { token, apiToken } = await apiTokenService.createToken(req.userId, {
+      name,
+      scopes,
+      expiresInDays,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created, copy it now: it will not be shown again',
+      data: { token, apiToken },
+    });
+  })
+);
+
+/**
+ * DELETE /api/auth/tokens/:id
+ */
+router.delete(
+  '/tokens/:id',
+  authenticate,
+  [param('id').isMongoId().withMessage('Invalid token ID')],
+  validate,
+  asyncHandler(async (req, res) => {
+    await apiTokenService.revokeToken(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'API token revoked',
+    });
+  })
+);
+
+export default router;
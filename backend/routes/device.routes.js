@@ -0,0 +1,99 @@
+/**
+ * Device Routes
+ *
+ * PURPOSE:
+ * - Register a device and receive its device token
+ * - Show and rename the calling device
+ *
+ * ENDPOINTS:
+ * - POST  /api/devices      Register a device
+ * - GET   /api/devices/me   The device behind X-Device-Token
+ * - PATCH /api/devices/me   Rename it
+ *
+ * Browsers usually don't need POST: the socket handshake issues a
+ * token on first connect (device:assigned). Clients that upload before
+ * opening a socket (scripts, the CLI) register here.
+ */
+
+import express from 'express';
+import { body } from 'express-validator';
+import deviceService from '../services/deviceService.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { requireDevice } from '../middleware/device.js';
+import validate from '../middleware/validate.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router();
+
+const nameRule = body('name')
+  .optional({ values: 'null' })
+  .isString()
+  .trim()
+  .isLength({ max: deviceService.MAX_NAME_LENGTH })
+  .withMessage(
+    `Device name must be at most ${deviceService.MAX_NAME_LENGTH} characters`
+  );
+
+/**
+ * POST /api/devices
+ *
+ * BODY: { name? }
+ * RESPONSE: { device, deviceToken } - keep the token, it is the
+ * device's identity from now on
+ */
+router.post(
+  '/',
+  optionalAuth,
+  [nameRule],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { device, deviceToken } = await deviceService.registerDevice({
+      name: req.body.name,
+      userAgent: req.get('user-agent') || null,
+      userId: req.userId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered',
+      data: { device: deviceService.serializeDevice(device), deviceToken },
+    });
+  })
+);
+
+/**
+ * GET /api/devices/me
+ */
+router.get('/me', requireDevice, (req, res) => {
+  res.json({
+    success: true,
+    data: { device: deviceService.serializeDevice(req.device) },
+  });
+});
+
+/**
+ * PATCH /api/devices/me
+ *
+ * BODY: { name } - null or "" goes back to the User-Agent description
+ *
+ * NOTE:
+ * Sessions the device is in keep the name it joined with; the new one
+ * shows from its next join.
+ */
+router.patch(
+  '/me',
+  requireDevice,
+  [nameRule],
+  validate,
+  asyncHandler(async (req, res) => {
+    const device = await deviceService.renameDevice(req.device, req.body.name);
+
+    res.json({
+      success: true,
+      message: 'Device renamed',
+      data: { device: deviceService.serializeDevice(device) },
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,134 @@
+/**
+ * File Routes
+ *
+ * PURPOSE:
+ * - Accept multipart uploads into a session
+ * - List a session's files with fresh download URLs
+ *
+ * ENDPOINTS (mounted under /api/sessions/:code/files):
+ * - POST /   Upload one file (multipart field "file")
+ * - GET  /   List files in the session
+ *
+ * UPLOAD HEADERS:
+ * - X-Device-Token: Uploading device (must be a participant)
+ *
+ * LIST HEADERS:
+ * - X-Session-Pin: Required when the session is PIN-protected
+ *   (uploads need none; the device gave it when it joined)
+ *
+ * UPLOAD FORM FIELDS:
+ * - file: The file itself
+ * - encryption: JSON envelope { algorithm, nonce, metadata }
+ *   (required in encrypted sessions, ignored otherwise)
+ *
+ * API TOKENS:
+ * Uploads accept personal access tokens with the files:write scope.
+ *
+ * "Files travel over HTTP, not the WebSocket. HTTP handles large bodies,
+ * retries and progress events better; the socket only announces them."
+ */
+
+import express from 'express';
+import sessionService from '../services/sessionService.js';
+import fileService from '../services/fileService.js';
+import { optionalAuth, allowApiTokens } from '../middleware/auth.js';
+import { requireDevice } from '../middleware/device.js';
+import { requireSessionPin } from '../middleware/sessionPin.js';
+import {
+  rejectOversizedRequest,
+  uploadSingleFile,
+} from '../middleware/upload.js';
+import validate from '../middleware/validate.js';
+import { pairingCodeParam } from '../middleware/validators.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { requesterFromRequest } from '../utils/requester.js';
+import EVENTS from '../socket/events.js';
+import { emitToSession } from '../socket/index.js';
+
+// mergeParams exposes :code from the parent mount path
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Parse Envelope Field
+ *
+ * Multipart fields are strings, so the envelope arrives as JSON text.
+ * Malformed JSON is treated as missing; the service reports it.
+ *
+ * @param {string} [value] - Raw form field
+ * @returns {Object|undefined} - Parsed envelope
+ */
+const parseEnvelopeField = (value) => {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * POST /api/sessions/:code/files
+ *
+ * ORDER MATTERS:
+ * 1. Size check on headers first (no database work for huge requests)
+ * 2. Device and session checks before multer, so uploads from unknown
+ *    devices or to unknown or expired sessions are refused without
+ *    reading the body
+ */
+router.post(
+  '/',
+  rejectOversizedRequest,
+  allowApiTokens('files:write'),
+  optionalAuth,
+  requireDevice,
+  [pairingCodeParam],
+  validate,
+  asyncHandler(async (req, res, next) => {
+    req.pairingSession = await sessionService.findActiveSessionByCode(
+      req.params.code,
+      requesterFromRequest(req)
+    );
+    next();
+  }),
+  uploadSingleFile('file'),
+  asyncHandler(async (req, res) => {
+    const file = await fileService.uploadToSession({
+      session: req.pairingSession,
+      file: req.file,
+      uploaderDeviceId: req.device._id,
+      uploaderId: req.userId,
+      encryption: parseEnvelopeField(req.body.encryption),
+    });
+
+    const payload = await fileService.serializeFile(file);
+    emitToSession(req.pairingSession._id, EVENTS.FILE_NEW, payload);
+
+    res.status(201).json({
+      success: true,
+      message: 'File uploaded',
+      data: { file: payload },
+    });
+  })
+);
+
+/**
+ * GET /api/sessions/:code/files
+ */
+router.get(
+  '/',
+  [pairingCodeParam],
+  validate,
+  requireSessionPin,
+  asyncHandler(async (req, res) => {
+    const files = await fileService.listSessionFiles(req.pairingSession._id);
+
+    res.json({
+      success: true,
+      data: { files },
+    });
+  })
+);
+
+export default router;
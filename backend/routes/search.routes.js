@@ -0,0 +1,95 @@
+/**
+ * Search Routes
+ *
+ * PURPOSE:
+ * Let registered users search the history of their own sessions
+ *
+ * ENDPOINTS:
+ * - GET /api/search?q=...   Messages and file names, newest first
+ *
+ * API TOKENS:
+ * Personal access tokens work here with sessions:read.
+ */
+
+import express from 'express';
+import { query } from 'express-validator';
+import searchService from '../services/searchService.js';
+import { authenticate, allowApiTokens } from '../middleware/auth.js';
+import validate from '../middleware/validate.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/search
+ *
+ * QUERY:
+ * - q (required): Words to find; "quoted phrases" and -excluded words
+ *   work as in MongoDB text search
+ * - session: Session ID (from /api/sessions/mine or a join ack)
+ * - type: text, code, link, rich or file (file also matches uploads
+ *   by name)
+ * - from, to: ISO dates, inclusive
+ * - limit: 1-50 (default: 20)
+ * - cursor: nextCursor of the previous page
+ *
+ * RESPONSE: { results, nextCursor }
+ * Each result is a message or a file, with the session's pairingCode
+ * and highlight: { snippet, ranges: [{ start, end }] }.
+ */
+router.get(
+  '/',
+  allowApiTokens('sessions:read'),
+  authenticate,
+  [
+    query('q')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: searchService.MAX_QUERY_LENGTH })
+      .withMessage(
+        `Search query must be 1-${searchService.MAX_QUERY_LENGTH} characters`
+      ),
+    query('session').optional().isMongoId().withMessage('Invalid session ID'),
+    query('type')
+      .optional()
+      .isIn(searchService.SEARCH_TYPES)
+      .withMessage(
+        `Type must be one of: ${searchService.SEARCH_TYPES.join(', ')}`
+      ),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from must be an ISO 8601 date')
+      .toDate(),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to must be an ISO 8601 date')
+      .toDate(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: searchService.MAX_LIMIT })
+      .withMessage(`Limit must be between 1 and ${searchService.MAX_LIMIT}`)
+      .toInt(),
+    query('cursor').optional().isString(),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { results, nextCursor } = await searchService.search(req.userId, {
+      q: req.query.q,
+      sessionId: req.query.session,
+      type: req.query.type,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+    });
+
+    res.json({
+      success: true,
+      data: { results, nextCursor },
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,394 @@
+/**
+ * Session Routes
+ *
+ * PURPOSE:
+ * - Create pairing-code sessions (logged in or anonymous)
+ * - Inspect and join sessions by code
+ * - Let creators extend, close and list their sessions
+ *
+ * ENDPOINTS:
+ * - POST /api/sessions                Create session
+ * - GET  /api/sessions/mine           List my sessions (auth required)
+ * - GET  /api/sessions/:code          Inspect active session
+ * - POST /api/sessions/:code/join     Check a session can be joined
+ * - POST /api/sessions/:code/extend   Extend expiration (creator only)
+ * - POST /api/sessions/:code/close    Close session (creator only)
+ * - PATCH /api/sessions/:code/settings  Limit, approval, PIN (creator only)
+ * - POST /api/sessions/:code/join-token  QR code / deep link (creator only)
+ *
+ * CREATOR SECRET:
+ * Anonymous creators receive `creatorSecret` once, in the create
+ * response. They send it back in the X-Creator-Secret header to
+ * extend or close the session.
+ *
+ * SESSION PIN:
+ * PIN-protected sessions (pinRequired: true) also want the PIN in the
+ * X-Session-Pin header to check a join. Wrong PINs count as failed
+ * attempts below.
+ *
+ * API TOKENS:
+ * Personal access tokens work here with sessions:read (list, join)
+ * or sessions:write (create, extend, close, join tokens).
+ *
+ * THROTTLING:
+ * Every lookup by code is throttled per IP and per device fingerprint
+ * (X-Device-Fingerprint header). Locked-out callers get 429 with a
+ * Retry-After header.
+ */
+
+import express from 'express';
+import { body, query } from 'express-validator';
+import sessionService from '../services/sessionService.js';
+import joinTokenService from '../services/joinTokenService.js';
+import {
+  authenticate,
+  optionalAuth,
+  allowApiTokens,
+} from '../middleware/auth.js';
+import validate from '../middleware/validate.js';
+import { pairingCodeParam } from '../middleware/validators.js';
+import { requireSessionPin } from '../middleware/sessionPin.js';
+import asyncHandler from '../utils/asyncHandler.js';
+import { requesterFromRequest } from '../utils/requester.js';
+import EVENTS from '../socket/events.js';
+import { emitToSession, closeSessionRoom } from '../socket/index.js';
+
+const router = express.Router();
+
+const CREATOR_SECRET_HEADER = 'x-creator-secret';
+
+/**
+ * Caller Identity
+ *
+ * @param {Object} req - Express request (after optionalAuth)
+ * @returns {Object} - { userId, creatorSecret }
+ */
+const callerOf = (req) => ({
+  userId: req.userId,
+  creatorSecret: req.get(CREATOR_SECRET_HEADER),
+});
+
+/**
+ * Load Session The Caller Manages
+ *
+ * Too many wrong creator secrets close the session; connected devices
+ * are told before the error reaches the client.
+ *
+ * @param {Object} req - Express request (after optionalAuth)
+ * @returns {Promise<Document>} - Session document
+ */
+const loadManagedSession = async (req) => {
+  try {
+    return await sessionService.findManagedSession(
+      req.params.code,
+      callerOf(req),
+      requesterFromRequest(req)
+    );
+  } catch (error) {
+    if (error.closedSessionId) {
+      closeSessionRoom(error.closedSessionId, { reason: 'too_many_attempts' });
+    }
+    throw error;
+  }
+};
+
+// Shared by creation and PATCH /settings
+const settingsRules = [
+  body('maxParticipants')
+    .optional({ values: 'null' })
+    .isInt({ min: 2, max: sessionService.MAX_PARTICIPANTS_LIMIT })
+    .withMessage(
+      `Max participants must be between 2 and ${sessionService.MAX_PARTICIPANTS_LIMIT}, or null`
+    )
+    .toInt(),
+  body('requireApproval')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Require approval must be a boolean'),
+  body('pin')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({
+      min: sessionService.PIN_MIN_LENGTH,
+      max: sessionService.PIN_MAX_LENGTH,
+    })
+    .withMessage(
+      `PIN must be ${sessionService.PIN_MIN_LENGTH}-${sessionService.PIN_MAX_LENGTH} characters, or null`
+    ),
+];
+
+/**
+ * POST /api/sessions
+ *
+ * BODY (all optional):
+ * - encrypted: true - Opt into end-to-end encryption
+ * - maxParticipants: 2-100 - Participant limit (default: unlimited)
+ * - requireApproval: true - A host approves every new device
+ * - pin: 4-64 characters - Asked for on every join (stored hashed)
+ *
+ * RESPONSE (201):
+ * { session, creatorSecret }  (creatorSecret is null for logged-in users)
+ */
+router.post(
+  '/',
+  allowApiTokens('sessions:write'),
+  optionalAuth,
+  [
+    body('encrypted')
+      .optional()
+      .isBoolean()
+      .withMessage('Encrypted must be a boolean')
+      .toBoolean(),
+    ...settingsRules,
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const { session, creatorSecret } = await sessionService.createSession(
+      req.userId,
+      {
+        encrypted: req.body.encrypted === true,
+        maxParticipants: req.body.maxParticipants ?? null,
+        requireApproval: req.body.requireApproval === true,
+        pin: req.body.pin ?? null,
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Session created',
+      data: {
+        session: sessionService.serializeSession(session),
+        creatorSecret,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/sessions/mine?status=active
+ *
+ * Registered creators only. Anonymous sessions have no owner to list by.
+ */
+router.get(
+  '/mine',
+  allowApiTokens('sessions:read'),
+  authenticate,
+  [
+    query('status')
+      .optional()
+      .isIn(['active', 'expired', 'closed'])
+      .withMessage('Status must be active, expired or closed'),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const sessions = await sessionService.listUserSessions(
+      req.userId,
+      req.query.status
+    );
+
+    res.json({
+      success: true,
+      data: { sessions },
+    });
+  })
+);
+
+/**
+ * GET /api/sessions/:code
+ */
+router.get(
+  '/:code',
+  [pairingCodeParam],
+  validate,
+  asyncHandler(async (req, res) => {
+    const session = await sessionService.findActiveSessionByCode(
+      req.params.code,
+      requesterFromRequest(req)
+    );
+
+    res.json({
+      success: true,
+      data: { session: sessionService.serializeSession(session) },
+    });
+  })
+);
+
+/**
+ * POST /api/sessions/:code/join
+ *
+ * PURPOSE:
+ * Validate the code (and PIN, via X-Session-Pin) before the client
+ * opens a WebSocket. The device becomes a participant when it emits
+ * session:join on the socket, with the same PIN.
+ */
+router.post(
+  '/:code/join',
+  allowApiTokens('sessions:read'),
+  optionalAuth,
+  [pairingCodeParam],
+  validate,
+  requireSessionPin,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      message: 'Session is available',
+      data: { session: sessionService.serializeSession(req.pairingSession) },
+    });
+  })
+);
+
+/**
+ * POST /api/sessions/:code/extend
+ *
+ * BODY: { minutes } - New lifetime counted from now
+ */
+router.post(
+  '/:code/extend',
+  allowApiTokens('sessions:write'),
+  optionalAuth,
+  [
+    pairingCodeParam,
+    body('minutes')
+      .isInt({ min: 1, max: sessionService.MAX_EXTEND_MINUTES })
+      .withMessage(
+        `Minutes must be between 1 and ${sessionService.MAX_EXTEND_MINUTES}`
+      )
+      .toInt(),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const session = await loadManagedSession(req);
+    await sessionService.extendSession(session, req.body.minutes);
+
+    emitToSession(session._id, EVENTS.SESSION_EXTENDED, {
+      expiresAt: session.expiresAt,
+    });
+
+    res.json({
+      success: true,
+      message: 'Session extended',
+      data: { session: sessionService.serializeSession(session) },
+    });
+  })
+);
+
+/**
+ * POST /api/sessions/:code/close
+ */
+router.post(
+  '/:code/close',
+  allowApiTokens('sessions:write'),
+  optionalAuth,
+  [pairingCodeParam],
+  validate,
+  asyncHandler(async (req, res) => {
+    const session = await loadManagedSession(req);
+    await sessionService.closeSession(session);
+
+    closeSessionRoom(session._id, { reason: 'closed_by_creator' });
+
+    res.json({
+      success: true,
+      message: 'Session closed',
+      data: { session: sessionService.serializeSession(session) },
+    });
+  })
+);
+
+/**
+ * PATCH /api/sessions/:code/settings
+ *
+ * BODY: { maxParticipants?, requireApproval?, pin? } - Omitted fields
+ * are kept; maxParticipants: null removes the limit, pin: null the PIN
+ *
+ * Connected devices get session:updated with the settings (never the
+ * PIN). Devices already in the session stay in when the PIN changes.
+ */
+router.patch(
+  '/:code/settings',
+  allowApiTokens('sessions:write'),
+  optionalAuth,
+  [pairingCodeParam, ...settingsRules],
+  validate,
+  asyncHandler(async (req, res) => {
+    const session = await loadManagedSession(req);
+    await sessionService.updateSettings(session, {
+      maxParticipants: req.body.maxParticipants,
+      requireApproval: req.body.requireApproval,
+      pin: req.body.pin,
+    });
+
+    emitToSession(session._id, EVENTS.SESSION_UPDATED, {
+      maxParticipants: session.maxParticipants ?? null,
+      requireApproval: session.requireApproval,
+      pinRequired: session.pinRequired,
+    });
+
+    res.json({
+      success: true,
+      message: 'Session settings updated',
+      data: { session: sessionService.serializeSession(session) },
+    });
+  })
+);
+
+/**
+ * POST /api/sessions/:code/join-token?format=svg&link=web
+ *
+ * PURPOSE:
+ * Mint a single-use token another device can scan to join
+ *
+ * QUERY:
+ * - format (optional): 'svg' or 'png' returns a QR code image
+ *   instead of JSON
+ * - link (optional): Link encoded in the QR code, 'web' (default) or
+ *   'app' (ctrlw:// deep link)
+ *
+ * RESPONSE (201, JSON): { token, expiresAt, links: { web, app } }
+ */
+router.post(
+  '/:code/join-token',
+  allowApiTokens('sessions:write'),
+  optionalAuth,
+  [
+    pairingCodeParam,
+    query('format')
+      .optional()
+      .isIn(joinTokenService.QR_FORMATS)
+      .withMessage(
+        `Format must be one of: ${joinTokenService.QR_FORMATS.join(', ')}`
+      ),
+    query('link')
+      .optional()
+      .isIn(joinTokenService.LINK_TYPES)
+      .withMessage(
+        `Link must be one of: ${joinTokenService.LINK_TYPES.join(', ')}`
+      ),
+  ],
+  validate,
+  asyncHandler(async (req, res) => {
+    const session = await loadManagedSession(req);
+    const joinToken = await joinTokenService.mintJoinToken(session);
+
+    // Tokens are single-use secrets; never let a cache keep one
+    res.set('Cache-Control', 'no-store');
+
+    if (req.query.format) {
+      const { contentType, body } = await joinTokenService.renderQrCode(
+        joinToken.links[req.query.link || 'web'],
+        req.query.format
+      );
+
+      res.set('X-Join-Token-Expires', joinToken.expiresAt.toISOString());
+      return res.status(201).type(contentType).send(body);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Join token created',
+      data: joinToken,
+    });
+  })
+);
+
+export default router;
@@ -14,8 +14,14 @@
  * 4. Listen for requests
  */
 
+import http from 'http';
 import dotenv from 'dotenv';
 import { connectDB } from './config/database.js';
+import app from './app.js';
+import { initSocket } from './socket/index.js';
+import { scheduleRetentionJob } from './jobs/retentionJob.js';
+import { scheduleMessageExpiryJob } from './jobs/messageExpiryJob.js';
+import { scheduleParticipantCleanupJob } from './jobs/participantCleanupJob.js';
 
 // Load environment variables FIRST (before anything else)
 dotenv.config();
@@ -26,6 +32,10 @@ dotenv.config();
  * ASYNC/AWAIT PATTERN:
  * We use async/await to ensure database connects before accepting requests
  * This prevents "database not connected" errors on first requests
+ *
+ * WHY http.createServer?
+ * app.listen() creates the server internally. Creating it ourselves
+ * gives us a handle to attach the WebSocket layer to the same port.
  */
 const startServer = async () => {
   try {
@@ -35,10 +45,23 @@ const startServer = async () => {
     // Step 2: Get port from environment (default: 5000)
     const PORT = process.env.PORT || 5000;
 
-    // Step 3: Create a simple test server (will replace with Express later)
-    console.log(`🚀 Server would start on port ${PORT}`);
-    console.log(`📝 Environment: ${process.env.NODE_ENV}`);
-    console.log('✅ Database connected successfully!');
+    // Step 3: Create HTTP server around the Express app
+    const server = http.createServer(app);
+
+    // Step 4: Attach Socket.io to the same server
+    initSocket(server);
+
+    // Step 5: Schedule cleanup of expired sessions and messages, and
+    // of devices that disconnected for good
+    scheduleRetentionJob();
+    scheduleMessageExpiryJob();
+    scheduleParticipantCleanupJob();
+
+    // Step 6: Start listening
+    server.listen(PORT, () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+      console.log(`📝 Environment: ${process.env.NODE_ENV}`);
+    });
   } catch (error) {
     console.log(
       'an error happened while trying to start the server:',
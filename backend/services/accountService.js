@@ -0,0 +1,216 @@
+/**
+ * Account Service
+ *
+ * PURPOSE:
+ * - Verify that an email address belongs to the user
+ * - Let users reset a forgotten password
+ *
+ * TOKENS:
+ * Signed JWTs, one audience per purpose, with short expiry. They are
+ * single-use without any extra storage, because each one is bound to
+ * the state it changes:
+ * - Verify email: bound to the address; useless once it is verified
+ *   (or changed)
+ * - Reset password: carries an HMAC of the current password hash;
+ *   setting a new password changes the hash and kills every
+ *   outstanding reset link at once
+ *
+ * NO USER ENUMERATION:
+ * "Forgot password" and "resend verification" answer the same way
+ * whether or not the address has an account.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { User } from '../models/index.js';
+import accountConfig from '../config/account.js';
+import { sendMail } from '../mailer/index.js';
+import templates from '../mailer/templates.js';
+
+const ISSUER = 'ctrl-w-api';
+const VERIFY_AUDIENCE = 'ctrl-w-verify-email';
+const RESET_AUDIENCE = 'ctrl-w-reset-password';
+
+const invalidLink = () => {
+  const error = new Error('This link is invalid, expired or already used');
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Password Fingerprint
+ *
+ * @param {string} passwordHash - Current bcrypt hash
+ * @returns {string} - Keyed digest (the hash itself never leaves the DB)
+ */
+const passwordFingerprint = (passwordHash) =>
+  crypto
+    .createHmac('sha256', accountConfig.tokenSecret)
+    .update(passwordHash)
+    .digest('base64url');
+
+/**
+ * Verify Signed Link Token
+ *
+ * @param {string} token - Token from the link
+ * @param {string} audience - Expected purpose
+ * @returns {Object} - Decoded payload
+ */
+const verifyLinkToken = (token, audience) => {
+  try {
+    return jwt.verify(token, accountConfig.tokenSecret, {
+      issuer: ISSUER,
+      audience,
+    });
+  } catch (error) {
+    throw invalidLink();
+  }
+};
+
+const linkTo = (pathname, token) => {
+  const url = new URL(pathname, accountConfig.linkBaseUrl);
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+/**
+ * Send Verification Email
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign(
+    { sub: user._id.toString(), email: user.email },
+    accountConfig.tokenSecret,
+    {
+      issuer: ISSUER,
+      audience: VERIFY_AUDIENCE,
+      expiresIn: accountConfig.verificationTtlHours * 60 * 60,
+    }
+  );
+
+  await sendMail({
+    to: user.email,
+    ...templates.verifyEmail({
+      url: linkTo('/verify-email', token),
+      expiresInHours: accountConfig.verificationTtlHours,
+    }),
+  });
+};
+
+/**
+ * Resend Verification Email
+ *
+ * Silently does nothing for unknown or already verified addresses.
+ *
+ * @param {string} email - Address to verify
+ * @returns {Promise<void>}
+ */
+const resendVerificationEmail = async (email) => {
+  const user = await User.findOne({ email, isActive: true });
+
+  if (user && !user.emailVerified) {
+    await sendVerificationEmail(user);
+  }
+};
+
+/**
+ * Verify Email
+ *
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} - { email }
+ */
+const verifyEmail = async (token) => {
+  const payload = verifyLinkToken(token, VERIFY_AUDIENCE);
+  const user = await User.findById(payload.sub);
+
+  if (!user || user.email !== payload.email || user.emailVerified) {
+    throw invalidLink();
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  return { email: user.email };
+};
+
+/**
+ * Request Password Reset
+ *
+ * Silently does nothing for unknown or inactive addresses.
+ *
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email, isActive: true }).select(
+    '+password'
+  );
+
+  if (!user) {
+    return;
+  }
+
+  const token = jwt.sign(
+    { sub: user._id.toString(), pwd: passwordFingerprint(user.password) },
+    accountConfig.tokenSecret,
+    {
+      issuer: ISSUER,
+      audience: RESET_AUDIENCE,
+      expiresIn: accountConfig.resetTtlMinutes * 60,
+    }
+  );
+
+  await sendMail({
+    to: user.email,
+    ...templates.resetPassword({
+      url: linkTo('/reset-password', token),
+      expiresInMinutes: accountConfig.resetTtlMinutes,
+    }),
+  });
+};
+
+/**
+ * Reset Password
+ *
+ * FLOW:
+ * 1. Check the link and that the password hasn't changed since
+ * 2. Save the new password (User pre-save hooks hash it and revoke
+ *    every existing token, so all devices are signed out)
+ * 3. Mark the email verified: the user just proved they receive it
+ *
+ * @param {string} token - Token from the reset link
+ * @param {string} newPassword - New plain-text password
+ * @returns {Promise<void>}
+ */
+const resetPassword = async (token, newPassword) => {
+  const payload = verifyLinkToken(token, RESET_AUDIENCE);
+  const user = await User.findById(payload.sub).select('+password');
+
+  if (
+    !user ||
+    !user.isActive ||
+    payload.pwd !== passwordFingerprint(user.password)
+  ) {
+    throw invalidLink();
+  }
+
+  user.password = newPassword;
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+
+  await user.save();
+};
+
+export default {
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+};
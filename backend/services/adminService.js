@@ -0,0 +1,96 @@
+/**
+ * Admin Service
+ *
+ * PURPOSE:
+ * - Show admins which accounts are locked out, and why
+ * - Let admins lift a lockout early (e.g. after a user calls in)
+ *
+ * NOTE:
+ * Only routes behind requireRole('admin') may call this service.
+ * Unlike the login endpoint, it tells locked and unlocked accounts apart.
+ */
+
+import { User } from '../models/index.js';
+
+const notFound = () => {
+  const error = new Error('User not found');
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * Login Status
+ *
+ * @param {Document} user - User document
+ * @returns {Object} - Lockout and login-tracking fields
+ */
+const loginStatusOf = (user) => ({
+  id: user._id,
+  email: user.email,
+  locked: user.isLocked(),
+  lockUntil: user.isLocked() ? user.lockUntil : null,
+  lockoutCount: user.lockoutCount,
+  failedLoginAttempts: user.failedLoginAttempts,
+  lastFailedLoginAt: user.lastFailedLoginAt,
+  lastFailedLoginIp: user.lastFailedLoginIp,
+  lastLogin: user.lastLogin,
+  lastLoginIp: user.lastLoginIp,
+  lastLoginUserAgent: user.lastLoginUserAgent,
+});
+
+/**
+ * List Locked Accounts
+ *
+ * @returns {Promise<Object[]>} - Login status of every locked account,
+ *   the longest lockout first
+ */
+const listLockedAccounts = async () => {
+  const users = await User.find({ lockUntil: { $gt: new Date() } }).sort({
+    lockUntil: -1,
+  });
+
+  return users.map(loginStatusOf);
+};
+
+/**
+ * Get Login Status
+ *
+ * @param {string} userId - Account to inspect
+ * @returns {Promise<Object>} - Login status
+ */
+const getLoginStatus = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw notFound();
+  }
+
+  return loginStatusOf(user);
+};
+
+/**
+ * Clear Lockout
+ *
+ * Also resets the backoff, so the next lockout starts short again
+ *
+ * @param {string} userId - Account to unlock
+ * @returns {Promise<Object>} - Login status after unlocking
+ */
+const clearLockout = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw notFound();
+  }
+
+  user.clearLockout();
+  await user.save();
+
+  return loginStatusOf(user);
+};
+
+export default {
+  listLockedAccounts,
+  getLoginStatus,
+  clearLockout,
+};
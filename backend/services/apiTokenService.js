@@ -0,0 +1,188 @@
+/**
+ * API Token Service
+ *
+ * PURPOSE:
+ * - Create, list and revoke personal access tokens
+ * - Authenticate requests that present one instead of a JWT
+ *
+ * SHOWN ONCE:
+ * createToken returns the plain token; only its hash is stored, so it
+ * can't be displayed again. Lost tokens are revoked and replaced.
+ *
+ * SCOPE OF A TOKEN:
+ * Routes opt in with allowApiTokens(scope) (middleware/auth.js).
+ * Account routes don't, so a leaked token can't change the password,
+ * 2FA or other tokens.
+ *
+ * NOTE:
+ * Tokens survive password changes and "log out everywhere" (CI jobs
+ * shouldn't break on a password reset). Deactivating the account
+ * stops them; so does revoking them one by one.
+ */
+
+import crypto from 'crypto';
+import { ApiToken, User } from '../models/index.js';
+
+const TOKEN_PREFIX = 'ctw_pat_';
+
+// Shown in the token list next to the name
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 4;
+
+const MAX_TOKENS_PER_USER = 50;
+
+// lastUsedAt is written at most this often per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Is API Token
+ *
+ * @param {string} token - Bearer token
+ * @returns {boolean} - True for personal access tokens (not JWTs)
+ */
+const isApiToken = (token) =>
+  typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * Public Token Fields
+ *
+ * @param {Document} apiToken - ApiToken document
+ * @returns {Object} - Everything but the hash
+ */
+const toPublic = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  expiresAt: apiToken.expiresAt,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  createdAt: apiToken.createdAt,
+});
+
+/**
+ * Create Token
+ *
+ * @param {string} userId - Owner
+ * @param {Object} options
+ * @param {string} options.name - Label
+ * @param {string[]} options.scopes - Granted scopes
+ * @param {number} [options.expiresInDays] - Omit for no expiry
+ * @returns {Promise<Object>} - { token (plain, shown once), apiToken }
+ */
+const createToken = async (userId, { name, scopes, expiresInDays = null }) => {
+  const count = await ApiToken.countDocuments({ user: userId });
+  if (count >= MAX_TOKENS_PER_USER) {
+    const error = new Error(
+      `You can have at most ${MAX_TOKENS_PER_USER} API tokens, revoke one first`
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const apiToken = await ApiToken.create({
+    user: userId,
+    name,
+    tokenHash: ApiToken.hashToken(token),
+    prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null,
+  });
+
+  return { token, apiToken: toPublic(apiToken) };
+};
+
+/**
+ * List Tokens
+ *
+ * @param {string} userId - Owner
+ * @returns {Promise<Object[]>} - Newest first, without hashes
+ */
+const listTokens = async (userId) => {
+  const tokens = await ApiToken.find({
+    user: userId,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).sort({ createdAt: -1 });
+
+  return tokens.map(toPublic);
+};
+
+/**
+ * Revoke Token
+ *
+ * @param {string} userId - Owner (tokens of others look like missing)
+ * @param {string} tokenId - Token to revoke
+ * @returns {Promise<void>}
+ */
+const revokeToken = async (userId, tokenId) => {
+  const { deletedCount } = await ApiToken.deleteOne({
+    _id: tokenId,
+    user: userId,
+  });
+
+  if (deletedCount === 0) {
+    const error = new Error('API token not found');
+    error.statusCode = 404;
+    throw error;
+  }
+};
+
+/**
+ * Authenticate Token
+ *
+ * FLOW:
+ * 1. Look the hash up; reject unknown and expired tokens
+ *    (the TTL index removes expired ones only once a minute)
+ * 2. Load the owner; reject inactive accounts
+ * 3. Record last use (at most once a minute)
+ *
+ * @param {string} token - Plain token from the Authorization header
+ * @param {Object} [context] - { ip }
+ * @returns {Promise<Object>} - { userId, email, role, scopes, tokenId }
+ *   (shaped like a decoded access token, role from the database)
+ */
+const authenticateToken = async (token, { ip = null } = {}) => {
+  const apiToken = await ApiToken.findOne({
+    tokenHash: ApiToken.hashToken(token),
+  });
+
+  if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt <= new Date())) {
+    throw new Error('Invalid or expired API token');
+  }
+
+  const user = await User.findById(apiToken.user);
+
+  if (!user || !user.isActive) {
+    throw new Error('User not found or inactive');
+  }
+
+  const now = new Date();
+  if (
+    !apiToken.lastUsedAt ||
+    now - apiToken.lastUsedAt > LAST_USED_RESOLUTION_MS
+  ) {
+    await ApiToken.updateOne(
+      { _id: apiToken._id },
+      { $set: { lastUsedAt: now, lastUsedIp: ip } }
+    );
+  }
+
+  return {
+    userId: user._id.toString(),
+    email: user.email,
+    role: user.role,
+    scopes: apiToken.scopes,
+    tokenId: apiToken._id.toString(),
+  };
+};
+
+export default {
+  isApiToken,
+  createToken,
+  listTokens,
+  revokeToken,
+  authenticateToken,
+};
@@ -10,6 +10,8 @@
  * - "I use a service layer to separate business logic from HTTP layer"
  * - "Access tokens are short-lived (15 min), refresh tokens are long-lived (7 days)"
  * - "I store refresh tokens in database for revocation capability"
+ * - "Each device gets its own refresh-token family, so logging in on a
+ *   laptop doesn't sign the phone out"
  * - "JWT payload is base64-encoded, not encrypted - never store secrets there"
  *
  * SECURITY PRINCIPLES:
@@ -18,8 +20,14 @@
  * - Secure by Default: httpOnly cookies for refresh tokens
  */
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { User } from '../models/index.js';
+import tokenRevocationService from './tokenRevocationService.js';
+import refreshTokenService from './refreshTokenService.js';
+import accountService from './accountService.js';
+import mfaService from './mfaService.js';
+import accountConfig from '../config/account.js';
 
 /**
  * Generate Access Token
@@ -31,6 +39,8 @@ import { User } from '../models/index.js';
  * - userId: User identifier (for database lookups)
  * - email: User email (for convenience)
  * - role: User role (for authorization checks)
+ * - jti: Unique token ID (lets us revoke this one token)
+ * - fam: Refresh-token family (lets us revoke one device's tokens)
  * - iat: Issued at timestamp (automatic)
  * - exp: Expiration timestamp (automatic)
  *
@@ -38,10 +48,11 @@ import { User } from '../models/index.js';
  * ensures integrity - nobody can modify the payload without detection."
  *
  * @param {Object} user - User document from database
+ * @param {string} [family] - Refresh-token family of the device
  * @returns {string} - Signed JWT access token
  */
 
-const generateAccessToken = (user) => {
+const generateAccessToken = (user, family = null) => {
   //payload(claims)
   const payload = {
     userId: user._id.toString(),
@@ -49,10 +60,15 @@ const generateAccessToken = (user) => {
     role: user.role,
   };
 
+  if (family) {
+    payload.fam = family;
+  }
+
   return jwt.sign(payload, process.env.JWT_ACCESS_SECRET, {
     expiresIn: process.env.JWT_ACCESS_EXPIRY || '7m',
     issuer: 'ctrl-w-api', // Who issued the token
     audience: 'ctrl-w-client', // Who can use the token
+    jwtid: crypto.randomUUID(), // Denylist key for revocation
   });
 };
 /**
@@ -62,25 +78,58 @@ const generateAccessToken = (user) => {
  * Create long-lived token for getting new access tokens
  *
  * DESIGN DECISION:
- * Refresh tokens have minimal payload (just userId) to reduce size
+ * Refresh tokens have minimal payload (userId + family) to reduce size
  * We look up user in database when refreshing anyway
  *
+ * The random jti makes every rotated token unique, even two issued
+ * within the same second for the same family.
+ *
  * @param {Object} user - User document from database
+ * @param {string} family - Refresh-token family (one per device)
  * @returns {string} - Signed JWT refresh token
  */
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, family) => {
   const payload = {
     userId: user._id.toString(),
     type: 'refresh', // Distinguish from access tokens
+    fam: family,
   };
 
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRY || '7d',
     issuer: 'ctrl-w-api',
     audience: 'ctrl-w-client',
+    jwtid: crypto.randomUUID(),
   });
 };
 
+/**
+ * Issue Tokens For A New Device
+ *
+ * PURPOSE:
+ * Start a refresh-token family (register, login)
+ *
+ * @param {Object} user - User document
+ * @param {Object} [device] - { deviceName, userAgent, ip }
+ * @returns {Promise<Object>} - { accessToken, refreshToken }
+ */
+const issueDeviceTokens = async (user, device = {}) => {
+  const family = crypto.randomUUID();
+  const refreshToken = generateRefreshToken(user, family);
+
+  await refreshTokenService.createFamily(
+    user._id,
+    family,
+    refreshToken,
+    device
+  );
+
+  return {
+    accessToken: generateAccessToken(user, family),
+    refreshToken,
+  };
+};
+
 /**
  * Verify Access Token
  *
@@ -92,6 +141,7 @@ const generateRefreshToken = (user) => {
  * 2. Not expired
  * 3. Issued by us (issuer check)
  * 4. Intended for us (audience check)
+ * 5. Not revoked (jti denylist)
  *
  * THROWS:
  * - JsonWebTokenError: Invalid signature
@@ -99,17 +149,24 @@ const generateRefreshToken = (user) => {
  * - NotBeforeError: Token used before valid
  *
  * @param {string} token - JWT access token
- * @returns {Object} - Decoded payload
+ * @returns {Promise<Object>} - Decoded payload
  */
-const verifyAccessToken = (token) => {
+const verifyAccessToken = async (token) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET, {
       issuer: 'ctrl-w-api',
       audience: 'ctrl-w-client',
     });
+
+    if (await tokenRevocationService.isAccessTokenRevoked(decoded)) {
+      const err = new Error('Access token has been revoked');
+      err.statusCode = 401;
+      throw err;
+    }
+
     return decoded;
   } catch (error) {
-    if (error === 'TokenExpiredError') {
+    if (error.name === 'TokenExpiredError') {
       const err = new Error('Access token has expired');
       err.name = 'TokenExpiredError';
       throw err;
@@ -129,11 +186,13 @@ const verifyAccessToken = (token) => {
  * Verify Refresh Token
  *
  * PURPOSE:
- * Validate refresh token and check database revocation
+ * Validate refresh token signature, type and owner
  *
  * SECURITY NOTE:
- * Unlike access tokens (stateless), we verify refresh tokens against
- * the database to enable revocation (logout, security breach)
+ * Unlike access tokens (stateless), refresh tokens are also checked
+ * against their family in the database when they are rotated
+ * (refreshTokenService.rotate), which enables revocation and reuse
+ * detection
  *
  * @param {string} token - JWT refresh token
  * @returns {Object} - Decoded payload
@@ -146,22 +205,23 @@ const verifyRefreshToken = async (token) => {
       audience: 'ctrl-w-client',
     });
 
-    // 2. Check token type
-    if (decoded.type !== 'refresh') {
+    // 2. Check token type (tokens without a family predate devices)
+    if (decoded.type !== 'refresh' || !decoded.fam) {
       throw new Error('Invalid token type');
     }
 
-    // 3. Verify token exists in database (not revoked)
-    const user = await User.findById(decoded.userId).select('+refreshToken');
+    // 3. Verify user exists and hasn't revoked everything since
+    const user = await User.findById(decoded.userId);
 
     if (!user) {
       throw new Error('User not found');
     }
 
-    if (user.refreshToken !== token) {
+    if (user.isTokenRevoked(decoded.iat)) {
       throw new Error('Refresh token has been revoked');
     }
 
+    return decoded;
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       const err = new Error('Refresh token has expired');
@@ -188,54 +248,90 @@ const verifyRefreshToken = async (token) => {
  * FLOW:
  * 1. Validate email doesn't exist
  * 2. Create user (password auto-hashed by pre-save hook)
- * 3. Generate tokens
- * 4. Store refresh token in database
+ * 3. Send the verification email (a mail outage doesn't fail sign-up)
+ * 4. Start a refresh-token family for this device, unless login
+ *    requires a verified email (REQUIRE_EMAIL_VERIFICATION)
  * 5. Return tokens and user info
  * 
  * @param {string} email - User email
  * @param {string} password - User password (will be hashed)
  * @param {string} role - User role (default: 'user')
- * @returns {Object} - { user, accessToken, refreshToken }
+ * @param {Object} [device] - { deviceName, userAgent, ip }
+ * @returns {Object} - { user, accessToken, refreshToken } (tokens are
+ *   null while verification is pending and required)
  */
-const register = async (email, password, role = 'user') => {
-  try {
-    // 1. Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      const error = new Error('Email already registered');
-      error.statusCode = 409; // Conflict
-      throw error;
-    }
+const register = async (email, password, role = 'user', device = {}) => {
+  // 1. Check if user already exists
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    const error = new Error('Email already registered');
+    error.statusCode = 409; // Conflict
+    throw error;
+  }
 
-    // 2. Create user (password hashed by pre-save hook)
-    const user = await User.create({
-      email,
-      password,
-      role,
-    });
+  // 2. Create user (password hashed by pre-save hook)
+  const user = await User.create({
+    email,
+    password,
+    role,
+  });
 
-    // 3. Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+  // 3. Ask the user to confirm their address
+  try {
+    await accountService.sendVerificationEmail(user);
+  } catch (mailError) {
+    console.error('Failed to send verification email:', mailError.message);
+  }
 
-    // 4. Store refresh token in database
-    user.refreshToken = refreshToken;
-    await user.save();
+  // 4. Generate tokens (new family for this device)
+  const { accessToken, refreshToken } = accountConfig.requireEmailVerification
+    ? { accessToken: null, refreshToken: null }
+    : await issueDeviceTokens(user, device);
+
+  // 5. Return user and tokens (exclude password)
+  return {
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      createdAt: user.createdAt,
+    },
+    accessToken,
+    refreshToken,
+  };
+};
 
-    // 5. Return user and tokens (exclude password)
-    return {
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        createdAt: user.createdAt,
-      },
-      accessToken,
-      refreshToken,
-    };
-  } catch (error) {
-    throw error;
-  }
+/**
+ * Finish Login
+ *
+ * PURPOSE:
+ * Last step shared by password-only and two-factor logins
+ *
+ * @param {Document} user - User who passed every check
+ * @param {Object} [device] - { deviceName, userAgent, ip }
+ * @returns {Promise<Object>} - { user, accessToken, refreshToken }
+ */
+const completeLogin = async (user, device = {}) => {
+  // New refresh-token family for this device
+  const { accessToken, refreshToken } = await issueDeviceTokens(user, device);
+
+  // Track last login (also clears the failed-attempt counters)
+  user.recordLogin(device);
+  await user.save();
+
+  return {
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      mfaEnabled: user.mfaEnabled,
+      lastLogin: user.lastLogin,
+    },
+    accessToken,
+    refreshToken,
+  };
 };
 
 /**
@@ -246,41 +342,44 @@ const register = async (email, password, role = 'user') => {
  * 
  * FLOW:
  * 1. Find user by email
- * 2. Verify password
- * 3. Generate new tokens
- * 4. Store refresh token (invalidates old token)
- * 5. Update last login timestamp
+ * 2. Verify password (and email, if REQUIRE_EMAIL_VERIFICATION)
+ *    Wrong passwords count towards a lockout (see User model)
+ * 3. With two-factor enabled, stop here: return a short-lived
+ *    "mfa pending" token for completeMfaLogin
+ * 4. Start a refresh-token family for this device
+ *    (other devices stay signed in)
+ * 5. Record last login time, IP and user agent
  * 6. Return tokens and user info
  * 
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {Object} - { user, accessToken, refreshToken }
+ * @param {Object} [device] - { deviceName, userAgent, ip }
+ * @returns {Object} - { user, accessToken, refreshToken }, or
+ *   { mfaRequired: true, mfaToken } when a code is needed
  */
-const login = async (email, password) => {
+const login = async (email, password, device = {}) => {
   try {
     // 1. Find user and verify credentials (using static method)
-    const user = await User.findByCredentials(email, password);
+    const user = await User.findByCredentials(email, password, {
+      ip: device.ip,
+    });
 
-    // 2. Generate new tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    if (accountConfig.requireEmailVerification && !user.emailVerified) {
+      const error = new Error('Verify your email address before logging in');
+      error.statusCode = 403;
+      throw error;
+    }
 
-    // 3. Store refresh token (replaces old token)
-    user.refreshToken = refreshToken;
-    user.lastLogin = new Date();
-    await user.save();
+    // 2. Second factor required: no tokens yet
+    if (user.mfaEnabled) {
+      return {
+        mfaRequired: true,
+        mfaToken: mfaService.signPendingToken(user),
+      };
+    }
 
-    // 4. Return user and tokens
-    return {
-      user: {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        lastLogin: user.lastLogin,
-      },
-      accessToken,
-      refreshToken,
-    };
+    // 3. Issue tokens and record the login
+    return await completeLogin(user, device);
   } catch (error) {
     // Enhance error for authentication failures
     if (error.message === 'Invalid credentials') {
@@ -290,6 +389,51 @@ const login = async (email, password) => {
   }
 };
 
+/**
+ * Complete Two-Factor Login
+ *
+ * PURPOSE:
+ * Second login step: trade the "mfa pending" token and a TOTP or
+ * recovery code for real tokens
+ *
+ * FLOW:
+ * 1. Verify the pending token (and that nothing revoked it since)
+ * 2. Check the code; wrong codes count towards the same lockout as
+ *    wrong passwords, so the 6 digits can't be brute-forced
+ * 3. Issue tokens like a normal login
+ *
+ * @param {string} mfaToken - Token returned by login
+ * @param {string} code - TOTP or recovery code
+ * @param {Object} [device] - { deviceName, userAgent, ip }
+ * @returns {Promise<Object>} - { user, accessToken, refreshToken }
+ */
+const completeMfaLogin = async (mfaToken, code, device = {}) => {
+  const { userId, issuedAt } = mfaService.verifyPendingToken(mfaToken);
+
+  const user = await User.findById(userId).select(mfaService.MFA_FIELDS);
+
+  if (!user || !user.isActive || user.isTokenRevoked(issuedAt)) {
+    const error = new Error('Login expired, please enter your password again');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  // A locked account gets the same answer as a wrong code
+  const locked = user.isLocked();
+  const method = locked ? null : await mfaService.checkCode(user, code);
+
+  if (!method) {
+    if (!locked) {
+      await user.recordFailedLogin({ ip: device.ip });
+    }
+    const error = new Error('Invalid authentication code');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  return completeLogin(user, device);
+};
+
 /**
  * Refresh Access Token
  * 
@@ -299,14 +443,16 @@ const login = async (email, password) => {
  * SECURITY: Token Rotation
  * We generate a NEW refresh token each time to prevent replay attacks
  * If an attacker steals a refresh token, it becomes invalid on next use
+ * Replaying an already-rotated token revokes the device's whole family
  * 
  * "I implement token rotation: each refresh generates a new refresh token.
  * This limits the window of vulnerability if a token is compromised."
  * 
  * @param {string} refreshToken - Current refresh token
+ * @param {Object} [context] - { ip } of the refreshing device
  * @returns {Object} - { accessToken, refreshToken }
  */
-const refresh = async (refreshToken) => {
+const refresh = async (refreshToken, context = {}) => {
   try {
     // 1. Verify refresh token
     const decoded = await verifyRefreshToken(refreshToken);
@@ -318,15 +464,19 @@ const refresh = async (refreshToken) => {
       throw new Error('User not found or inactive');
     }
 
-    // 3. Generate NEW access token
-    const newAccessToken = generateAccessToken(user);
+    // 3. Generate NEW access token (same device, same family)
+    const newAccessToken = generateAccessToken(user, decoded.fam);
 
     // 4. Generate NEW refresh token (token rotation)
-    const newRefreshToken = generateRefreshToken(user);
+    const newRefreshToken = generateRefreshToken(user, decoded.fam);
 
-    // 5. Store new refresh token (invalidates old one)
-    user.refreshToken = newRefreshToken;
-    await user.save();
+    // 5. Swap it in for the old one (detects reuse)
+    await refreshTokenService.rotate(
+      decoded,
+      refreshToken,
+      newRefreshToken,
+      context
+    );
 
     // 6. Return both tokens
     return {
@@ -343,31 +493,114 @@ const refresh = async (refreshToken) => {
  * Logout User
  * 
  * PURPOSE:
- * Invalidate refresh token (access token expires naturally)
+ * Sign this device out: revoke its refresh-token family and the
+ * access token used to log out (other devices stay signed in)
  * 
  * STATELESS CHALLENGE:
- * Access tokens can't be revoked (stateless), so they remain valid
- * until expiration. This is why we use short expiry times (15 min).
- * 
- * Refresh token CAN be revoked (stored in database).
+ * Access tokens are stateless, so on their own they stay valid until
+ * expiration. The jti denylist (tokenRevocationService) closes that gap.
  * 
  "How would you immediately revoke access tokens?"
- * "Implement a token blacklist in Redis with TTL matching token
- * expiry. Check blacklist on each request. Trade-off: Adds latency and
- * loses pure statelessness. For most apps, 15-min expiry is acceptable."
+ * "Every access token carries a jti. Logout puts it on a denylist with
+ * a TTL matching the token's expiry, and verification checks the list.
+ * Trade-off: one store lookup per request and no pure statelessness."
  * 
  * @param {string} userId - User ID
+ * @param {Object} [accessPayload] - Decoded access token to revoke
  * @returns {void}
  */
-const logout = async (userId) => {
-  try {
-    // Remove refresh token from database
-    await User.findByIdAndUpdate(userId, {
-      $unset: { refreshToken: 1 }, // Remove field
-    });
-  } catch (error) {
+const logout = async (userId, accessPayload = null) => {
+  if (!accessPayload) {
+    return;
+  }
+
+  if (accessPayload.fam) {
+    await refreshTokenService.revokeById(userId, accessPayload.fam, 'logout');
+  }
+
+  await tokenRevocationService.revokeAccessToken(accessPayload);
+};
+
+/**
+ * Logout Everywhere
+ *
+ * PURPOSE:
+ * Revoke every access and refresh token the user holds, on all devices
+ *
+ * @param {string} userId - User ID
+ * @returns {void}
+ */
+const logoutAll = async (userId) => {
+  await tokenRevocationService.revokeAllUserTokens(userId);
+};
+
+/**
+ * List Signed-In Devices
+ *
+ * @param {string} userId - User ID
+ * @param {string|null} currentFamily - Family of the caller's token
+ * @returns {Promise<Array>} - Devices, most recently used first
+ */
+const listDevices = async (userId, currentFamily = null) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
     throw error;
   }
+
+  return refreshTokenService.listDevices(user, currentFamily);
+};
+
+/**
+ * Sign Out Device
+ *
+ * @param {string} userId - User ID
+ * @param {string} deviceId - Family ID from listDevices
+ * @returns {void}
+ */
+const signOutDevice = async (userId, deviceId) => {
+  const revoked = await refreshTokenService.revokeById(
+    userId,
+    deviceId,
+    'signed_out_by_user'
+  );
+
+  if (!revoked) {
+    const error = new Error('Device not found');
+    error.statusCode = 404;
+    throw error;
+  }
+};
+
+/**
+ * Authenticate Access Token
+ *
+ * PURPOSE:
+ * Full check of a token presented by a client:
+ * signature and denylist, then an active user whose revocation
+ * watermark the token doesn't predate
+ *
+ * @param {string} token - JWT access token
+ * @returns {Object} - Decoded payload, with the user's current role
+ */
+const authenticateAccessToken = async (token) => {
+  const decoded = await verifyAccessToken(token);
+
+  // Verify user still exists and is active
+  const user = await User.findById(decoded.userId);
+
+  if (!user || !user.isActive) {
+    throw new Error('User not found or inactive');
+  }
+
+  if (user.isTokenRevoked(decoded.iat)) {
+    throw new Error('Access token has been revoked');
+  }
+
+  // The role claim may be stale; authorization checks use the current one
+  return { ...decoded, role: user.role };
 };
 
 /**
@@ -380,20 +613,37 @@ const logout = async (userId) => {
  * @returns {string} - User ID
  */
 const verifyUserToken = async (token) => {
-  try {
-    const decoded = verifyAccessToken(token);
-    
-    // Optionally verify user still exists and is active
-    const user = await User.findById(decoded.userId);
-    
-    if (!user || !user.isActive) {
-      throw new Error('User not found or inactive');
-    }
+  const decoded = await authenticateAccessToken(token);
+  return decoded.userId;
+};
 
-    return decoded.userId;
-  } catch (error) {
+/**
+ * Get Current User
+ *
+ * PURPOSE:
+ * Load the public profile of an authenticated user (GET /api/auth/me)
+ *
+ * @param {string} userId - User ID from a verified access token
+ * @returns {Object} - Public user fields
+ */
+const getCurrentUser = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user || !user.isActive) {
+    const error = new Error('User not found or inactive');
+    error.statusCode = 404;
     throw error;
   }
+
+  return {
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    mfaEnabled: user.mfaEnabled,
+    lastLogin: user.lastLogin,
+    createdAt: user.createdAt,
+  };
 };
 
 // Export all functions
@@ -404,7 +654,13 @@ export default {
   verifyRefreshToken,
   register,
   login,
+  completeMfaLogin,
   refresh,
   logout,
+  logoutAll,
+  listDevices,
+  signOutDevice,
+  authenticateAccessToken,
   verifyUserToken,
+  getCurrentUser,
 };
\ No newline at end of file
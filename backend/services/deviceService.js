@@ -0,0 +1,214 @@
+/**
+ * Device Service
+ *
+ * PURPOSE:
+ * - Register devices and hand out their device tokens
+ * - Recognise a device from its token on every connection
+ * - Rename devices
+ *
+ * TOKEN:
+ * JWT { sub: deviceId } signed with DEVICE_TOKEN_SECRET, audience
+ * ctrl-w-device, no expiry. Clients keep it (localStorage, the CLI
+ * config file) and send it in the socket handshake as
+ * auth.deviceToken, or over HTTP as the X-Device-Token header.
+ *
+ * The token proves which device document we issued; the document
+ * must still exist, so deleting it (idle TTL) retires the token.
+ *
+ * NOT AUTHENTICATION:
+ * A device token says "same device as before", not "this user".
+ * Anyone may register one, and it grants nothing beyond speaking as
+ * that device inside sessions it joins.
+ */
+
+import jwt from 'jsonwebtoken';
+import { Device } from '../models/index.js';
+import deviceConfig from '../config/device.js';
+import { describeUserAgent } from '../utils/userAgent.js';
+
+const ISSUER = 'ctrl-w-api';
+const AUDIENCE = 'ctrl-w-device';
+
+const MAX_NAME_LENGTH = 100;
+
+// lastSeenAt is written at most this often per device
+const LAST_SEEN_RESOLUTION_MS = 60 * 60 * 1000;
+
+/**
+ * Serialize Device
+ *
+ * @param {Document} device - Device document
+ * @returns {Object} - Client-facing device
+ */
+const serializeDevice = (device) => ({
+  id: device._id.toString(),
+  name: device.name,
+  platform: device.platform,
+  displayName: device.displayName,
+  lastSeenAt: device.lastSeenAt,
+  createdAt: device.createdAt,
+});
+
+/**
+ * Sign Device Token
+ *
+ * @param {Document} device - Device document
+ * @returns {string} - Device token
+ */
+const signDeviceToken = (device) =>
+  jwt.sign({}, deviceConfig.tokenSecret, {
+    subject: device._id.toString(),
+    issuer: ISSUER,
+    audience: AUDIENCE,
+  });
+
+/**
+ * Normalize Name
+ *
+ * @param {*} name - User input
+ * @returns {string|null} - Trimmed name, null when empty
+ */
+const normalizeName = (name) =>
+  typeof name === 'string' && name.trim()
+    ? name.trim().slice(0, MAX_NAME_LENGTH)
+    : null;
+
+/**
+ * Register Device
+ *
+ * @param {Object} [params]
+ * @param {string} [params.name] - Name chosen by the user
+ * @param {string} [params.userAgent] - User-Agent header
+ * @param {string|null} [params.userId] - Logged-in user, if any
+ * @returns {Promise<Object>} - { device, deviceToken }
+ */
+const registerDevice = async ({
+  name = null,
+  userAgent = null,
+  userId = null,
+} = {}) => {
+  const device = await Device.create({
+    name: normalizeName(name),
+    platform: describeUserAgent(userAgent),
+    userAgent: typeof userAgent === 'string' ? userAgent.slice(0, 512) : null,
+    user: userId,
+  });
+
+  return { device, deviceToken: signDeviceToken(device) };
+};
+
+/**
+ * Authenticate Device
+ *
+ * FLOW:
+ * 1. Verify signature and audience
+ * 2. Load the device; reject deleted (idle) devices
+ * 3. Record last use (at most once an hour)
+ *
+ * @param {string} token - Device token
+ * @returns {Promise<Document>} - Device document
+ */
+const authenticateDevice = async (token) => {
+  let payload;
+
+  try {
+    payload = jwt.verify(token, deviceConfig.tokenSecret, {
+      issuer: ISSUER,
+      audience: AUDIENCE,
+    });
+  } catch (error) {
+    payload = null;
+  }
+
+  const device = payload?.sub ? await Device.findById(payload.sub) : null;
+
+  if (!device) {
+    const error = new Error('Invalid or expired device token');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const now = new Date();
+  if (now - device.lastSeenAt > LAST_SEEN_RESOLUTION_MS) {
+    device.lastSeenAt = now;
+    await Device.updateOne({ _id: device._id }, { $set: { lastSeenAt: now } });
+  }
+
+  return device;
+};
+
+/**
+ * Resolve Device
+ *
+ * PURPOSE:
+ * Socket handshakes never fail over the device token: a missing or
+ * stale one gets a fresh device, which the client is told to keep
+ *
+ * @param {string|null} token - Device token from the handshake
+ * @param {Object} [context] - { userAgent, userId }
+ * @returns {Promise<Object>} - { device, deviceToken } (deviceToken
+ *   is null when the presented one is still valid)
+ */
+const resolveDevice = async (token, context = {}) => {
+  if (typeof token === 'string' && token) {
+    try {
+      return { device: await authenticateDevice(token), deviceToken: null };
+    } catch (error) {
+      if (error.statusCode !== 401) {
+        throw error;
+      }
+    }
+  }
+
+  return registerDevice(context);
+};
+
+/**
+ * Rename Device
+ *
+ * @param {Document} device - Device to rename
+ * @param {string|null} name - New name; empty resets to the platform
+ * @returns {Promise<Document>} - Updated device
+ */
+const renameDevice = async (device, name) => {
+  device.name = normalizeName(name);
+  await device.save();
+  return device;
+};
+
+/**
+ * Name If Unnamed
+ *
+ * PURPOSE:
+ * Older clients describe themselves on every session join. The first
+ * description becomes the device's name; names the user picked are
+ * never overwritten.
+ *
+ * @param {string} deviceId - Device ID
+ * @param {*} name - Description sent by the client
+ * @returns {Promise<string|null>} - The name set, or null if none was
+ */
+const nameIfUnnamed = async (deviceId, name) => {
+  const normalized = normalizeName(name);
+
+  if (!normalized) {
+    return null;
+  }
+
+  const { modifiedCount } = await Device.updateOne(
+    { _id: deviceId, name: null },
+    { $set: { name: normalized } }
+  );
+
+  return modifiedCount > 0 ? normalized : null;
+};
+
+export default {
+  MAX_NAME_LENGTH,
+  serializeDevice,
+  registerDevice,
+  authenticateDevice,
+  resolveDevice,
+  renameDevice,
+  nameIfUnnamed,
+};
@@ -0,0 +1,237 @@
+/**
+ * File Service
+ *
+ * PURPOSE:
+ * - Validate uploads (real MIME type, allowlist, uploader is in session)
+ * - Store file bytes through the active storage driver
+ * - Create the matching File metadata record
+ * - Generate download URLs and delete files
+ *
+ * "Routes never talk to S3 or Cloudinary directly. They hand a buffer
+ * to this service, which picks the driver and records where it went."
+ */
+
+import { File } from '../models/index.js';
+import { getStorage, generateStorageKey } from '../storage/index.js';
+import uploadConfig from '../config/upload.js';
+import { sniffMimeType, isMimeTypeAllowed } from '../utils/sniffMimeType.js';
+import { validateEnvelope } from '../utils/encryptionEnvelope.js';
+
+// Encrypted { name, type } JSON stays small
+const MAX_ENCRYPTED_METADATA_BYTES = 4096;
+
+// Placeholders stored for encrypted files (real values are in metadata)
+const ENCRYPTED_FILE_NAME = 'encrypted';
+const ENCRYPTED_FILE_TYPE = 'application/octet-stream';
+
+/**
+ * Normalize Original Name
+ *
+ * - busboy decodes plain multipart file names as latin1; re-decode them
+ *   as UTF-8 so "résumé.pdf" survives (left alone if that isn't valid)
+ * - Strip directory parts some browsers send ("C:\\fakepath\\a.png")
+ * - Cap the length so names fit in UI and logs
+ *
+ * @param {string} name - File name as received from multer
+ * @returns {string} - Safe display name
+ */
+const normalizeOriginalName = (name = '') => {
+  const isLatin1 = [...name].every((char) => char.charCodeAt(0) <= 0xff);
+  const reencoded = isLatin1
+    ? Buffer.from(name, 'latin1').toString('utf8')
+    : name;
+  const decoded = reencoded.includes('\uFFFD') ? name : reencoded;
+  const baseName = decoded.split(/[\\/]/).pop().trim();
+  return baseName.slice(0, 255) || 'file';
+};
+
+/**
+ * Serialize File
+ *
+ * PURPOSE:
+ * Client-facing file metadata, including a fresh download URL
+ *
+ * @param {Document} file - File document
+ * @returns {Promise<Object>} - Client-facing file
+ */
+const serializeFile = async (file) => ({
+  id: file._id.toString(),
+  session: file.session.toString(),
+  uploaderDeviceId: file.uploaderDevice ? file.uploaderDevice.toString() : null,
+  originalName: file.originalName,
+  fileType: file.fileType,
+  fileSize: file.fileSize,
+  encryption: file.encryption
+    ? {
+        algorithm: file.encryption.algorithm,
+        nonce: file.encryption.nonce,
+        metadata: file.encryption.metadata,
+      }
+    : null,
+  url: await file.getUrl(),
+  thumbnailUrl: file.thumbnailUrl || null,
+  createdAt: file.createdAt,
+});
+
+/**
+ * Store File
+ *
+ * FLOW:
+ * 1. Generate a unique storage key for the session
+ * 2. Upload bytes through the active driver
+ * 3. Create File record (post-save hook bumps Session.fileCount)
+ * 4. If the record fails validation, delete the orphaned bytes
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.sessionId - Session the file belongs to
+ * @param {Buffer} params.buffer - File contents
+ * @param {string} params.originalName - Client-provided file name
+ * @param {string} params.fileType - Verified MIME type
+ * @param {ObjectId} params.uploaderDeviceId - Uploading device
+ * @param {string|null} params.uploaderId - User ID if logged in
+ * @param {Object|null} params.encryption - Envelope for encrypted blobs
+ * @returns {Promise<Document>} - Saved File document
+ */
+const storeFile = async ({
+  sessionId,
+  buffer,
+  originalName,
+  fileType,
+  uploaderDeviceId,
+  uploaderId = null,
+  encryption = null,
+}) => {
+  const storage = getStorage();
+  const { key } = await storage.upload(buffer, {
+    key: generateStorageKey(sessionId, fileType),
+    contentType: fileType,
+  });
+
+  try {
+    return await File.create({
+      session: sessionId,
+      uploaderDevice: uploaderDeviceId,
+      uploader: uploaderId,
+      storageProvider: storage.name,
+      storageKey: key,
+      originalName,
+      fileType,
+      fileSize: buffer.length,
+      encryption,
+    });
+  } catch (error) {
+    // Don't leave bytes behind that no record points to
+    await storage.delete(key, { contentType: fileType }).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Upload To Session
+ *
+ * FLOW:
+ * 1. Verify the uploading device is a participant of the session
+ * 2. Detect the real MIME type from magic bytes (ignore client's type)
+ * 3. Check it against the deployment's allowlist
+ * 4. Store bytes + create File record
+ *
+ * ENCRYPTED SESSIONS:
+ * The blob is ciphertext, so sniffing and the allowlist can't apply.
+ * The client's envelope is validated instead, and name/type are stored
+ * as placeholders (the real ones are inside the encrypted metadata).
+ *
+ * @param {Object} params
+ * @param {Document} params.session - Active session
+ * @param {Object} params.file - multer file ({ buffer, originalname, size })
+ * @param {ObjectId} params.uploaderDeviceId - Uploading device
+ * @param {string|null} params.uploaderId - User ID if logged in
+ * @param {Object} [params.encryption] - Envelope (encrypted sessions)
+ * @returns {Promise<Document>} - Saved File document
+ */
+const uploadToSession = async ({
+  session,
+  file,
+  uploaderDeviceId,
+  uploaderId = null,
+  encryption,
+}) => {
+  if (!file) {
+    const error = new Error('No file uploaded');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const isParticipant = session.participants.some(
+    (p) => p.device.toString() === uploaderDeviceId.toString()
+  );
+
+  if (!isParticipant) {
+    const error = new Error('Join the session before uploading files');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (session.encrypted) {
+    return storeFile({
+      sessionId: session._id,
+      buffer: file.buffer,
+      originalName: ENCRYPTED_FILE_NAME,
+      fileType: ENCRYPTED_FILE_TYPE,
+      uploaderDeviceId,
+      uploaderId,
+      encryption: validateEnvelope(encryption, {
+        fields: ['metadata'],
+        maxBytes: MAX_ENCRYPTED_METADATA_BYTES,
+      }),
+    });
+  }
+
+  const fileType = sniffMimeType(file.buffer);
+
+  if (!isMimeTypeAllowed(fileType, uploadConfig.allowedFileTypes)) {
+    const error = new Error(`File type ${fileType} is not allowed`);
+    error.statusCode = 415; // Unsupported Media Type
+    throw error;
+  }
+
+  return storeFile({
+    sessionId: session._id,
+    buffer: file.buffer,
+    originalName: normalizeOriginalName(file.originalname),
+    fileType,
+    uploaderDeviceId,
+    uploaderId,
+  });
+};
+
+/**
+ * List Session Files
+ *
+ * @param {ObjectId} sessionId - Session ID
+ * @returns {Promise<Array>} - Serialized files, newest first
+ */
+const listSessionFiles = async (sessionId) => {
+  const files = await File.find({ session: sessionId, isDeleted: false }).sort({
+    createdAt: -1,
+  });
+
+  return Promise.all(files.map(serializeFile));
+};
+
+/**
+ * Delete File
+ *
+ * @param {Document} file - File document
+ * @returns {Promise<void>}
+ */
+const deleteFile = async (file) => {
+  await file.deleteFromStorage();
+};
+
+export default {
+  serializeFile,
+  storeFile,
+  uploadToSession,
+  listSessionFiles,
+  deleteFile,
+};
@@ -0,0 +1,173 @@
+/**
+ * Join Token Service
+ *
+ * PURPOSE:
+ * - Mint signed, short-lived, single-use tokens that join one session
+ * - Turn them into deep links and QR codes (rendered locally)
+ * - Redeem them exactly once
+ *
+ * WHY?
+ * Typing a code on a phone is the slowest part of pairing. Scanning a
+ * QR code shown on the other device skips it.
+ *
+ * TOKEN:
+ * JWT { sid, jti } signed with JOIN_TOKEN_SECRET, audience ctrl-w-join.
+ * The signature proves we minted it and for which session; the jti
+ * stored on the Session makes it single-use:
+ *
+ *   mint:   push { jti, expiresAt } onto Session.joinTokens
+ *   redeem: pull that entry in one atomic update; no match = used
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { Session } from '../models/index.js';
+import joinTokenConfig from '../config/joinToken.js';
+
+const ISSUER = 'ctrl-w-api';
+const AUDIENCE = 'ctrl-w-join';
+
+// Oldest outstanding tokens are dropped beyond this (QR shown repeatedly)
+const MAX_OUTSTANDING_TOKENS = 20;
+
+const QR_FORMATS = ['svg', 'png'];
+
+const LINK_TYPES = ['web', 'app'];
+
+/**
+ * Mint Join Token
+ *
+ * @param {Document} session - Active session the token joins
+ * @returns {Promise<Object>} - { token, expiresAt, links: { web, app } }
+ */
+const mintJoinToken = async (session) => {
+  const jti = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + joinTokenConfig.ttlSeconds * 1000);
+
+  const token = jwt.sign(
+    { sid: session._id.toString(), jti },
+    joinTokenConfig.secret,
+    {
+      expiresIn: joinTokenConfig.ttlSeconds,
+      issuer: ISSUER,
+      audience: AUDIENCE,
+    }
+  );
+
+  await Session.updateOne(
+    { _id: session._id },
+    {
+      $push: {
+        joinTokens: {
+          $each: [{ jti, expiresAt }],
+          $slice: -MAX_OUTSTANDING_TOKENS,
+        },
+      },
+    }
+  );
+
+  return { token, expiresAt, links: buildJoinLinks(token) };
+};
+
+/**
+ * Build Join Links
+ *
+ * @param {string} token - Join token
+ * @returns {Object} - { web, app }
+ */
+const buildJoinLinks = (token) => {
+  const withToken = (base) => {
+    const url = new URL(base);
+    url.searchParams.set('token', token);
+    return url.toString();
+  };
+
+  return {
+    web: withToken(joinTokenConfig.webUrl),
+    app: withToken(joinTokenConfig.appUrl),
+  };
+};
+
+/**
+ * Render QR Code
+ *
+ * Rendered in-process: the token never leaves the server except to
+ * the client that asked for it.
+ *
+ * @param {string} text - Content to encode (a join link)
+ * @param {string} format - 'svg' or 'png'
+ * @returns {Promise<Object>} - { contentType, body }
+ */
+const renderQrCode = async (text, format) => {
+  const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+  if (format === 'png') {
+    return {
+      contentType: 'image/png',
+      body: await QRCode.toBuffer(text, {
+        ...options,
+        type: 'png',
+        width: 320,
+      }),
+    };
+  }
+
+  return {
+    contentType: 'image/svg+xml',
+    body: await QRCode.toString(text, { ...options, type: 'svg' }),
+  };
+};
+
+/**
+ * Redeem Join Token
+ *
+ * FLOW:
+ * 1. Verify signature, audience and expiry
+ * 2. Atomically remove the jti from its session
+ *    (fails if already redeemed, or the session is gone)
+ *
+ * @param {string} token - Join token from a link or QR code
+ * @returns {Promise<string>} - ID of the session it joins
+ */
+const redeemJoinToken = async (token) => {
+  let payload;
+
+  try {
+    payload = jwt.verify(token, joinTokenConfig.secret, {
+      issuer: ISSUER,
+      audience: AUDIENCE,
+    });
+  } catch (error) {
+    const err = new Error(
+      error.name === 'TokenExpiredError'
+        ? 'Join token has expired'
+        : 'Invalid join token'
+    );
+    err.statusCode = 401;
+    throw err;
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: payload.sid, 'joinTokens.jti': payload.jti },
+    { $pull: { joinTokens: { jti: payload.jti } } },
+    { projection: { _id: 1 } }
+  );
+
+  if (!session) {
+    const error = new Error('Join token has already been used or was revoked');
+    error.statusCode = 410;
+    throw error;
+  }
+
+  return session._id.toString();
+};
+
+export default {
+  QR_FORMATS,
+  LINK_TYPES,
+  mintJoinToken,
+  buildJoinLinks,
+  renderQrCode,
+  redeemJoinToken,
+};
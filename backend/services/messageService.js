@@ -0,0 +1,755 @@
+/**
+ * Message Service
+ *
+ * PURPOSE:
+ * - Persist messages sent through the real-time layer
+ * - Validate each message type's payload and size limits
+ * - Create system messages ("Device joined", "Device left")
+ * - Shape messages for broadcasting to clients
+ * - Record delivery and read receipts
+ * - Let senders edit and delete their messages
+ * - Delete burn-after-reading and self-destructing messages
+ *
+ * DELETION:
+ * Deleted, burned and expired messages are removed from the
+ * collection (deleteOne/deleteMany), not flagged: their content must
+ * not outlive them in the database.
+ *
+ * MESSAGE TYPES:
+ * - text: content
+ * - code: content (the code, whitespace kept) + language tag
+ * - link: url (http/https) + optional caption in content
+ * - rich: html (sanitized on write) + plaintext fallback in content
+ * - file: fileId of a file in the same session + optional caption
+ * - system: Session events, created by the server only
+ *
+ * "The socket handlers never touch Mongoose directly. They call this
+ * service, the same way HTTP routes call authService."
+ */
+
+import mongoose from 'mongoose';
+import { Message, File } from '../models/index.js';
+import { MESSAGE_TYPES, MESSAGE_LIMITS } from '../models/Message.js';
+import { validateEnvelope } from '../utils/encryptionEnvelope.js';
+import { sanitizeRichHtml } from '../utils/richText.js';
+
+// History pages: latest 50 by default, callers may ask for up to 200
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+// Types devices may send ('system' is ours)
+const SENDABLE_TYPES = MESSAGE_TYPES.filter((type) => type !== 'system');
+
+// Highlighter language names: 'js', 'c++', 'c#', 'objective-c', ...
+const LANGUAGE_PATTERN = /^[a-z0-9][a-z0-9+#._-]{0,31}$/;
+
+// Self-destruct timer bounds (5 seconds to 7 days)
+const MIN_TTL_SECONDS = 5;
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Expired messages deleted per purge run (the rest wait for the next)
+const PURGE_BATCH_SIZE = 1000;
+
+// Plaintext is capped at 10000 chars (up to 4 bytes each in UTF-8)
+// plus the 16-byte AEAD tag, rounded up
+const MAX_CIPHERTEXT_BYTES = 40 * 1024 + 64;
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Serialize File Reference
+ *
+ * @param {Object|ObjectId|null} file - Populated file, or its ID
+ * @returns {Object} - { fileId, file } (file = name, type and size,
+ *   null when not populated or the file was deleted since)
+ */
+const serializeFileRef = (file) => {
+  if (!file) {
+    return { fileId: null, file: null };
+  }
+
+  const populated = typeof file.originalName === 'string';
+
+  return {
+    fileId: (populated ? file._id : file).toString(),
+    file:
+      populated && !file.isDeleted
+        ? {
+            id: file._id.toString(),
+            originalName: file.originalName,
+            fileType: file.fileType,
+            fileSize: file.fileSize,
+          }
+        : null,
+  };
+};
+
+/**
+ * Serialize Message
+ *
+ * PURPOSE:
+ * Convert a Message document into the payload sent over the wire
+ * Keeps internal fields (__v, updatedAt) out of client payloads
+ *
+ * @param {Object} message - Message document or lean object
+ * @returns {Object} - Client-facing message
+ */
+const serializeMessage = (message) => ({
+  id: message._id.toString(),
+  session: message.session.toString(),
+  senderDeviceId: message.senderDevice ? message.senderDevice.toString() : null,
+  sender: message.sender ? message.sender.toString() : null,
+  content: message.content ?? null,
+  encryption: message.encryption
+    ? {
+        algorithm: message.encryption.algorithm,
+        nonce: message.encryption.nonce,
+        ciphertext: message.encryption.ciphertext,
+      }
+    : null,
+  type: message.type,
+  language: message.language ?? null,
+  url: message.url ?? null,
+  html: message.html ?? null,
+  ...serializeFileRef(message.file),
+  delivered: Boolean(message.delivered),
+  editedAt: message.editedAt ?? null,
+  burnAfterReading: Boolean(message.burnAfterReading),
+  expiresAt: message.expiresAt ?? null,
+  readBy: (message.readBy || []).map((r) => ({
+    deviceId: r.device ? r.device.toString() : null,
+    deviceInfo: r.deviceInfo || null,
+    readAt: r.readAt,
+  })),
+  createdAt: message.createdAt,
+});
+
+/**
+ * Required Text
+ *
+ * @param {*} value - Client input
+ * @param {string} label - Field name for the error message
+ * @param {number} max - Length limit
+ * @param {Object} [options]
+ * @param {boolean} [options.trim] - Trim surrounding whitespace
+ *   (false for code, where indentation matters)
+ * @returns {string} - The text
+ */
+const requireText = (value, label, max, { trim = true } = {}) => {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw invalid(`${label} is required`);
+  }
+
+  const text = trim ? value.trim() : value;
+  if (text.length > max) {
+    throw invalid(`${label} cannot exceed ${max} characters`);
+  }
+
+  return text;
+};
+
+/**
+ * Optional Caption
+ *
+ * @param {*} value - Client input
+ * @returns {string|undefined} - Trimmed caption, undefined when empty
+ */
+const optionalCaption = (value) =>
+  value == null || (typeof value === 'string' && value.trim() === '')
+    ? undefined
+    : requireText(value, 'Caption', MESSAGE_LIMITS.caption);
+
+/**
+ * Normalize Language Tag
+ *
+ * @param {*} language - Client input
+ * @returns {string} - Lowercase tag, 'plaintext' when omitted
+ */
+const normalizeLanguage = (language) => {
+  if (language == null || language === '') {
+    return 'plaintext';
+  }
+
+  const tag = typeof language === 'string' ? language.trim().toLowerCase() : '';
+  if (!LANGUAGE_PATTERN.test(tag)) {
+    throw invalid(
+      'Language must be a tag like "js" or "python" (up to 32 characters)'
+    );
+  }
+
+  return tag;
+};
+
+/**
+ * Normalize URL
+ *
+ * Only web links: javascript:, data: and file: URLs would run or
+ * open something on the receiving device.
+ *
+ * @param {*} url - Client input
+ * @returns {string} - Absolute http(s) URL
+ */
+const normalizeUrl = (url) => {
+  let parsed;
+
+  try {
+    parsed = new URL(requireText(url, 'URL', MESSAGE_LIMITS.url));
+  } catch (error) {
+    throw error.statusCode ? error : invalid('URL is not valid');
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw invalid('URL must start with http:// or https://');
+  }
+  if (parsed.href.length > MESSAGE_LIMITS.url) {
+    throw invalid(`URL cannot exceed ${MESSAGE_LIMITS.url} characters`);
+  }
+
+  return parsed.href;
+};
+
+/**
+ * Payload Builders
+ *
+ * One per sendable type: validate the client's fields and return
+ * the ones to store. Fields of other types are ignored.
+ */
+const PAYLOAD_BUILDERS = {
+  text: ({ content }) => ({
+    content: requireText(content, 'Message content', MESSAGE_LIMITS.text),
+  }),
+
+  code: ({ content, language }) => ({
+    content: requireText(content, 'Code', MESSAGE_LIMITS.code, {
+      trim: false,
+    }),
+    language: normalizeLanguage(language),
+  }),
+
+  link: ({ url, content }) => ({
+    url: normalizeUrl(url),
+    content: optionalCaption(content),
+  }),
+
+  rich: ({ html, content }) => {
+    const raw = requireText(html, 'HTML', MESSAGE_LIMITS.html);
+    const sanitized = sanitizeRichHtml(raw);
+
+    if (!sanitized) {
+      throw invalid('HTML has no content that can be shown');
+    }
+
+    return {
+      html: sanitized,
+      content: requireText(content, 'Plaintext fallback', MESSAGE_LIMITS.text),
+    };
+  },
+
+  file: async ({ fileId, content }, sessionId) => {
+    if (!mongoose.isValidObjectId(fileId)) {
+      throw invalid('File ID is required');
+    }
+
+    const file = await File.exists({
+      _id: fileId,
+      session: sessionId,
+      isDeleted: false,
+    });
+
+    if (!file) {
+      const error = new Error('File not found in this session');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return { file: file._id, content: optionalCaption(content) };
+  },
+};
+
+/**
+ * Build Stored Fields
+ *
+ * Shared by sending and editing, so an edit passes the same checks
+ * as the original message.
+ *
+ * @param {string} type - Message type
+ * @param {boolean} encrypted - Whether the session is E2E encrypted
+ * @param {Object} payload - Client fields ({ content, url, ... })
+ * @param {Object} [encryption] - Envelope (encrypted sessions)
+ * @param {ObjectId} sessionId - Session of the message
+ * @returns {Promise<Object>} - Fields to store
+ */
+const buildFields = async (type, encrypted, payload, encryption, sessionId) => {
+  if (!encrypted) {
+    return PAYLOAD_BUILDERS[type](payload, sessionId);
+  }
+
+  if (type !== 'text') {
+    throw invalid('Encrypted sessions only accept text messages');
+  }
+
+  // Plaintext in an E2E session would silently defeat the encryption
+  if (payload.content !== undefined && payload.content !== null) {
+    throw invalid('Encrypted sessions do not accept plaintext');
+  }
+
+  return {
+    encryption: validateEnvelope(encryption, {
+      fields: ['ciphertext'],
+      maxBytes: MAX_CIPHERTEXT_BYTES,
+    }),
+  };
+};
+
+/**
+ * Build Lifetime Fields
+ *
+ * @param {*} burnAfterReading - Delete once another device reads it
+ * @param {*} ttlSeconds - Delete after this many seconds
+ * @returns {Object} - { burnAfterReading, expiresAt }
+ */
+const buildLifetime = (burnAfterReading, ttlSeconds) => {
+  if (burnAfterReading != null && typeof burnAfterReading !== 'boolean') {
+    throw invalid('burnAfterReading must be a boolean');
+  }
+
+  if (
+    ttlSeconds != null &&
+    (!Number.isInteger(ttlSeconds) ||
+      ttlSeconds < MIN_TTL_SECONDS ||
+      ttlSeconds > MAX_TTL_SECONDS)
+  ) {
+    throw invalid(
+      `ttlSeconds must be an integer between ${MIN_TTL_SECONDS} and ${MAX_TTL_SECONDS}`
+    );
+  }
+
+  return {
+    burnAfterReading: burnAfterReading === true,
+    expiresAt:
+      ttlSeconds != null ? new Date(Date.now() + ttlSeconds * 1000) : null,
+  };
+};
+
+/**
+ * Create Message
+ *
+ * FLOW:
+ * 1. Plaintext session: validate the payload of the message type
+ *    Encrypted session: validate the envelope, refuse plaintext
+ * 2. Validate the optional lifetime (burn after reading, timer)
+ * 3. Save message (post-save hook bumps Session.messageCount)
+ * 4. Return serialized message for broadcasting
+ *
+ * ENCRYPTED SESSIONS:
+ * Only 'text' messages, whose envelope may hold any structure the
+ * clients agree on. A type the server could validate would be a type
+ * the server could read.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.sessionId - Session the message belongs to
+ * @param {boolean} params.encrypted - Whether the session is E2E encrypted
+ * @param {string} params.senderDeviceId - Device that sent it
+ * @param {string|null} params.senderId - User ID if sender is logged in
+ * @param {string} [params.type] - Message type (default: 'text')
+ * @param {string} [params.content] - Text, code, fallback or caption
+ * @param {string} [params.language] - Language tag ('code')
+ * @param {string} [params.url] - Shared URL ('link')
+ * @param {string} [params.html] - Clipboard HTML ('rich')
+ * @param {string} [params.fileId] - File in this session ('file')
+ * @param {Object} [params.encryption] - Envelope (encrypted sessions)
+ * @param {boolean} [params.burnAfterReading] - Delete on first read
+ * @param {number} [params.ttlSeconds] - Delete after this many seconds
+ * @returns {Promise<Object>} - Serialized message
+ */
+const createMessage = async ({
+  sessionId,
+  encrypted = false,
+  senderDeviceId,
+  senderId = null,
+  type = 'text',
+  encryption,
+  burnAfterReading,
+  ttlSeconds,
+  ...payload
+}) => {
+  if (!SENDABLE_TYPES.includes(type)) {
+    throw invalid(`Type must be one of: ${SENDABLE_TYPES.join(', ')}`);
+  }
+
+  const fields = await buildFields(
+    type,
+    encrypted,
+    payload,
+    encryption,
+    sessionId
+  );
+
+  const message = await Message.create({
+    session: sessionId,
+    senderDevice: senderDeviceId,
+    sender: senderId,
+    ...fields,
+    ...buildLifetime(burnAfterReading, ttlSeconds),
+    type,
+  });
+
+  if (message.file) {
+    await message.populate('file', 'originalName fileType fileSize isDeleted');
+  }
+
+  return serializeMessage(message);
+};
+
+/**
+ * Own Message Filter
+ *
+ * A sender is the device that sent the message, or any device of the
+ * logged-in user who sent it. System messages belong to nobody, and
+ * expired ones are already gone.
+ *
+ * @param {ObjectId|string} sessionId - Session of the caller
+ * @param {string} messageId - Message to act on
+ * @param {Object} sender - { deviceId, userId }
+ * @returns {Object} - Query filter
+ */
+const ownMessageFilter = (sessionId, messageId, { deviceId, userId }) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw invalid('Message ID is required');
+  }
+
+  return {
+    _id: messageId,
+    session: sessionId,
+    type: { $ne: 'system' },
+    expiresAt: { $not: { $lte: new Date() } },
+    $or: [{ senderDevice: deviceId }, ...(userId ? [{ sender: userId }] : [])],
+  };
+};
+
+const notFound = () => {
+  const error = new Error('Message not found, or not yours to change');
+  error.statusCode = 404;
+  return error;
+};
+
+/**
+ * Edit Message
+ *
+ * The message keeps its type and lifetime; the new payload goes
+ * through the same checks as a new message and replaces the old one.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.sessionId - Session of the editing device
+ * @param {boolean} params.encrypted - Whether the session is E2E encrypted
+ * @param {string} params.messageId - Message to edit
+ * @param {Object} params.sender - { deviceId, userId } of the editor
+ * @param {Object} [params.encryption] - New envelope (encrypted sessions)
+ * @returns {Promise<Object>} - Serialized message (editedAt set)
+ */
+const editMessage = async ({
+  sessionId,
+  encrypted = false,
+  messageId,
+  sender,
+  encryption,
+  ...payload
+}) => {
+  const message = await Message.findOne(
+    ownMessageFilter(sessionId, messageId, sender)
+  );
+
+  if (!message) {
+    throw notFound();
+  }
+
+  message.set(
+    await buildFields(message.type, encrypted, payload, encryption, sessionId)
+  );
+  message.editedAt = new Date();
+  await message.save();
+
+  if (message.file) {
+    await message.populate('file', 'originalName fileType fileSize isDeleted');
+  }
+
+  return serializeMessage(message);
+};
+
+/**
+ * Delete Message
+ *
+ * @param {ObjectId} sessionId - Session of the deleting device
+ * @param {string} messageId - Message to delete
+ * @param {Object} sender - { deviceId, userId }
+ * @returns {Promise<string>} - ID of the deleted message
+ */
+const deleteMessage = async (sessionId, messageId, sender) => {
+  const message = await Message.findOneAndDelete(
+    ownMessageFilter(sessionId, messageId, sender),
+    { projection: { _id: 1 } }
+  );
+
+  if (!message) {
+    throw notFound();
+  }
+
+  return message._id.toString();
+};
+
+/**
+ * Create System Message
+ *
+ * PURPOSE:
+ * Record session events in history so late joiners see them too
+ *
+ * @param {ObjectId} sessionId - Session ID
+ * @param {string} content - Human-readable event description
+ * @returns {Promise<Object>} - Serialized message
+ */
+const createSystemMessage = async (sessionId, content) => {
+  const message = await Message.create({
+    session: sessionId,
+    content,
+    type: 'system',
+  });
+
+  return serializeMessage(message);
+};
+
+/**
+ * Mark Delivered
+ *
+ * Only messages from other devices count: a device receiving its
+ * own message (or a system notice) proves nothing.
+ *
+ * @param {ObjectId|string} sessionId - Session the messages belong to
+ * @param {string} deviceId - Acknowledging device
+ * @param {string[]} messageIds - Messages it received
+ * @returns {Promise<string[]>} - IDs that just became delivered
+ */
+const markDelivered = async (sessionId, deviceId, messageIds) => {
+  const filter = {
+    _id: { $in: messageIds },
+    session: sessionId,
+    type: { $ne: 'system' },
+    senderDevice: { $ne: deviceId },
+    delivered: false,
+  };
+
+  const pending = await Message.find(filter).select('_id').lean();
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const ids = pending.map((m) => m._id);
+  await Message.updateMany(
+    { _id: { $in: ids }, delivered: false },
+    { $set: { delivered: true } }
+  );
+
+  return ids.map((id) => id.toString());
+};
+
+/**
+ * Mark Read
+ *
+ * One updateMany per device and batch; messages already read by this
+ * device are skipped, so repeats (and reconnects) don't grow readBy.
+ *
+ * @param {ObjectId|string} sessionId - Session the messages belong to
+ * @param {Object} reader - { deviceId, deviceInfo }
+ * @param {string[]} messageIds - Messages it displayed
+ * @returns {Promise<Object>} - { messageIds (newly read), readAt }
+ */
+const markRead = async (sessionId, { deviceId, deviceInfo }, messageIds) => {
+  const filter = {
+    _id: { $in: messageIds },
+    session: sessionId,
+    type: { $ne: 'system' },
+    senderDevice: { $ne: deviceId },
+    'readBy.device': { $ne: deviceId },
+  };
+
+  const unread = await Message.find(filter).select('_id').lean();
+  const readAt = new Date();
+
+  if (unread.length === 0) {
+    return { messageIds: [], readAt };
+  }
+
+  const ids = unread.map((m) => m._id);
+  await Message.updateMany(
+    { _id: { $in: ids }, 'readBy.device': { $ne: deviceId } },
+    { $push: { readBy: { device: deviceId, deviceInfo, readAt } } }
+  );
+
+  return { messageIds: ids.map((id) => id.toString()), readAt };
+};
+
+/**
+ * Burn Read Messages
+ *
+ * Called with the messages a device just read for the first time
+ * (see markRead); the burn-after-reading ones among them are deleted.
+ *
+ * @param {ObjectId|string} sessionId - Session the messages belong to
+ * @param {string[]} messageIds - Newly read messages
+ * @returns {Promise<string[]>} - IDs that were deleted
+ */
+const burnReadMessages = async (sessionId, messageIds) => {
+  const burning = await Message.find({
+    _id: { $in: messageIds },
+    session: sessionId,
+    burnAfterReading: true,
+  })
+    .select('_id')
+    .lean();
+
+  if (burning.length === 0) {
+    return [];
+  }
+
+  const ids = burning.map((m) => m._id);
+  await Message.deleteMany({ _id: { $in: ids } });
+
+  return ids.map((id) => id.toString());
+};
+
+/**
+ * Purge Expired Messages
+ *
+ * PURPOSE:
+ * Delete messages whose self-destruct timer ran out
+ * (run by jobs/messageExpiryJob.js)
+ *
+ * @returns {Promise<Array>} - [{ sessionId, messageIds }], one entry
+ *   per session that lost messages
+ */
+const purgeExpiredMessages = async () => {
+  const expired = await Message.find({ expiresAt: { $lte: new Date() } })
+    .select('_id session')
+    .limit(PURGE_BATCH_SIZE)
+    .lean();
+
+  if (expired.length === 0) {
+    return [];
+  }
+
+  await Message.deleteMany({ _id: { $in: expired.map((m) => m._id) } });
+
+  const bySession = new Map();
+  for (const { _id, session } of expired) {
+    const key = session.toString();
+    if (!bySession.has(key)) {
+      bySession.set(key, []);
+    }
+    bySession.get(key).push(_id.toString());
+  }
+
+  return [...bySession].map(([sessionId, messageIds]) => ({
+    sessionId,
+    messageIds,
+  }));
+};
+
+/**
+ * Resolve History Cursor
+ *
+ * ACCEPTS:
+ * - A message ID from this session (exact position)
+ * - An ISO timestamp or epoch milliseconds (point in time)
+ *
+ * @param {ObjectId} sessionId - Session ID
+ * @param {string|number} value - Cursor sent by the client
+ * @returns {Promise<Object>} - { createdAt, _id? } for getSessionPage
+ */
+const resolveCursor = async (sessionId, value) => {
+  if (typeof value === 'string' && /^[a-f0-9]{24}$/i.test(value)) {
+    const message = await Message.findOne({ _id: value, session: sessionId })
+      .select('createdAt')
+      .lean();
+
+    if (!message) {
+      const error = new Error('Unknown message cursor');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return { createdAt: message.createdAt, _id: message._id };
+  }
+
+  const createdAt = new Date(value);
+  if (
+    (typeof value !== 'string' && typeof value !== 'number') ||
+    isNaN(createdAt)
+  ) {
+    const error = new Error('Cursor must be a message ID or a timestamp');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { createdAt };
+};
+
+/**
+ * Get History
+ *
+ * MODES:
+ * - No cursor: latest messages ("what was said recently")
+ * - before: Scroll back from the oldest message a client has
+ * - after: Catch up from the newest message a client has seen
+ *
+ * @param {ObjectId} sessionId - Session ID
+ * @param {Object} [options]
+ * @param {string|number} [options.before] - Message ID or timestamp
+ * @param {string|number} [options.after] - Message ID or timestamp
+ * @param {number} [options.limit] - Page size (capped at 200)
+ * @returns {Promise<Object>} - { messages (oldest first), hasMore }
+ */
+const getHistory = async (sessionId, { before, after, limit } = {}) => {
+  if (before != null && after != null) {
+    const error = new Error('Use either before or after, not both');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const pageSize =
+    Number.isInteger(limit) && limit > 0
+      ? Math.min(limit, MAX_HISTORY_LIMIT)
+      : DEFAULT_HISTORY_LIMIT;
+
+  const { messages, hasMore } = await Message.getSessionPage(sessionId, {
+    limit: pageSize,
+    before: before != null ? await resolveCursor(sessionId, before) : null,
+    after: after != null ? await resolveCursor(sessionId, after) : null,
+  });
+
+  return {
+    messages: messages.map((m) =>
+      serializeMessage({ ...m, session: sessionId })
+    ),
+    hasMore,
+  };
+};
+
+export default {
+  MESSAGE_LIMITS,
+  MIN_TTL_SECONDS,
+  MAX_TTL_SECONDS,
+  serializeMessage,
+  createMessage,
+  editMessage,
+  deleteMessage,
+  createSystemMessage,
+  MAX_HISTORY_LIMIT,
+  getHistory,
+  markDelivered,
+  markRead,
+  burnReadMessages,
+  purgeExpiredMessages,
+};
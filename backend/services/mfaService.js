@@ -0,0 +1,342 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * PURPOSE:
+ * - Enroll a TOTP authenticator (secret, otpauth URI, QR code)
+ * - Check codes from the app or a one-time recovery code
+ * - Sign and verify the "mfa pending" token of the two-step login
+ *
+ * ENROLLMENT:
+ * 1. startEnrollment: new secret kept as mfaPendingSecret
+ * 2. confirmEnrollment: first valid code turns 2FA on and returns the
+ *    recovery codes, the only time they are shown
+ * Until step 2 succeeds, login works exactly as before.
+ *
+ * REPLAY:
+ * Accepting a code stores its time step; the same or an older step is
+ * refused. Recovery codes are pulled from the user when used. Both are
+ * single atomic updates, so two requests can't spend one code.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { User } from '../models/index.js';
+import mfaConfig from '../config/mfa.js';
+import { generateSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+
+const ISSUER = 'ctrl-w-api';
+const PENDING_AUDIENCE = 'ctrl-w-mfa';
+
+const MFA_FIELDS =
+  '+mfaSecret +mfaPendingSecret +mfaLastUsedStep +mfaRecoveryCodes';
+
+const totpOptions = {
+  digits: mfaConfig.digits,
+  stepSeconds: mfaConfig.stepSeconds,
+  driftSteps: mfaConfig.driftSteps,
+};
+
+const invalidCode = () => {
+  const error = new Error('Invalid authentication code');
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Load User With 2FA Fields
+ *
+ * @param {string} userId - Authenticated user
+ * @param {string} [fields] - Hidden fields to load (default: the mfa ones)
+ * @returns {Promise<Document>} - User including the hidden fields
+ */
+const loadUser = async (userId, fields = MFA_FIELDS) => {
+  const user = await User.findById(userId).select(fields);
+
+  if (!user || !user.isActive) {
+    const error = new Error('User not found or inactive');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return user;
+};
+
+/**
+ * Hash Recovery Code
+ *
+ * Codes carry 50 random bits, so a fast hash is enough (unlike
+ * passwords, they can't be guessed from a dictionary)
+ *
+ * @param {string} code - Code as typed ("k3x9m-q2w7p", any case)
+ * @returns {string} - Hex SHA-256 of the normalized code
+ */
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+/**
+ * Generate Recovery Codes
+ *
+ * @returns {Object} - { codes: plain codes for the user, hashes: to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: mfaConfig.recoveryCodeCount }, () => {
+    const raw = generateSecret().slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Start Enrollment
+ *
+ * Calling it again replaces the pending secret (e.g. the user lost the
+ * first QR code before scanning it).
+ *
+ * @param {string} userId - Authenticated user
+ * @returns {Promise<Object>} - { secret, otpauthUri, qrCode (PNG data URL) }
+ */
+const startEnrollment = async (userId) => {
+  const user = await loadUser(userId);
+
+  if (user.mfaEnabled) {
+    const error = new Error('Two-factor authentication is already enabled');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const secret = generateSecret();
+  user.mfaPendingSecret = secret;
+  await user.save();
+
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    account: user.email,
+    issuer: mfaConfig.issuer,
+    digits: mfaConfig.digits,
+    stepSeconds: mfaConfig.stepSeconds,
+  });
+
+  const qrCode = await QRCode.toDataURL(otpauthUri, {
+    errorCorrectionLevel: 'M',
+    margin: 2,
+    width: 320,
+  });
+
+  return { secret, otpauthUri, qrCode };
+};
+
+/**
+ * Confirm Enrollment
+ *
+ * @param {string} userId - Authenticated user
+ * @param {string} code - First code from the authenticator app
+ * @returns {Promise<Object>} - { recoveryCodes } (plain, shown once)
+ */
+const confirmEnrollment = async (userId, code) => {
+  const user = await loadUser(userId);
+
+  if (user.mfaEnabled || !user.mfaPendingSecret) {
+    const error = new Error('Start two-factor setup first');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const step = verifyTotp(user.mfaPendingSecret, code, totpOptions);
+  if (step === null) {
+    throw invalidCode();
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.mfaEnabled = true;
+  user.mfaSecret = user.mfaPendingSecret;
+  user.mfaPendingSecret = null;
+  user.mfaLastUsedStep = step;
+  user.mfaRecoveryCodes = hashes;
+  await user.save();
+
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Check Code
+ *
+ * FLOW:
+ * 1. A TOTP code newer than the last accepted one: claim its step
+ * 2. Otherwise a recovery code: pull its hash
+ *
+ * @param {Document} user - User loaded with the mfa fields
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<string|null>} - 'totp', 'recovery', or null
+ */
+const checkCode = async (user, code) => {
+  if (!user.mfaEnabled || !user.mfaSecret || typeof code !== 'string') {
+    return null;
+  }
+
+  const step = verifyTotp(user.mfaSecret, code, totpOptions);
+
+  if (step !== null) {
+    const claimed = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { $lt: step } }],
+      },
+      { $set: { mfaLastUsedStep: step } }
+    );
+
+    return claimed.modifiedCount > 0 ? 'totp' : null;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const spent = await User.updateOne(
+    { _id: user._id, mfaRecoveryCodes: hash },
+    { $pull: { mfaRecoveryCodes: hash } }
+  );
+
+  if (spent.modifiedCount > 0) {
+    console.warn(`🔑 Recovery code used for account ${user._id}`);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+/**
+ * Require Password And Code
+ *
+ * PURPOSE:
+ * Step-up check before the second factor is changed: a stolen access
+ * token alone can't remove or replace it
+ *
+ * Wrong passwords and codes count towards the login lockout, like at
+ * login, so the code can't be brute-forced here either. A locked
+ * account gets the same answer as a wrong password.
+ *
+ * @param {string} userId - Authenticated user
+ * @param {string} password - Current password
+ * @param {string} code - TOTP or recovery code
+ * @param {Object} [context] - { ip } of the caller
+ * @returns {Promise<Document>} - User with the mfa fields
+ */
+const requirePasswordAndCode = async (userId, password, code, context = {}) => {
+  const user = await loadUser(userId, `${MFA_FIELDS} +password`);
+
+  // Checked even when locked, so the response time doesn't tell
+  const passwordMatches = await user.comparePassword(password);
+  const locked = user.isLocked();
+
+  if (locked || !passwordMatches) {
+    if (!locked) {
+      await user.recordFailedLogin(context);
+    }
+    const error = new Error('Invalid password');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  if (!(await checkCode(user, code))) {
+    await user.recordFailedLogin(context);
+    throw invalidCode();
+  }
+
+  return user;
+};
+
+/**
+ * Disable Two-Factor Authentication
+ *
+ * @param {string} userId - Authenticated user
+ * @param {string} password - Current password
+ * @param {string} code - TOTP or recovery code
+ * @param {Object} [context] - { ip } of the caller
+ * @returns {Promise<void>}
+ */
+const disable = async (userId, password, code, context = {}) => {
+  const user = await requirePasswordAndCode(userId, password, code, context);
+
+  user.mfaEnabled = false;
+  user.mfaSecret = null;
+  user.mfaPendingSecret = null;
+  user.mfaLastUsedStep = null;
+  user.mfaRecoveryCodes = [];
+  await user.save();
+};
+
+/**
+ * Regenerate Recovery Codes
+ *
+ * Replaces every remaining code (e.g. the printed list was lost)
+ *
+ * @param {string} userId - Authenticated user
+ * @param {string} password - Current password
+ * @param {string} code - TOTP or recovery code
+ * @param {Object} [context] - { ip } of the caller
+ * @returns {Promise<Object>} - { recoveryCodes } (plain, shown once)
+ */
+const regenerateRecoveryCodes = async (
+  userId,
+  password,
+  code,
+  context = {}
+) => {
+  const user = await requirePasswordAndCode(userId, password, code, context);
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.mfaRecoveryCodes = hashes;
+  await user.save();
+
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Sign "MFA Pending" Token
+ *
+ * Proves the password step succeeded; good for nothing but the second
+ * step (own audience, never accepted as an access token)
+ *
+ * @param {Document} user - User who passed the password check
+ * @returns {string} - Signed JWT
+ */
+const signPendingToken = (user) =>
+  jwt.sign({ sub: user._id.toString() }, mfaConfig.tokenSecret, {
+    expiresIn: mfaConfig.pendingTtlMinutes * 60,
+    issuer: ISSUER,
+    audience: PENDING_AUDIENCE,
+  });
+
+/**
+ * Verify "MFA Pending" Token
+ *
+ * @param {string} token - Token from the first login step
+ * @returns {Object} - { userId, issuedAt } (iat in seconds)
+ */
+const verifyPendingToken = (token) => {
+  try {
+    const { sub, iat } = jwt.verify(token, mfaConfig.tokenSecret, {
+      issuer: ISSUER,
+      audience: PENDING_AUDIENCE,
+    });
+    return { userId: sub, issuedAt: iat };
+  } catch {
+    const error = new Error('Login expired, please enter your password again');
+    error.statusCode = 401;
+    throw error;
+  }
+};
+
+export default {
+  MFA_FIELDS,
+  startEnrollment,
+  confirmEnrollment,
+  checkCode,
+  disable,
+  regenerateRecoveryCodes,
+  signPendingToken,
+  verifyPendingToken,
+};
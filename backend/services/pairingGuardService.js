@@ -0,0 +1,244 @@
+/**
+ * Pairing Guard Service
+ *
+ * PURPOSE:
+ * - Throttle pairing-code lookups per IP and per device fingerprint
+ * - Lock out repeat offenders, longer each time (progressive lockout)
+ * - Detect scanning: one requester trying many distinct codes
+ * - Count failed guesses against a single session (optional)
+ *
+ * WHY?
+ * Only a million 6-digit codes exist. Unthrottled, a script finds an
+ * active session in minutes.
+ *
+ * WHAT COUNTS AS A FAILURE:
+ * A lookup for a code that doesn't exist (404) or no longer works (410),
+ * and a wrong creator secret or PIN for one that does (sessionService).
+ * Successful lookups do NOT reset the counters, otherwise an attacker
+ * could create a session of their own and reset after every few guesses.
+ *
+ * STATE:
+ * Lives in a key-value store (memory or Mongo, see stores/):
+ * - failures:<identity>        counter, one failure window
+ * - tried:<identity>:<code>    counter, first hit = a new distinct code
+ * - codes:<identity>           counter of distinct codes in the window
+ * - lockouts:<identity>        lockouts served, for escalation
+ * - lock:<identity>            { until }
+ * - code:<sessionId>           counter
+ *
+ * Counters go through store.incr(), so parallel guesses can't slip
+ * past a limit by reading the same old count.
+ */
+
+import crypto from 'crypto';
+import pairingGuardConfig from '../config/pairingGuard.js';
+import { createStore } from '../stores/index.js';
+
+const store = createStore('pairing-guard', pairingGuardConfig.store);
+
+/**
+ * Identities Of Requester
+ *
+ * Fingerprints are hashed so raw client values never reach the store.
+ *
+ * @param {Object} requester - { ip, fingerprint }
+ * @returns {string[]} - Store identities (e.g. 'ip:203.0.113.7')
+ */
+const identitiesOf = ({ ip, fingerprint } = {}) => {
+  const identities = [];
+
+  if (ip) {
+    identities.push(`ip:${ip}`);
+  }
+  if (fingerprint) {
+    const hash = crypto.createHash('sha256').update(fingerprint).digest('hex');
+    identities.push(`device:${hash}`);
+  }
+
+  return identities;
+};
+
+const lockedError = (retryAfter) => {
+  const error = new Error(
+    `Too many failed attempts. Try again in ${retryAfter} seconds.`
+  );
+  error.statusCode = 429;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * Assert Not Locked
+ *
+ * @param {Object} requester - { ip, fingerprint }
+ * @throws {Error} - 429 with retryAfter (seconds) while locked out
+ */
+const assertNotLocked = async (requester) => {
+  const now = Date.now();
+  let retryAfter = 0;
+
+  for (const identity of identitiesOf(requester)) {
+    const lock = await store.get(`lock:${identity}`);
+
+    if (lock && lock.until > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((lock.until - now) / 1000));
+    }
+  }
+
+  if (retryAfter > 0) {
+    throw lockedError(retryAfter);
+  }
+};
+
+/**
+ * Lockout Duration
+ *
+ * base, 2×base, 4×base, ... capped at the maximum
+ *
+ * @param {number} lockouts - Lockouts this identity already served
+ * @returns {number} - Seconds
+ */
+const lockoutSeconds = (lockouts) =>
+  Math.min(
+    pairingGuardConfig.lockoutBaseSeconds * 2 ** lockouts,
+    pairingGuardConfig.lockoutMaxSeconds
+  );
+
+/**
+ * Lock Identity
+ *
+ * Scanners get the maximum, everyone else the next progressive
+ * duration. Starts a new failure window, so the next lockout needs a
+ * full set of failures again.
+ *
+ * @param {string} identity - Store identity
+ * @param {boolean} scanning - Locked for trying too many distinct codes
+ */
+const lockIdentity = async (identity, scanning) => {
+  const { failureWindowMs, lockoutMaxSeconds } = pairingGuardConfig;
+  const now = Date.now();
+
+  // Lockout history outlives the window so repeat offenders escalate
+  const lockouts = (await store.get(`lockouts:${identity}`)) || 0;
+  const seconds = scanning ? lockoutMaxSeconds : lockoutSeconds(lockouts);
+
+  await store.set(
+    `lockouts:${identity}`,
+    lockouts + 1,
+    failureWindowMs + lockoutMaxSeconds * 1000
+  );
+
+  await store.set(
+    `lock:${identity}`,
+    { until: now + seconds * 1000 },
+    seconds * 1000
+  );
+  await store.delete(`failures:${identity}`);
+  await store.delete(`codes:${identity}`);
+};
+
+/**
+ * Record Failure
+ *
+ * FLOW (per identity):
+ * 1. Count the failure, and the code if this identity hasn't tried it
+ *    yet in the window
+ * 2. Enough distinct codes: scanning, lock for the maximum
+ *    Enough failures: lock for the next progressive duration
+ *
+ * The lock is decided on the exact value the increment returned, so
+ * of several parallel failures exactly one reaches the limit and
+ * applies the lockout.
+ *
+ * @param {Object} requester - { ip, fingerprint }
+ * @param {string} pairingCode - Code that failed
+ */
+const recordFailure = async (requester, pairingCode) => {
+  const { maxFailures, failureWindowMs, scanThreshold } = pairingGuardConfig;
+
+  if (!maxFailures) {
+    return;
+  }
+
+  for (const identity of identitiesOf(requester)) {
+    const count = await store.incr(`failures:${identity}`, failureWindowMs);
+    const firstTry =
+      (await store.incr(
+        `tried:${identity}:${pairingCode}`,
+        failureWindowMs
+      )) === 1;
+    const codes = firstTry
+      ? await store.incr(`codes:${identity}`, failureWindowMs)
+      : 0;
+
+    if (scanThreshold && codes === scanThreshold) {
+      console.warn(
+        `🚨 Pairing guard: ${identity} tried ${codes} distinct codes, possible scan`
+      );
+      await lockIdentity(identity, true);
+    } else if (count === maxFailures) {
+      await lockIdentity(identity, false);
+    }
+  }
+};
+
+/**
+ * Guard Lookup
+ *
+ * PURPOSE:
+ * Wrap a pairing-code lookup with the lockout check and failure count
+ *
+ * @param {Object|null} requester - { ip, fingerprint }, null skips the guard
+ * @param {string} pairingCode - Code being looked up
+ * @param {Function} lookup - async () => result
+ * @returns {Promise<*>} - Whatever lookup returns
+ */
+const guardLookup = async (requester, pairingCode, lookup) => {
+  if (!requester) {
+    return lookup();
+  }
+
+  await assertNotLocked(requester);
+
+  try {
+    return await lookup();
+  } catch (error) {
+    if (error.statusCode === 404 || error.statusCode === 410) {
+      await recordFailure(requester, pairingCode);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record Code Failure
+ *
+ * PURPOSE:
+ * Count a failed guess against one session's secret (creator secret,
+ * PIN). Once PAIRING_CODE_MAX_FAILURES is reached the caller should
+ * invalidate the session, so a distributed attacker can't keep trying.
+ *
+ * @param {ObjectId|string} sessionId - Session that was guessed against
+ * @returns {Promise<boolean>} - true when the session should be invalidated
+ */
+const recordCodeFailure = async (sessionId) => {
+  const { codeMaxFailures, lockoutMaxSeconds } = pairingGuardConfig;
+
+  if (!codeMaxFailures) {
+    return false;
+  }
+
+  const count = await store.incr(
+    `code:${sessionId.toString()}`,
+    lockoutMaxSeconds * 1000
+  );
+
+  return count >= codeMaxFailures;
+};
+
+export default {
+  assertNotLocked,
+  recordFailure,
+  guardLookup,
+  recordCodeFailure,
+};
@@ -0,0 +1,202 @@
+/**
+ * Refresh Token Service
+ *
+ * PURPOSE:
+ * - Persist refresh-token families (one per signed-in device)
+ * - Rotate tokens atomically and detect reuse
+ * - List and sign out devices
+ *
+ * ROTATION:
+ * The family document holds the hash of the only token that may be
+ * used next. Rotation is one findOneAndUpdate matching that hash, so
+ * two requests racing with the same token can't both win.
+ *
+ * REUSE DETECTION:
+ * A valid signature whose hash doesn't match a live family means the
+ * token was already rotated: either an attacker or the real device is
+ * replaying it. We can't tell which, so the whole family is revoked and
+ * the device must log in again.
+ *
+ * NOTE:
+ * Two tabs refreshing with the same cookie at the same moment look
+ * exactly like reuse. Clients should serialize refreshes.
+ */
+
+import jwt from 'jsonwebtoken';
+import { RefreshToken } from '../models/index.js';
+import tokenRevocationService from './tokenRevocationService.js';
+
+/**
+ * Token Timestamps
+ *
+ * @param {string} token - Signed refresh token
+ * @returns {Object} - { issuedAt, expiresAt }
+ */
+const timestampsOf = (token) => {
+  const { iat, exp } = jwt.decode(token);
+  return {
+    issuedAt: new Date(iat * 1000),
+    expiresAt: new Date(exp * 1000),
+  };
+};
+
+const revokedError = () => {
+  const error = new Error('Refresh token has been revoked');
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Serialize Device
+ *
+ * @param {Object} family - RefreshToken document
+ * @param {string|null} currentFamily - Family of the caller's token
+ * @returns {Object} - Client-facing device
+ */
+const serializeDevice = (family, currentFamily) => ({
+  id: family.family,
+  deviceName: family.deviceName,
+  userAgent: family.userAgent,
+  ip: family.ip,
+  signedInAt: family.createdAt,
+  lastUsedAt: family.lastUsedAt,
+  current: family.family === currentFamily,
+});
+
+/**
+ * Create Family
+ *
+ * @param {ObjectId|string} userId - Owner
+ * @param {string} family - New family ID
+ * @param {string} token - First refresh token of the family
+ * @param {Object} [device] - { deviceName, userAgent, ip }
+ * @returns {Promise<Document>} - RefreshToken document
+ */
+const createFamily = async (userId, family, token, device = {}) => {
+  return RefreshToken.create({
+    user: userId,
+    family,
+    tokenHash: RefreshToken.hashToken(token),
+    ...timestampsOf(token),
+    deviceName: device.deviceName || null,
+    userAgent: device.userAgent ? device.userAgent.slice(0, 512) : null,
+    ip: device.ip || null,
+  });
+};
+
+/**
+ * Revoke Family
+ *
+ * Also denylists the family, so access tokens issued to the device
+ * stop working now rather than at their expiry.
+ *
+ * @param {Document} family - RefreshToken document
+ * @param {string} reason - One of RefreshToken.revokedReason
+ */
+const revokeFamily = async (family, reason) => {
+  await RefreshToken.updateOne(
+    { _id: family._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await tokenRevocationService.revokeFamily(family.family, family.expiresAt);
+};
+
+/**
+ * Rotate
+ *
+ * @param {Object} decoded - Verified payload of the presented token
+ * @param {string} presentedToken - Token the client sent
+ * @param {string} nextToken - Replacement token (same family)
+ * @param {Object} [context] - { ip }
+ */
+const rotate = async (decoded, presentedToken, nextToken, { ip } = {}) => {
+  const rotated = await RefreshToken.findOneAndUpdate(
+    {
+      family: decoded.fam,
+      user: decoded.userId,
+      tokenHash: RefreshToken.hashToken(presentedToken),
+      revokedAt: null,
+    },
+    {
+      $set: {
+        tokenHash: RefreshToken.hashToken(nextToken),
+        ...timestampsOf(nextToken),
+        lastUsedAt: new Date(),
+        ...(ip ? { ip } : {}),
+      },
+    }
+  );
+
+  if (rotated) {
+    return;
+  }
+
+  const family = await RefreshToken.findOne({
+    family: decoded.fam,
+    user: decoded.userId,
+  });
+
+  if (family && !family.revokedAt) {
+    console.warn(
+      `🚨 Refresh token reuse detected for user ${decoded.userId}, revoking device ${family.family}`
+    );
+    await revokeFamily(family, 'reuse_detected');
+  }
+
+  throw revokedError();
+};
+
+/**
+ * Revoke By ID
+ *
+ * @param {string} userId - Owner (users can only sign out their devices)
+ * @param {string} familyId - Family to revoke
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} - false if no live family matched
+ */
+const revokeById = async (userId, familyId, reason) => {
+  const family = await RefreshToken.findOne({
+    user: userId,
+    family: familyId,
+    revokedAt: null,
+  });
+
+  if (!family) {
+    return false;
+  }
+
+  await revokeFamily(family, reason);
+  return true;
+};
+
+/**
+ * List Devices
+ *
+ * Families issued before the user's revocation watermark are already
+ * dead (password change), so they are left out.
+ *
+ * @param {Object} user - User document
+ * @param {string|null} currentFamily - Family of the caller's token
+ * @returns {Promise<Array>} - Serialized devices, most recent first
+ */
+const listDevices = async (user, currentFamily = null) => {
+  const filter = {
+    user: user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  };
+
+  if (user.tokensValidAfter) {
+    filter.issuedAt = { $gte: user.tokensValidAfter };
+  }
+
+  const families = await RefreshToken.find(filter).sort({ lastUsedAt: -1 });
+  return families.map((family) => serializeDevice(family, currentFamily));
+};
+
+export default {
+  createFamily,
+  rotate,
+  revokeById,
+  listDevices,
+};
@@ -0,0 +1,209 @@
+/**
+ * Retention Service
+ *
+ * PURPOSE:
+ * - Mark sessions past their expiresAt as 'expired'
+ * - Cascade-delete their messages, file records and stored blobs
+ * - Sweep messages and files whose session no longer exists
+ *
+ * WHY NOT JUST THE TTL INDEX?
+ * MongoDB's TTL monitor deletes one collection's documents. It knows
+ * nothing about Message, File or the storage backend, so everything a
+ * session owned would stay behind forever.
+ *
+ * ORDER MATTERS:
+ * Blobs are deleted before their File records. If a blob deletion
+ * fails, the record survives and the next run retries it. The reverse
+ * order would lose the only pointer to the blob.
+ */
+
+import { Session, Message, File } from '../models/index.js';
+import { getStorage } from '../storage/index.js';
+
+// Sessions processed per run, keeps a single run short
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Mark Expired Sessions
+ *
+ * INDEX:
+ * Uses { status: 1, expiresAt: 1 }
+ *
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of sessions marked
+ */
+const markExpiredSessions = async (now) => {
+  const result = await Session.updateMany(
+    { status: { $in: ['active', 'closed'] }, expiresAt: { $lt: now } },
+    { $set: { status: 'expired' } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Delete Blobs And File Records
+ *
+ * @param {Object} filter - File query (e.g. { session: { $in: ids } })
+ * @returns {Promise<Object>} - { filesDeleted, blobFailures, failedSessions }
+ */
+const deleteFiles = async (filter) => {
+  const files = await File.find(filter).select(
+    'session storageProvider storageKey fileType'
+  );
+
+  const deletedIds = [];
+  const failedSessions = new Set();
+
+  for (const file of files) {
+    try {
+      await getStorage(file.storageProvider).delete(file.storageKey, {
+        contentType: file.fileType,
+      });
+      deletedIds.push(file._id);
+    } catch (error) {
+      failedSessions.add(file.session.toString());
+      console.error(
+        `Retention: failed to delete blob ${file.storageKey} (${file.storageProvider}):`,
+        error.message
+      );
+    }
+  }
+
+  if (deletedIds.length > 0) {
+    await File.deleteMany({ _id: { $in: deletedIds } });
+  }
+
+  return {
+    filesDeleted: deletedIds.length,
+    blobFailures: files.length - deletedIds.length,
+    failedSessions,
+  };
+};
+
+/**
+ * Purge Expired Sessions
+ *
+ * FLOW:
+ * 1. Load a batch of expired, not yet purged sessions
+ * 2. Delete their blobs and file records
+ * 3. Delete their messages
+ * 4. Stamp purgedAt on sessions whose blobs were all deleted
+ *
+ * @param {number} batchSize - Max sessions to purge
+ * @returns {Promise<Object>} - Counts plus IDs of purged sessions
+ */
+const purgeExpiredSessions = async (batchSize) => {
+  const sessions = await Session.find({ status: 'expired', purgedAt: null })
+    .select('_id')
+    .limit(batchSize)
+    .lean();
+
+  if (sessions.length === 0) {
+    return {
+      sessionIds: [],
+      messagesDeleted: 0,
+      filesDeleted: 0,
+      blobFailures: 0,
+    };
+  }
+
+  const ids = sessions.map((s) => s._id);
+
+  const { filesDeleted, blobFailures, failedSessions } = await deleteFiles({
+    session: { $in: ids },
+  });
+  const { deletedCount: messagesDeleted } = await Message.deleteMany({
+    session: { $in: ids },
+  });
+
+  // Sessions with failed blob deletions stay unpurged, so they are retried
+  const purgedIds = ids.filter((id) => !failedSessions.has(id.toString()));
+  await Session.updateMany(
+    { _id: { $in: purgedIds } },
+    { $set: { purgedAt: new Date() } }
+  );
+
+  return {
+    sessionIds: purgedIds.map((id) => id.toString()),
+    messagesDeleted,
+    filesDeleted,
+    blobFailures,
+  };
+};
+
+/**
+ * Sweep Orphans
+ *
+ * PURPOSE:
+ * Clean up content whose session was already removed (by the TTL
+ * safety net, or before this job existed)
+ *
+ * @returns {Promise<Object>} - { messagesDeleted, filesDeleted, blobFailures }
+ */
+const sweepOrphans = async () => {
+  const referenced = [
+    ...new Set(
+      [
+        ...(await Message.distinct('session')),
+        ...(await File.distinct('session')),
+      ].map((id) => id.toString())
+    ),
+  ];
+
+  if (referenced.length === 0) {
+    return { messagesDeleted: 0, filesDeleted: 0, blobFailures: 0 };
+  }
+
+  const existing = await Session.find({ _id: { $in: referenced } })
+    .select('_id')
+    .lean();
+  const existingIds = new Set(existing.map((s) => s._id.toString()));
+  const orphanIds = referenced.filter((id) => !existingIds.has(id));
+
+  if (orphanIds.length === 0) {
+    return { messagesDeleted: 0, filesDeleted: 0, blobFailures: 0 };
+  }
+
+  const { filesDeleted, blobFailures } = await deleteFiles({
+    session: { $in: orphanIds },
+  });
+  const { deletedCount: messagesDeleted } = await Message.deleteMany({
+    session: { $in: orphanIds },
+  });
+
+  return { messagesDeleted, filesDeleted, blobFailures };
+};
+
+/**
+ * Run Retention
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (default: now)
+ * @param {number} [options.batchSize] - Max sessions purged per run
+ * @returns {Promise<Object>} - Summary of what was purged
+ */
+const runRetention = async ({
+  now = new Date(),
+  batchSize = DEFAULT_BATCH_SIZE,
+} = {}) => {
+  const sessionsMarked = await markExpiredSessions(now);
+  const purged = await purgeExpiredSessions(batchSize);
+  const orphans = await sweepOrphans();
+
+  return {
+    sessionsMarked,
+    sessionsPurged: purged.sessionIds.length,
+    purgedSessionIds: purged.sessionIds,
+    messagesDeleted: purged.messagesDeleted + orphans.messagesDeleted,
+    filesDeleted: purged.filesDeleted + orphans.filesDeleted,
+    blobFailures: purged.blobFailures + orphans.blobFailures,
+  };
+};
+
+export default {
+  markExpiredSessions,
+  purgeExpiredSessions,
+  sweepOrphans,
+  runRetention,
+};
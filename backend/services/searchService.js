@@ -0,0 +1,282 @@
+/**
+ * Search Service
+ *
+ * PURPOSE:
+ * Full-text search over the history of a registered user's sessions:
+ * message text and uploaded file names
+ *
+ * ACCESS:
+ * Only sessions the user created (Session.creator) or joined while
+ * logged in (Session.members). Every query is limited to those
+ * session IDs, so nothing else can match, whatever the filters say.
+ *
+ * WHAT CAN BE FOUND:
+ * Whatever is still stored. Encrypted sessions can't be searched (the
+ * server only has ciphertext), and deleted, burned and expired
+ * messages are gone, like the messages of sessions the retention job
+ * has purged. Burn-after-reading messages are left out even before
+ * their first read: a search hit would show what only the recipient
+ * was meant to see, once.
+ *
+ * ORDER AND PAGES:
+ * Newest first ("that key I sent last week"), with a cursor: messages
+ * and files are queried separately, merged by date, and the cursor
+ * marks the last result returned. Each result carries its text score.
+ */
+
+import { Session, Message, File } from '../models/index.js';
+import { MESSAGE_TYPES } from '../models/Message.js';
+import { termsOf, highlight } from '../utils/highlight.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+// 'file' finds file messages and uploaded file names
+const SEARCH_TYPES = MESSAGE_TYPES.filter((type) => type !== 'system');
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Encode Cursor
+ *
+ * @param {Object} result - Last result of a page ({ createdAt, _id })
+ * @returns {string} - Opaque cursor, e.g. "1760000000000.65abc..."
+ */
+const encodeCursor = ({ createdAt, _id }) =>
+  `${createdAt.getTime()}.${_id.toString()}`;
+
+/**
+ * Decode Cursor
+ *
+ * @param {string} cursor - From a previous page
+ * @returns {Object} - { createdAt, id }
+ */
+const decodeCursor = (cursor) => {
+  const match = /^(\d{1,15})\.([a-f0-9]{24})$/i.exec(cursor);
+
+  if (!match) {
+    throw invalid('Invalid cursor');
+  }
+
+  return { createdAt: new Date(Number(match[1])), id: match[2] };
+};
+
+/**
+ * Find Searchable Sessions
+ *
+ * @param {string} userId - Searching user
+ * @param {string} [sessionId] - Only this session (must be theirs)
+ * @returns {Promise<Map>} - sessionId => pairingCode
+ */
+const findSearchableSessions = async (userId, sessionId) => {
+  const filter = { $or: [{ creator: userId }, { members: userId }] };
+  if (sessionId) {
+    filter._id = sessionId;
+  }
+
+  const sessions = await Session.find(filter).select('pairingCode').lean();
+
+  if (sessionId && sessions.length === 0) {
+    // Same answer for "doesn't exist" and "not yours"
+    const error = new Error('Session not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return new Map(sessions.map((s) => [s._id.toString(), s.pairingCode]));
+};
+
+/**
+ * Shared Filter
+ *
+ * @param {Object} params
+ * @param {string} params.query - $text search string
+ * @param {string[]} params.sessionIds - Sessions the user may search
+ * @param {Date} [params.from] - Created at or after
+ * @param {Date} [params.to] - Created at or before
+ * @param {Object} [params.cursor] - Decoded cursor
+ * @returns {Object} - Query filter
+ */
+const baseFilter = ({ query, sessionIds, from, to, cursor }) => {
+  const filter = {
+    $text: { $search: query },
+    session: { $in: sessionIds },
+  };
+
+  if (from || to) {
+    filter.createdAt = {
+      ...(from ? { $gte: from } : {}),
+      ...(to ? { $lte: to } : {}),
+    };
+  }
+
+  if (cursor) {
+    filter.$and = [
+      {
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursor.id } },
+        ],
+      },
+    ];
+  }
+
+  return filter;
+};
+
+/**
+ * Run One Collection
+ *
+ * @param {Model} Model - Message or File
+ * @param {Object} filter - From baseFilter, plus collection filters
+ * @param {string} fields - Fields to return
+ * @param {number} limit - Page size (one more is fetched)
+ * @returns {Promise<Array>} - Lean documents, newest first, with score
+ */
+const searchCollection = (Model, filter, fields, limit) =>
+  Model.find(filter, { score: { $meta: 'textScore' } })
+    .select(fields)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+/**
+ * Search
+ *
+ * FLOW:
+ * 1. Collect the user's sessions (or check the one asked for)
+ * 2. Query messages and file names with the same filters
+ * 3. Merge newest first, cut to the page size, highlight matches
+ *
+ * @param {string} userId - Searching user
+ * @param {Object} params
+ * @param {string} params.q - Search words ("quoted phrase", -excluded)
+ * @param {string} [params.sessionId] - Restrict to one session
+ * @param {string} [params.type] - Message type (see SEARCH_TYPES)
+ * @param {Date} [params.from] - Created at or after
+ * @param {Date} [params.to] - Created at or before
+ * @param {number} [params.limit] - Page size (default 20, max 50)
+ * @param {string} [params.cursor] - nextCursor of the previous page
+ * @returns {Promise<Object>} - { results, nextCursor (null at the end) }
+ */
+const search = async (
+  userId,
+  { q, sessionId = null, type = null, from = null, to = null, limit, cursor }
+) => {
+  const query = typeof q === 'string' ? q.trim() : '';
+
+  if (!query || query.length > MAX_QUERY_LENGTH) {
+    throw invalid(`Search query must be 1-${MAX_QUERY_LENGTH} characters`);
+  }
+  if (type && !SEARCH_TYPES.includes(type)) {
+    throw invalid(`Type must be one of: ${SEARCH_TYPES.join(', ')}`);
+  }
+  if (from && to && from > to) {
+    throw invalid('from must not be after to');
+  }
+
+  const pageSize =
+    Number.isInteger(limit) && limit > 0
+      ? Math.min(limit, MAX_LIMIT)
+      : DEFAULT_LIMIT;
+
+  const sessions = await findSearchableSessions(userId, sessionId);
+  if (sessions.size === 0) {
+    return { results: [], nextCursor: null };
+  }
+
+  const shared = {
+    query,
+    sessionIds: [...sessions.keys()],
+    from,
+    to,
+    cursor: cursor ? decodeCursor(cursor) : null,
+  };
+
+  const [messages, files] = await Promise.all([
+    searchCollection(
+      Message,
+      {
+        ...baseFilter(shared),
+        type: type || { $ne: 'system' },
+        burnAfterReading: { $ne: true },
+        expiresAt: { $not: { $lte: new Date() } },
+      },
+      'session type content url language senderDevice sender editedAt createdAt',
+      pageSize
+    ),
+    // Uploads match by name; encrypted ones only have a placeholder
+    !type || type === 'file'
+      ? searchCollection(
+          File,
+          { ...baseFilter(shared), isDeleted: false, encryption: null },
+          'session originalName fileType fileSize uploaderDevice createdAt',
+          pageSize
+        )
+      : [],
+  ]);
+
+  const merged = [
+    ...messages.map((doc) => ({ kind: 'message', doc })),
+    ...files.map((doc) => ({ kind: 'file', doc })),
+  ].sort(
+    (a, b) =>
+      b.doc.createdAt - a.doc.createdAt ||
+      b.doc._id.toString().localeCompare(a.doc._id.toString())
+  );
+
+  const page = merged.slice(0, pageSize);
+  const terms = termsOf(query);
+
+  const results = page.map(({ kind, doc }) => {
+    const common = {
+      kind,
+      id: doc._id.toString(),
+      sessionId: doc.session.toString(),
+      pairingCode: sessions.get(doc.session.toString()),
+      score: doc.score,
+      createdAt: doc.createdAt,
+    };
+
+    if (kind === 'file') {
+      return {
+        ...common,
+        originalName: doc.originalName,
+        fileType: doc.fileType,
+        fileSize: doc.fileSize,
+        uploaderDeviceId: doc.uploaderDevice?.toString() ?? null,
+        highlight: highlight(doc.originalName, terms),
+      };
+    }
+
+    return {
+      ...common,
+      type: doc.type,
+      language: doc.language ?? null,
+      url: doc.url ?? null,
+      senderDeviceId: doc.senderDevice?.toString() ?? null,
+      sender: doc.sender?.toString() ?? null,
+      editedAt: doc.editedAt ?? null,
+      highlight:
+        highlight(doc.content, terms) || highlight(doc.url, terms) || null,
+    };
+  });
+
+  return {
+    results,
+    nextCursor:
+      merged.length > pageSize ? encodeCursor(page[page.length - 1].doc) : null,
+  };
+};
+
+export default {
+  SEARCH_TYPES,
+  MAX_LIMIT,
+  MAX_QUERY_LENGTH,
+  search,
+};
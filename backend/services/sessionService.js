@@ -0,0 +1,692 @@
+/**
+ * Session Service
+ *
+ * PURPOSE:
+ * - Create sessions with unique pairing codes
+ * - Look up pairing-code sessions and enforce that they are usable
+ * - Add and remove participants as devices connect and disconnect
+ * - Enforce participant limits, host approval, kicks and PINs
+ * - Let creators extend, close, configure and list their sessions
+ *
+ * OWNERSHIP:
+ * - Logged-in creator: Identified by userId (Session.creator)
+ * - Anonymous creator: Identified by a creator secret returned once at
+ *   creation time (only its hash is stored)
+ *
+ * HOSTS:
+ * A device that joins with creator rights (logged in as the creator,
+ * or presenting the creator secret) is a host. Hosts skip the limit
+ * and approval, answer join requests and can kick other devices.
+ *
+ * DISCONNECTS:
+ * A device whose connection drops is marked offline, not removed. It
+ * rejoins as if it never left; only session:leave, a kick or the
+ * grace period running out (participantCleanupJob) remove it.
+ *
+ * PIN:
+ * A creator may protect a session with a PIN. Every device asks for
+ * it on its first join (hosts excepted), so a leaked pairing code
+ * alone reveals nothing.
+ *
+ * BRUTE-FORCE PROTECTION:
+ * Lookups by code take an optional requester ({ ip, fingerprint }).
+ * When given, they go through pairingGuardService, which locks out
+ * requesters that guess too many codes. Wrong creator secrets and
+ * PINs count the same way, and too many close the session.
+ *
+ * "Both the WebSocket layer and the HTTP layer go through this service,
+ * so the rules for 'can this device join?' live in exactly one place."
+ */
+
+import crypto from 'crypto';
+import { Session } from '../models/index.js';
+import pairingGuardService from './pairingGuardService.js';
+import joinTokenService from './joinTokenService.js';
+
+// Upper bound for a single extension request (24 hours)
+const MAX_EXTEND_MINUTES = 24 * 60;
+
+// Largest maxParticipants a creator may set
+const MAX_PARTICIPANTS_LIMIT = 100;
+
+// PIN length bounds (bcrypt ignores anything past 72 bytes)
+const PIN_MIN_LENGTH = 4;
+const PIN_MAX_LENGTH = 64;
+
+// Sessions per run of the participant cleanup job
+const CLEANUP_BATCH_SIZE = 500;
+
+/**
+ * Serialize Session
+ *
+ * PURPOSE:
+ * Public view of a session (no secrets, no internal fields)
+ *
+ * @param {Document} session - Session document
+ * @returns {Object} - Client-facing session
+ */
+const serializeSession = (session) => ({
+  id: session._id.toString(),
+  pairingCode: session.pairingCode,
+  status: session.status,
+  expiresAt: session.expiresAt,
+  participantCount: session.participants.length,
+  messageCount: session.messageCount,
+  fileCount: session.fileCount,
+  lastActivity: session.lastActivity,
+  createdAt: session.createdAt,
+  isOwned: Boolean(session.creator),
+  encrypted: session.encrypted,
+  maxParticipants: session.maxParticipants ?? null,
+  requireApproval: Boolean(session.requireApproval),
+  pinRequired: Boolean(session.pinRequired),
+});
+
+/**
+ * Create Session
+ *
+ * FLOW:
+ * 1. Generate unique pairing code (collision-checked)
+ * 2. Logged in: set creator
+ *    Anonymous: generate creator secret, store its hash
+ * 3. Return session plus the plain secret (shown only once)
+ *
+ * @param {string|null} userId - Creator's user ID, null if anonymous
+ * @param {Object} [options]
+ * @param {boolean} [options.encrypted] - Require end-to-end encryption
+ * @param {number|null} [options.maxParticipants] - Participant limit
+ * @param {boolean} [options.requireApproval] - Hosts approve joins
+ * @param {string|null} [options.pin] - PIN required to join
+ * @returns {Promise<Object>} - { session, creatorSecret }
+ */
+const createSession = async (
+  userId = null,
+  {
+    encrypted = false,
+    maxParticipants = null,
+    requireApproval = false,
+    pin = null,
+  } = {}
+) => {
+  const pairingCode = await Session.generateUniquePairingCode();
+
+  let creatorSecret = null;
+  let creatorSecretHash = null;
+
+  if (!userId) {
+    creatorSecret = crypto.randomBytes(32).toString('hex');
+    creatorSecretHash = Session.hashCreatorSecret(creatorSecret);
+  }
+
+  const session = await Session.create({
+    pairingCode,
+    creator: userId,
+    creatorSecretHash,
+    encrypted,
+    maxParticipants,
+    requireApproval,
+    pin,
+  });
+
+  return { session, creatorSecret };
+};
+
+/**
+ * Assert Session Is Usable
+ *
+ * CHECKS:
+ * 1. Session exists
+ * 2. Status is 'active' (not closed or expired)
+ * 3. expiresAt has not passed (TTL cleanup runs only every 60s)
+ *
+ * @param {Document|null} session - Session document or null
+ * @returns {Document} - The same session, if usable
+ */
+const assertActive = (session) => {
+  if (!session) {
+    const error = new Error('Session not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (session.status !== 'active' || session.isExpired()) {
+    const error = new Error('Session has expired or is closed');
+    error.statusCode = 410; // Gone
+    throw error;
+  }
+
+  return session;
+};
+
+/**
+ * Find Active Session By Code
+ *
+ * @param {string} pairingCode - Code entered by the user
+ * @param {Object} [requester] - { ip, fingerprint }, enables throttling
+ * @returns {Promise<Document>} - Session document
+ */
+const findActiveSessionByCode = async (pairingCode, requester = null) => {
+  return pairingGuardService.guardLookup(requester, pairingCode, async () =>
+    assertActive(await Session.findOne({ pairingCode }))
+  );
+};
+
+/**
+ * Find Active Session By ID
+ *
+ * PURPOSE:
+ * Re-check a session a socket is already in (it may have been closed
+ * or expired since the socket joined)
+ *
+ * @param {ObjectId|string} sessionId - Session ID
+ * @returns {Promise<Document>} - Session document
+ */
+const findActiveSessionById = async (sessionId) => {
+  return assertActive(await Session.findById(sessionId));
+};
+
+/**
+ * Record Failed Secret
+ *
+ * PURPOSE:
+ * Count a wrong creator secret or PIN against the requester and the
+ * session. Too many against one session close it; the error then
+ * carries closedSessionId so the caller can notify connected devices.
+ *
+ * @param {Document} session - Session that was guessed against
+ * @param {Object|null} requester - { ip, fingerprint }
+ * @param {string} message - Error message if the session stays open
+ * @param {number} statusCode - Its status code
+ * @returns {Promise<never>} - Always throws
+ */
+const rejectSecret = async (session, requester, message, statusCode) => {
+  if (requester) {
+    await pairingGuardService.recordFailure(requester, session.pairingCode);
+  }
+
+  if (await pairingGuardService.recordCodeFailure(session._id)) {
+    await closeSession(session);
+    const error = new Error('Session closed after too many failed attempts');
+    error.statusCode = 410;
+    error.closedSessionId = session._id.toString();
+    throw error;
+  }
+
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  throw error;
+};
+
+/**
+ * Find Managed Session
+ *
+ * PURPOSE:
+ * Load a session and verify the caller may manage it
+ *
+ * RULES:
+ * - Session has a creator: caller must be that user
+ * - Anonymous session: caller must present the creator secret
+ *
+ * WRONG CREATOR SECRET:
+ * Counts as a failed guess (see rejectSecret)
+ *
+ * @param {string} pairingCode - Session code
+ * @param {Object} caller
+ * @param {string|null} caller.userId - Authenticated user ID
+ * @param {string} [caller.creatorSecret] - Secret for anonymous sessions
+ * @param {Object} [requester] - { ip, fingerprint }, enables throttling
+ * @returns {Promise<Document>} - Session document
+ */
+const findManagedSession = async (
+  pairingCode,
+  { userId, creatorSecret },
+  requester = null
+) => {
+  const session = await pairingGuardService.guardLookup(
+    requester,
+    pairingCode,
+    async () =>
+      assertActive(
+        await Session.findOne({ pairingCode }).select('+creatorSecretHash')
+      )
+  );
+
+  if (session.creator) {
+    if (!userId || session.creator.toString() !== userId) {
+      const error = new Error('Only the session creator can do this');
+      error.statusCode = 403;
+      throw error;
+    }
+    return session;
+  }
+
+  if (!session.verifyCreatorSecret(creatorSecret)) {
+    await rejectSecret(
+      session,
+      requester,
+      'Only the session creator can do this',
+      403
+    );
+  }
+
+  return session;
+};
+
+/**
+ * Verify Session PIN
+ *
+ * PURPOSE:
+ * Let a device past a PIN-protected session. Sessions without a PIN
+ * always pass.
+ *
+ * A missing PIN is a prompt, not a guess (401 without counting); a
+ * wrong one counts like a wrong creator secret (see rejectSecret).
+ *
+ * @param {Document} session - Active session
+ * @param {string|null} pin - PIN the device presents
+ * @param {Object} [requester] - { ip, fingerprint }, enables throttling
+ */
+const verifyPin = async (session, pin, requester = null) => {
+  if (!session.pinRequired) {
+    return;
+  }
+
+  if (typeof pin !== 'string' || pin.length === 0) {
+    const error = new Error('This session requires a PIN');
+    error.statusCode = 401;
+    throw error;
+  }
+
+  const withPin = await Session.findById(session._id).select('+pin');
+
+  if (!(await withPin?.comparePin(pin))) {
+    await rejectSecret(session, requester, 'Incorrect PIN', 401);
+  }
+};
+
+/**
+ * Extend Session
+ *
+ * @param {Document} session - Session the caller manages
+ * @param {number} minutes - New lifetime from now, in minutes
+ * @returns {Promise<Document>} - Updated session
+ */
+const extendSession = async (session, minutes) => {
+  if (
+    !Number.isInteger(minutes) ||
+    minutes < 1 ||
+    minutes > MAX_EXTEND_MINUTES
+  ) {
+    const error = new Error(
+      `Minutes must be an integer between 1 and ${MAX_EXTEND_MINUTES}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await session.extendExpiration(minutes);
+  return session;
+};
+
+/**
+ * Close Session
+ *
+ * PURPOSE:
+ * End a session before it expires. Closed sessions can't be joined
+ * and reject new messages.
+ *
+ * @param {Document} session - Session the caller manages
+ * @returns {Promise<Document>} - Updated session
+ */
+const closeSession = async (session) => {
+  session.status = 'closed';
+  session.lastActivity = new Date();
+  await session.save();
+  return session;
+};
+
+/**
+ * Update Session Settings
+ *
+ * NOTE:
+ * Lowering the limit below the current count removes nobody; it only
+ * stops new devices from joining.
+ *
+ * @param {Document} session - Session the caller manages
+ * @param {Object} settings
+ * @param {number|null} [settings.maxParticipants] - null = unlimited
+ * @param {boolean} [settings.requireApproval] - Hosts approve joins
+ * @param {string|null} [settings.pin] - New PIN; null removes it
+ * @returns {Promise<Document>} - Updated session
+ */
+const updateSettings = async (
+  session,
+  { maxParticipants, requireApproval, pin }
+) => {
+  if (maxParticipants !== undefined) {
+    session.maxParticipants = maxParticipants;
+  }
+  if (requireApproval !== undefined) {
+    session.requireApproval = requireApproval;
+  }
+  if (pin !== undefined) {
+    session.pin = pin;
+  }
+
+  await session.save();
+  return session;
+};
+
+/**
+ * List User Sessions
+ *
+ * INDEX:
+ * Uses the { creator: 1, status: 1 } compound index
+ *
+ * @param {string} userId - Creator's user ID
+ * @param {string} status - 'active', 'expired' or 'closed'
+ * @returns {Promise<Array>} - Serialized sessions, newest first
+ */
+const listUserSessions = async (userId, status = 'active') => {
+  const sessions = await Session.find({ creator: userId, status }).sort({
+    createdAt: -1,
+  });
+
+  return sessions.map(serializeSession);
+};
+
+/**
+ * Join Session
+ *
+ * @param {string} pairingCode - Code entered by the user
+ * @param {Object} participant - { deviceId, socketId, deviceInfo }
+ * @param {Object} [requester] - { ip, fingerprint }, enables throttling
+ * @param {Object} [options] - See addToSession
+ * @returns {Promise<Object>} - { session, rejoined, isHost } (rejoined =
+ *   the device was already a participant, e.g. after a reconnect)
+ */
+const joinSession = async (
+  pairingCode,
+  participant,
+  requester = null,
+  options = {}
+) => {
+  const session = await findActiveSessionByCode(pairingCode, requester);
+  return addToSession(session, participant, { ...options, requester });
+};
+
+/**
+ * Join Session With Token
+ *
+ * PURPOSE:
+ * Join from a QR code or deep link instead of a typed code
+ * (tokens are unguessable, so the lookup isn't throttled)
+ *
+ * The token is used up before the PIN is checked: a wrong PIN
+ * costs the token, so a photographed QR code gets one attempt.
+ *
+ * @param {string} joinToken - Token minted by joinTokenService
+ * @param {Object} participant - { deviceId, socketId, deviceInfo }
+ * @param {Object} [options] - See addToSession
+ * @returns {Promise<Object>} - { session, rejoined, isHost }
+ */
+const joinSessionWithToken = async (joinToken, participant, options = {}) => {
+  const sessionId = await joinTokenService.redeemJoinToken(joinToken);
+  const session = await findActiveSessionById(sessionId);
+  return addToSession(session, participant, options);
+};
+
+/**
+ * Is Creator
+ *
+ * A wrong creator secret fails the join (and counts against the
+ * session, like on the HTTP routes) instead of silently joining as
+ * a guest.
+ *
+ * @param {Document} session - Active session
+ * @param {Object} caller - { userId, creatorSecret }
+ * @param {Object} [requester] - { ip, fingerprint }
+ * @returns {Promise<boolean>} - True if the caller may manage it
+ */
+const isCreator = async (session, { userId, creatorSecret }, requester) => {
+  if (session.creator) {
+    return Boolean(userId) && session.creator.toString() === userId;
+  }
+
+  if (!creatorSecret) {
+    return false;
+  }
+
+  await findManagedSession(
+    session.pairingCode,
+    { userId, creatorSecret },
+    requester
+  );
+  return true;
+};
+
+/**
+ * Assert Device Admissible
+ *
+ * @param {Document} session - Active session
+ * @param {string} deviceId - Joining device (not yet a participant)
+ */
+const assertAdmissible = async (session, deviceId) => {
+  if (await Session.exists({ _id: session._id, blockedDevices: deviceId })) {
+    const error = new Error('You were removed from this session');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  if (
+    session.maxParticipants &&
+    session.participants.length >= session.maxParticipants
+  ) {
+    const error = new Error('Session is full');
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Add To Session
+ *
+ * FLOW:
+ * 1. Creator rights make the device a host (skips 2 to 4)
+ * 2. New devices: check the PIN
+ * 3. Refuse blocked devices and full sessions
+ * 4. Approval mode: wait for requestApproval (throws when denied)
+ * 5. Add atomically; the checks are repeated in the update, since
+ *    the session may have filled up while we waited
+ *
+ * Devices already in the session (reconnects) skip 2 to 4: they gave
+ * the PIN when they joined, and a kicked device is no longer in it.
+ *
+ * @param {Document} session - Active session
+ * @param {Object} participant - { deviceId, socketId, deviceInfo }
+ * @param {Object} [options]
+ * @param {string|null} [options.userId] - Logged-in user
+ * @param {string} [options.creatorSecret] - Anonymous creator's secret
+ * @param {string} [options.pin] - Session PIN, if it has one
+ * @param {Function} [options.requestApproval] - async (session) => void
+ *   (required for approval-mode sessions)
+ * @param {Object} [options.requester] - { ip, fingerprint }
+ * @returns {Promise<Object>} - { session, rejoined, isHost }
+ */
+const addToSession = async (
+  session,
+  { deviceId, socketId, deviceInfo },
+  {
+    userId = null,
+    creatorSecret = null,
+    pin = null,
+    requestApproval = null,
+    requester = null,
+  } = {}
+) => {
+  const isHost = await isCreator(session, { userId, creatorSecret }, requester);
+  const alreadyIn = session.participants.some(
+    (p) => p.device.toString() === deviceId.toString()
+  );
+
+  if (!isHost && !alreadyIn) {
+    await verifyPin(session, pin, requester);
+    await assertAdmissible(session, deviceId);
+
+    if (session.requireApproval) {
+      if (!requestApproval) {
+        const error = new Error('This session requires host approval');
+        error.statusCode = 403;
+        throw error;
+      }
+      await requestApproval(session);
+    }
+  }
+
+  const result = await session.addParticipant(deviceId, socketId, deviceInfo, {
+    isHost,
+    userId,
+  });
+
+  if (!result) {
+    // Tell the caller why: closed, blocked or full in the meantime
+    await assertAdmissible(await findActiveSessionById(session._id), deviceId);
+    const error = new Error('Session is full');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const entry = result.session.participants.find(
+    (p) => p.device.toString() === deviceId.toString()
+  );
+
+  return { ...result, isHost: entry.isHost };
+};
+
+/**
+ * Kick Participant
+ *
+ * @param {Document} session - Active session
+ * @param {string} deviceId - Device to remove and block
+ * @returns {Promise<Object>} - { participant, participantCount }
+ */
+const kickParticipant = async (session, deviceId) => {
+  const result = await session.kickParticipant(deviceId);
+
+  if (!result) {
+    const error = new Error('No such guest in this session');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return result;
+};
+
+/**
+ * Leave Session
+ *
+ * NOTE:
+ * The session may already be gone (TTL index), which is not an error.
+ *
+ * @param {ObjectId} sessionId - Session ID
+ * @param {Object} participant - { deviceId, socketId }
+ * @returns {Promise<Document|null>} - Updated session, or null if it
+ *   was deleted or the device has already reconnected elsewhere
+ */
+const leaveSession = async (sessionId, { deviceId, socketId }) => {
+  const session = await Session.findById(sessionId);
+
+  if (!session) {
+    return null;
+  }
+
+  return session.removeParticipant(deviceId, socketId);
+};
+
+/**
+ * Disconnect Participant
+ *
+ * PURPOSE:
+ * Mark a device offline when its connection drops (see DISCONNECTS)
+ *
+ * @param {ObjectId} sessionId - Session ID
+ * @param {Object} participant - { deviceId, socketId }
+ * @returns {Promise<Document|null>} - Updated session, or null if it
+ *   was deleted or the device has already reconnected elsewhere
+ */
+const disconnectParticipant = async (sessionId, { deviceId, socketId }) => {
+  const session = await Session.findById(sessionId);
+
+  if (!session) {
+    return null;
+  }
+
+  return session.markParticipantOffline(deviceId, socketId);
+};
+
+/**
+ * Remove Offline Participants
+ *
+ * PURPOSE:
+ * Remove devices that stayed disconnected for longer than the grace
+ * period (run by jobs/participantCleanupJob.js)
+ *
+ * A device that rejoined in the meantime has a new socketId, so
+ * removeParticipant leaves it alone.
+ *
+ * @param {number} graceSeconds - How long a device may stay offline
+ * @returns {Promise<Array>} - [{ sessionId, deviceId, socketId,
+ *   deviceInfo, participantCount }], one entry per removed device
+ */
+const removeOfflineParticipants = async (graceSeconds) => {
+  const cutoff = new Date(Date.now() - graceSeconds * 1000);
+  const sessions = await Session.find({
+    status: 'active',
+    participants: { $elemMatch: { disconnectedAt: { $lte: cutoff } } },
+  }).limit(CLEANUP_BATCH_SIZE);
+
+  const removed = [];
+  for (const session of sessions) {
+    const offline = session.participants.filter(
+      (p) => p.disconnectedAt && p.disconnectedAt <= cutoff
+    );
+
+    for (const { device, socketId, deviceInfo } of offline) {
+      const updated = await session.removeParticipant(device, socketId);
+      if (updated) {
+        removed.push({
+          sessionId: session._id.toString(),
+          deviceId: device.toString(),
+          socketId,
+          deviceInfo,
+          participantCount: updated.participants.length,
+        });
+      }
+    }
+  }
+
+  return removed;
+};
+
+export default {
+  MAX_EXTEND_MINUTES,
+  MAX_PARTICIPANTS_LIMIT,
+  PIN_MIN_LENGTH,
+  PIN_MAX_LENGTH,
+  serializeSession,
+  createSession,
+  findActiveSessionByCode,
+  findActiveSessionById,
+  findManagedSession,
+  verifyPin,
+  extendSession,
+  closeSession,
+  updateSettings,
+  listUserSessions,
+  joinSession,
+  joinSessionWithToken,
+  kickParticipant,
+  leaveSession,
+  disconnectParticipant,
+  removeOfflineParticipants,
+};
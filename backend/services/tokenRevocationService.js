@@ -0,0 +1,109 @@
+/**
+ * Token Revocation Service
+ *
+ * PURPOSE:
+ * Revoke access tokens before they expire
+ *
+ * TWO MECHANISMS:
+ * - Denylist: One token by jti, or one device by refresh-token family
+ *   (logout, sign out device X). Entries live only until the tokens
+ *   would have expired anyway.
+ * - Watermark: Every token of a user issued before time T
+ *   (User.tokensValidAfter: password change, deactivation, log out
+ *   everywhere). One field, no matter how many tokens exist.
+ *
+ * STORE:
+ * TOKEN_DENYLIST_STORE=memory (default) or mongo. With several server
+ * instances use mongo, otherwise a token revoked on one instance still
+ * works on the others.
+ *
+ * "Stateless JWTs can't be revoked, so we add back exactly as much state
+ * as revocation needs: one small entry per revoked, unexpired token."
+ */
+
+import { User, RefreshToken } from '../models/index.js';
+import { createStore } from '../stores/index.js';
+
+const store = createStore(
+  'token-denylist',
+  process.env.TOKEN_DENYLIST_STORE || 'memory'
+);
+
+/**
+ * Revoke Access Token
+ *
+ * @param {Object} payload - Decoded access token ({ jti, exp })
+ */
+const revokeAccessToken = async ({ jti, exp }) => {
+  const ttlMs = exp * 1000 - Date.now();
+
+  // Tokens without jti predate revocation support; expired ones are harmless
+  if (!jti || ttlMs <= 0) {
+    return;
+  }
+
+  await store.set(`jti:${jti}`, true, ttlMs);
+};
+
+/**
+ * Revoke Family
+ *
+ * PURPOSE:
+ * Reject every access token issued to one device (they carry `fam`)
+ *
+ * @param {string} family - Refresh-token family ID
+ * @param {Date} expiresAt - When the family's refresh token expires
+ *   (access tokens never outlive it)
+ */
+const revokeFamily = async (family, expiresAt) => {
+  const ttlMs = expiresAt.getTime() - Date.now();
+
+  if (ttlMs > 0) {
+    await store.set(`fam:${family}`, true, ttlMs);
+  }
+};
+
+/**
+ * Is Access Token Revoked
+ *
+ * @param {Object} payload - Decoded access token ({ jti, fam })
+ * @returns {Promise<boolean>}
+ */
+const isAccessTokenRevoked = async ({ jti, fam }) => {
+  if (jti && (await store.get(`jti:${jti}`))) {
+    return true;
+  }
+  return Boolean(fam && (await store.get(`fam:${fam}`)));
+};
+
+/**
+ * Revoke All User Tokens
+ *
+ * PURPOSE:
+ * Log a user out everywhere: moves the watermark (access tokens) and
+ * revokes every refresh-token family (device list)
+ *
+ * @param {string} userId - User ID
+ */
+const revokeAllUserTokens = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return;
+  }
+
+  user.revokeAllTokens();
+  await user.save();
+
+  await RefreshToken.updateMany(
+    { user: user._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout_all' } }
+  );
+};
+
+export default {
+  revokeAccessToken,
+  revokeFamily,
+  isAccessTokenRevoked,
+  revokeAllUserTokens,
+};
@@ -0,0 +1,49 @@
+/**
+ * Socket Event Names
+ *
+ * PURPOSE:
+ * Single source of truth for event names shared by server and clients
+ *
+ * NAMING:
+ * "<resource>:<action>" (e.g. message:send, message:new)
+ * - Client → server events are verbs (join, send)
+ * - Server → client events describe what happened (new, joined)
+ */
+const EVENTS = Object.freeze({
+  // Client → server
+  SESSION_JOIN: 'session:join',
+  SESSION_LEAVE: 'session:leave',
+  MESSAGE_SEND: 'message:send',
+  MESSAGE_HISTORY: 'message:history',
+  MESSAGE_ACK: 'message:ack',
+  // Senders only
+  MESSAGE_EDIT: 'message:edit',
+  MESSAGE_DELETE: 'message:delete',
+  // Hosts only
+  JOIN_RESPOND: 'join:respond',
+  PARTICIPANT_KICK: 'participant:kick',
+  // Relayed both ways: opaque PAKE handshake messages (E2E sessions)
+  E2E_HANDSHAKE: 'e2e:handshake',
+
+  // Server → client
+  DEVICE_ASSIGNED: 'device:assigned',
+  MESSAGE_NEW: 'message:new',
+  MESSAGE_DELIVERED: 'message:delivered',
+  MESSAGE_READ: 'message:read',
+  MESSAGE_EDITED: 'message:edited',
+  MESSAGE_DELETED: 'message:deleted',
+  PARTICIPANT_JOINED: 'participant:joined',
+  PARTICIPANT_OFFLINE: 'participant:offline',
+  PARTICIPANT_LEFT: 'participant:left',
+  PARTICIPANT_KICKED: 'participant:kicked',
+  // Sent to hosts
+  JOIN_REQUESTED: 'join:requested',
+  JOIN_RESOLVED: 'join:resolved',
+  SESSION_UPDATED: 'session:updated',
+  SESSION_EXTENDED: 'session:extended',
+  SESSION_CLOSED: 'session:closed',
+  FILE_NEW: 'file:new',
+  FILE_DELETED: 'file:deleted',
+});
+
+export default EVENTS;
@@ -0,0 +1,267 @@
+/**
+ * Socket.io Gateway
+ *
+ * PURPOSE:
+ * - Attach Socket.io to the HTTP server (same port as the REST API)
+ * - Authenticate sockets that present an access token (optional)
+ * - Register event handlers for each connection
+ * - Let HTTP routes broadcast to session rooms (e.g. file uploads)
+ *
+ * AUTHENTICATION:
+ * Clients pass the access token in the handshake:
+ *   io(url, { auth: { token: accessToken } })
+ * No token means an anonymous device, which is allowed.
+ * Scripts may pass a personal access token with the sessions:write
+ * scope instead.
+ *
+ * DEVICES:
+ * Every socket speaks for a device (models/Device.js). Clients pass
+ * the device token they were given:
+ *   io(url, { auth: { token, deviceToken } })
+ * Without one, or with a retired one, a new device is registered and
+ * its token sent once in device:assigned. Clients must store it and
+ * present it from then on, or every reconnect is a new device.
+ *
+ * "HTTP is request/response, WebSockets are bidirectional. The server
+ * pushes new messages to every device the moment they arrive."
+ */
+
+import { Server } from 'socket.io';
+import authService from '../services/authService.js';
+import apiTokenService from '../services/apiTokenService.js';
+import deviceService from '../services/deviceService.js';
+import { requesterFromSocket } from '../utils/requester.js';
+import { corsOptions } from '../config/cors.js';
+import { MESSAGE_LIMITS } from '../models/Message.js';
+import EVENTS from './events.js';
+import registerSessionHandlers, { roomFor } from './sessionHandlers.js';
+import createReceiptBatcher from './receiptBatcher.js';
+import createJoinApprovals from './joinApprovals.js';
+
+// Largest frame a valid message can need: a rich message (HTML plus
+// its plaintext fallback) at 6 bytes a character, the JSON worst case
+// (control characters are sent as \u00XX escapes), plus room for the
+// event name and the other fields. Bigger frames are dropped with the
+// connection, so they must never hold a message we would accept.
+const MAX_FRAME_BYTES =
+  6 * (MESSAGE_LIMITS.html + MESSAGE_LIMITS.text) + 16 * 1024;
+
+// Module-level reference so routes can emit without passing io around
+let io = null;
+
+/**
+ * Room For A User's Sockets
+ *
+ * Authenticated sockets join it, so revoking a user's tokens can reach
+ * every device they are connected from.
+ *
+ * @param {string} userId - User ID
+ * @returns {string} - Socket.io room name
+ */
+const userRoomFor = (userId) => `user:${userId}`;
+
+/**
+ * Room For One Signed-In Device
+ *
+ * @param {string} family - Refresh-token family of the device
+ * @returns {string} - Socket.io room name
+ */
+const deviceRoomFor = (family) => `device:${family}`;
+
+/**
+ * Authenticate Personal Access Token
+ *
+ * @param {Socket} socket - Connecting socket
+ * @param {string} token - ctw_pat_... token from the handshake
+ * @returns {Promise<Object>} - Decoded token
+ */
+const authenticateApiToken = async (socket, token) => {
+  const decoded = await apiTokenService.authenticateToken(token, {
+    ip: requesterFromSocket(socket).ip,
+  });
+
+  if (!decoded.scopes.includes('sessions:write')) {
+    throw new Error('API token lacks the sessions:write scope');
+  }
+
+  return decoded;
+};
+
+/**
+ * Socket Authentication Middleware
+ *
+ * Runs once per connection, before 'connection' fires.
+ * Calling next(error) rejects the handshake with that message.
+ */
+const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  socket.data.userId = null;
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = apiTokenService.isApiToken(token)
+      ? await authenticateApiToken(socket, token)
+      : await authService.authenticateAccessToken(token);
+    socket.data.userId = decoded.userId;
+    socket.join(userRoomFor(decoded.userId));
+    if (decoded.fam) {
+      socket.join(deviceRoomFor(decoded.fam));
+    }
+    next();
+  } catch (error) {
+    next(new Error('Authentication failed'));
+  }
+};
+
+/**
+ * Device Identification Middleware
+ *
+ * Runs after authenticateSocket, so devices registered here are
+ * linked to the user when there is one.
+ */
+const identifySocketDevice = async (socket, next) => {
+  try {
+    const { device, deviceToken } = await deviceService.resolveDevice(
+      socket.handshake.auth?.deviceToken,
+      {
+        userAgent: socket.handshake.headers['user-agent'] || null,
+        userId: socket.data.userId,
+      }
+    );
+
+    socket.data.deviceId = device._id.toString();
+    socket.data.deviceInfo = device.displayName;
+    socket.data.deviceNamed = Boolean(device.name);
+    socket.data.issuedDevice = deviceToken
+      ? { deviceToken, device: deviceService.serializeDevice(device) }
+      : null;
+    next();
+  } catch (error) {
+    console.error('Error identifying socket device:', error);
+    next(new Error('Device identification failed'));
+  }
+};
+
+/**
+ * Initialize Socket.io
+ *
+ * @param {http.Server} httpServer - Server created in server.js
+ * @returns {Server} - Socket.io server instance
+ */
+const initSocket = (httpServer) => {
+  io = new Server(httpServer, {
+    cors: corsOptions,
+    // Reject oversized frames (see MAX_FRAME_BYTES)
+    maxHttpBufferSize: MAX_FRAME_BYTES,
+  });
+
+  io.use(authenticateSocket);
+  io.use(identifySocketDevice);
+
+  const receipts = createReceiptBatcher(io, roomFor);
+  const approvals = createJoinApprovals(io);
+
+  io.on('connection', (socket) => {
+    if (socket.data.issuedDevice) {
+      socket.emit(EVENTS.DEVICE_ASSIGNED, socket.data.issuedDevice);
+      socket.data.issuedDevice = null;
+    }
+
+    registerSessionHandlers(io, socket, { receipts, approvals });
+  });
+
+  return io;
+};
+
+/**
+ * Get Socket.io Instance
+ *
+ * @returns {Server} - Initialized Socket.io server
+ */
+const getIO = () => {
+  if (!io) {
+    throw new Error('Socket.io has not been initialized');
+  }
+  return io;
+};
+
+/**
+ * Emit To Session
+ *
+ * PURPOSE:
+ * Broadcast an event to every device in a session from outside the
+ * socket handlers (HTTP routes, background jobs)
+ *
+ * NOTE:
+ * Silently skipped when sockets are not initialized (scripts, tests),
+ * since a missed broadcast must never fail the HTTP request.
+ *
+ * @param {ObjectId|string} sessionId - Session ID
+ * @param {string} event - Event name from EVENTS
+ * @param {Object} payload - Event data
+ */
+const emitToSession = (sessionId, event, payload) => {
+  if (!io) {
+    return;
+  }
+  io.to(roomFor(sessionId)).emit(event, payload);
+};
+
+/**
+ * Close Session Room
+ *
+ * PURPOSE:
+ * Notify every device that the session ended and remove them from
+ * the room, so nothing else is broadcast to them
+ *
+ * @param {ObjectId|string} sessionId - Session ID
+ * @param {Object} payload - Event data sent with session:closed
+ */
+const closeSessionRoom = (sessionId, payload) => {
+  if (!io) {
+    return;
+  }
+  const room = roomFor(sessionId);
+  io.to(room).emit(EVENTS.SESSION_CLOSED, payload);
+  io.in(room).socketsLeave(room);
+};
+
+/**
+ * Disconnect User Sockets
+ *
+ * PURPOSE:
+ * Revoked tokens must not keep a live connection authenticated
+ * (log out everywhere, password change)
+ *
+ * @param {string} userId - User ID
+ */
+const disconnectUserSockets = (userId) => {
+  if (!io) {
+    return;
+  }
+  io.in(userRoomFor(userId)).disconnectSockets(true);
+};
+
+/**
+ * Disconnect Device Sockets
+ *
+ * @param {string} family - Refresh-token family of the signed-out device
+ */
+const disconnectDeviceSockets = (family) => {
+  if (!io) {
+    return;
+  }
+  io.in(deviceRoomFor(family)).disconnectSockets(true);
+};
+
+export {
+  initSocket,
+  getIO,
+  emitToSession,
+  closeSessionRoom,
+  disconnectUserSockets,
+  disconnectDeviceSockets,
+};
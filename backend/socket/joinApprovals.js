@@ -0,0 +1,155 @@
+/**
+ * Join Approvals
+ *
+ * PURPOSE:
+ * Hold session:join requests for approval-mode sessions until a host
+ * answers them
+ *
+ * FLOW:
+ * 1. A guest's session:join calls request(); its ack waits
+ * 2. Host sockets get join:requested { requestId, deviceId, ... }
+ * 3. A host sends join:respond { requestId, approve }, or the request
+ *    times out (JOIN_APPROVAL_TIMEOUT_SECONDS), or the guest leaves
+ * 4. Hosts get join:resolved { requestId, approved }, so every host
+ *    tab can drop the prompt; the guest's join continues or fails
+ *
+ * TRADE-OFF:
+ * Pending requests live in process memory, like the receipt batcher.
+ * A restart drops them; the waiting guests are disconnected anyway.
+ */
+
+import crypto from 'crypto';
+import EVENTS from './events.js';
+import joinApprovalConfig from '../config/joinApproval.js';
+
+/**
+ * Create Join Approvals
+ *
+ * @param {Server} io - Socket.io server
+ * @returns {Object} - { request, respond, cancelForSocket }
+ */
+const createJoinApprovals = (io) => {
+  // requestId => { sessionId, socketId, hostSocketIds, resolve, reject, timer }
+  const pending = new Map();
+
+  /**
+   * Settle Request
+   *
+   * @param {string} requestId - Request to finish
+   * @param {Error|null} error - null = approved
+   */
+  const settle = (requestId, error) => {
+    const entry = pending.get(requestId);
+    if (!entry) {
+      return;
+    }
+
+    pending.delete(requestId);
+    clearTimeout(entry.timer);
+
+    io.to(entry.hostSocketIds).emit(EVENTS.JOIN_RESOLVED, {
+      requestId,
+      approved: !error,
+    });
+
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve();
+    }
+  };
+
+  /**
+   * Request Approval
+   *
+   * @param {Document} session - Approval-mode session
+   * @param {Object} guest - { deviceId, socketId, deviceInfo }
+   * @returns {Promise<void>} - Resolves when approved; rejects with
+   *   403 (denied), 408 (no answer) or 409 (no host connected)
+   */
+  const request = (session, { deviceId, socketId, deviceInfo }) => {
+    const hostSocketIds = session.participants
+      .filter((p) => p.isHost && !p.disconnectedAt)
+      .map((p) => p.socketId);
+
+    if (hostSocketIds.length === 0) {
+      const error = new Error(
+        'The host is not connected, try again once they are'
+      );
+      error.statusCode = 409;
+      return Promise.reject(error);
+    }
+
+    const requestId = crypto.randomUUID();
+    const timeoutMs = joinApprovalConfig.timeoutSeconds * 1000;
+
+    return new Promise((resolve, reject) => {
+      pending.set(requestId, {
+        sessionId: session._id.toString(),
+        socketId,
+        hostSocketIds,
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          const error = new Error('The host did not answer in time');
+          error.statusCode = 408;
+          settle(requestId, error);
+        }, timeoutMs),
+      });
+
+      io.to(hostSocketIds).emit(EVENTS.JOIN_REQUESTED, {
+        requestId,
+        deviceId,
+        deviceInfo,
+        expiresAt: new Date(Date.now() + timeoutMs),
+      });
+    });
+  };
+
+  /**
+   * Respond To Request
+   *
+   * @param {string} sessionId - Host's session (requests of other
+   *   sessions look like missing)
+   * @param {string} requestId - Request to answer
+   * @param {boolean} approve - Let the device in
+   */
+  const respond = (sessionId, requestId, approve) => {
+    const entry = pending.get(requestId);
+
+    if (!entry || entry.sessionId !== sessionId) {
+      const error = new Error('Join request not found or already answered');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    let error = null;
+    if (!approve) {
+      error = new Error('The host declined your request to join');
+      error.statusCode = 403;
+    }
+
+    settle(requestId, error);
+  };
+
+  /**
+   * Cancel Requests Of A Socket
+   *
+   * The guest disconnected or started another join
+   *
+   * @param {string} socketId - Waiting socket
+   */
+  const cancelForSocket = (socketId) => {
+    for (const [requestId, entry] of pending) {
+      if (entry.socketId === socketId) {
+        const error = new Error('Join request cancelled');
+        error.statusCode = 409;
+        settle(requestId, error);
+      }
+    }
+  };
+
+  return { request, respond, cancelForSocket };
+};
+
+export default createJoinApprovals;
@@ -0,0 +1,157 @@
+/**
+ * Receipt Batcher
+ *
+ * PURPOSE:
+ * Collect message:ack events per session and write them together
+ *
+ * WHY BATCH?
+ * A device scrolling through history acknowledges dozens of messages
+ * a second. Acks are buffered for FLUSH_MS, then each device's batch
+ * becomes one query per status, and each session gets one broadcast
+ * per status instead of one per message.
+ *
+ * BURN AFTER READING:
+ * Messages flagged burnAfterReading are deleted in the same flush
+ * that records their first read; the session gets message:deleted.
+ *
+ * TRADE-OFF:
+ * Receipts live in process memory until the flush. A crash loses at
+ * most FLUSH_MS of them, which only delays a "seen" tick.
+ */
+
+import EVENTS from './events.js';
+import messageService from '../services/messageService.js';
+
+const FLUSH_MS = 1000;
+
+// Per device and flush; anything beyond is dropped (clients re-ack)
+const MAX_PENDING_PER_DEVICE = 1000;
+
+/**
+ * Create Receipt Batcher
+ *
+ * @param {Server} io - Socket.io server
+ * @param {Function} roomFor - sessionId => room name
+ * @returns {Object} - { queue }
+ */
+const createReceiptBatcher = (io, roomFor) => {
+  // sessionId => { devices: Map<deviceId, { deviceInfo, delivered, read }>, timer }
+  const pending = new Map();
+
+  /**
+   * Flush One Session
+   *
+   * Reads count as deliveries too: a device can't display a message it
+   * never received.
+   *
+   * @param {string} sessionId - Session to flush
+   */
+  const flush = async (sessionId) => {
+    const batch = pending.get(sessionId);
+    pending.delete(sessionId);
+
+    const room = roomFor(sessionId);
+    const delivered = new Set();
+    const burned = [];
+
+    for (const [deviceId, device] of batch.devices) {
+      const receivedIds = [...new Set([...device.delivered, ...device.read])];
+
+      if (receivedIds.length > 0) {
+        const ids = await messageService.markDelivered(
+          sessionId,
+          deviceId,
+          receivedIds
+        );
+        ids.forEach((id) => delivered.add(id));
+      }
+
+      if (device.read.size > 0) {
+        const { messageIds, readAt } = await messageService.markRead(
+          sessionId,
+          { deviceId, deviceInfo: device.deviceInfo },
+          [...device.read]
+        );
+
+        if (messageIds.length > 0) {
+          io.to(room).emit(EVENTS.MESSAGE_READ, {
+            messageIds,
+            deviceId,
+            deviceInfo: device.deviceInfo,
+            readAt,
+          });
+
+          burned.push(
+            ...(await messageService.burnReadMessages(sessionId, messageIds))
+          );
+        }
+      }
+    }
+
+    burned.forEach((id) => delivered.delete(id));
+
+    if (delivered.size > 0) {
+      io.to(room).emit(EVENTS.MESSAGE_DELIVERED, {
+        messageIds: [...delivered],
+      });
+    }
+
+    if (burned.length > 0) {
+      io.to(room).emit(EVENTS.MESSAGE_DELETED, {
+        messageIds: burned,
+        reason: 'burned',
+      });
+    }
+  };
+
+  /**
+   * Queue Acknowledgement
+   *
+   * @param {Object} params
+   * @param {string} params.sessionId - Session of the acking socket
+   * @param {string} params.deviceId - Its device
+   * @param {string} params.deviceInfo - Its device description
+   * @param {string} params.status - 'delivered' or 'read'
+   * @param {string[]} params.messageIds - Acknowledged messages
+   * @returns {number} - How many IDs were queued
+   */
+  const queue = ({ sessionId, deviceId, deviceInfo, status, messageIds }) => {
+    if (!pending.has(sessionId)) {
+      pending.set(sessionId, {
+        devices: new Map(),
+        timer: setTimeout(() => {
+          flush(sessionId).catch((error) => {
+            console.error('Error writing message receipts:', error);
+          });
+        }, FLUSH_MS),
+      });
+    }
+
+    const { devices } = pending.get(sessionId);
+    if (!devices.has(deviceId)) {
+      devices.set(deviceId, {
+        deviceInfo,
+        delivered: new Set(),
+        read: new Set(),
+      });
+    }
+
+    const device = devices.get(deviceId);
+    const target = status === 'read' ? device.read : device.delivered;
+    let queued = 0;
+
+    for (const id of messageIds) {
+      if (device.delivered.size + device.read.size >= MAX_PENDING_PER_DEVICE) {
+        break;
+      }
+      target.add(id);
+      queued++;
+    }
+
+    return queued;
+  };
+
+  return { queue };
+};
+
+export default createReceiptBatcher;
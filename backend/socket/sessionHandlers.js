@@ -0,0 +1,733 @@
+/**
+ * Session Socket Handlers
+ *
+ * PURPOSE:
+ * - Join a device to a pairing-code session (Socket.io room)
+ * - Persist and broadcast text messages
+ * - Collect delivery and read receipts (batched, see receiptBatcher)
+ * - Let hosts approve joins and kick participants (see joinApprovals)
+ * - Announce joins and leaves as system messages
+ * - Relay E2E key-exchange messages between devices
+ * - Mark participants offline on disconnect
+ *
+ * ACKNOWLEDGEMENTS:
+ * Every client → server event accepts an optional callback:
+ *   socket.emit('message:send', { content }, (res) => { ... })
+ * res is { success: true, data } or { success: false, message }
+ *
+ * ROOMS:
+ * Each session maps to one room, so io.to(room).emit() reaches every
+ * device in the session and nobody else.
+ */
+
+import EVENTS from './events.js';
+import sessionService from '../services/sessionService.js';
+import messageService from '../services/messageService.js';
+import deviceService from '../services/deviceService.js';
+import { requesterFromSocket } from '../utils/requester.js';
+import {
+  pairingCodeForLookup,
+  describePairingCode,
+} from '../utils/pairingCode.js';
+
+// PAKE messages are a few hundred bytes; anything larger is abuse
+const MAX_HANDSHAKE_PAYLOAD_LENGTH = 4096;
+
+// message:ack IDs per event (a screenful of history, with room to spare)
+const MAX_ACK_IDS = 200;
+
+const RECEIPT_STATUSES = ['delivered', 'read'];
+
+/**
+ * Room Name For Session
+ *
+ * @param {ObjectId|string} sessionId - Session ID
+ * @returns {string} - Socket.io room name
+ */
+const roomFor = (sessionId) => `session:${sessionId.toString()}`;
+
+/**
+ * Wrap Handler With Acknowledgement
+ *
+ * PURPOSE:
+ * Run an async handler and always answer the client's callback,
+ * whether the handler succeeds or throws
+ *
+ * @param {Function} handler - async (payload) => data
+ * @returns {Function} - Socket.io event listener
+ */
+const withAck = (handler) => async (payload, ack) => {
+  // Clients may omit the payload and pass only a callback
+  if (typeof payload === 'function') {
+    ack = payload;
+    payload = {};
+  }
+
+  const respond = typeof ack === 'function' ? ack : () => {};
+
+  try {
+    const data = await handler(payload || {});
+    respond({ success: true, data });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Socket handler error:', error);
+    }
+    respond({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Register Session Handlers
+ *
+ * SOCKET STATE (socket.data):
+ * - userId: Set by the auth middleware when a token was provided
+ * - deviceId: Device this socket speaks for (set at the handshake)
+ * - deviceInfo: Device description used in system messages
+ * - deviceNamed: Whether the user has named the device
+ * - sessionId: Session this socket is currently in (one at a time)
+ * - isHost: Whether the device is a host of that session
+ * - encrypted: Whether the current session is end-to-end encrypted
+ *
+ * PARTICIPANTS:
+ * Sessions list devices, not sockets. A device that reconnects and
+ * rejoins keeps its place (and its messages, files and receipts);
+ * only its socketId changes. A dropped connection only marks the
+ * device offline; it leaves on session:leave, when kicked, or when
+ * it stays away past the grace period (participantCleanupJob).
+ *
+ * @param {Server} io - Socket.io server
+ * @param {Socket} socket - Connected socket
+ * @param {Object} shared - State shared by all sockets
+ * @param {Object} shared.receipts - Receipt batcher
+ * @param {Object} shared.approvals - Pending join requests
+ */
+const registerSessionHandlers = (io, socket, { receipts, approvals }) => {
+  /**
+   * Require Host
+   *
+   * @returns {string} - The host's session ID
+   */
+  const requireHost = () => {
+    const { sessionId, isHost } = socket.data;
+
+    if (!sessionId || !isHost) {
+      const error = new Error('Only the session host can do this');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    return sessionId;
+  };
+
+  /**
+   * Require Active Session
+   *
+   * @param {string} action - What the caller wants to do ("editing")
+   * @returns {Promise<Document>} - The socket's session, still active
+   */
+  const requireActiveSession = async (action) => {
+    const { sessionId } = socket.data;
+
+    if (!sessionId) {
+      const error = new Error(`Join a session before ${action} messages`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return sessionService.findActiveSessionById(sessionId);
+  };
+
+  /**
+   * Leave Current Session
+   *
+   * Shared by explicit leave and switching sessions
+   */
+  const leaveCurrentSession = async () => {
+    const { sessionId, deviceId, deviceInfo } = socket.data;
+
+    if (!sessionId) {
+      return;
+    }
+
+    socket.data.sessionId = null;
+    socket.data.isHost = false;
+    socket.leave(roomFor(sessionId));
+
+    const session = await sessionService.leaveSession(sessionId, {
+      deviceId,
+      socketId: socket.id,
+    });
+
+    // Session deleted or closed, or the device already rejoined on a
+    // newer socket
+    if (!session || session.status !== 'active') {
+      return;
+    }
+
+    const systemMessage = await messageService.createSystemMessage(
+      sessionId,
+      `${deviceInfo} left the session`
+    );
+
+    io.to(roomFor(sessionId)).emit(EVENTS.PARTICIPANT_LEFT, {
+      deviceId,
+      socketId: socket.id,
+      participantCount: session.participants.length,
+    });
+    io.to(roomFor(sessionId)).emit(EVENTS.MESSAGE_NEW, systemMessage);
+  };
+
+  /**
+   * session:join
+   *
+   * PAYLOAD: { pairingCode, deviceInfo?, since?, creatorSecret?, pin? }
+   *          or { joinToken, deviceInfo?, since?, creatorSecret?, pin? }
+   * ACK DATA: { sessionId, deviceId, isHost, pairingCode, expiresAt,
+   *             maxParticipants, requireApproval, pinRequired,
+   *             participants, history, historyHasMore }
+   *
+   * HOSTS AND GUESTS:
+   * Joining as the logged-in creator, or with the anonymous creator's
+   * creatorSecret, makes the device a host. Guests are refused when
+   * the session is full (409) or they were kicked (403). In approval
+   * mode the ack waits until a host answers (403 when denied, 408
+   * without an answer, 409 when no host is connected).
+   *
+   * PIN-protected sessions refuse guests without pin (401). Wrong PINs
+   * count toward the lockout on both transports, and enough of them
+   * close the session, like wrong creator secrets.
+   *
+   * deviceInfo names the device, if the user hasn't named it yet
+   * (PATCH /api/devices/me renames it later). Rejoining after a
+   * reconnect updates the device's socket and announces no new join.
+   *
+   * history holds the latest messages. A reconnecting client sends
+   * since (its last-seen message ID or a timestamp) and gets what it
+   * missed instead; when historyHasMore is true, it continues with
+   * message:history { after }. An unknown since (e.g. a message from
+   * another session) falls back to the latest messages.
+   *
+   * joinToken comes from a QR code or deep link and is single-use.
+   * pairingCode is returned so token joiners can run the E2E handshake.
+   *
+   * Code joins are throttled like the HTTP lookups (same counters, so
+   * switching transports doesn't buy an attacker more guesses).
+   */
+  socket.on(
+    EVENTS.SESSION_JOIN,
+    withAck(async (payload) => {
+      const { pairingCode, joinToken, deviceInfo, since, creatorSecret, pin } =
+        payload;
+      const useToken = typeof joinToken === 'string' && joinToken.length > 0;
+      const code = useToken ? null : pairingCodeForLookup(pairingCode);
+
+      if (!useToken && !code) {
+        const error = new Error(
+          `Pairing code must be ${describePairingCode()}`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // A socket lives in one session at a time
+      approvals.cancelForSocket(socket.id);
+      await leaveCurrentSession();
+
+      if (!socket.data.deviceNamed) {
+        const name = await deviceService.nameIfUnnamed(
+          socket.data.deviceId,
+          deviceInfo
+        );
+        if (name) {
+          socket.data.deviceInfo = name;
+          socket.data.deviceNamed = true;
+        }
+      }
+
+      const { deviceId, deviceInfo: device } = socket.data;
+      const participant = {
+        deviceId,
+        socketId: socket.id,
+        deviceInfo: device,
+      };
+
+      const options = {
+        userId: socket.data.userId,
+        creatorSecret: typeof creatorSecret === 'string' ? creatorSecret : null,
+        pin: typeof pin === 'string' ? pin : null,
+        requester: requesterFromSocket(socket),
+        requestApproval: (pending) => approvals.request(pending, participant),
+      };
+
+      let joined;
+      try {
+        joined = useToken
+          ? await sessionService.joinSessionWithToken(
+              joinToken,
+              participant,
+              options
+            )
+          : await sessionService.joinSession(
+              code,
+              participant,
+              options.requester,
+              options
+            );
+      } catch (error) {
+        // Too many wrong creator secrets or PINs closed the session
+        if (error.closedSessionId) {
+          const room = roomFor(error.closedSessionId);
+          io.to(room).emit(EVENTS.SESSION_CLOSED, {
+            reason: 'too_many_attempts',
+          });
+          io.in(room).socketsLeave(room);
+        }
+        throw error;
+      }
+
+      const { session, rejoined, isHost } = joined;
+
+      socket.data.sessionId = session._id.toString();
+      socket.data.isHost = isHost;
+      socket.data.encrypted = session.encrypted;
+
+      const room = roomFor(session._id);
+
+      // Tell existing members before the new socket enters the room
+      socket.to(room).emit(EVENTS.PARTICIPANT_JOINED, {
+        deviceId,
+        socketId: socket.id,
+        deviceInfo: device,
+        isHost,
+        rejoined,
+        participantCount: session.participants.length,
+      });
+
+      if (!rejoined) {
+        const systemMessage = await messageService.createSystemMessage(
+          session._id,
+          `${device} joined the session`
+        );
+        socket.to(room).emit(EVENTS.MESSAGE_NEW, systemMessage);
+      }
+
+      socket.join(room);
+
+      const history = await messageService
+        .getHistory(
+          session._id,
+          since != null
+            ? { after: since, limit: messageService.MAX_HISTORY_LIMIT }
+            : {}
+        )
+        .catch((error) => {
+          // The join already happened; a bad cursor mustn't undo it
+          if (error.statusCode !== 400) {
+            throw error;
+          }
+          return messageService.getHistory(session._id);
+        });
+
+      return {
+        sessionId: socket.data.sessionId,
+        deviceId,
+        isHost,
+        pairingCode: session.pairingCode,
+        expiresAt: session.expiresAt,
+        encrypted: session.encrypted,
+        maxParticipants: session.maxParticipants ?? null,
+        requireApproval: Boolean(session.requireApproval),
+        pinRequired: Boolean(session.pinRequired),
+        participants: session.participants.map((p) => ({
+          deviceId: p.device.toString(),
+          socketId: p.socketId,
+          deviceInfo: p.deviceInfo,
+          isHost: p.isHost,
+          online: !p.disconnectedAt,
+          joinedAt: p.joinedAt,
+        })),
+        history: history.messages,
+        historyHasMore: history.hasMore,
+      };
+    })
+  );
+
+  /**
+   * message:send
+   *
+   * PAYLOAD: { type?, content?, language?, url?, html?, fileId? } or,
+   *          in encrypted sessions,
+   *          { encryption: { algorithm, nonce, ciphertext } }
+   *          plus, for either, { burnAfterReading?, ttlSeconds? }
+   * ACK DATA: The saved message
+   *
+   * type defaults to 'text'; see messageService for what each type
+   * needs ('code', 'link', 'rich', 'file').
+   *
+   * burnAfterReading deletes the message once another device reads it
+   * (message:ack 'read'); ttlSeconds once the timer runs out. Either
+   * way, the session gets message:deleted.
+   *
+   * The sender receives the message through message:new as well, so
+   * all devices render messages from a single event.
+   */
+  socket.on(
+    EVENTS.MESSAGE_SEND,
+    withAck(async (payload) => {
+      const {
+        type,
+        content,
+        language,
+        url,
+        html,
+        fileId,
+        encryption,
+        burnAfterReading,
+        ttlSeconds,
+      } = payload;
+
+      // The session may have been closed or expired since we joined
+      const session = await requireActiveSession('sending');
+      const sessionId = session._id.toString();
+
+      const message = await messageService.createMessage({
+        sessionId,
+        encrypted: session.encrypted,
+        senderDeviceId: socket.data.deviceId,
+        senderId: socket.data.userId,
+        type,
+        content,
+        language,
+        url,
+        html,
+        fileId,
+        encryption,
+        burnAfterReading,
+        ttlSeconds,
+      });
+
+      io.to(roomFor(sessionId)).emit(EVENTS.MESSAGE_NEW, message);
+      return message;
+    })
+  );
+
+  /**
+   * message:edit
+   *
+   * PAYLOAD: { messageId, ...fields of its type } or, in encrypted
+   *          sessions, { messageId, encryption }
+   * ACK DATA: The edited message (editedAt set)
+   *
+   * Only the sender may edit: the sending device, or another device of
+   * the logged-in user who sent it. The type can't change. Every device
+   * gets message:edited with the whole message.
+   */
+  socket.on(
+    EVENTS.MESSAGE_EDIT,
+    withAck(async (payload) => {
+      const { messageId, content, language, url, html, fileId, encryption } =
+        payload;
+      const session = await requireActiveSession('editing');
+
+      const message = await messageService.editMessage({
+        sessionId: session._id,
+        encrypted: session.encrypted,
+        messageId,
+        sender: { deviceId: socket.data.deviceId, userId: socket.data.userId },
+        content,
+        language,
+        url,
+        html,
+        fileId,
+        encryption,
+      });
+
+      io.to(roomFor(session._id)).emit(EVENTS.MESSAGE_EDITED, message);
+      return message;
+    })
+  );
+
+  /**
+   * message:delete
+   *
+   * PAYLOAD: { messageId }
+   * ACK DATA: { messageId }
+   *
+   * Sender only (see message:edit). The message is removed from the
+   * database, not hidden; every device gets message:deleted.
+   */
+  socket.on(
+    EVENTS.MESSAGE_DELETE,
+    withAck(async ({ messageId }) => {
+      const session = await requireActiveSession('deleting');
+
+      const deletedId = await messageService.deleteMessage(
+        session._id,
+        messageId,
+        { deviceId: socket.data.deviceId, userId: socket.data.userId }
+      );
+
+      io.to(roomFor(session._id)).emit(EVENTS.MESSAGE_DELETED, {
+        messageIds: [deletedId],
+        reason: 'deleted',
+      });
+      return { messageId: deletedId };
+    })
+  );
+
+  /**
+   * message:ack
+   *
+   * PAYLOAD: { messageIds, status } - status is 'delivered' (received)
+   *          or 'read' (shown to the user)
+   * ACK DATA: { queued } - IDs accepted for the next batch
+   *
+   * Receipts are written about a second later, then broadcast:
+   * - message:delivered { messageIds }
+   * - message:read { messageIds, deviceId, deviceInfo, readAt }
+   * Own messages, system messages and repeats are ignored (per device,
+   * so a reconnected device doesn't count twice).
+   */
+  socket.on(
+    EVENTS.MESSAGE_ACK,
+    withAck(async ({ messageIds, status }) => {
+      const { sessionId, deviceId, deviceInfo } = socket.data;
+
+      if (!sessionId) {
+        const error = new Error('Join a session before acknowledging');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (
+        !RECEIPT_STATUSES.includes(status) ||
+        !Array.isArray(messageIds) ||
+        messageIds.length > MAX_ACK_IDS ||
+        !messageIds.every(
+          (id) => typeof id === 'string' && /^[a-f0-9]{24}$/i.test(id)
+        )
+      ) {
+        const error = new Error(
+          `Send up to ${MAX_ACK_IDS} message IDs with status 'delivered' or 'read'`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const queued = receipts.queue({
+        sessionId,
+        deviceId,
+        deviceInfo,
+        status,
+        messageIds,
+      });
+
+      return { queued };
+    })
+  );
+
+  /**
+   * message:history
+   *
+   * PAYLOAD: { before?, after?, limit? }
+   * - before: Message ID or timestamp; older messages (scrolling back)
+   * - after: Message ID or timestamp; newer messages (catching up)
+   * - limit: Page size, 50 by default, at most 200
+   * ACK DATA: { messages (oldest first), hasMore }
+   */
+  socket.on(
+    EVENTS.MESSAGE_HISTORY,
+    withAck(async ({ before, after, limit }) => {
+      const { sessionId } = socket.data;
+
+      if (!sessionId) {
+        const error = new Error('Join a session before loading history');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return messageService.getHistory(sessionId, { before, after, limit });
+    })
+  );
+
+  /**
+   * e2e:handshake
+   *
+   * PAYLOAD: { payload, to? }
+   * - payload: Opaque string (e.g. base64 SPAKE2 message)
+   * - to: Target socket ID; omitted = every other device in the session
+   *
+   * RELAYED AS: { from, payload }
+   *
+   * The server only forwards these. It can't complete the exchange
+   * itself because it never learns the derived key: SPAKE2 reveals
+   * nothing about the password (pairing code) to a passive relay, and
+   * an active attacker gets one online guess per handshake.
+   */
+  socket.on(
+    EVENTS.E2E_HANDSHAKE,
+    withAck(async ({ payload, to }) => {
+      const { sessionId, encrypted } = socket.data;
+
+      if (!sessionId || !encrypted) {
+        const error = new Error('Key exchange requires an encrypted session');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (
+        typeof payload !== 'string' ||
+        payload.length === 0 ||
+        payload.length > MAX_HANDSHAKE_PAYLOAD_LENGTH
+      ) {
+        const error = new Error('Invalid handshake payload');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const relayed = { from: socket.id, payload };
+
+      if (to) {
+        // Only relay to devices in the same session
+        const room = io.sockets.adapter.rooms.get(roomFor(sessionId));
+        if (!room || !room.has(to) || to === socket.id) {
+          const error = new Error('Target device is not in this session');
+          error.statusCode = 404;
+          throw error;
+        }
+        io.to(to).emit(EVENTS.E2E_HANDSHAKE, relayed);
+      } else {
+        socket.to(roomFor(sessionId)).emit(EVENTS.E2E_HANDSHAKE, relayed);
+      }
+
+      return null;
+    })
+  );
+
+  /**
+   * join:respond (hosts only)
+   *
+   * PAYLOAD: { requestId, approve }
+   * ACK DATA: null
+   *
+   * Answers a join:requested prompt. The first host to answer wins;
+   * later answers get 404.
+   */
+  socket.on(
+    EVENTS.JOIN_RESPOND,
+    withAck(async ({ requestId, approve }) => {
+      const sessionId = requireHost();
+
+      if (typeof requestId !== 'string' || typeof approve !== 'boolean') {
+        const error = new Error('Send a requestId and approve: true or false');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      approvals.respond(sessionId, requestId, approve);
+      return null;
+    })
+  );
+
+  /**
+   * participant:kick (hosts only)
+   *
+   * PAYLOAD: { deviceId }
+   * ACK DATA: { participantCount }
+   *
+   * Removes the device and blocks it from rejoining this session.
+   * Everyone, including the kicked device, gets participant:kicked;
+   * the kicked socket is then taken out of the room. Hosts can't be
+   * kicked.
+   */
+  socket.on(
+    EVENTS.PARTICIPANT_KICK,
+    withAck(async ({ deviceId }) => {
+      const sessionId = requireHost();
+
+      if (typeof deviceId !== 'string' || !/^[a-f0-9]{24}$/i.test(deviceId)) {
+        const error = new Error('Invalid device ID');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const session = await sessionService.findActiveSessionById(sessionId);
+      const { participant, participantCount } =
+        await sessionService.kickParticipant(session, deviceId);
+
+      const room = roomFor(sessionId);
+      io.to(room).emit(EVENTS.PARTICIPANT_KICKED, {
+        deviceId,
+        deviceInfo: participant.deviceInfo,
+        participantCount,
+      });
+
+      // Its disconnect must not try to leave again
+      const kicked = io.sockets.sockets.get(participant.socketId);
+      if (kicked && kicked.data.sessionId === sessionId) {
+        kicked.data.sessionId = null;
+        kicked.data.isHost = false;
+      }
+      io.in(participant.socketId).socketsLeave(room);
+
+      const systemMessage = await messageService.createSystemMessage(
+        sessionId,
+        `${participant.deviceInfo} was removed by the host`
+      );
+      io.to(room).emit(EVENTS.MESSAGE_NEW, systemMessage);
+
+      return { participantCount };
+    })
+  );
+
+  /**
+   * session:leave
+   *
+   * Leaves for good: other devices get participant:left and a "left"
+   * system message right away (a disconnect only marks it offline)
+   */
+  socket.on(
+    EVENTS.SESSION_LEAVE,
+    withAck(async () => {
+      await leaveCurrentSession();
+      return null;
+    })
+  );
+
+  /**
+   * disconnect
+   *
+   * The device stays in the session, offline, so a refresh or a
+   * network blip doesn't count as leaving. Others get
+   * participant:offline { deviceId, socketId } now, and
+   * participant:left if it hasn't rejoined when the grace period ends.
+   */
+  socket.on('disconnect', async () => {
+    approvals.cancelForSocket(socket.id);
+
+    const { sessionId, deviceId } = socket.data;
+    if (!sessionId) {
+      return;
+    }
+    socket.data.sessionId = null;
+
+    try {
+      const session = await sessionService.disconnectParticipant(sessionId, {
+        deviceId,
+        socketId: socket.id,
+      });
+
+      if (session && session.status === 'active') {
+        io.to(roomFor(sessionId)).emit(EVENTS.PARTICIPANT_OFFLINE, {
+          deviceId,
+          socketId: socket.id,
+        });
+      }
+    } catch (error) {
+      console.error('Error cleaning up disconnected socket:', error);
+    }
+  });
+};
+
+export { roomFor, withAck };
+export default registerSessionHandlers;
@@ -0,0 +1,85 @@
+/**
+ * Cloudinary Storage Driver
+ *
+ * PURPOSE:
+ * Store uploaded files on Cloudinary's CDN
+ *
+ * CONFIGURATION:
+ * CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET
+ * (see config/cloudinary.js)
+ *
+ * KEYS:
+ * The storage key is the Cloudinary public_id (e.g. "ctrl-w/<session>/<uuid>").
+ * Cloudinary also needs the resource type (image, video or raw) to build
+ * URLs and delete files, which we derive from the MIME type.
+ */
+
+import cloudinary from '../config/cloudinary.js';
+
+/**
+ * Resource Type For MIME Type
+ *
+ * @param {string} [contentType] - MIME type of the stored file
+ * @returns {string} - Cloudinary resource_type
+ */
+const resourceTypeFor = (contentType = '') => {
+  if (contentType.startsWith('image/')) {
+    return 'image';
+  }
+  if (contentType.startsWith('video/') || contentType.startsWith('audio/')) {
+    return 'video';
+  }
+  return 'raw';
+};
+
+/**
+ * Strip File Extension
+ *
+ * Cloudinary appends the format to image and video URLs itself, so
+ * their public_id must not carry one. Raw files keep theirs.
+ */
+const publicIdFor = (key, resourceType) =>
+  resourceType === 'raw' ? key : key.replace(/\.[^/.]+$/, '');
+
+/**
+ * Create Cloudinary Storage Driver
+ *
+ * @param {Object} options
+ * @param {string} options.folder - Folder prefix for uploads
+ * @returns {Object} - Storage driver
+ */
+const createCloudinaryStorage = ({ folder }) => ({
+  name: 'cloudinary',
+
+  async upload(buffer, { key, contentType }) {
+    const resourceType = resourceTypeFor(contentType);
+    const publicId = publicIdFor(`${folder}/${key}`, resourceType);
+
+    // upload_stream accepts a buffer without touching the filesystem
+    await new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { public_id: publicId, resource_type: resourceType },
+        (error, result) => (error ? reject(error) : resolve(result))
+      );
+      stream.end(buffer);
+    });
+
+    return { key: publicId };
+  },
+
+  async delete(key, { contentType } = {}) {
+    await cloudinary.uploader.destroy(key, {
+      resource_type: resourceTypeFor(contentType),
+      invalidate: true, // Purge CDN caches too
+    });
+  },
+
+  async getUrl(key, { contentType } = {}) {
+    return cloudinary.url(key, {
+      resource_type: resourceTypeFor(contentType),
+      secure: true,
+    });
+  },
+});
+
+export default createCloudinaryStorage;
@@ -0,0 +1,154 @@
+/**
+ * File Storage Layer
+ *
+ * PURPOSE:
+ * - Hide where file bytes live behind one small interface
+ * - Pick the active driver from STORAGE_DRIVER
+ * - Keep older files reachable after switching drivers
+ *
+ * DRIVER INTERFACE:
+ * Every driver is a plain object with:
+ * - name: Provider name stored on File.storageProvider
+ * - upload(buffer, { key, contentType }) → Promise<{ key }>
+ * - delete(key, { contentType }) → Promise<void>
+ * - getUrl(key, { contentType }) → Promise<string>
+ *
+ * DRIVERS:
+ * - local: Server filesystem (self-hosting, development)
+ * - s3: AWS S3 or any S3-compatible service (MinIO)
+ * - cloudinary: Cloudinary CDN
+ *
+ * "This is the Strategy pattern. The File model and upload route only
+ * know the interface, so adding a driver never touches them."
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import createLocalStorage from './localStorage.js';
+import createS3Storage from './s3Storage.js';
+import createCloudinaryStorage from './cloudinaryStorage.js';
+
+dotenv.config();
+
+const STORAGE_PROVIDERS = ['local', 's3', 'cloudinary'];
+
+/**
+ * Driver Factories
+ *
+ * Each factory reads its own environment variables, so a deployment
+ * only needs credentials for the drivers it actually uses.
+ */
+const factories = {
+  local: () =>
+    createLocalStorage({
+      directory: process.env.LOCAL_STORAGE_DIR || 'uploads',
+      publicUrl:
+        process.env.LOCAL_STORAGE_PUBLIC_URL ||
+        `http://localhost:${process.env.PORT || 5000}/uploads`,
+    }),
+
+  s3: () =>
+    createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      publicUrl: process.env.S3_PUBLIC_URL,
+      urlExpirySeconds: parseInt(process.env.S3_URL_EXPIRY_SECONDS) || 3600,
+    }),
+
+  cloudinary: () =>
+    createCloudinaryStorage({
+      folder: process.env.CLOUDINARY_FOLDER || 'ctrl-w',
+    }),
+};
+
+// Drivers are created on first use and reused afterwards
+const drivers = new Map();
+
+/**
+ * Get Default Provider
+ *
+ * @returns {string} - Provider name from STORAGE_DRIVER (default: local)
+ */
+const getDefaultProvider = () => process.env.STORAGE_DRIVER || 'local';
+
+/**
+ * Get Storage Driver
+ *
+ * USAGE:
+ * const storage = getStorage();                    // Active driver
+ * const storage = getStorage(file.storageProvider) // Driver a file used
+ *
+ * @param {string} [provider] - Provider name (default: STORAGE_DRIVER)
+ * @returns {Object} - Storage driver
+ */
+const getStorage = (provider = getDefaultProvider()) => {
+  if (!STORAGE_PROVIDERS.includes(provider)) {
+    throw new Error(
+      `Unknown storage provider "${provider}". Use one of: ${STORAGE_PROVIDERS.join(', ')}`
+    );
+  }
+
+  if (!drivers.has(provider)) {
+    drivers.set(provider, factories[provider]());
+  }
+
+  return drivers.get(provider);
+};
+
+/**
+ * File Extensions By MIME Type
+ *
+ * Stored keys end in the extension of the sniffed type, never the one
+ * in the client's file name: /uploads picks Content-Type from the
+ * extension, so a PNG named "x.html" would otherwise be served as a
+ * web page from the API's origin (stored XSS).
+ */
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/bmp': '.bmp',
+  'image/tiff': '.tiff',
+  'image/heic': '.heic',
+  'image/heif': '.heif',
+  'image/avif': '.avif',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip',
+  'application/gzip': '.gz',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'video/x-msvideo': '.avi',
+  'text/plain': '.txt',
+};
+
+/**
+ * Generate Storage Key
+ *
+ * FORMAT:
+ * <sessionId>/<random uuid><extension of fileType>
+ *
+ * Grouping by session makes bulk cleanup and debugging easier.
+ * The random part makes keys unguessable and collision-free.
+ * Unknown types (and encrypted blobs) get no extension.
+ *
+ * @param {ObjectId|string} sessionId - Session the file belongs to
+ * @param {string} fileType - Verified MIME type (see sniffMimeType)
+ * @returns {string} - Storage key
+ */
+const generateStorageKey = (sessionId, fileType) =>
+  `${sessionId.toString()}/${crypto.randomUUID()}${EXTENSIONS[fileType] || ''}`;
+
+export {
+  STORAGE_PROVIDERS,
+  getStorage,
+  getDefaultProvider,
+  generateStorageKey,
+};
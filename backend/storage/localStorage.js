@@ -0,0 +1,72 @@
+/**
+ * Local Disk Storage Driver
+ *
+ * PURPOSE:
+ * Store uploaded files on the server's filesystem
+ * Intended for self-hosting and development
+ *
+ * CONFIGURATION:
+ * - LOCAL_STORAGE_DIR: Where files are written (default: ./uploads)
+ * - LOCAL_STORAGE_PUBLIC_URL: Base URL files are served from
+ *   (default: http://localhost:<PORT>/uploads)
+ *
+ * SERVING:
+ * app.js mounts the directory at /uploads when this driver is active.
+ * Keys are random UUIDs, so URLs can't be guessed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create Local Storage Driver
+ *
+ * @param {Object} options
+ * @param {string} options.directory - Root directory for stored files
+ * @param {string} options.publicUrl - Base URL for generated links
+ * @returns {Object} - Storage driver
+ */
+const createLocalStorage = ({ directory, publicUrl }) => {
+  const root = path.resolve(directory);
+
+  /**
+   * Resolve Key To Path
+   *
+   * SECURITY:
+   * Keys must stay inside the storage root. A key like "../../etc/passwd"
+   * would otherwise let callers read or delete arbitrary files.
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+
+    async upload(buffer, { key }) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key };
+    },
+
+    async delete(key) {
+      // force: true ignores files that are already gone
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    async getUrl(key) {
+      resolveKey(key);
+      return `${publicUrl.replace(/\/$/, '')}/${key}`;
+    },
+  };
+};
+
+export default createLocalStorage;
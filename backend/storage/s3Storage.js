@@ -0,0 +1,103 @@
+/**
+ * S3-Compatible Storage Driver
+ *
+ * PURPOSE:
+ * Store uploaded files in AWS S3 or any S3-compatible service
+ * (MinIO, Cloudflare R2, Backblaze B2, ...)
+ *
+ * CONFIGURATION:
+ * - S3_BUCKET: Bucket name (required)
+ * - S3_REGION: Region (default: us-east-1, MinIO ignores it)
+ * - S3_ENDPOINT: Custom endpoint, e.g. http://localhost:9000 for MinIO
+ * - S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY: Credentials
+ * - S3_FORCE_PATH_STYLE: "true" for MinIO (bucket in path, not subdomain)
+ * - S3_PUBLIC_URL: Optional base URL for public buckets
+ * - S3_URL_EXPIRY_SECONDS: Lifetime of presigned URLs (default: 3600)
+ *
+ * URLS:
+ * Buckets are private by default, so we hand out short-lived presigned
+ * GET URLs. Public buckets can set S3_PUBLIC_URL to skip signing.
+ */
+
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * Create S3 Storage Driver
+ *
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Bucket region
+ * @param {string} [options.endpoint] - Custom S3 endpoint
+ * @param {string} [options.accessKeyId] - Access key
+ * @param {string} [options.secretAccessKey] - Secret key
+ * @param {boolean} [options.forcePathStyle] - Path-style addressing
+ * @param {string} [options.publicUrl] - Base URL for public buckets
+ * @param {number} [options.urlExpirySeconds] - Presigned URL lifetime
+ * @returns {Object} - Storage driver
+ */
+const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  publicUrl,
+  urlExpirySeconds = 3600,
+}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is not defined in environment variables');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // Fall back to the SDK's default credential chain (IAM roles, etc.)
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+  });
+
+  return {
+    name: 's3',
+
+    async upload(buffer, { key, contentType }) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+      return { key };
+    },
+
+    async delete(key) {
+      // S3 DeleteObject succeeds even if the key doesn't exist
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async getUrl(key) {
+      if (publicUrl) {
+        return `${publicUrl.replace(/\/$/, '')}/${key}`;
+      }
+
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn: urlExpirySeconds }
+      );
+    },
+  };
+};
+
+export default createS3Storage;
@@ -0,0 +1,54 @@
+/**
+ * Key-Value Stores
+ *
+ * PURPOSE:
+ * Short-lived security state (attempt counters, lockouts) behind one
+ * small async interface, so features don't care where it lives
+ *
+ * STORE INTERFACE:
+ * - get(key) → Promise<value|null>
+ * - set(key, value, ttlMs) → Promise<void>
+ * - incr(key, ttlMs) → Promise<number>  atomic counter, see below
+ * - delete(key) → Promise<void>
+ *
+ * COUNTERS:
+ * incr() adds 1 and returns the new value in one step, so parallel
+ * requests never count over each other. The TTL starts with the first
+ * increment and later ones keep it, which makes a counter a window:
+ * it restarts at 1 once it has expired.
+ *
+ * DRIVERS:
+ * - memory: Single instance, zero setup (default)
+ * - mongo: Shared across instances, survives restarts
+ *
+ * USAGE:
+ * const store = createStore('pairing-guard', process.env.PAIRING_GUARD_STORE);
+ */
+
+import createMemoryStore from './memoryStore.js';
+import createMongoStore from './mongoStore.js';
+
+const STORE_DRIVERS = ['memory', 'mongo'];
+
+/**
+ * Create Store
+ *
+ * @param {string} namespace - Feature that owns the entries
+ * @param {string} [driver] - 'memory' or 'mongo' (default: memory)
+ * @returns {Object} - Store
+ */
+const createStore = (namespace, driver = 'memory') => {
+  if (driver === 'mongo') {
+    return createMongoStore(namespace);
+  }
+
+  if (driver === 'memory') {
+    return createMemoryStore();
+  }
+
+  throw new Error(
+    `Unknown store driver "${driver}". Use one of: ${STORE_DRIVERS.join(', ')}`
+  );
+};
+
+export { STORE_DRIVERS, createStore };
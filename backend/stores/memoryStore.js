@@ -0,0 +1,79 @@
+/**
+ * In-Memory Key-Value Store
+ *
+ * PURPOSE:
+ * Fast, dependency-free store for a single server instance
+ *
+ * LIMITATIONS:
+ * - State is lost on restart
+ * - Not shared between instances (use the Mongo store when scaling out)
+ *
+ * Values are structured-cloned on the way in and out, so callers can't
+ * mutate stored state by accident (same semantics as the Mongo store).
+ */
+
+// How often expired entries are swept from memory
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create Memory Store
+ *
+ * @returns {Object} - Store ({ get, set, incr, delete })
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  // unref(): the sweeper must never keep the process alive
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+
+      if (!entry || entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      return structuredClone(entry.value);
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, {
+        value: structuredClone(value),
+        expiresAt: Date.now() + ttlMs,
+      });
+    },
+
+    // No await between read and write: atomic on the event loop
+    async incr(key, ttlMs) {
+      const now = Date.now();
+      const entry = entries.get(key);
+
+      if (!entry || entry.expiresAt <= now) {
+        entries.set(key, { value: 1, expiresAt: now + ttlMs });
+        return 1;
+      }
+
+      entry.value += 1;
+      return entry.value;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+export default createMemoryStore;
@@ -0,0 +1,73 @@
+/**
+ * MongoDB Key-Value Store
+ *
+ * PURPOSE:
+ * Shared, persistent store backed by the StoreEntry collection
+ * Survives restarts and works across multiple server instances
+ *
+ * EXPIRY:
+ * The TTL index deletes stale entries eventually; get() also checks
+ * expiresAt because the TTL monitor only runs every 60 seconds.
+ */
+
+import { StoreEntry } from '../models/index.js';
+
+/**
+ * Create Mongo Store
+ *
+ * @param {string} namespace - Feature that owns the entries
+ * @returns {Object} - Store ({ get, set, incr, delete })
+ */
+const createMongoStore = (namespace) => ({
+  name: 'mongo',
+
+  async get(key) {
+    const entry = await StoreEntry.findOne({
+      namespace,
+      key,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+
+    return entry ? entry.value : null;
+  },
+
+  async set(key, value, ttlMs) {
+    // Upsert: one round trip whether or not the entry exists
+    await StoreEntry.updateOne(
+      { namespace, key },
+      { $set: { value, expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  },
+
+  async incr(key, ttlMs) {
+    const now = new Date();
+    // Missing (upsert) or expired entries start over at 1
+    const live = { $gt: ['$expiresAt', now] };
+
+    // Pipeline update: the server reads and writes the entry in one
+    // atomic step
+    const entry = await StoreEntry.findOneAndUpdate(
+      { namespace, key },
+      [
+        {
+          $set: {
+            value: { $cond: [live, { $add: ['$value', 1] }, 1] },
+            expiresAt: {
+              $cond: [live, '$expiresAt', new Date(now.getTime() + ttlMs)],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    ).lean();
+
+    return entry.value;
+  },
+
+  async delete(key) {
+    await StoreEntry.deleteOne({ namespace, key });
+  },
+});
+
+export default createMongoStore;
@@ -12,7 +12,7 @@
 
 import dotenv from 'dotenv';
 import { connectDB, disconnectDB } from './config/database.js';
-import { User, Session, Message, File } from './models/index.js';
+import { User, Session, Message, File, Device } from './models/index.js';
 
 dotenv.config();
 
@@ -78,14 +78,24 @@ const testModels = async () => {
     // ============================================
     console.log('\n📝 Test 4: Add Participants');
     
-    await session.addParticipant('socket-123', 'Chrome on iPhone');
-    await session.addParticipant('socket-456', 'Firefox on Desktop');
-    
-    await session.save();
+    const phone = await Device.create({ platform: 'Chrome on iOS' });
+    const desktop = await Device.create({ name: 'Work laptop' });
+
+    await session.addParticipant(phone._id, 'socket-123', phone.displayName);
+    await session.addParticipant(desktop._id, 'socket-456', desktop.displayName);
+
+    // Same device on a new socket: still one participant
+    const { session: joined, rejoined } = await session.addParticipant(
+      phone._id,
+      'socket-789',
+      phone.displayName
+    );
     
     console.log('✅ Participants added:', {
-      count: session.participants.length,
-      participants: session.participants.map((p) => ({
+      count: joined.participants.length, // Should be 2
+      rejoined, // Should be true
+      participants: joined.participants.map((p) => ({
+        deviceId: p.device,
         socketId: p.socketId,
         device: p.deviceInfo,
       })),
@@ -98,7 +108,7 @@ const testModels = async () => {
     
     const message1 = await Message.create({
       session: session._id,
-      senderSocketId: 'socket-123',
+      senderDevice: phone._id,
       sender: user._id,
       content: 'Hello from device 1!',
       type: 'text',
@@ -106,7 +116,7 @@ const testModels = async () => {
 
     const message2 = await Message.create({
       session: session._id,
-      senderSocketId: 'socket-456',
+      senderDevice: desktop._id,
       content: 'Hello from device 2!',
       type: 'text',
     });
@@ -138,10 +148,10 @@ const testModels = async () => {
     
     const file = await File.create({
       session: session._id,
-      uploaderSocketId: 'socket-123',
+      uploaderDevice: phone._id,
       uploader: user._id,
-      cloudinaryUrl: 'https://res.cloudinary.com/demo/image/upload/sample.jpg',
-      cloudinaryPublicId: 'ctrl-w/test-image-123',
+      storageProvider: 'local',
+      storageKey: `${session._id}/test-image-123.jpg`,
       originalName: 'test-image.jpg',
       fileType: 'image/jpeg',
       fileSize: 2 * 1024 * 1024, // 2MB in bytes
@@ -151,7 +161,7 @@ const testModels = async () => {
       id: file._id,
       name: file.originalName,
       size: file.fileSizeMB + ' MB', // Virtual field
-      url: file.cloudinaryUrl,
+      url: await file.getUrl(),
     });
 
     // ============================================
@@ -193,6 +203,7 @@ const testModels = async () => {
     await Session.findByIdAndDelete(session._id);
     await Message.deleteMany({ session: session._id });
     await File.findByIdAndDelete(file._id);
+    await Device.deleteMany({ _id: { $in: [phone._id, desktop._id] } });
     
     console.log('✅ Test data cleaned up');
     
@@ -0,0 +1,135 @@
+/**
+ * Mongoose Test Helpers
+ *
+ * There is no database in the tests. Services run against the real
+ * models with their query methods spied on, so schema defaults,
+ * validation and instance methods still apply.
+ */
+
+import { jest } from '@jest/globals';
+
+const CHAINABLE = ['select', 'sort', 'limit', 'skip', 'lean', 'populate'];
+
+/**
+ * Mock Query
+ *
+ * Stands in for a Mongoose Query: chainable, awaitable, and .exec()able.
+ *
+ * @param {*} result - What the query resolves to
+ * @returns {Object} - Query stand-in (chain calls are jest.fn()s)
+ */
+const mockQuery = (result) => {
+  const query = {
+    exec: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+
+  CHAINABLE.forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+
+  return query;
+};
+
+/**
+ * Save Without A Database
+ *
+ * Runs validation like save() would, then resolves with the document.
+ * Pre-save hooks don't run; call them through the model when needed.
+ *
+ * @param {Model} Model - Model whose documents should save in memory
+ * @returns {jest.SpyInstance} - Spy on Model.prototype.save
+ */
+const saveInMemory = (Model) => {
+  // Model.create() calls $save, an alias taken before any spy exists
+  jest.spyOn(Model.prototype, '$save').mockImplementation(function () {
+    return this.save();
+  });
+
+  return jest
+    .spyOn(Model.prototype, 'save')
+    .mockImplementation(async function () {
+      await this.validate();
+      this.isNew = false;
+      return this;
+    });
+};
+
+/**
+ * Evaluate Aggregation Expression
+ *
+ * The handful of operators our pipeline updates use. Like MongoDB,
+ * null and missing values sort below everything else.
+ *
+ * @param {*} expression - e.g. { $add: ['$count', 1] }
+ * @param {Object} doc - Document the field paths read from
+ * @returns {*}
+ */
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return doc[expression.slice(1)] ?? null;
+  }
+  if (
+    !expression ||
+    typeof expression !== 'object' ||
+    expression instanceof Date
+  ) {
+    return expression;
+  }
+
+  const [operator, args] = Object.entries(expression)[0];
+  const values = () => args.map((arg) => evaluate(arg, doc));
+
+  switch (operator) {
+    case '$add':
+      return values().reduce((sum, value) => sum + value);
+    case '$gt': {
+      const [left, right] = values();
+      return left !== null && (right === null || left > right);
+    }
+    case '$cond': {
+      const [condition, then, otherwise] = args;
+      return evaluate(evaluate(condition, doc) ? then : otherwise, doc);
+    }
+    default:
+      throw new Error(`evaluate: unsupported operator ${operator}`);
+  }
+};
+
+/**
+ * Apply Update
+ *
+ * Applies a $set/$inc update or a pipeline of $set stages to a plain
+ * object, for fakes that stand in for a collection.
+ *
+ * @param {Object} doc - Stored document, changed in place
+ * @param {Object|Object[]} update - Update as passed to Mongoose
+ * @returns {Object} - doc
+ */
+const applyUpdate = (doc, update) => {
+  if (Array.isArray(update)) {
+    update.forEach(({ $set }) => {
+      const input = { ...doc };
+      Object.entries($set).forEach(([field, expression]) => {
+        doc[field] = evaluate(expression, input);
+      });
+    });
+    return doc;
+  }
+
+  Object.assign(doc, update.$set);
+  Object.entries(update.$inc || {}).forEach(([field, by]) => {
+    doc[field] = (doc[field] || 0) + by;
+  });
+  return doc;
+};
+
+/**
+ * Object ID
+ *
+ * @param {number} n - Small number to make the ID readable in tests
+ * @returns {string} - 24-character hex ID ending in n
+ */
+const objectId = (n) => n.toString(16).padStart(24, '0');
+
+export { mockQuery, saveInMemory, applyUpdate, objectId };
@@ -0,0 +1,79 @@
+/**
+ * Socket Test Helpers
+ *
+ * Start the real Socket.io gateway on a random port and talk to it
+ * with socket.io-client. Test files mock the services first, then call
+ * startSocketServer() (the gateway is imported lazily, so the mocks
+ * are in place by then).
+ */
+
+import http from 'http';
+import { io as connectClient } from 'socket.io-client';
+
+/**
+ * Start Socket Server
+ *
+ * @returns {Promise<Object>} - { url, close }
+ */
+const startSocketServer = async () => {
+  const { initSocket } = await import('../../socket/index.js');
+  const server = http.createServer();
+  const io = initSocket(server);
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    io,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () =>
+      new Promise((resolve) => {
+        io.close();
+        server.close(() => resolve());
+      }),
+  };
+};
+
+/**
+ * Connect
+ *
+ * @param {string} url - From startSocketServer()
+ * @param {Object} [auth] - Handshake auth ({ token, deviceToken })
+ * @param {Object} [listeners] - { event: handler }, attached before the
+ *   handshake (for events sent on connection, like device:assigned)
+ * @returns {Promise<Socket>} - Connected client (rejects on handshake error)
+ */
+const connect = (url, auth = {}, listeners = {}) =>
+  new Promise((resolve, reject) => {
+    const socket = connectClient(url, {
+      auth,
+      transports: ['websocket'],
+      reconnection: false,
+      forceNew: true,
+    });
+    Object.entries(listeners).forEach(([event, handler]) =>
+      socket.on(event, handler)
+    );
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', (error) => {
+      socket.close();
+      reject(error);
+    });
+  });
+
+/**
+ * Emit With Acknowledgement
+ *
+ * @returns {Promise<Object>} - The server's { success, data | message }
+ */
+const emitAck = (socket, event, payload = {}) =>
+  new Promise((resolve) => socket.emit(event, payload, resolve));
+
+/**
+ * Next Event
+ *
+ * @returns {Promise<*>} - Payload of the next `event` on `socket`
+ */
+const nextEvent = (socket, event) =>
+  new Promise((resolve) => socket.once(event, resolve));
+
+export { startSocketServer, connect, emitAck, nextEvent };
@@ -0,0 +1,267 @@
+/**
+ * Auth Routes
+ *
+ * The HTTP layer around authService: validation, status codes, the
+ * refresh cookie and the shared error shape. The services are mocked.
+ */
+
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+
+const authService = {
+  register: jest.fn(),
+  login: jest.fn(),
+  refresh: jest.fn(),
+  authenticateAccessToken: jest.fn(),
+};
+
+jest.unstable_mockModule('../../../services/authService.js', () => ({
+  default: authService,
+}));
+
+const accountService = {
+  requestPasswordReset: jest.fn(),
+  resendVerificationEmail: jest.fn(),
+};
+
+jest.unstable_mockModule('../../../services/accountService.js', () => ({
+  default: accountService,
+}));
+
+const mfaService = {
+  regenerateRecoveryCodes: jest.fn(),
+};
+
+jest.unstable_mockModule('../../../services/mfaService.js', () => ({
+  default: mfaService,
+}));
+
+const { default: app } = await import('../../../app.js');
+
+const refreshToken = jwt.sign({ userId: 'u1' }, 'secret', { expiresIn: '7d' });
+const user = { id: 'u1', email: 'ada@example.com', role: 'user' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('POST /api/auth/register', () => {
+  it('creates the account and sets the refresh cookie', async () => {
+    authService.register.mockResolvedValue({
+      user,
+      accessToken: 'access',
+      refreshToken,
+    });
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'Ada@Example.com', password: 'secret1', role: 'admin' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({
+      success: true,
+      data: { user, accessToken: 'access' },
+    });
+    expect(res.body.data.refreshToken).toBeUndefined();
+    expect(res.headers['set-cookie'][0]).toMatch(
+      /^refreshToken=.+; Path=\/api\/auth; Expires=.+; HttpOnly; SameSite=Strict$/
+    );
+    // role from the body is ignored
+    expect(authService.register).toHaveBeenCalledWith(
+      'ada@example.com',
+      'secret1',
+      'user',
+      expect.objectContaining({ deviceName: null })
+    );
+  });
+
+  it('rejects invalid input before reaching the service', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'not-an-email', password: '123' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.errors.map((e) => e.field)).toEqual(
+      expect.arrayContaining(['email', 'password'])
+    );
+    expect(authService.register).not.toHaveBeenCalled();
+  });
+
+  it('passes service status codes through', async () => {
+    const error = new Error('Email already registered');
+    error.statusCode = 409;
+    authService.register.mockRejectedValue(error);
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'ada@example.com', password: 'secret1' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({
+      success: false,
+      message: 'Email already registered',
+    });
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('returns an access token', async () => {
+    authService.login.mockResolvedValue({
+      user,
+      accessToken: 'access',
+      refreshToken,
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ada@example.com', password: 'secret1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.accessToken).toBe('access');
+  });
+
+  it('answers 401 for bad credentials', async () => {
+    const error = new Error('Invalid email or password');
+    error.statusCode = 401;
+    authService.login.mockRejectedValue(error);
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ada@example.com', password: 'wrong' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid email or password');
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  it('requires a refresh token', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+
+    expect(res.status).toBe(401);
+    expect(authService.refresh).not.toHaveBeenCalled();
+  });
+
+  it('clears the cookie when the token is rejected', async () => {
+    const error = new Error('Invalid refresh token');
+    error.statusCode = 401;
+    authService.refresh.mockRejectedValue(error);
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .set('Cookie', `refreshToken=${refreshToken}`);
+
+    expect(res.status).toBe(401);
+    expect(res.headers['set-cookie'][0]).toMatch(/^refreshToken=;/);
+  });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  const forgot = () =>
+    request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'ada@example.com' });
+
+  it('answers without waiting for the mail', async () => {
+    // Never settles: a response that waited would time the test out
+    accountService.requestPasswordReset.mockReturnValue(new Promise(() => {}));
+
+    const res = await forgot();
+
+    expect(res.status).toBe(200);
+    expect(accountService.requestPasswordReset).toHaveBeenCalledWith(
+      'ada@example.com'
+    );
+  });
+
+  it('gives the same answer when sending fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    accountService.requestPasswordReset.mockResolvedValue();
+    const sent = await forgot();
+
+    accountService.requestPasswordReset.mockRejectedValue(
+      new Error('SMTP down')
+    );
+    const failed = await forgot();
+
+    expect(failed.status).toBe(sent.status);
+    expect(failed.body).toEqual(sent.body);
+    expect(console.error).toHaveBeenCalledWith(
+      'Failed to send account email:',
+      'SMTP down'
+    );
+  });
+});
+
+describe('POST /api/auth/verify-email/resend', () => {
+  it('answers without waiting for the mail', async () => {
+    accountService.resendVerificationEmail.mockReturnValue(
+      new Promise(() => {})
+    );
+
+    const res = await request(app)
+      .post('/api/auth/verify-email/resend')
+      .send({ email: 'ada@example.com' });
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('POST /api/auth/mfa/recovery-codes', () => {
+  beforeEach(() => {
+    authService.authenticateAccessToken.mockResolvedValue({ userId: 'u1' });
+  });
+
+  const regenerate = (body) =>
+    request(app)
+      .post('/api/auth/mfa/recovery-codes')
+      .set('Authorization', 'Bearer access')
+      .send(body);
+
+  it('requires the password as well as a code', async () => {
+    const res = await regenerate({ code: '123456' });
+
+    expect(res.status).toBe(400);
+    expect(new Set(res.body.errors.map((e) => e.field))).toEqual(
+      new Set(['password'])
+    );
+    expect(mfaService.regenerateRecoveryCodes).not.toHaveBeenCalled();
+  });
+
+  it('passes password, code and caller IP to the service', async () => {
+    mfaService.regenerateRecoveryCodes.mockResolvedValue({
+      recoveryCodes: ['k3x9m-q2w7p'],
+    });
+
+    const res = await regenerate({ password: 'secret1', code: '123456' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.recoveryCodes).toEqual(['k3x9m-q2w7p']);
+    expect(mfaService.regenerateRecoveryCodes).toHaveBeenCalledWith(
+      'u1',
+      'secret1',
+      '123456',
+      { ip: expect.any(String) }
+    );
+  });
+});
+
+describe('errors', () => {
+  it('answers unknown routes with 404', async () => {
+    const res = await request(app).get('/api/nope');
+
+    expect(res.status).toBe(404);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('answers malformed JSON with 400', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":');
+
+    expect(res.status).toBe(400);
+  });
+});
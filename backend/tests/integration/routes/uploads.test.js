@@ -0,0 +1,35 @@
+/**
+ * /uploads (local driver)
+ *
+ * Stored files are user content and must never render as pages of the
+ * API's origin, whatever their extension.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import request from 'supertest';
+import app from '../../../app.js';
+import { getStorage } from '../../../storage/index.js';
+
+const key = 'uploads-test/page.html';
+
+beforeAll(() =>
+  getStorage('local').upload(Buffer.from('<script>alert(1)</script>'), {
+    key,
+  })
+);
+
+afterAll(() =>
+  fs.rm(path.join(getStorage('local').root, 'uploads-test'), {
+    recursive: true,
+    force: true,
+  })
+);
+
+it('serves stored files as downloads that browsers may not sniff', async () => {
+  const res = await request(app).get(`/uploads/${key}`);
+
+  expect(res.status).toBe(200);
+  expect(res.headers['content-disposition']).toBe('attachment');
+  expect(res.headers['x-content-type-options']).toBe('nosniff');
+});
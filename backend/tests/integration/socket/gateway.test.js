@@ -0,0 +1,874 @@
+/**
+ * Socket.io Gateway
+ *
+ * Handshake authentication, device assignment, joining a session room,
+ * broadcasting messages and leaving. Services are mocked; the gateway and the
+ * handlers are real.
+ */
+
+import { jest } from '@jest/globals';
+
+const authService = { authenticateAccessToken: jest.fn() };
+const deviceService = {
+  resolveDevice: jest.fn(),
+  serializeDevice: jest.fn((device) => ({ id: device._id })),
+  nameIfUnnamed: jest.fn().mockResolvedValue(null),
+};
+const sessionService = {
+  joinSession: jest.fn(),
+  joinSessionWithToken: jest.fn(),
+  leaveSession: jest.fn(),
+  disconnectParticipant: jest.fn(),
+  kickParticipant: jest.fn(),
+  findActiveSessionById: jest.fn(),
+};
+const messageService = {
+  MAX_HISTORY_LIMIT: 200,
+  createSystemMessage: jest.fn(async (sessionId, content) => ({
+    type: 'system',
+    content,
+  })),
+  getHistory: jest.fn().mockResolvedValue({ messages: [], hasMore: false }),
+  createMessage: jest.fn(async ({ content }) => ({ id: 'm1', content })),
+  editMessage: jest.fn(),
+  deleteMessage: jest.fn(),
+  markDelivered: jest.fn(async (sessionId, deviceId, ids) => ids),
+  markRead: jest.fn(async (sessionId, reader, ids) => ({
+    messageIds: ids,
+    readAt: new Date(),
+  })),
+  burnReadMessages: jest.fn().mockResolvedValue([]),
+};
+
+jest.unstable_mockModule('../../../services/authService.js', () => ({
+  default: authService,
+}));
+jest.unstable_mockModule('../../../services/deviceService.js', () => ({
+  default: deviceService,
+}));
+jest.unstable_mockModule('../../../services/sessionService.js', () => ({
+  default: sessionService,
+}));
+jest.unstable_mockModule('../../../services/messageService.js', () => ({
+  default: messageService,
+}));
+
+const { startSocketServer, connect, emitAck, nextEvent } = await import(
+  '../../helpers/socket.js'
+);
+const { default: EVENTS } = await import('../../../socket/events.js');
+
+const SESSION_ID = '64b000000000000000000001';
+let server;
+let clients;
+let deviceCount;
+
+const session = (participants, status = 'active') => ({
+  _id: SESSION_ID,
+  pairingCode: '123456',
+  status,
+  expiresAt: new Date(Date.now() + 60000),
+  encrypted: false,
+  participants: participants.map((deviceId) => ({
+    device: deviceId,
+    socketId: 's',
+    deviceInfo: deviceId,
+    joinedAt: new Date(),
+  })),
+});
+
+const open = async (auth, listeners) => {
+  const socket = await connect(server.url, auth, listeners);
+  clients.push(socket);
+  return socket;
+};
+
+beforeAll(async () => {
+  server = await startSocketServer();
+});
+
+afterAll(() => server.close());
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  clients = [];
+  deviceCount = 0;
+  deviceService.resolveDevice.mockImplementation(async (token) => {
+    deviceCount += 1;
+    const device = {
+      _id: `64b0000000000000000000a${deviceCount}`,
+      displayName: `Device ${deviceCount}`,
+      name: null,
+    };
+    return {
+      device,
+      deviceToken: token ? null : `device-token-${deviceCount}`,
+    };
+  });
+  sessionService.leaveSession.mockResolvedValue(null);
+  sessionService.disconnectParticipant.mockResolvedValue(null);
+  sessionService.findActiveSessionById.mockResolvedValue(session(['a']));
+});
+
+afterEach(() => {
+  clients.forEach((socket) => socket.close());
+});
+
+describe('handshake', () => {
+  it('accepts anonymous devices and hands out a device token', async () => {
+    const assigned = new Promise((resolve) =>
+      open({}, { [EVENTS.DEVICE_ASSIGNED]: resolve })
+    );
+
+    expect(await assigned).toEqual({
+      deviceToken: 'device-token-1',
+      device: { id: '64b0000000000000000000a1' },
+    });
+    expect(authService.authenticateAccessToken).not.toHaveBeenCalled();
+  });
+
+  it('rejects an invalid access token', async () => {
+    authService.authenticateAccessToken.mockRejectedValue(new Error('bad'));
+
+    await expect(connect(server.url, { token: 'nope' })).rejects.toThrow(
+      'Authentication failed'
+    );
+  });
+
+  it('keeps the device of a valid device token', async () => {
+    const socket = await open({ deviceToken: 'kept' });
+    const assigned = jest.fn();
+    socket.on(EVENTS.DEVICE_ASSIGNED, assigned);
+
+    await emitAck(socket, EVENTS.SESSION_LEAVE);
+    expect(deviceService.resolveDevice).toHaveBeenCalledWith(
+      'kept',
+      expect.any(Object)
+    );
+    expect(assigned).not.toHaveBeenCalled();
+  });
+
+  it('sends messages as the logged-in user', async () => {
+    authService.authenticateAccessToken.mockResolvedValue({
+      userId: 'user-1',
+      fam: 'family-a',
+    });
+    sessionService.joinSession.mockResolvedValue({
+      session: session(['a']),
+      rejoined: false,
+    });
+    const socket = await open({ token: 'valid' });
+    await emitAck(socket, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+
+    await emitAck(socket, EVENTS.MESSAGE_SEND, { content: 'hi' });
+
+    expect(authService.authenticateAccessToken).toHaveBeenCalledWith('valid');
+    expect(messageService.createMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ senderId: 'user-1', content: 'hi' })
+    );
+  });
+});
+
+describe('session:join', () => {
+  it('rejects malformed pairing codes without a lookup', async () => {
+    const socket = await open();
+
+    const res = await emitAck(socket, EVENTS.SESSION_JOIN, {
+      pairingCode: 'not a code',
+    });
+
+    expect(res.success).toBe(false);
+    expect(res.message).toMatch(/^Pairing code must be/);
+    expect(sessionService.joinSession).not.toHaveBeenCalled();
+  });
+
+  it('looks up codes from an earlier format as typed', async () => {
+    const error = new Error('Session not found');
+    error.statusCode = 404;
+    sessionService.joinSession.mockRejectedValue(error);
+    const socket = await open();
+
+    await emitAck(socket, EVENTS.SESSION_JOIN, {
+      pairingCode: ' amber-tiger-42 ',
+    });
+
+    expect(sessionService.joinSession.mock.calls[0][0]).toBe('amber-tiger-42');
+  });
+
+  it('joins with a join token instead of a code', async () => {
+    sessionService.joinSessionWithToken.mockResolvedValue({
+      session: session(['a']),
+      rejoined: false,
+    });
+    const socket = await open();
+
+    const res = await emitAck(socket, EVENTS.SESSION_JOIN, {
+      joinToken: 'token-from-qr',
+    });
+
+    expect(res.success).toBe(true);
+    expect(sessionService.joinSessionWithToken).toHaveBeenCalledWith(
+      'token-from-qr',
+      {
+        deviceId: '64b0000000000000000000a1',
+        socketId: socket.id,
+        deviceInfo: 'Device 1',
+      },
+      expect.objectContaining({ requestApproval: expect.any(Function) })
+    );
+    expect(sessionService.joinSession).not.toHaveBeenCalled();
+  });
+
+  it('passes lookup errors back in the ack', async () => {
+    const error = new Error('Session not found');
+    error.statusCode = 404;
+    sessionService.joinSession.mockRejectedValue(error);
+    const socket = await open();
+
+    const res = await emitAck(socket, EVENTS.SESSION_JOIN, {
+      pairingCode: '123456',
+    });
+
+    expect(res).toEqual({ success: false, message: 'Session not found' });
+  });
+
+  it('passes only a string PIN on', async () => {
+    const error = new Error('Incorrect PIN');
+    error.statusCode = 401;
+    sessionService.joinSession.mockRejectedValue(error);
+    const socket = await open();
+
+    await emitAck(socket, EVENTS.SESSION_JOIN, {
+      pairingCode: '123456',
+      pin: { $ne: null },
+    });
+    await emitAck(socket, EVENTS.SESSION_JOIN, {
+      pairingCode: '123456',
+      pin: '4711',
+    });
+
+    expect(sessionService.joinSession.mock.calls.map((c) => c[3].pin)).toEqual([
+      null,
+      '4711',
+    ]);
+  });
+
+  it('ends the session for everyone when wrong PINs close it', async () => {
+    sessionService.joinSession.mockResolvedValueOnce({
+      session: session(['a']),
+      rejoined: false,
+      isHost: false,
+    });
+    const member = await open();
+    await emitAck(member, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    const error = new Error('Session closed after too many failed attempts');
+    error.statusCode = 410;
+    error.closedSessionId = SESSION_ID;
+    sessionService.joinSession.mockRejectedValueOnce(error);
+    const closed = nextEvent(member, EVENTS.SESSION_CLOSED);
+    const guesser = await open();
+
+    const res = await emitAck(guesser, EVENTS.SESSION_JOIN, {
+      pairingCode: '123456',
+      pin: '0000',
+    });
+
+    expect(res).toEqual({ success: false, message: error.message });
+    expect(await closed).toEqual({ reason: 'too_many_attempts' });
+  });
+
+  it('joins the room and announces the new device', async () => {
+    const first = await open();
+    sessionService.joinSession.mockResolvedValueOnce({
+      session: session(['a']),
+      rejoined: false,
+    });
+    const joined = await emitAck(first, EVENTS.SESSION_JOIN, {
+      pairingCode: ' 123456 ',
+      deviceInfo: 'Laptop',
+    });
+
+    expect(joined.success).toBe(true);
+    expect(joined.data).toMatchObject({
+      sessionId: SESSION_ID,
+      deviceId: '64b0000000000000000000a1',
+      pairingCode: '123456',
+      history: [],
+    });
+    expect(deviceService.nameIfUnnamed).toHaveBeenCalledWith(
+      '64b0000000000000000000a1',
+      'Laptop'
+    );
+    expect(sessionService.joinSession).toHaveBeenCalledWith(
+      '123456',
+      {
+        deviceId: '64b0000000000000000000a1',
+        socketId: first.id,
+        deviceInfo: 'Device 1',
+      },
+      expect.objectContaining({ ip: expect.any(String) }),
+      expect.objectContaining({ userId: null })
+    );
+
+    const second = await open();
+    sessionService.joinSession.mockResolvedValueOnce({
+      session: session(['a', 'b']),
+      rejoined: false,
+    });
+    const announced = nextEvent(first, EVENTS.PARTICIPANT_JOINED);
+    const systemMessage = nextEvent(first, EVENTS.MESSAGE_NEW);
+    await emitAck(second, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+
+    expect(await announced).toEqual({
+      deviceId: '64b0000000000000000000a2',
+      socketId: second.id,
+      deviceInfo: 'Device 2',
+      rejoined: false,
+      participantCount: 2,
+    });
+    expect((await systemMessage).content).toBe('Device 2 joined the session');
+  });
+});
+
+describe('host controls', () => {
+  // Device 1 joins as host, device 2 as guest
+  const hostAndGuest = async () => {
+    const host = await open();
+    const guest = await open();
+    sessionService.joinSession.mockResolvedValueOnce({
+      session: session(['a']),
+      rejoined: false,
+      isHost: true,
+    });
+    await emitAck(host, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    sessionService.joinSession.mockResolvedValueOnce({
+      session: session(['a', 'b']),
+      rejoined: false,
+      isHost: false,
+    });
+    await emitAck(guest, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    return { host, guest, guestId: '64b0000000000000000000a2' };
+  };
+
+  it('lets only hosts kick', async () => {
+    const { guest } = await hostAndGuest();
+
+    const res = await emitAck(guest, EVENTS.PARTICIPANT_KICK, {
+      deviceId: '64b0000000000000000000a1',
+    });
+
+    expect(res).toEqual({
+      success: false,
+      message: 'Only the session host can do this',
+    });
+    expect(sessionService.kickParticipant).not.toHaveBeenCalled();
+  });
+
+  it('rejects a malformed device ID', async () => {
+    const { host } = await hostAndGuest();
+
+    const res = await emitAck(host, EVENTS.PARTICIPANT_KICK, {
+      deviceId: 'nope',
+    });
+
+    expect(res.message).toBe('Invalid device ID');
+  });
+
+  it('removes the kicked device from the room', async () => {
+    const { host, guest, guestId } = await hostAndGuest();
+    sessionService.findActiveSessionById.mockResolvedValue(session(['a']));
+    sessionService.kickParticipant.mockResolvedValue({
+      participant: { deviceInfo: 'Device 2', socketId: guest.id },
+      participantCount: 1,
+    });
+    const kicked = nextEvent(guest, EVENTS.PARTICIPANT_KICKED);
+    const afterKick = jest.fn();
+    guest.on(EVENTS.MESSAGE_NEW, afterKick);
+    const notice = nextEvent(host, EVENTS.MESSAGE_NEW);
+
+    const res = await emitAck(host, EVENTS.PARTICIPANT_KICK, {
+      deviceId: guestId,
+    });
+
+    expect(res).toEqual({ success: true, data: { participantCount: 1 } });
+    expect(await kicked).toEqual({
+      deviceId: guestId,
+      deviceInfo: 'Device 2',
+      participantCount: 1,
+    });
+    expect((await notice).content).toBe('Device 2 was removed by the host');
+    expect(afterKick).not.toHaveBeenCalled();
+
+    // It is no longer in the session: nothing to send to
+    const send = await emitAck(guest, EVENTS.MESSAGE_SEND, { content: 'hi' });
+    expect(send.message).toBe('Join a session before sending messages');
+  });
+
+  it('holds a guest until a host approves', async () => {
+    const host = await open();
+    sessionService.joinSession.mockResolvedValueOnce({
+      session: session(['a']),
+      rejoined: false,
+      isHost: true,
+    });
+    await emitAck(host, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+
+    const hosting = session(['a']);
+    hosting.participants[0].isHost = true;
+    hosting.participants[0].socketId = host.id;
+    sessionService.joinSession.mockImplementationOnce(
+      async (code, participant, requester, { requestApproval }) => {
+        await requestApproval(hosting);
+        return { session: session(['a', 'b']), rejoined: false, isHost: false };
+      }
+    );
+    const requested = nextEvent(host, EVENTS.JOIN_REQUESTED);
+    const guest = await open();
+    const joining = emitAck(guest, EVENTS.SESSION_JOIN, {
+      pairingCode: '123456',
+    });
+
+    const { requestId, deviceInfo } = await requested;
+    expect(deviceInfo).toBe('Device 2');
+    const resolved = nextEvent(host, EVENTS.JOIN_RESOLVED);
+    await emitAck(host, EVENTS.JOIN_RESPOND, { requestId, approve: true });
+
+    expect(await resolved).toEqual({ requestId, approved: true });
+    expect((await joining).success).toBe(true);
+  });
+
+  it('lets only hosts answer join requests', async () => {
+    const { guest } = await hostAndGuest();
+
+    const res = await emitAck(guest, EVENTS.JOIN_RESPOND, {
+      requestId: 'r1',
+      approve: true,
+    });
+
+    expect(res.message).toBe('Only the session host can do this');
+  });
+});
+
+describe('history', () => {
+  const joinWith = async (payload) => {
+    sessionService.joinSession.mockResolvedValue({
+      session: session(['a']),
+      rejoined: false,
+    });
+    const socket = await open();
+    const res = await emitAck(socket, EVENTS.SESSION_JOIN, {
+      pairingCode: '123456',
+      ...payload,
+    });
+    return { socket, res };
+  };
+
+  it('catches a reconnecting device up from its last-seen message', async () => {
+    const missed = [{ id: 'm2' }, { id: 'm3' }];
+    messageService.getHistory.mockResolvedValueOnce({
+      messages: missed,
+      hasMore: false,
+    });
+
+    const { res } = await joinWith({ since: 'm1' });
+
+    expect(messageService.getHistory).toHaveBeenCalledWith(SESSION_ID, {
+      after: 'm1',
+      limit: 200,
+    });
+    expect(res.data).toMatchObject({
+      history: missed,
+      historyHasMore: false,
+    });
+  });
+
+  it('falls back to the latest messages for an unknown since', async () => {
+    const error = new Error('Unknown message cursor');
+    error.statusCode = 400;
+    messageService.getHistory.mockRejectedValueOnce(error);
+
+    const { res } = await joinWith({ since: 'gone' });
+
+    expect(res.success).toBe(true);
+    expect(messageService.getHistory).toHaveBeenLastCalledWith(SESSION_ID);
+  });
+
+  it('pages through the joined session', async () => {
+    const { socket } = await joinWith();
+
+    const res = await emitAck(socket, EVENTS.MESSAGE_HISTORY, {
+      before: 'm5',
+      limit: 20,
+    });
+
+    expect(res.success).toBe(true);
+    expect(messageService.getHistory).toHaveBeenLastCalledWith(SESSION_ID, {
+      before: 'm5',
+      after: undefined,
+      limit: 20,
+    });
+  });
+
+  it('requires a joined session', async () => {
+    const socket = await open();
+
+    const res = await emitAck(socket, EVENTS.MESSAGE_HISTORY, {});
+
+    expect(res).toEqual({
+      success: false,
+      message: 'Join a session before loading history',
+    });
+  });
+});
+
+describe('message:send', () => {
+  it('requires a joined session', async () => {
+    const socket = await open();
+
+    const res = await emitAck(socket, EVENTS.MESSAGE_SEND, { content: 'hi' });
+
+    expect(res).toEqual({
+      success: false,
+      message: 'Join a session before sending messages',
+    });
+  });
+
+  it('broadcasts to everyone in the session, sender included', async () => {
+    sessionService.joinSession.mockResolvedValue({
+      session: session(['a', 'b']),
+      rejoined: false,
+    });
+    const sender = await open();
+    const receiver = await open();
+    await emitAck(sender, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    await emitAck(receiver, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+
+    const echoed = nextEvent(sender, EVENTS.MESSAGE_NEW);
+    const received = nextEvent(receiver, EVENTS.MESSAGE_NEW);
+    const res = await emitAck(sender, EVENTS.MESSAGE_SEND, { content: 'hi' });
+
+    expect(res).toEqual({ success: true, data: { id: 'm1', content: 'hi' } });
+    expect(await echoed).toEqual(res.data);
+    expect(await received).toEqual(res.data);
+  });
+
+  it('refuses messages once the session is closed', async () => {
+    sessionService.joinSession.mockResolvedValue({
+      session: session(['a']),
+      rejoined: false,
+    });
+    const socket = await open();
+    await emitAck(socket, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    const error = new Error('Session has expired or is closed');
+    error.statusCode = 410;
+    sessionService.findActiveSessionById.mockRejectedValue(error);
+
+    const res = await emitAck(socket, EVENTS.MESSAGE_SEND, { content: 'hi' });
+
+    expect(res).toEqual({ success: false, message: error.message });
+    expect(messageService.createMessage).not.toHaveBeenCalled();
+  });
+
+  it('takes the largest valid rich message in one frame', async () => {
+    sessionService.joinSession.mockResolvedValue({
+      session: session(['a']),
+      rejoined: true,
+    });
+    sessionService.findActiveSessionById.mockResolvedValue(session(['a']));
+    const sender = await open();
+    await emitAck(sender, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+
+    // Control characters take 6 bytes each in the JSON frame
+    const res = await emitAck(sender, EVENTS.MESSAGE_SEND, {
+      type: 'rich',
+      html: '\u0001'.repeat(100000),
+      content: '\u0002'.repeat(10000),
+    });
+
+    expect(res.success).toBe(true);
+    expect(sender.connected).toBe(true);
+    const [params] = messageService.createMessage.mock.calls.at(-1);
+    expect(params.html).toHaveLength(100000);
+    expect(params.content).toHaveLength(10000);
+  });
+});
+
+describe('leaving', () => {
+  const joinedPair = async () => {
+    sessionService.joinSession.mockResolvedValue({
+      session: session(['a', 'b']),
+      rejoined: true,
+    });
+    const stays = await open();
+    const goes = await open();
+    await emitAck(stays, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    await emitAck(goes, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    return { stays, goes, goesId: '64b0000000000000000000a2' };
+  };
+
+  it('marks a disconnected device offline instead of removing it', async () => {
+    const { stays, goes, goesId } = await joinedPair();
+    sessionService.disconnectParticipant.mockResolvedValue({
+      status: 'active',
+    });
+    const systemMessage = jest.fn();
+    stays.on(EVENTS.MESSAGE_NEW, systemMessage);
+    const offline = nextEvent(stays, EVENTS.PARTICIPANT_OFFLINE);
+    const socketId = goes.id;
+
+    goes.close();
+
+    expect(await offline).toEqual({ deviceId: goesId, socketId });
+    expect(sessionService.disconnectParticipant).toHaveBeenCalledWith(
+      SESSION_ID,
+      { deviceId: goesId, socketId }
+    );
+    expect(sessionService.leaveSession).not.toHaveBeenCalled();
+    expect(systemMessage).not.toHaveBeenCalled();
+  });
+
+  it('lists offline devices in the join ack', async () => {
+    const participants = session(['a', 'b']);
+    participants.participants[1].disconnectedAt = new Date();
+    sessionService.joinSession.mockResolvedValue({
+      session: participants,
+      rejoined: false,
+    });
+    const socket = await open();
+
+    const res = await emitAck(socket, EVENTS.SESSION_JOIN, {
+      pairingCode: '123456',
+    });
+
+    expect(res.data.participants.map((p) => p.online)).toEqual([true, false]);
+  });
+
+  it('removes a device that leaves and says so', async () => {
+    const { stays, goes, goesId } = await joinedPair();
+    sessionService.leaveSession.mockResolvedValue({
+      status: 'active',
+      participants: [{}],
+    });
+    const left = nextEvent(stays, EVENTS.PARTICIPANT_LEFT);
+    const systemMessage = nextEvent(stays, EVENTS.MESSAGE_NEW);
+
+    await emitAck(goes, EVENTS.SESSION_LEAVE);
+
+    expect(await left).toMatchObject({
+      deviceId: goesId,
+      participantCount: 1,
+    });
+    expect((await systemMessage).content).toBe('Device 2 left the session');
+    expect(sessionService.leaveSession).toHaveBeenCalledWith(SESSION_ID, {
+      deviceId: goesId,
+      socketId: goes.id,
+    });
+  });
+
+  it('says nothing once the session is closed', async () => {
+    const { goes } = await joinedPair();
+    sessionService.leaveSession.mockResolvedValue(session([], 'closed'));
+
+    await emitAck(goes, EVENTS.SESSION_LEAVE);
+
+    expect(messageService.createSystemMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('message:ack', () => {
+  const MESSAGE_ID = '64b000000000000000000f01';
+
+  const joined = async () => {
+    sessionService.joinSession.mockResolvedValue({
+      session: session(['a', 'b']),
+      rejoined: true,
+    });
+    const socket = await open();
+    await emitAck(socket, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    return socket;
+  };
+
+  it('requires a joined session', async () => {
+    const socket = await open();
+
+    const res = await emitAck(socket, EVENTS.MESSAGE_ACK, {
+      messageIds: [MESSAGE_ID],
+      status: 'read',
+    });
+
+    expect(res.message).toBe('Join a session before acknowledging');
+  });
+
+  it.each([
+    ['an unknown status', { messageIds: [MESSAGE_ID], status: 'seen' }],
+    ['IDs that are not message IDs', { messageIds: ['m1'], status: 'read' }],
+    [
+      'too many IDs at once',
+      { messageIds: Array(201).fill(MESSAGE_ID), status: 'read' },
+    ],
+  ])('rejects %s', async (_, payload) => {
+    const socket = await joined();
+
+    const res = await emitAck(socket, EVENTS.MESSAGE_ACK, payload);
+
+    expect(res.success).toBe(false);
+    expect(res.message).toMatch(/^Send up to 200 message IDs/);
+  });
+
+  it('tells the sender where its message was read', async () => {
+    const sender = await joined();
+    const reader = await joined();
+    const read = nextEvent(sender, EVENTS.MESSAGE_READ);
+    const delivered = nextEvent(sender, EVENTS.MESSAGE_DELIVERED);
+
+    const res = await emitAck(reader, EVENTS.MESSAGE_ACK, {
+      messageIds: [MESSAGE_ID],
+      status: 'read',
+    });
+
+    expect(res).toEqual({ success: true, data: { queued: 1 } });
+    expect(await read).toMatchObject({
+      messageIds: [MESSAGE_ID],
+      deviceId: '64b0000000000000000000a2',
+      deviceInfo: 'Device 2',
+    });
+    expect(await delivered).toEqual({ messageIds: [MESSAGE_ID] });
+  });
+});
+
+describe('editing and deleting', () => {
+  const MESSAGE_ID = '64b000000000000000000f01';
+
+  const joinedPair = async () => {
+    sessionService.joinSession.mockResolvedValue({
+      session: session(['a', 'b']),
+      rejoined: true,
+      isHost: false,
+    });
+    sessionService.findActiveSessionById.mockResolvedValue(session(['a', 'b']));
+    const sender = await open();
+    const other = await open();
+    await emitAck(sender, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    await emitAck(other, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    return { sender, other };
+  };
+
+  it('broadcasts an edit with the whole message', async () => {
+    const { sender, other } = await joinedPair();
+    const edited = { id: MESSAGE_ID, content: 'fixed', editedAt: 'now' };
+    messageService.editMessage.mockResolvedValue(edited);
+    const received = nextEvent(other, EVENTS.MESSAGE_EDITED);
+
+    const res = await emitAck(sender, EVENTS.MESSAGE_EDIT, {
+      messageId: MESSAGE_ID,
+      content: 'fixed',
+    });
+
+    expect(res).toEqual({ success: true, data: edited });
+    expect(await received).toEqual(edited);
+    expect(messageService.editMessage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        sessionId: SESSION_ID,
+        messageId: MESSAGE_ID,
+        sender: { deviceId: '64b0000000000000000000a1', userId: null },
+        content: 'fixed',
+      })
+    );
+  });
+
+  it('broadcasts a deletion', async () => {
+    const { sender, other } = await joinedPair();
+    messageService.deleteMessage.mockResolvedValue(MESSAGE_ID);
+    const received = nextEvent(other, EVENTS.MESSAGE_DELETED);
+
+    const res = await emitAck(sender, EVENTS.MESSAGE_DELETE, {
+      messageId: MESSAGE_ID,
+    });
+
+    expect(res).toEqual({ success: true, data: { messageId: MESSAGE_ID } });
+    expect(await received).toEqual({
+      messageIds: [MESSAGE_ID],
+      reason: 'deleted',
+    });
+  });
+
+  it("keeps quiet about other devices' messages", async () => {
+    const { sender, other } = await joinedPair();
+    const error = new Error('Message not found, or not yours to change');
+    error.statusCode = 404;
+    messageService.deleteMessage.mockRejectedValue(error);
+    const deleted = jest.fn();
+    other.on(EVENTS.MESSAGE_DELETED, deleted);
+
+    const res = await emitAck(sender, EVENTS.MESSAGE_DELETE, {
+      messageId: MESSAGE_ID,
+    });
+
+    expect(res).toEqual({ success: false, message: error.message });
+    expect(deleted).not.toHaveBeenCalled();
+  });
+
+  it('requires a joined session', async () => {
+    const socket = await open();
+
+    const res = await emitAck(socket, EVENTS.MESSAGE_EDIT, {
+      messageId: MESSAGE_ID,
+    });
+
+    expect(res.message).toBe('Join a session before editing messages');
+  });
+});
+
+describe('e2e:handshake', () => {
+  const joinBoth = async (encrypted) => {
+    sessionService.joinSession.mockResolvedValue({
+      session: { ...session(['a', 'b']), encrypted },
+      rejoined: true,
+    });
+    const first = await open();
+    const second = await open();
+    await emitAck(first, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    await emitAck(second, EVENTS.SESSION_JOIN, { pairingCode: '123456' });
+    return [first, second];
+  };
+
+  it('relays opaque messages to the other devices', async () => {
+    const [first, second] = await joinBoth(true);
+
+    const relayed = nextEvent(second, EVENTS.E2E_HANDSHAKE);
+    const res = await emitAck(first, EVENTS.E2E_HANDSHAKE, {
+      payload: 'spake2-message',
+    });
+
+    expect(res.success).toBe(true);
+    expect(await relayed).toEqual({
+      from: first.id,
+      payload: 'spake2-message',
+    });
+  });
+
+  it('only relays to devices in the same session', async () => {
+    const [first] = await joinBoth(true);
+    const outsider = await open();
+
+    const res = await emitAck(first, EVENTS.E2E_HANDSHAKE, {
+      payload: 'spake2-message',
+      to: outsider.id,
+    });
+
+    expect(res).toEqual({
+      success: false,
+      message: 'Target device is not in this session',
+    });
+  });
+
+  it('is refused in plaintext sessions', async () => {
+    const [first] = await joinBoth(false);
+
+    const res = await emitAck(first, EVENTS.E2E_HANDSHAKE, {
+      payload: 'spake2-message',
+    });
+
+    expect(res.message).toBe('Key exchange requires an encrypted session');
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Test Environment
+ *
+ * Loaded before every test file (jest.config.js setupFiles). Secrets
+ * are fixed so tokens can be signed, and mail and uploads stay out of
+ * the working tree.
+ */
+
+import os from 'os';
+import path from 'path';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_ACCESS_SECRET = 'test-access-secret-at-least-32-characters';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret-at-least-32-characters';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = path.join(os.tmpdir(), 'ctrl-w-test-mail');
+process.env.LOCAL_STORAGE_DIR = path.join(os.tmpdir(), 'ctrl-w-test-uploads');
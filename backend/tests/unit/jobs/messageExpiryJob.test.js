@@ -0,0 +1,55 @@
+/**
+ * Message Expiry Job
+ */
+
+import { jest } from '@jest/globals';
+
+const messageService = { purgeExpiredMessages: jest.fn() };
+const emitToSession = jest.fn();
+
+jest.unstable_mockModule('../../../services/messageService.js', () => ({
+  default: messageService,
+}));
+jest.unstable_mockModule('../../../socket/index.js', () => ({
+  emitToSession,
+}));
+
+const { runMessageExpiryJob } = await import(
+  '../../../jobs/messageExpiryJob.js'
+);
+const { default: EVENTS } = await import('../../../socket/events.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('runMessageExpiryJob', () => {
+  it('tells each session which of its messages expired', async () => {
+    messageService.purgeExpiredMessages.mockResolvedValue([
+      { sessionId: 's1', messageIds: ['m1', 'm2'] },
+      { sessionId: 's2', messageIds: ['m3'] },
+    ]);
+
+    await expect(runMessageExpiryJob()).resolves.toBe(3);
+
+    expect(emitToSession.mock.calls).toEqual([
+      [
+        's1',
+        EVENTS.MESSAGE_DELETED,
+        { messageIds: ['m1', 'm2'], reason: 'expired' },
+      ],
+      ['s2', EVENTS.MESSAGE_DELETED, { messageIds: ['m3'], reason: 'expired' }],
+    ]);
+  });
+
+  it('logs failures and reports the run as skipped', async () => {
+    const error = new Error('database down');
+    messageService.purgeExpiredMessages.mockRejectedValue(error);
+    const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(runMessageExpiryJob()).resolves.toBeNull();
+
+    expect(log).toHaveBeenCalledWith('Message expiry job failed:', error);
+    log.mockRestore();
+  });
+});
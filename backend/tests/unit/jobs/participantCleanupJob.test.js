@@ -0,0 +1,75 @@
+/**
+ * Participant Cleanup Job
+ */
+
+import { jest } from '@jest/globals';
+
+const sessionService = { removeOfflineParticipants: jest.fn() };
+const messageService = {
+  createSystemMessage: jest.fn(async (sessionId, content) => ({
+    type: 'system',
+    content,
+  })),
+};
+const emitToSession = jest.fn();
+
+jest.unstable_mockModule('../../../services/sessionService.js', () => ({
+  default: sessionService,
+}));
+jest.unstable_mockModule('../../../services/messageService.js', () => ({
+  default: messageService,
+}));
+jest.unstable_mockModule('../../../socket/index.js', () => ({
+  emitToSession,
+}));
+
+const { runParticipantCleanupJob } = await import(
+  '../../../jobs/participantCleanupJob.js'
+);
+const { default: EVENTS } = await import('../../../socket/events.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('runParticipantCleanupJob', () => {
+  it('announces each removed device as having left', async () => {
+    sessionService.removeOfflineParticipants.mockResolvedValue([
+      {
+        sessionId: 's1',
+        deviceId: 'd1',
+        socketId: 'socket-1',
+        deviceInfo: 'Pixel 8',
+        participantCount: 1,
+      },
+    ]);
+
+    await expect(runParticipantCleanupJob()).resolves.toBe(1);
+
+    expect(sessionService.removeOfflineParticipants).toHaveBeenCalledWith(120);
+    expect(messageService.createSystemMessage).toHaveBeenCalledWith(
+      's1',
+      'Pixel 8 left the session'
+    );
+    expect(emitToSession).toHaveBeenCalledWith('s1', EVENTS.PARTICIPANT_LEFT, {
+      deviceId: 'd1',
+      socketId: 'socket-1',
+      participantCount: 1,
+    });
+    expect(emitToSession).toHaveBeenCalledWith('s1', EVENTS.MESSAGE_NEW, {
+      type: 'system',
+      content: 'Pixel 8 left the session',
+    });
+  });
+
+  it('logs failures and reports the run as skipped', async () => {
+    const error = new Error('database down');
+    sessionService.removeOfflineParticipants.mockRejectedValue(error);
+    const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(runParticipantCleanupJob()).resolves.toBeNull();
+
+    expect(log).toHaveBeenCalledWith('Participant cleanup job failed:', error);
+    log.mockRestore();
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Authentication Middleware
+ */
+
+import { jest } from '@jest/globals';
+import {
+  authenticate,
+  optionalAuth,
+  allowApiTokens,
+  requireRole,
+} from '../../../middleware/auth.js';
+import authService from '../../../services/authService.js';
+import apiTokenService from '../../../services/apiTokenService.js';
+
+const PAT = 'ctw_pat_secret';
+
+const requestWith = (token) => ({
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  ip: '192.0.2.1',
+});
+
+/**
+ * Run Middleware Chain
+ *
+ * @returns {Promise<Error|undefined>} - What the last middleware passed
+ *   to next()
+ */
+const run = async (req, ...middleware) => {
+  for (const handler of middleware) {
+    const error = await new Promise((resolve) => {
+      handler(req, {}, resolve);
+    });
+    if (error) {
+      return error;
+    }
+  }
+  return undefined;
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest
+    .spyOn(authService, 'authenticateAccessToken')
+    .mockResolvedValue({ userId: 'u1', role: 'user' });
+  jest.spyOn(apiTokenService, 'authenticateToken').mockResolvedValue({
+    userId: 'u1',
+    role: 'user',
+    scopes: ['sessions:write'],
+  });
+});
+
+describe('authenticate', () => {
+  it('requires a token', async () => {
+    await expect(run(requestWith(null), authenticate)).resolves.toMatchObject({
+      statusCode: 401,
+    });
+  });
+
+  it('accepts access tokens', async () => {
+    const req = requestWith('jwt');
+
+    await expect(run(req, authenticate)).resolves.toBeUndefined();
+    expect(req.userId).toBe('u1');
+  });
+
+  it('turns every verification failure into a 401', async () => {
+    authService.authenticateAccessToken.mockRejectedValue(
+      new Error('Invalid access token')
+    );
+
+    await expect(run(requestWith('jwt'), authenticate)).resolves.toMatchObject({
+      statusCode: 401,
+      message: 'Invalid access token',
+    });
+  });
+});
+
+describe('API tokens', () => {
+  it('are refused where the route does not allow them', async () => {
+    await expect(run(requestWith(PAT), authenticate)).resolves.toMatchObject({
+      statusCode: 401,
+      message: 'API tokens cannot be used for this endpoint',
+    });
+    expect(apiTokenService.authenticateToken).not.toHaveBeenCalled();
+  });
+
+  it('are accepted with the route’s scope', async () => {
+    const req = requestWith(PAT);
+
+    await expect(
+      run(req, allowApiTokens('sessions:write'), optionalAuth)
+    ).resolves.toBeUndefined();
+    expect(req.userId).toBe('u1');
+    expect(apiTokenService.authenticateToken).toHaveBeenCalledWith(PAT, {
+      ip: '192.0.2.1',
+    });
+  });
+
+  it('get 403 without the route’s scope', async () => {
+    await expect(
+      run(requestWith(PAT), allowApiTokens('files:write'), authenticate)
+    ).resolves.toMatchObject({
+      statusCode: 403,
+      message: 'API token lacks the files:write scope',
+    });
+  });
+});
+
+describe('optionalAuth', () => {
+  it('lets anonymous requests through', async () => {
+    const req = requestWith(null);
+
+    await expect(run(req, optionalAuth)).resolves.toBeUndefined();
+    expect(req.userId).toBeNull();
+  });
+
+  it('rejects stale tokens instead of ignoring them', async () => {
+    authService.authenticateAccessToken.mockRejectedValue(
+      new Error('Access token has expired')
+    );
+
+    await expect(run(requestWith('jwt'), optionalAuth)).resolves.toMatchObject({
+      statusCode: 401,
+    });
+  });
+});
+
+describe('requireRole', () => {
+  it('checks the role from the database', async () => {
+    authService.authenticateAccessToken.mockResolvedValue({
+      userId: 'u1',
+      role: 'admin',
+    });
+
+    await expect(
+      run(requestWith('jwt'), authenticate, requireRole('admin'))
+    ).resolves.toBeUndefined();
+  });
+
+  it('refuses other roles with 403', async () => {
+    await expect(
+      run(requestWith('jwt'), authenticate, requireRole('admin'))
+    ).resolves.toMatchObject({ statusCode: 403 });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Session PIN Middleware
+ */
+
+import { jest } from '@jest/globals';
+
+const sessionService = {
+  findActiveSessionByCode: jest.fn(),
+  verifyPin: jest.fn(),
+};
+const closeSessionRoom = jest.fn();
+
+jest.unstable_mockModule('../../../services/sessionService.js', () => ({
+  default: sessionService,
+}));
+jest.unstable_mockModule('../../../socket/index.js', () => ({
+  closeSessionRoom,
+}));
+
+const { requireSessionPin } = await import('../../../middleware/sessionPin.js');
+
+const SESSION = { _id: 's1', pairingCode: '123456' };
+
+const request = (headers = {}) => ({
+  params: { code: '123456' },
+  headers,
+  ip: '192.0.2.1',
+  get: (name) => headers[name.toLowerCase()],
+});
+
+const run = (req) =>
+  new Promise((resolve) => {
+    requireSessionPin(req, {}, resolve);
+  });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sessionService.findActiveSessionByCode.mockResolvedValue(SESSION);
+  sessionService.verifyPin.mockResolvedValue();
+});
+
+describe('requireSessionPin', () => {
+  it('checks the X-Session-Pin header and attaches the session', async () => {
+    const req = request({ 'x-session-pin': '4711' });
+
+    await expect(run(req)).resolves.toBeUndefined();
+
+    expect(sessionService.verifyPin).toHaveBeenCalledWith(
+      SESSION,
+      '4711',
+      expect.objectContaining({ ip: '192.0.2.1' })
+    );
+    expect(req.pairingSession).toBe(SESSION);
+  });
+
+  it('passes a wrong PIN on as the error', async () => {
+    const error = new Error('Incorrect PIN');
+    error.statusCode = 401;
+    sessionService.verifyPin.mockRejectedValue(error);
+    const req = request({ 'x-session-pin': '0000' });
+
+    await expect(run(req)).resolves.toBe(error);
+    expect(req.pairingSession).toBeUndefined();
+    expect(closeSessionRoom).not.toHaveBeenCalled();
+  });
+
+  it('tells connected devices when too many wrong PINs close the session', async () => {
+    const error = new Error('Session closed after too many failed attempts');
+    error.statusCode = 410;
+    error.closedSessionId = 's1';
+    sessionService.verifyPin.mockRejectedValue(error);
+
+    await expect(run(request())).resolves.toBe(error);
+    expect(closeSessionRoom).toHaveBeenCalledWith('s1', {
+      reason: 'too_many_attempts',
+    });
+  });
+});
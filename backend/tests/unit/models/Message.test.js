@@ -0,0 +1,164 @@
+/**
+ * Message Model
+ *
+ * getSessionPage runs against a fake find() that applies the filter,
+ * sort and limit it is given, so the cursor conditions are checked
+ * for what they select, not for their shape.
+ */
+
+import { jest } from '@jest/globals';
+import { Message } from '../../../models/index.js';
+import { objectId } from '../../helpers/mongoose.js';
+
+const SESSION_ID = objectId(1);
+const START = new Date('2026-01-01T12:00:00Z').getTime();
+
+// Messages 3 and 4 were created in the same millisecond
+const stored = [0, 1000, 2000, 2000, 2001, 3000].map((offset, i) => ({
+  _id: objectId(101 + i),
+  session: SESSION_ID,
+  content: `message ${i + 1}`,
+  createdAt: new Date(START + offset),
+}));
+
+const ids = (messages) => messages.map((m) => m._id);
+
+const compare = {
+  $gt: (a, b) => a > b,
+  $lt: (a, b) => a < b,
+};
+
+const satisfies = (value, condition) => {
+  if (condition instanceof Date) return value.getTime() === condition.getTime();
+  if (typeof condition === 'string') return value === condition;
+  return Object.entries(condition).every(([op, operand]) =>
+    op === '$not' ? !satisfies(value, operand) : compare[op]?.(value, operand)
+  );
+};
+
+const matches = (message, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some((f) => matches(message, f));
+    if (field === 'expiresAt') {
+      // { $not: { $lte: now } }: no expiry, or a later one
+      return !message.expiresAt || message.expiresAt > condition.$not.$lte;
+    }
+    return satisfies(message[field], condition);
+  });
+
+// Find over `stored`, honouring sort({ createdAt, _id }) and limit()
+const fakeFind = (filter) => {
+  let direction = 1;
+  let limit = Infinity;
+  const query = {
+    sort: ({ createdAt }) => ((direction = createdAt), query),
+    limit: (n) => ((limit = n), query),
+    select: (fields) => ((query.selected = fields.split(' ')), query),
+    populate: (path, fields) => ((query.populated = { path, fields }), query),
+    lean: () => query,
+    then: (resolve, reject) => {
+      const found = stored
+        .filter((m) => matches(m, filter))
+        .sort(
+          (a, b) =>
+            direction * (a.createdAt - b.createdAt || (a._id < b._id ? -1 : 1))
+        )
+        .slice(0, limit);
+      return Promise.resolve(found).then(resolve, reject);
+    },
+  };
+  return query;
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Message, 'find').mockImplementation(fakeFind);
+});
+
+describe('getSessionPage', () => {
+  it('returns the latest messages, oldest first', async () => {
+    const page = await Message.getSessionPage(SESSION_ID, { limit: 2 });
+
+    expect(ids(page.messages)).toEqual(ids(stored.slice(4)));
+    expect(page.hasMore).toBe(true);
+  });
+
+  it('says when there is nothing more', async () => {
+    const page = await Message.getSessionPage(SESSION_ID, { limit: 6 });
+
+    expect(ids(page.messages)).toEqual(ids(stored));
+    expect(page.hasMore).toBe(false);
+  });
+
+  it('pages backwards from a message', async () => {
+    const page = await Message.getSessionPage(SESSION_ID, {
+      limit: 2,
+      before: stored[4],
+    });
+
+    expect(ids(page.messages)).toEqual(ids(stored.slice(2, 4)));
+    expect(page.hasMore).toBe(true);
+  });
+
+  it('walks forwards through messages sharing a millisecond', async () => {
+    const seen = [stored[0]];
+    let page = { hasMore: true };
+
+    while (page.hasMore) {
+      page = await Message.getSessionPage(SESSION_ID, {
+        limit: 1,
+        after: seen.at(-1),
+      });
+      seen.push(...page.messages);
+    }
+
+    expect(ids(seen)).toEqual(ids(stored));
+  });
+
+  it('walks backwards through messages sharing a millisecond', async () => {
+    let page = await Message.getSessionPage(SESSION_ID, { limit: 1 });
+    const seen = [...page.messages];
+
+    while (page.hasMore) {
+      page = await Message.getSessionPage(SESSION_ID, {
+        limit: 1,
+        before: seen[0],
+      });
+      seen.unshift(...page.messages);
+    }
+
+    expect(ids(seen)).toEqual(ids(stored));
+  });
+
+  it('catches up from a point in time', async () => {
+    const page = await Message.getSessionPage(SESSION_ID, {
+      after: { createdAt: stored[1].createdAt },
+    });
+
+    expect(ids(page.messages)).toEqual(ids(stored.slice(2)));
+  });
+
+  it('returns the payload fields of every message type', async () => {
+    await Message.getSessionPage(SESSION_ID);
+
+    const query = Message.find.mock.results[0].value;
+    expect(query.selected).toEqual(
+      expect.arrayContaining(['content', 'language', 'url', 'html', 'file'])
+    );
+    expect(query.populated).toEqual({
+      path: 'file',
+      fields: 'originalName fileType fileSize isDeleted',
+    });
+  });
+
+  it('leaves out messages that have expired', async () => {
+    stored[5].expiresAt = new Date(Date.now() - 1000);
+
+    try {
+      const page = await Message.getSessionPage(SESSION_ID);
+      expect(ids(page.messages)).toEqual(ids(stored.slice(0, 5)));
+    } finally {
+      delete stored[5].expiresAt;
+    }
+  });
+});
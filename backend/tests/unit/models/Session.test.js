@@ -0,0 +1,70 @@
+/**
+ * Session Model
+ *
+ * save() runs for real, with the collection write stubbed, so the PIN
+ * hook is exercised as registered.
+ */
+
+import { jest } from '@jest/globals';
+import { Session } from '../../../models/index.js';
+
+const newSession = (fields = {}) =>
+  new Session({ pairingCode: '123456', ...fields });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest
+    .spyOn(Session.collection, 'insertOne')
+    .mockResolvedValue({ acknowledged: true });
+  jest
+    .spyOn(Session.collection, 'updateOne')
+    .mockResolvedValue({ acknowledged: true, matchedCount: 1 });
+});
+
+describe('PIN', () => {
+  it('is stored as a bcrypt hash and marks the session', async () => {
+    const session = newSession({ pin: '4711' });
+
+    await session.save();
+
+    expect(session.pin).toMatch(/^\$2b\$10\$/);
+    expect(session.pinRequired).toBe(true);
+    await expect(session.comparePin('4711')).resolves.toBe(true);
+    await expect(session.comparePin('4712')).resolves.toBe(false);
+  });
+
+  it('is not hashed again when other fields change', async () => {
+    const session = newSession({ pin: '4711' });
+    await session.save();
+    const hash = session.pin;
+
+    session.requireApproval = true;
+    await session.save();
+
+    expect(session.pin).toBe(hash);
+  });
+
+  it('can be removed', async () => {
+    const session = newSession({ pin: '4711' });
+    await session.save();
+
+    session.pin = '';
+    await session.save();
+
+    expect(session.pin).toBeNull();
+    expect(session.pinRequired).toBe(false);
+  });
+
+  it('is optional', async () => {
+    const session = newSession();
+
+    await session.save();
+
+    expect(session.pinRequired).toBe(false);
+    await expect(session.comparePin('')).resolves.toBe(false);
+  });
+
+  it('is left out of queries unless asked for', () => {
+    expect(Session.schema.path('pin').options.select).toBe(false);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * User Model
+ *
+ * save() runs for real, with the collection write stubbed, so the
+ * pre-save hooks are exercised in their registered order.
+ */
+
+import { jest } from '@jest/globals';
+import bcrypt from 'bcrypt';
+import { User } from '../../../models/index.js';
+import loginLockoutConfig from '../../../config/loginLockout.js';
+import { mockQuery, applyUpdate, objectId } from '../../helpers/mongoose.js';
+
+const existingUser = () =>
+  User.hydrate({
+    _id: objectId(1),
+    name: 'Ada',
+    email: 'ada@example.com',
+    password: '$2b$10$abcdefghijklmnopqrstuuK0Zqk5b1pIuY0C8M3R5l2G8wEtZ6bKi',
+    isActive: true,
+    tokensValidAfter: null,
+  });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest
+    .spyOn(User.collection, 'updateOne')
+    .mockResolvedValue({ acknowledged: true, matchedCount: 1 });
+});
+
+describe('pre-save hooks', () => {
+  it('hashes a new password and revokes every token', async () => {
+    const user = existingUser();
+    user.password = 'NewPassword123';
+
+    await user.save();
+
+    expect(user.password).toMatch(/^\$2b\$10\$/);
+    await expect(user.comparePassword('NewPassword123')).resolves.toBe(true);
+    expect(user.tokensValidAfter).toBeInstanceOf(Date);
+  });
+
+  it('revokes every token when the account is deactivated', async () => {
+    const user = existingUser();
+    user.isActive = false;
+
+    await user.save();
+
+    expect(user.tokensValidAfter).toBeInstanceOf(Date);
+  });
+
+  it('leaves tokens alone for other changes', async () => {
+    const user = existingUser();
+    user.name = 'Ada L.';
+
+    await user.save();
+
+    expect(user.tokensValidAfter).toBeNull();
+  });
+});
+
+describe('isTokenRevoked', () => {
+  it('compares the iat with the watermark', () => {
+    const user = existingUser();
+    expect(user.isTokenRevoked(1000)).toBe(false);
+
+    user.tokensValidAfter = new Date(1000 * 1000);
+
+    expect(user.isTokenRevoked(999)).toBe(true);
+    expect(user.isTokenRevoked(1000)).toBe(false);
+  });
+});
+
+describe('login lockout', () => {
+  const PASSWORD = 'Correct-horse-1';
+  let passwordHash;
+
+  // Stand-in for the user's document in the collection
+  let stored;
+
+  const attempt = (password) =>
+    User.findByCredentials('ada@example.com', password, { ip: '198.51.100.7' });
+
+  const fail = (times) =>
+    Promise.allSettled(
+      Array.from({ length: times }, () => attempt('wrong-password'))
+    );
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  beforeEach(() => {
+    stored = {
+      _id: objectId(1),
+      email: 'ada@example.com',
+      password: passwordHash,
+      isActive: true,
+      failedLoginAttempts: 0,
+      lockoutCount: 0,
+      lockUntil: null,
+    };
+
+    jest
+      .spyOn(User, 'findOne')
+      .mockImplementation(() => mockQuery(User.hydrate({ ...stored })));
+    jest
+      .spyOn(User, 'findOneAndUpdate')
+      .mockImplementation(async (filter, update) => {
+        applyUpdate(stored, update);
+        return User.hydrate({ ...stored });
+      });
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      if (filter.failedLoginAttempts !== stored.failedLoginAttempts) {
+        return { modifiedCount: 0 };
+      }
+      applyUpdate(stored, update);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  const lockSeconds = () =>
+    Math.round((stored.lockUntil.getTime() - Date.now()) / 1000);
+
+  it('accepts the right password', async () => {
+    await expect(attempt(PASSWORD)).resolves.toMatchObject({
+      email: 'ada@example.com',
+    });
+  });
+
+  it('counts wrong passwords without locking below the limit', async () => {
+    await fail(loginLockoutConfig.maxFailures - 1);
+
+    expect(stored).toMatchObject({ failedLoginAttempts: 4, lockUntil: null });
+    expect(stored.lastFailedLoginIp).toBe('198.51.100.7');
+  });
+
+  it('locks once the limit is reached, even in parallel', async () => {
+    await fail(loginLockoutConfig.maxFailures + 2);
+
+    expect(stored.lockoutCount).toBe(1);
+    expect(lockSeconds()).toBe(60);
+  });
+
+  it('answers a locked account like a wrong password', async () => {
+    await fail(5);
+
+    await expect(attempt(PASSWORD)).rejects.toThrow('Invalid credentials');
+    await expect(attempt('wrong-password')).rejects.toThrow(
+      'Invalid credentials'
+    );
+  });
+
+  it('doubles each following lockout', async () => {
+    await fail(5);
+    stored.lockUntil = new Date(Date.now() - 1000);
+    await fail(5);
+
+    expect(stored.lockoutCount).toBe(2);
+    expect(lockSeconds()).toBe(120);
+  });
+
+  it('forgets failures older than the window', async () => {
+    await fail(4);
+    stored.lastFailedLoginAt = new Date(
+      Date.now() - loginLockoutConfig.failureWindowMs - 1000
+    );
+
+    await fail(1);
+
+    expect(stored).toMatchObject({ failedLoginAttempts: 1, lockUntil: null });
+  });
+
+  it('records the login and clears the backoff', () => {
+    const user = User.hydrate({ ...stored, lockoutCount: 3 });
+
+    user.recordLogin({ ip: '198.51.100.7', userAgent: 'curl/8.0' });
+
+    expect(user).toMatchObject({
+      lastLoginIp: '198.51.100.7',
+      lastLoginUserAgent: 'curl/8.0',
+      failedLoginAttempts: 0,
+      lockoutCount: 0,
+      lockUntil: null,
+    });
+    expect(user.lastLogin).toBeInstanceOf(Date);
+  });
+});
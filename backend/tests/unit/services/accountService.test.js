@@ -0,0 +1,146 @@
+/**
+ * Account Service
+ *
+ * The mailer is mocked; links are read from the messages it was given.
+ */
+
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+
+const sendMail = jest.fn();
+
+jest.unstable_mockModule('../../../mailer/index.js', () => ({ sendMail }));
+
+const { User } = await import('../../../models/index.js');
+const { default: accountService } = await import(
+  '../../../services/accountService.js'
+);
+const { default: accountConfig } = await import('../../../config/account.js');
+const { mockQuery, objectId } = await import('../../helpers/mongoose.js');
+const { default: bcrypt } = await import('bcrypt');
+
+const USER_ID = objectId(1);
+const OLD_PASSWORD_HASH = await bcrypt.hash('OldPassword1', 4);
+
+let user;
+
+const tokenFromMail = () => {
+  const [{ text }] = sendMail.mock.calls.at(-1);
+  return new URL(text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  sendMail.mockReset().mockResolvedValue({ messageId: 'm1' });
+
+  user = User.hydrate({
+    _id: USER_ID,
+    name: 'Ada',
+    email: 'ada@example.com',
+    password: OLD_PASSWORD_HASH,
+    isActive: true,
+    emailVerified: false,
+  });
+
+  jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(user));
+  jest.spyOn(User, 'findById').mockReturnValue(mockQuery(user));
+  jest
+    .spyOn(User.collection, 'updateOne')
+    .mockResolvedValue({ acknowledged: true, matchedCount: 1 });
+});
+
+describe('password reset', () => {
+  it('mails a reset link to known addresses', async () => {
+    await accountService.requestPasswordReset('ada@example.com');
+
+    expect(sendMail).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'ada@example.com' })
+    );
+    expect(jwt.decode(tokenFromMail())).toMatchObject({
+      sub: USER_ID,
+      aud: 'ctrl-w-reset-password',
+    });
+  });
+
+  it('sends nothing for unknown addresses', async () => {
+    User.findOne.mockReturnValue(mockQuery(null));
+
+    await accountService.requestPasswordReset('nobody@example.com');
+
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+
+  it('sets the new password and verifies the address', async () => {
+    await accountService.requestPasswordReset('ada@example.com');
+
+    await accountService.resetPassword(tokenFromMail(), 'NewPassword1');
+
+    await expect(user.comparePassword('NewPassword1')).resolves.toBe(true);
+    expect(user.emailVerified).toBe(true);
+    expect(user.tokensValidAfter).toBeInstanceOf(Date);
+  });
+
+  it('accepts each link once', async () => {
+    await accountService.requestPasswordReset('ada@example.com');
+    const token = tokenFromMail();
+
+    await accountService.resetPassword(token, 'NewPassword1');
+
+    await expect(
+      accountService.resetPassword(token, 'Hijacked123')
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('rejects expired links', async () => {
+    const token = jwt.sign({ sub: USER_ID }, accountConfig.tokenSecret, {
+      issuer: 'ctrl-w-api',
+      audience: 'ctrl-w-reset-password',
+      expiresIn: -1,
+    });
+
+    await expect(
+      accountService.resetPassword(token, 'NewPassword1')
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('rejects verification links', async () => {
+    await accountService.sendVerificationEmail(user);
+
+    await expect(
+      accountService.resetPassword(tokenFromMail(), 'NewPassword1')
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('email verification', () => {
+  it('verifies the address once', async () => {
+    await accountService.sendVerificationEmail(user);
+    const token = tokenFromMail();
+
+    await expect(accountService.verifyEmail(token)).resolves.toEqual({
+      email: 'ada@example.com',
+    });
+    expect(user.emailVerified).toBe(true);
+
+    await expect(accountService.verifyEmail(token)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it('rejects links for an address the user no longer has', async () => {
+    await accountService.sendVerificationEmail(user);
+    user.email = 'ada@new.example.com';
+
+    await expect(
+      accountService.verifyEmail(tokenFromMail())
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('does not resend to verified addresses', async () => {
+    user.emailVerified = true;
+
+    await accountService.resendVerificationEmail('ada@example.com');
+
+    expect(sendMail).not.toHaveBeenCalled();
+  });
+});
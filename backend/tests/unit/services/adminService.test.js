@@ -0,0 +1,68 @@
+/**
+ * Admin Service
+ */
+
+import { jest } from '@jest/globals';
+import { User } from '../../../models/index.js';
+import adminService from '../../../services/adminService.js';
+import { mockQuery, objectId } from '../../helpers/mongoose.js';
+
+const lockedUser = () =>
+  User.hydrate({
+    _id: objectId(1),
+    email: 'ada@example.com',
+    failedLoginAttempts: 2,
+    lockoutCount: 3,
+    lockUntil: new Date(Date.now() + 60000),
+    lastFailedLoginIp: '198.51.100.7',
+  });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('listLockedAccounts', () => {
+  it('lists accounts whose lockout is still running', async () => {
+    jest.spyOn(User, 'find').mockReturnValue(mockQuery([lockedUser()]));
+
+    const accounts = await adminService.listLockedAccounts();
+
+    expect(User.find).toHaveBeenCalledWith({
+      lockUntil: { $gt: expect.any(Date) },
+    });
+    expect(accounts).toEqual([
+      expect.objectContaining({
+        email: 'ada@example.com',
+        locked: true,
+        lockoutCount: 3,
+        lastFailedLoginIp: '198.51.100.7',
+      }),
+    ]);
+  });
+});
+
+describe('clearLockout', () => {
+  it('unlocks the account and resets the backoff', async () => {
+    const user = lockedUser();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const save = jest.spyOn(user, 'save').mockResolvedValue(user);
+
+    await expect(adminService.clearLockout(objectId(1))).resolves.toMatchObject(
+      {
+        locked: false,
+        lockUntil: null,
+        lockoutCount: 0,
+        failedLoginAttempts: 0,
+      }
+    );
+    expect(save).toHaveBeenCalled();
+  });
+
+  it('answers 404 for unknown accounts', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(null);
+
+    await expect(adminService.clearLockout(objectId(2))).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+});
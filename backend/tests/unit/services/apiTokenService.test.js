@@ -0,0 +1,168 @@
+/**
+ * API Token Service
+ */
+
+import { jest } from '@jest/globals';
+import { ApiToken, User } from '../../../models/index.js';
+import apiTokenService from '../../../services/apiTokenService.js';
+import { mockQuery, saveInMemory, objectId } from '../../helpers/mongoose.js';
+
+const USER_ID = objectId(1);
+const TOKEN_ID = objectId(2);
+
+const owner = (fields = {}) =>
+  User.hydrate({
+    _id: USER_ID,
+    email: 'ci@example.com',
+    role: 'user',
+    isActive: true,
+    ...fields,
+  });
+
+const storedToken = (fields = {}) =>
+  ApiToken.hydrate({
+    _id: TOKEN_ID,
+    user: USER_ID,
+    name: 'CI',
+    tokenHash: 'hash',
+    prefix: 'ctw_pat_abcd',
+    scopes: ['sessions:write'],
+    expiresAt: null,
+    lastUsedAt: null,
+    ...fields,
+  });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createToken', () => {
+  beforeEach(() => {
+    saveInMemory(ApiToken);
+    jest.spyOn(ApiToken, 'countDocuments').mockResolvedValue(0);
+  });
+
+  it('returns the plain token once and stores only its hash', async () => {
+    const { token, apiToken } = await apiTokenService.createToken(USER_ID, {
+      name: 'CI',
+      scopes: ['sessions:write', 'files:write', 'sessions:write'],
+      expiresInDays: 30,
+    });
+
+    expect(apiTokenService.isApiToken(token)).toBe(true);
+    expect(apiToken).toMatchObject({
+      name: 'CI',
+      prefix: token.slice(0, 12),
+      scopes: ['sessions:write', 'files:write'],
+    });
+    expect(apiToken.tokenHash).toBeUndefined();
+    expect(apiToken.expiresAt.getTime()).toBeGreaterThan(
+      Date.now() + 29 * 24 * 60 * 60 * 1000
+    );
+
+    const [saved] = ApiToken.prototype.save.mock.contexts;
+    expect(saved.tokenHash).toBe(ApiToken.hashToken(token));
+    expect(saved.tokenHash).not.toContain(token);
+  });
+
+  it('never expires without expiresInDays', async () => {
+    const { apiToken } = await apiTokenService.createToken(USER_ID, {
+      name: 'CI',
+      scopes: ['sessions:read'],
+    });
+
+    expect(apiToken.expiresAt).toBeNull();
+  });
+
+  it('caps the number of tokens per user', async () => {
+    ApiToken.countDocuments.mockResolvedValue(50);
+
+    await expect(
+      apiTokenService.createToken(USER_ID, {
+        name: 'CI',
+        scopes: ['sessions:read'],
+      })
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('authenticateToken', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockResolvedValue(owner());
+    jest.spyOn(ApiToken, 'updateOne').mockResolvedValue({});
+  });
+
+  it('authenticates as the owner with the granted scopes', async () => {
+    jest.spyOn(ApiToken, 'findOne').mockResolvedValue(storedToken());
+
+    await expect(
+      apiTokenService.authenticateToken('ctw_pat_secret', { ip: '192.0.2.1' })
+    ).resolves.toEqual({
+      userId: USER_ID,
+      email: 'ci@example.com',
+      role: 'user',
+      scopes: ['sessions:write'],
+      tokenId: TOKEN_ID,
+    });
+    expect(ApiToken.findOne).toHaveBeenCalledWith({
+      tokenHash: ApiToken.hashToken('ctw_pat_secret'),
+    });
+    expect(ApiToken.updateOne).toHaveBeenCalledWith(
+      { _id: storedToken()._id },
+      { $set: { lastUsedAt: expect.any(Date), lastUsedIp: '192.0.2.1' } }
+    );
+  });
+
+  it('records the last use at most once a minute', async () => {
+    jest
+      .spyOn(ApiToken, 'findOne')
+      .mockResolvedValue(storedToken({ lastUsedAt: new Date() }));
+
+    await apiTokenService.authenticateToken('ctw_pat_secret');
+
+    expect(ApiToken.updateOne).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['unknown', null],
+    ['expired', storedToken({ expiresAt: new Date(Date.now() - 1000) })],
+  ])('rejects %s tokens', async (_, found) => {
+    jest.spyOn(ApiToken, 'findOne').mockResolvedValue(found);
+
+    await expect(
+      apiTokenService.authenticateToken('ctw_pat_secret')
+    ).rejects.toThrow('Invalid or expired API token');
+  });
+
+  it('rejects tokens of deactivated accounts', async () => {
+    jest.spyOn(ApiToken, 'findOne').mockResolvedValue(storedToken());
+    User.findById.mockResolvedValue(owner({ isActive: false }));
+
+    await expect(
+      apiTokenService.authenticateToken('ctw_pat_secret')
+    ).rejects.toThrow('User not found or inactive');
+  });
+});
+
+describe('listTokens and revokeToken', () => {
+  it('lists live tokens without their hashes', async () => {
+    jest.spyOn(ApiToken, 'find').mockReturnValue(mockQuery([storedToken()]));
+
+    const [token] = await apiTokenService.listTokens(USER_ID);
+
+    expect(token).toMatchObject({ id: storedToken()._id, name: 'CI' });
+    expect(token.tokenHash).toBeUndefined();
+  });
+
+  it('revokes only the caller’s own tokens', async () => {
+    jest.spyOn(ApiToken, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+
+    await expect(
+      apiTokenService.revokeToken(objectId(9), TOKEN_ID)
+    ).rejects.toMatchObject({ statusCode: 404 });
+    expect(ApiToken.deleteOne).toHaveBeenCalledWith({
+      _id: TOKEN_ID,
+      user: objectId(9),
+    });
+  });
+});
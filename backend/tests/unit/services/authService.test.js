@@ -0,0 +1,274 @@
+/**
+ * Auth Service
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { User, RefreshToken } from '../../../models/index.js';
+import authService from '../../../services/authService.js';
+import refreshTokenService from '../../../services/refreshTokenService.js';
+import tokenRevocationService from '../../../services/tokenRevocationService.js';
+import { objectId } from '../../helpers/mongoose.js';
+
+const USER_ID = objectId(1);
+
+const userDoc = (fields = {}) =>
+  User.hydrate({
+    _id: USER_ID,
+    name: 'Ada',
+    email: 'ada@example.com',
+    role: 'user',
+    isActive: true,
+    tokensValidAfter: null,
+    ...fields,
+  });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('access-token revocation', () => {
+  let user;
+
+  beforeEach(() => {
+    user = userDoc();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  it('gives every access token its own jti', () => {
+    const first = jwt.decode(authService.generateAccessToken(user));
+    const second = jwt.decode(authService.generateAccessToken(user));
+
+    expect(first.jti).toEqual(expect.any(String));
+    expect(first.jti).not.toBe(second.jti);
+  });
+
+  it('rejects a token after logout, but not the other devices', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({
+      _id: objectId(2),
+      family: 'family-a',
+      expiresAt: new Date(Date.now() + 60000),
+    });
+    jest.spyOn(RefreshToken, 'updateOne').mockResolvedValue({});
+    const token = authService.generateAccessToken(user, 'family-a');
+    const sameDevice = authService.generateAccessToken(user, 'family-a');
+    const other = authService.generateAccessToken(user, 'family-b');
+
+    await authService.logout(
+      USER_ID,
+      await authService.verifyAccessToken(token)
+    );
+
+    await expect(authService.verifyAccessToken(token)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Access token has been revoked',
+    });
+    await expect(authService.verifyAccessToken(sameDevice)).rejects.toThrow(
+      'Access token has been revoked'
+    );
+    await expect(authService.verifyAccessToken(other)).resolves.toMatchObject({
+      fam: 'family-b',
+    });
+  });
+
+  it('rejects every token of a revoked device', async () => {
+    const token = authService.generateAccessToken(user, 'family-c');
+
+    await tokenRevocationService.revokeFamily(
+      'family-c',
+      new Date(Date.now() + 60000)
+    );
+
+    await expect(authService.verifyAccessToken(token)).rejects.toThrow(
+      'Access token has been revoked'
+    );
+  });
+
+  it('rejects tokens issued before the watermark', async () => {
+    const token = authService.generateAccessToken(user);
+    const { iat } = jwt.decode(token);
+    user.tokensValidAfter = new Date((iat + 1) * 1000);
+
+    await expect(authService.authenticateAccessToken(token)).rejects.toThrow(
+      'Access token has been revoked'
+    );
+  });
+
+  it('accepts tokens issued in the second of the watermark', async () => {
+    const token = authService.generateAccessToken(user);
+    const { iat } = jwt.decode(token);
+    user.tokensValidAfter = new Date(iat * 1000);
+
+    await expect(
+      authService.authenticateAccessToken(token)
+    ).resolves.toMatchObject({ userId: USER_ID });
+  });
+
+  it('rejects tokens of deactivated users', async () => {
+    const token = authService.generateAccessToken(user);
+    user.isActive = false;
+
+    await expect(authService.authenticateAccessToken(token)).rejects.toThrow(
+      'User not found or inactive'
+    );
+  });
+
+  it('moves the watermark and revokes every device on logout-all', async () => {
+    jest.spyOn(User.prototype, 'save').mockResolvedValue();
+    jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({});
+
+    await authService.logoutAll(USER_ID);
+
+    expect(user.tokensValidAfter).toBeInstanceOf(Date);
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      { user: user._id, revokedAt: null },
+      {
+        $set: { revokedAt: expect.any(Date), revokedReason: 'logout_all' },
+      }
+    );
+  });
+});
+
+describe('refresh-token families', () => {
+  // Stand-in for the refreshtokens collection, one document per device
+  let families;
+  let user;
+
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(
+      ([key, value]) => String(doc[key] ?? null) === String(value ?? null)
+    );
+  const find = (filter) => families.find((doc) => matches(doc, filter));
+
+  // What login does for a new device
+  const signIn = async (deviceName) => {
+    const family = crypto.randomUUID();
+    const token = authService.generateRefreshToken(user, family);
+    await refreshTokenService.createFamily(user._id, family, token, {
+      deviceName,
+    });
+    return token;
+  };
+
+  beforeEach(() => {
+    families = [];
+    user = userDoc();
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async (fields) => {
+      const doc = { _id: objectId(100 + families.length), ...fields };
+      families.push(doc);
+      return doc;
+    });
+    jest
+      .spyOn(RefreshToken, 'findOne')
+      .mockImplementation(async (filter) => find(filter));
+    jest
+      .spyOn(RefreshToken, 'findOneAndUpdate')
+      .mockImplementation(async (filter, update) => {
+        const doc = find(filter);
+        return doc ? Object.assign(doc, update.$set) : null;
+      });
+    jest
+      .spyOn(RefreshToken, 'updateOne')
+      .mockImplementation(async (filter, update) => {
+        const doc = find(filter);
+        if (doc) {
+          Object.assign(doc, update.$set);
+        }
+        return { modifiedCount: doc ? 1 : 0 };
+      });
+  });
+
+  it('keeps one family per device', async () => {
+    const laptop = await signIn('laptop');
+    const phone = await signIn('phone');
+
+    expect(families).toHaveLength(2);
+    expect(families[0].tokenHash).toBe(RefreshToken.hashToken(laptop));
+    expect(families[0].tokenHash).not.toBe(RefreshToken.hashToken(phone));
+
+    await authService.refresh(laptop);
+    await expect(authService.refresh(phone)).resolves.toEqual({
+      accessToken: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const first = await signIn('laptop');
+
+    const { refreshToken: second } = await authService.refresh(first);
+    const { refreshToken: third } = await authService.refresh(second);
+
+    expect(new Set([first, second, third]).size).toBe(3);
+    expect(families[0].tokenHash).toBe(RefreshToken.hashToken(third));
+  });
+
+  it('revokes the whole family when a rotated token is reused', async () => {
+    const stolen = await signIn('laptop');
+    const { refreshToken: current, accessToken } =
+      await authService.refresh(stolen);
+
+    await expect(authService.refresh(stolen)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Refresh token has been revoked',
+    });
+
+    expect(families[0]).toMatchObject({ revokedReason: 'reuse_detected' });
+    await expect(authService.refresh(current)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    await expect(authService.verifyAccessToken(accessToken)).rejects.toThrow(
+      'Access token has been revoked'
+    );
+  });
+
+  it('lets only one of two parallel refreshes with the same token win', async () => {
+    const token = await signIn('laptop');
+
+    const results = await Promise.allSettled([
+      authService.refresh(token),
+      authService.refresh(token),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual([
+      'fulfilled',
+      'rejected',
+    ]);
+  });
+
+  it('rejects access tokens used as refresh tokens', async () => {
+    await expect(
+      authService.refresh(authService.generateAccessToken(user))
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('lists devices and signs one out', async () => {
+    jest.spyOn(RefreshToken, 'find').mockImplementation(() => ({
+      sort: async () => families.filter((doc) => !doc.revokedAt),
+    }));
+    await signIn('laptop');
+    const phone = await signIn('phone');
+    const phoneFamily = jwt.decode(phone).fam;
+
+    const devices = await authService.listDevices(USER_ID, phoneFamily);
+    expect(
+      devices.map((device) => [device.deviceName, device.current])
+    ).toEqual([
+      ['laptop', false],
+      ['phone', true],
+    ]);
+
+    await authService.signOutDevice(USER_ID, phoneFamily);
+
+    await expect(authService.refresh(phone)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    await expect(
+      authService.signOutDevice(USER_ID, phoneFamily)
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * File Service
+ *
+ * Uploads go to the local driver (a temp directory, see setup.js).
+ */
+
+import { jest } from '@jest/globals';
+import { File, Session } from '../../../models/index.js';
+import fileService from '../../../services/fileService.js';
+import { saveInMemory, objectId } from '../../helpers/mongoose.js';
+
+const PNG = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d,
+]);
+const DEVICE_ID = objectId(10);
+
+const sessionWith = (fields = {}) =>
+  new Session({
+    pairingCode: '123456',
+    participants: [{ device: DEVICE_ID, socketId: 's1' }],
+    ...fields,
+  });
+
+const upload = (overrides = {}) =>
+  fileService.uploadToSession({
+    session: sessionWith(),
+    file: { buffer: PNG, originalname: 'photo.png', size: PNG.length },
+    uploaderDeviceId: DEVICE_ID,
+    ...overrides,
+  });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  saveInMemory(File);
+});
+
+describe('uploadToSession', () => {
+  it('stores the file under its sniffed type', async () => {
+    const file = await upload({
+      file: { buffer: PNG, originalname: 'photo.jpg', size: PNG.length },
+    });
+
+    expect(file.fileType).toBe('image/png');
+    expect(file.originalName).toBe('photo.jpg');
+    expect(file.storageProvider).toBe('local');
+    expect(file.storageKey).toMatch(/\.png$/);
+  });
+
+  it.each(['x.html', 'x.svg', 'x.htm', 'x'])(
+    'never takes the stored extension from the file name (%s)',
+    async (originalname) => {
+      const file = await upload({
+        file: { buffer: PNG, originalname, size: PNG.length },
+      });
+
+      expect(file.storageKey).toMatch(
+        new RegExp(`^${file.session}/[0-9a-f-]{36}\\.png$`)
+      );
+    }
+  );
+
+  it('refuses types outside the allowlist, whatever the name says', async () => {
+    await expect(
+      upload({
+        file: {
+          buffer: Buffer.from('<script>alert(1)</script>'),
+          originalname: 'photo.png',
+        },
+      })
+    ).rejects.toMatchObject({
+      statusCode: 415,
+      message: 'File type text/plain is not allowed',
+    });
+  });
+
+  it('requires a file', async () => {
+    await expect(upload({ file: undefined })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it('only accepts uploads from participants', async () => {
+    await expect(
+      upload({ uploaderDeviceId: objectId(11) })
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('keeps only placeholders for encrypted files', async () => {
+    const encryption = {
+      algorithm: 'XChaCha20-Poly1305',
+      nonce: Buffer.alloc(24, 1).toString('base64'),
+      metadata: 'ZW5jcnlwdGVk',
+    };
+
+    const file = await upload({
+      session: sessionWith({ encrypted: true }),
+      file: { buffer: PNG, originalname: 'secret.html', size: PNG.length },
+      encryption,
+    });
+
+    expect(file.originalName).toBe('encrypted');
+    expect(file.fileType).toBe('application/octet-stream');
+    expect(file.storageKey).toMatch(/\/[0-9a-f-]{36}$/);
+  });
+
+  it('removes the stored bytes when the record is rejected', async () => {
+    File.prototype.save.mockRejectedValueOnce(new Error('invalid'));
+    const { getStorage } = await import('../../../storage/index.js');
+    const remove = jest.spyOn(getStorage(), 'delete');
+
+    await expect(upload()).rejects.toThrow('invalid');
+    expect(remove).toHaveBeenCalledWith(expect.stringMatching(/\.png$/), {
+      contentType: 'image/png',
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Join Token Service
+ */
+
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { Session } from '../../../models/index.js';
+import joinTokenConfig from '../../../config/joinToken.js';
+import joinTokenService from '../../../services/joinTokenService.js';
+import { objectId } from '../../helpers/mongoose.js';
+
+const SESSION_ID = objectId(1);
+
+// jtis still stored on the session, as the atomic $pull would see them
+let outstanding;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  outstanding = new Set();
+
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (_, update) => {
+    update.$push.joinTokens.$each.forEach(({ jti }) => outstanding.add(jti));
+    return { modifiedCount: 1 };
+  });
+  jest
+    .spyOn(Session, 'findOneAndUpdate')
+    .mockImplementation(async (filter) =>
+      outstanding.delete(filter['joinTokens.jti']) ? { _id: filter._id } : null
+    );
+});
+
+const mint = () => joinTokenService.mintJoinToken({ _id: SESSION_ID });
+
+describe('mintJoinToken', () => {
+  it('signs a token for the session and stores its jti', async () => {
+    const { token, expiresAt } = await mint();
+    const payload = jwt.decode(token);
+
+    expect(payload).toMatchObject({ sid: SESSION_ID, aud: 'ctrl-w-join' });
+    expect(outstanding).toEqual(new Set([payload.jti]));
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    const [, update] = Session.updateOne.mock.calls[0];
+    expect(update.$push.joinTokens.$slice).toBe(-20);
+  });
+
+  it('builds web and app links carrying the token', async () => {
+    const { token, links } = await mint();
+
+    const app = new URL(links.app);
+
+    expect(new URL(links.web).searchParams.get('token')).toBe(token);
+    expect(app.protocol).toBe('ctrlw:');
+    expect(app.searchParams.get('token')).toBe(token);
+  });
+});
+
+describe('redeemJoinToken', () => {
+  it('returns the session ID', async () => {
+    const { token } = await mint();
+
+    await expect(joinTokenService.redeemJoinToken(token)).resolves.toBe(
+      SESSION_ID
+    );
+  });
+
+  it('can be redeemed only once, even in parallel', async () => {
+    const { token } = await mint();
+
+    const results = await Promise.allSettled([
+      joinTokenService.redeemJoinToken(token),
+      joinTokenService.redeemJoinToken(token),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual([
+      'fulfilled',
+      'rejected',
+    ]);
+    expect(
+      results.find((result) => result.status === 'rejected').reason
+    ).toMatchObject({ statusCode: 410 });
+  });
+
+  it('rejects expired tokens', async () => {
+    const token = jwt.sign(
+      { sid: SESSION_ID, jti: 'old' },
+      joinTokenConfig.secret,
+      { expiresIn: -1, issuer: 'ctrl-w-api', audience: 'ctrl-w-join' }
+    );
+
+    await expect(joinTokenService.redeemJoinToken(token)).rejects.toMatchObject(
+      { statusCode: 401, message: 'Join token has expired' }
+    );
+  });
+
+  it.each([
+    ['another audience', { audience: 'ctrl-w-app' }, joinTokenConfig.secret],
+    ['another secret', { audience: 'ctrl-w-join' }, 'not-the-secret'],
+  ])('rejects tokens signed for %s', async (_, options, secret) => {
+    const token = jwt.sign({ sid: SESSION_ID, jti: 'x' }, secret, {
+      issuer: 'ctrl-w-api',
+      ...options,
+    });
+
+    await expect(joinTokenService.redeemJoinToken(token)).rejects.toMatchObject(
+      { statusCode: 401, message: 'Invalid join token' }
+    );
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('renderQrCode', () => {
+  it('renders SVG', async () => {
+    const { contentType, body } = await joinTokenService.renderQrCode(
+      'ctrlw://join?token=abc',
+      'svg'
+    );
+
+    expect(contentType).toBe('image/svg+xml');
+    expect(body).toMatch(/^<svg/);
+  });
+
+  it('renders PNG', async () => {
+    const { contentType, body } = await joinTokenService.renderQrCode(
+      'ctrlw://join?token=abc',
+      'png'
+    );
+
+    expect(contentType).toBe('image/png');
+    expect(body.subarray(1, 4).toString()).toBe('PNG');
+  });
+});
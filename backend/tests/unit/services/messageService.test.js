@@ -0,0 +1,643 @@
+/**
+ * Message Service
+ */
+
+import { jest } from '@jest/globals';
+import { Message, File } from '../../../models/index.js';
+import messageService from '../../../services/messageService.js';
+import { mockQuery, saveInMemory, objectId } from '../../helpers/mongoose.js';
+
+const SESSION_ID = objectId(1);
+const DEVICE_ID = objectId(10);
+
+const envelope = {
+  algorithm: 'AES-256-GCM',
+  nonce: Buffer.alloc(12, 1).toString('base64'),
+  ciphertext: Buffer.from('secret').toString('base64'),
+};
+
+const send = (fields) =>
+  messageService.createMessage({
+    sessionId: SESSION_ID,
+    senderDeviceId: DEVICE_ID,
+    ...fields,
+  });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  saveInMemory(Message);
+});
+
+describe('encrypted sessions', () => {
+  it('store the envelope and no plaintext', async () => {
+    const message = await send({ encrypted: true, encryption: envelope });
+
+    expect(message.encryption).toEqual(envelope);
+    expect(message.content).toBeNull();
+    expect(message.senderDeviceId).toBe(DEVICE_ID);
+  });
+
+  it('refuse plaintext', async () => {
+    await expect(
+      send({ encrypted: true, content: 'hi', encryption: envelope })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Encrypted sessions do not accept plaintext',
+    });
+  });
+
+  it('require an envelope', async () => {
+    await expect(send({ encrypted: true })).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it('only accept text messages', async () => {
+    await expect(
+      send({ encrypted: true, type: 'code', encryption: envelope })
+    ).rejects.toMatchObject({
+      message: 'Encrypted sessions only accept text messages',
+    });
+  });
+});
+
+describe('message types', () => {
+  const rejects = (fields, message) =>
+    expect(send(fields)).rejects.toMatchObject({ statusCode: 400, message });
+
+  it('trims text', async () => {
+    await expect(send({ content: '  hi  ' })).resolves.toMatchObject({
+      type: 'text',
+      content: 'hi',
+    });
+  });
+
+  it.each([
+    ['system', 'Type must be one of: text, code, link, rich, file'],
+    ['video', 'Type must be one of: text, code, link, rich, file'],
+  ])('refuses the type %p', async (type, message) => {
+    await rejects({ type, content: 'hi' }, message);
+  });
+
+  describe('code', () => {
+    it('keeps indentation and tags the language', async () => {
+      const message = await send({
+        type: 'code',
+        content: '  if (x) {\n    go();\n  }\n',
+        language: ' TypeScript ',
+      });
+
+      expect(message).toMatchObject({
+        content: '  if (x) {\n    go();\n  }\n',
+        language: 'typescript',
+      });
+    });
+
+    it('defaults to plain text', async () => {
+      const message = await send({ type: 'code', content: 'x' });
+
+      expect(message.language).toBe('plaintext');
+    });
+
+    it.each(['<script>', 'a'.repeat(33), 42])(
+      'refuses the language %p',
+      async (language) => {
+        await rejects(
+          { type: 'code', content: 'x', language },
+          'Language must be a tag like "js" or "python" (up to 32 characters)'
+        );
+      }
+    );
+
+    it('allows longer content than text', async () => {
+      await expect(
+        send({ type: 'code', content: 'x'.repeat(50000) })
+      ).resolves.toMatchObject({ type: 'code' });
+      await rejects(
+        { type: 'code', content: 'x'.repeat(50001) },
+        'Code cannot exceed 50000 characters'
+      );
+      await rejects(
+        { content: 'x'.repeat(10001) },
+        'Message content cannot exceed 10000 characters'
+      );
+    });
+  });
+
+  describe('link', () => {
+    it('normalizes the URL and keeps an optional caption', async () => {
+      const message = await send({
+        type: 'link',
+        url: ' https://Example.com/a b ',
+        content: '  ',
+      });
+
+      expect(message).toMatchObject({
+        url: 'https://example.com/a%20b',
+        content: null,
+      });
+    });
+
+    it.each([
+      ['javascript:alert(1)', 'URL must start with http:// or https://'],
+      ['file:///etc/passwd', 'URL must start with http:// or https://'],
+      ['not a url', 'URL is not valid'],
+      [undefined, 'URL is required'],
+    ])('refuses %p', async (url, message) => {
+      await rejects({ type: 'link', url }, message);
+    });
+  });
+
+  describe('rich', () => {
+    it('stores sanitized HTML with its plaintext fallback', async () => {
+      const message = await send({
+        type: 'rich',
+        html: '<p onclick="steal()"><b>Hi</b></p><script>steal()</script>',
+        content: 'Hi',
+      });
+
+      expect(message).toMatchObject({
+        html: '<p><b>Hi</b></p>',
+        content: 'Hi',
+      });
+    });
+
+    it('needs the fallback', async () => {
+      await rejects(
+        { type: 'rich', html: '<b>Hi</b>' },
+        'Plaintext fallback is required'
+      );
+    });
+
+    it('refuses HTML that sanitizes to nothing', async () => {
+      await rejects(
+        { type: 'rich', html: '<script>steal()</script>', content: 'x' },
+        'HTML has no content that can be shown'
+      );
+    });
+  });
+
+  describe('file', () => {
+    const FILE_ID = objectId(50);
+
+    it('points at a file in the same session', async () => {
+      jest.spyOn(File, 'exists').mockResolvedValue({ _id: FILE_ID });
+      jest
+        .spyOn(Message.prototype, 'populate')
+        .mockImplementation(async function () {
+          this.file = File.hydrate({
+            _id: FILE_ID,
+            originalName: 'notes.pdf',
+            fileType: 'application/pdf',
+            fileSize: 1234,
+            isDeleted: false,
+          });
+          return this;
+        });
+
+      const message = await send({
+        type: 'file',
+        fileId: FILE_ID,
+        content: 'Slides',
+      });
+
+      expect(File.exists).toHaveBeenCalledWith({
+        _id: FILE_ID,
+        session: SESSION_ID,
+        isDeleted: false,
+      });
+      expect(message).toMatchObject({
+        fileId: FILE_ID,
+        file: {
+          id: FILE_ID,
+          originalName: 'notes.pdf',
+          fileType: 'application/pdf',
+          fileSize: 1234,
+        },
+        content: 'Slides',
+      });
+    });
+
+    it('answers 404 for files of other sessions', async () => {
+      jest.spyOn(File, 'exists').mockResolvedValue(null);
+
+      await expect(
+        send({ type: 'file', fileId: FILE_ID })
+      ).rejects.toMatchObject({
+        statusCode: 404,
+        message: 'File not found in this session',
+      });
+    });
+
+    it('needs a file ID', async () => {
+      await rejects({ type: 'file', fileId: 'x' }, 'File ID is required');
+    });
+  });
+});
+
+describe('editing and deleting', () => {
+  const USER_ID = objectId(2);
+  const OTHER_DEVICE_ID = objectId(11);
+  let messages;
+
+  const stored = (fields) => ({
+    _id: objectId(100 + messages.length),
+    session: SESSION_ID,
+    senderDevice: DEVICE_ID,
+    sender: USER_ID,
+    type: 'text',
+    content: 'original',
+    createdAt: new Date(),
+    ...fields,
+  });
+
+  // Applies ownMessageFilter the way MongoDB would
+  const matches = (message, filter) =>
+    message._id === filter._id &&
+    message.session === filter.session &&
+    message.type !== filter.type.$ne &&
+    !(message.expiresAt && message.expiresAt <= filter.expiresAt.$not.$lte) &&
+    filter.$or.some((condition) =>
+      Object.entries(condition).every(
+        ([field, value]) => String(message[field]) === String(value)
+      )
+    );
+
+  const find = (filter) => messages.find((m) => matches(m, filter));
+
+  beforeEach(() => {
+    messages = [];
+    jest
+      .spyOn(Message, 'findOne')
+      .mockImplementation((filter) =>
+        mockQuery(find(filter) ? Message.hydrate(find(filter)) : null)
+      );
+    jest.spyOn(Message, 'findOneAndDelete').mockImplementation((filter) => {
+      const message = find(filter);
+      messages = messages.filter((m) => m !== message);
+      return mockQuery(message ? { _id: message._id } : null);
+    });
+  });
+
+  const add = (fields) => {
+    const message = stored(fields);
+    messages.push(message);
+    return message._id;
+  };
+
+  const edit = (messageId, sender, fields) =>
+    messageService.editMessage({
+      sessionId: SESSION_ID,
+      messageId,
+      sender,
+      ...fields,
+    });
+
+  it('lets the sending device edit, keeping the type', async () => {
+    const id = add({ type: 'code', content: 'x', language: 'js' });
+
+    const message = await edit(
+      id,
+      { deviceId: DEVICE_ID, userId: null },
+      { type: 'text', content: 'y = 2', language: 'python' }
+    );
+
+    expect(message).toMatchObject({
+      id,
+      type: 'code',
+      content: 'y = 2',
+      language: 'python',
+      editedAt: expect.any(Date),
+    });
+  });
+
+  it("lets the sender's other devices edit", async () => {
+    const id = add();
+
+    await expect(
+      edit(id, { deviceId: OTHER_DEVICE_ID, userId: USER_ID }, { content: 'b' })
+    ).resolves.toMatchObject({ content: 'b' });
+  });
+
+  it('checks an edit like a new message', async () => {
+    const id = add({ type: 'link', url: 'https://example.com/' });
+
+    await expect(
+      edit(
+        id,
+        { deviceId: DEVICE_ID, userId: null },
+        { url: 'javascript:alert(1)' }
+      )
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it.each([
+    [
+      'another device',
+      () => add(),
+      { deviceId: OTHER_DEVICE_ID, userId: null },
+    ],
+    [
+      'another user',
+      () => add(),
+      { deviceId: OTHER_DEVICE_ID, userId: objectId(3) },
+    ],
+    [
+      'a system message',
+      () => add({ type: 'system', senderDevice: null, sender: null }),
+      { deviceId: DEVICE_ID, userId: USER_ID },
+    ],
+    [
+      'an expired message',
+      () => add({ expiresAt: new Date(Date.now() - 1000) }),
+      { deviceId: DEVICE_ID, userId: USER_ID },
+    ],
+    [
+      'a message of another session',
+      () => add({ session: objectId(9) }),
+      { deviceId: DEVICE_ID, userId: USER_ID },
+    ],
+  ])('answers 404 for %s', async (_, create, sender) => {
+    const id = create();
+
+    await expect(edit(id, sender, { content: 'b' })).rejects.toMatchObject({
+      statusCode: 404,
+      message: 'Message not found, or not yours to change',
+    });
+    await expect(
+      messageService.deleteMessage(SESSION_ID, id, sender)
+    ).rejects.toMatchObject({ statusCode: 404 });
+    expect(messages).toHaveLength(1);
+  });
+
+  it('rejects a malformed message ID', async () => {
+    await expect(
+      messageService.deleteMessage(SESSION_ID, 'nope', { deviceId: DEVICE_ID })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Message ID is required',
+    });
+  });
+
+  it('deletes the document, not just its content', async () => {
+    const id = add();
+
+    await expect(
+      messageService.deleteMessage(SESSION_ID, id, {
+        deviceId: DEVICE_ID,
+        userId: null,
+      })
+    ).resolves.toBe(id);
+    expect(messages).toEqual([]);
+  });
+});
+
+describe('self-destructing messages', () => {
+  it('flags burn-after-reading messages', async () => {
+    await expect(
+      send({ content: 'hunter2', burnAfterReading: true })
+    ).resolves.toMatchObject({ burnAfterReading: true, expiresAt: null });
+  });
+
+  it('sets the expiry from the timer', async () => {
+    const message = await send({ content: 'hunter2', ttlSeconds: 60 });
+
+    expect(message.expiresAt.getTime()).toBeGreaterThan(Date.now() + 59000);
+    expect(message.expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 60000);
+  });
+
+  it.each([
+    [{ burnAfterReading: 'yes' }, 'burnAfterReading must be a boolean'],
+    [{ ttlSeconds: 4 }, 'ttlSeconds must be an integer between 5 and 604800'],
+    [
+      { ttlSeconds: 604801 },
+      'ttlSeconds must be an integer between 5 and 604800',
+    ],
+    [{ ttlSeconds: 1.5 }, 'ttlSeconds must be an integer between 5 and 604800'],
+  ])('rejects %p', async (lifetime, message) => {
+    await expect(send({ content: 'x', ...lifetime })).rejects.toMatchObject({
+      statusCode: 400,
+      message,
+    });
+  });
+
+  it('purges expired messages, grouped by session', async () => {
+    const expired = [
+      { _id: objectId(100), session: objectId(1) },
+      { _id: objectId(101), session: objectId(2) },
+      { _id: objectId(102), session: objectId(1) },
+    ];
+    jest.spyOn(Message, 'find').mockReturnValue(mockQuery(expired));
+    jest.spyOn(Message, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+
+    const purged = await messageService.purgeExpiredMessages();
+
+    expect(Message.find.mock.calls[0][0]).toEqual({
+      expiresAt: { $lte: expect.any(Date) },
+    });
+    expect(Message.deleteMany).toHaveBeenCalledWith({
+      _id: { $in: expired.map((m) => m._id) },
+    });
+    expect(purged).toEqual([
+      { sessionId: objectId(1), messageIds: [objectId(100), objectId(102)] },
+      { sessionId: objectId(2), messageIds: [objectId(101)] },
+    ]);
+  });
+
+  it('purges nothing when nothing expired', async () => {
+    jest.spyOn(Message, 'find').mockReturnValue(mockQuery([]));
+    const deleteMany = jest.spyOn(Message, 'deleteMany');
+
+    await expect(messageService.purgeExpiredMessages()).resolves.toEqual([]);
+    expect(deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('serializeMessage', () => {
+  const stored = (file) => ({
+    _id: objectId(100),
+    session: SESSION_ID,
+    type: 'file',
+    file,
+    createdAt: new Date(),
+  });
+
+  it('keeps only the ID of a file that was deleted since', () => {
+    const view = messageService.serializeMessage(
+      stored({ _id: objectId(50), originalName: 'a.txt', isDeleted: true })
+    );
+
+    expect(view).toMatchObject({ fileId: objectId(50), file: null });
+  });
+
+  it('handles an unpopulated file reference', () => {
+    expect(messageService.serializeMessage(stored(objectId(50)))).toMatchObject(
+      { fileId: objectId(50), file: null }
+    );
+  });
+});
+
+describe('getHistory', () => {
+  const page = { messages: [], hasMore: false };
+
+  beforeEach(() => {
+    jest.spyOn(Message, 'getSessionPage').mockResolvedValue(page);
+  });
+
+  const pageOptions = () => Message.getSessionPage.mock.calls[0][1];
+
+  it('returns the latest 50 messages by default', async () => {
+    await expect(messageService.getHistory(SESSION_ID)).resolves.toEqual(page);
+
+    expect(pageOptions()).toEqual({ limit: 50, before: null, after: null });
+  });
+
+  it.each([
+    [500, 200],
+    [0, 50],
+    ['20', 50],
+  ])('turns a limit of %p into %p', async (limit, pageSize) => {
+    await messageService.getHistory(SESSION_ID, { limit });
+
+    expect(pageOptions().limit).toBe(pageSize);
+  });
+
+  it('positions a message cursor within the session', async () => {
+    const cursor = { _id: objectId(100), createdAt: new Date() };
+    jest.spyOn(Message, 'findOne').mockReturnValue(mockQuery(cursor));
+
+    await messageService.getHistory(SESSION_ID, { after: objectId(100) });
+
+    expect(Message.findOne).toHaveBeenCalledWith({
+      _id: objectId(100),
+      session: SESSION_ID,
+    });
+    expect(pageOptions().after).toEqual(cursor);
+  });
+
+  it('refuses a message from another session as a cursor', async () => {
+    jest.spyOn(Message, 'findOne').mockReturnValue(mockQuery(null));
+
+    await expect(
+      messageService.getHistory(SESSION_ID, { before: objectId(100) })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Unknown message cursor',
+    });
+  });
+
+  it.each(['2026-01-01T12:00:00Z', 1767268800000])(
+    'accepts the timestamp %p as a cursor',
+    async (before) => {
+      await messageService.getHistory(SESSION_ID, { before });
+
+      expect(pageOptions().before).toEqual({
+        createdAt: new Date('2026-01-01T12:00:00Z'),
+      });
+    }
+  );
+
+  it.each([
+    ['a malformed cursor', { after: 'yesterday' }],
+    ['both directions', { before: 1, after: 2 }],
+  ])('rejects %s', async (_, options) => {
+    await expect(
+      messageService.getHistory(SESSION_ID, options)
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(Message.getSessionPage).not.toHaveBeenCalled();
+  });
+});
+
+describe('receipts', () => {
+  const MESSAGE_IDS = [objectId(100), objectId(101)];
+  const reader = { deviceId: objectId(11), deviceInfo: 'Firefox Desktop' };
+
+  const found = (ids) =>
+    jest
+      .spyOn(Message, 'find')
+      .mockReturnValue(mockQuery(ids.map((id) => ({ _id: id }))));
+
+  beforeEach(() => {
+    jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('marks messages from other devices delivered', async () => {
+    found([objectId(100)]);
+
+    const ids = await messageService.markDelivered(
+      SESSION_ID,
+      reader.deviceId,
+      MESSAGE_IDS
+    );
+
+    expect(ids).toEqual([objectId(100)]);
+    expect(Message.find).toHaveBeenCalledWith({
+      _id: { $in: MESSAGE_IDS },
+      session: SESSION_ID,
+      type: { $ne: 'system' },
+      senderDevice: { $ne: reader.deviceId },
+      delivered: false,
+    });
+    expect(Message.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [objectId(100)] }, delivered: false },
+      { $set: { delivered: true } }
+    );
+  });
+
+  it('skips the write when nothing is newly delivered', async () => {
+    found([]);
+
+    await expect(
+      messageService.markDelivered(SESSION_ID, reader.deviceId, MESSAGE_IDS)
+    ).resolves.toEqual([]);
+    expect(Message.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('records each device reading a message once', async () => {
+    found(MESSAGE_IDS);
+
+    const { messageIds, readAt } = await messageService.markRead(
+      SESSION_ID,
+      reader,
+      MESSAGE_IDS
+    );
+
+    expect(messageIds).toEqual(MESSAGE_IDS);
+    expect(Message.find.mock.calls[0][0]).toMatchObject({
+      senderDevice: { $ne: reader.deviceId },
+      'readBy.device': { $ne: reader.deviceId },
+    });
+    expect(Message.updateMany).toHaveBeenCalledTimes(1);
+    expect(Message.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: MESSAGE_IDS }, 'readBy.device': { $ne: reader.deviceId } },
+      {
+        $push: {
+          readBy: {
+            device: reader.deviceId,
+            deviceInfo: 'Firefox Desktop',
+            readAt,
+          },
+        },
+      }
+    );
+  });
+
+  it('deletes the burn-after-reading messages among those read', async () => {
+    found([objectId(101)]);
+    jest.spyOn(Message, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+    const burned = await messageService.burnReadMessages(
+      SESSION_ID,
+      MESSAGE_IDS
+    );
+
+    expect(burned).toEqual([objectId(101)]);
+    expect(Message.find.mock.calls[0][0]).toMatchObject({
+      session: SESSION_ID,
+      burnAfterReading: true,
+    });
+    expect(Message.deleteMany).toHaveBeenCalledWith({
+      _id: { $in: [objectId(101)] },
+    });
+  });
+});
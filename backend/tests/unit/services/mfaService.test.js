@@ -0,0 +1,282 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * Codes come from the RFC 6238 test vectors (SHA-1 secret
+ * "12345678901234567890"), truncated to 6 digits.
+ */
+
+import { jest } from '@jest/globals';
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import { User } from '../../../models/index.js';
+import authService from '../../../services/authService.js';
+import mfaService from '../../../services/mfaService.js';
+import { mockQuery, objectId } from '../../helpers/mongoose.js';
+
+const USER_ID = objectId(1);
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const PASSWORD = 'Correct-horse-1';
+const RECOVERY_CODE = 'k3x9m-q2w7p';
+
+// Unix time (seconds) → code valid then
+const CODES = {
+  1111111109: '081804',
+  1111111111: '050471',
+};
+
+const sha256 = (value) =>
+  crypto.createHash('sha256').update(value).digest('hex');
+
+let passwordHash;
+
+// Stand-in for the user's document in the collection
+let stored;
+
+const at = (seconds) => jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+
+beforeAll(async () => {
+  passwordHash = await bcrypt.hash(PASSWORD, 4);
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  stored = {
+    _id: USER_ID,
+    email: 'ada@example.com',
+    password: passwordHash,
+    isActive: true,
+    mfaEnabled: true,
+    mfaSecret: SECRET,
+    mfaLastUsedStep: null,
+    mfaRecoveryCodes: [sha256('k3x9mq2w7p')],
+  };
+
+  jest
+    .spyOn(User, 'findById')
+    .mockImplementation(() => mockQuery(User.hydrate({ ...stored })));
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function () {
+    Object.assign(stored, this.toObject());
+    return this;
+  });
+  jest.spyOn(User.prototype, 'recordFailedLogin').mockResolvedValue();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  // The two atomic claims checkCode makes
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    if (update.$set) {
+      const step = update.$set.mfaLastUsedStep;
+      if (stored.mfaLastUsedStep !== null && stored.mfaLastUsedStep >= step) {
+        return { modifiedCount: 0 };
+      }
+      stored.mfaLastUsedStep = step;
+      return { modifiedCount: 1 };
+    }
+
+    const hash = update.$pull.mfaRecoveryCodes;
+    if (!stored.mfaRecoveryCodes.includes(hash)) {
+      return { modifiedCount: 0 };
+    }
+    stored.mfaRecoveryCodes = stored.mfaRecoveryCodes.filter((h) => h !== hash);
+    return { modifiedCount: 1 };
+  });
+});
+
+const check = (code) => mfaService.checkCode(User.hydrate({ ...stored }), code);
+
+describe('checkCode', () => {
+  it('accepts a current code once', async () => {
+    at(1111111111);
+
+    await expect(check(CODES[1111111111])).resolves.toBe('totp');
+    await expect(check(CODES[1111111111])).resolves.toBeNull();
+  });
+
+  it('refuses a code older than the last one accepted', async () => {
+    at(1111111111);
+    await check(CODES[1111111111]);
+
+    // Still inside the drift window, but an earlier step
+    await expect(check(CODES[1111111109])).resolves.toBeNull();
+  });
+
+  it('lets only one of two parallel requests spend a code', async () => {
+    at(1111111111);
+
+    const results = await Promise.all([
+      check(CODES[1111111111]),
+      check(CODES[1111111111]),
+    ]);
+
+    expect(results.filter(Boolean)).toEqual(['totp']);
+  });
+
+  it('refuses codes outside the drift window', async () => {
+    at(1111111111 + 90);
+
+    await expect(check(CODES[1111111111])).resolves.toBeNull();
+  });
+
+  it('accepts a recovery code once, however it is typed', async () => {
+    await expect(check(' K3X9M Q2W7P ')).resolves.toBe('recovery');
+    await expect(check(RECOVERY_CODE)).resolves.toBeNull();
+  });
+
+  it('accepts nothing while 2FA is off', async () => {
+    stored.mfaEnabled = false;
+    at(1111111111);
+
+    await expect(check(CODES[1111111111])).resolves.toBeNull();
+  });
+});
+
+describe('enrollment', () => {
+  beforeEach(() => {
+    Object.assign(stored, {
+      mfaEnabled: false,
+      mfaSecret: null,
+      mfaRecoveryCodes: [],
+    });
+  });
+
+  it('turns 2FA on with a first code and returns recovery codes', async () => {
+    const { otpauthUri, qrCode } = await mfaService.startEnrollment(USER_ID);
+    expect(otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+    expect(qrCode).toMatch(/^data:image\/png;base64,/);
+
+    // Pretend the app was set up with the test-vector secret
+    stored.mfaPendingSecret = SECRET;
+    at(1111111111);
+    const { recoveryCodes } = await mfaService.confirmEnrollment(
+      USER_ID,
+      CODES[1111111111]
+    );
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(stored).toMatchObject({
+      mfaEnabled: true,
+      mfaSecret: SECRET,
+      mfaPendingSecret: null,
+    });
+    expect(stored.mfaRecoveryCodes).toEqual(
+      recoveryCodes.map((code) => sha256(code.replace('-', '')))
+    );
+  });
+
+  it('rejects a wrong first code', async () => {
+    stored.mfaPendingSecret = SECRET;
+    at(1111111111);
+
+    await expect(
+      mfaService.confirmEnrollment(USER_ID, '000000')
+    ).rejects.toMatchObject({ statusCode: 401 });
+    expect(stored.mfaEnabled).toBe(false);
+  });
+
+  it('refuses to start over while 2FA is on', async () => {
+    stored.mfaEnabled = true;
+
+    await expect(mfaService.startEnrollment(USER_ID)).rejects.toMatchObject({
+      statusCode: 409,
+    });
+  });
+});
+
+describe.each([
+  ['disable', mfaService.disable],
+  ['regenerateRecoveryCodes', mfaService.regenerateRecoveryCodes],
+])('%s', (_, change) => {
+  const context = { ip: '198.51.100.7' };
+
+  it('needs the password', async () => {
+    await expect(
+      change(USER_ID, 'wrong-password', RECOVERY_CODE, context)
+    ).rejects.toMatchObject({ statusCode: 401, message: 'Invalid password' });
+
+    expect(User.prototype.recordFailedLogin).toHaveBeenCalledWith(context);
+    // The code is not spent on a wrong password
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('counts wrong codes towards the login lockout', async () => {
+    at(1111111111);
+
+    await expect(
+      change(USER_ID, PASSWORD, '000000', context)
+    ).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Invalid authentication code',
+    });
+
+    expect(User.prototype.recordFailedLogin).toHaveBeenCalledWith(context);
+  });
+
+  it('answers a locked account like a wrong password', async () => {
+    stored.lockUntil = new Date(Date.now() + 60000);
+
+    await expect(
+      change(USER_ID, PASSWORD, RECOVERY_CODE, context)
+    ).rejects.toMatchObject({ statusCode: 401, message: 'Invalid password' });
+
+    expect(User.prototype.recordFailedLogin).not.toHaveBeenCalled();
+    expect(stored.mfaRecoveryCodes).toHaveLength(1);
+  });
+});
+
+describe('changing the second factor', () => {
+  it('disables 2FA with password and code', async () => {
+    await mfaService.disable(USER_ID, PASSWORD, RECOVERY_CODE);
+
+    expect(stored).toMatchObject({
+      mfaEnabled: false,
+      mfaSecret: null,
+      mfaRecoveryCodes: [],
+    });
+  });
+
+  it('replaces the recovery codes with password and code', async () => {
+    const { recoveryCodes } = await mfaService.regenerateRecoveryCodes(
+      USER_ID,
+      PASSWORD,
+      RECOVERY_CODE
+    );
+
+    expect(recoveryCodes).toHaveLength(10);
+    await expect(check(recoveryCodes[0])).resolves.toBe('recovery');
+  });
+});
+
+describe('two-step login', () => {
+  const login = (code) =>
+    authService.completeMfaLogin(
+      mfaService.signPendingToken(User.hydrate(stored)),
+      code,
+      { ip: '198.51.100.7' }
+    );
+
+  it('counts wrong codes towards the login lockout', async () => {
+    at(1111111111);
+
+    await expect(login('000000')).rejects.toMatchObject({ statusCode: 401 });
+    expect(User.prototype.recordFailedLogin).toHaveBeenCalledWith({
+      ip: '198.51.100.7',
+    });
+  });
+
+  it('refuses a replayed code', async () => {
+    at(1111111111);
+    await check(CODES[1111111111]);
+
+    await expect(login(CODES[1111111111])).rejects.toMatchObject({
+      statusCode: 401,
+    });
+  });
+
+  it('refuses pending tokens issued before the watermark', async () => {
+    const token = mfaService.signPendingToken(User.hydrate(stored));
+    stored.tokensValidAfter = new Date(Date.now() + 2000);
+
+    await expect(
+      authService.completeMfaLogin(token, RECOVERY_CODE)
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
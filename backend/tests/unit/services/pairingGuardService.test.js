@@ -0,0 +1,177 @@
+/**
+ * Pairing Guard Service
+ */
+
+import { jest } from '@jest/globals';
+import pairingGuardConfig from '../../../config/pairingGuard.js';
+import pairingGuardService from '../../../services/pairingGuardService.js';
+
+const defaults = { ...pairingGuardConfig };
+
+// The guard keeps its state in a module-level memory store, so every
+// test guesses from its own address
+let lastOctet = 0;
+const nextRequester = () => ({ ip: `203.0.113.${++lastOctet}` });
+
+const fail = (requester, times, code = () => '000000') =>
+  Promise.all(
+    Array.from({ length: times }, (_, i) =>
+      pairingGuardService.recordFailure(requester, code(i))
+    )
+  );
+
+const retryAfter = async (requester) => {
+  try {
+    await pairingGuardService.assertNotLocked(requester);
+    return 0;
+  } catch (error) {
+    expect(error.statusCode).toBe(429);
+    return error.retryAfter;
+  }
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  Object.assign(pairingGuardConfig, defaults, {
+    maxFailures: 5,
+    lockoutBaseSeconds: 60,
+    lockoutMaxSeconds: 3600,
+    scanThreshold: 10,
+    codeMaxFailures: 3,
+  });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  Object.assign(pairingGuardConfig, defaults);
+});
+
+describe('recordFailure', () => {
+  it('does not lock before the limit', async () => {
+    const requester = nextRequester();
+    await fail(requester, 4);
+
+    await expect(retryAfter(requester)).resolves.toBe(0);
+  });
+
+  it('locks once the limit is reached in parallel', async () => {
+    const requester = nextRequester();
+    await fail(requester, 5);
+
+    await expect(retryAfter(requester)).resolves.toBe(60);
+  });
+
+  it('applies a single lockout however many parallel guesses exceed the limit', async () => {
+    const requester = nextRequester();
+    await fail(requester, 9);
+
+    // A second lockout would have doubled the duration
+    await expect(retryAfter(requester)).resolves.toBe(60);
+  });
+
+  it('doubles each following lockout', async () => {
+    const requester = nextRequester();
+    await fail(requester, 5);
+    await fail(requester, 5);
+
+    await expect(retryAfter(requester)).resolves.toBe(120);
+  });
+
+  it('locks scanners out for the maximum', async () => {
+    Object.assign(pairingGuardConfig, { maxFailures: 100 });
+    const requester = nextRequester();
+    await fail(requester, 10, (i) => String(i).padStart(6, '0'));
+
+    await expect(retryAfter(requester)).resolves.toBe(3600);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('counts a repeated code once towards the scan threshold', async () => {
+    Object.assign(pairingGuardConfig, { maxFailures: 100 });
+    const requester = nextRequester();
+    await fail(requester, 20, (i) => String(i % 9).padStart(6, '0'));
+
+    await expect(retryAfter(requester)).resolves.toBe(0);
+  });
+
+  it('locks the device fingerprint as well as the address', async () => {
+    const requester = { ...nextRequester(), fingerprint: 'browser-a' };
+    await fail(requester, 5);
+
+    await expect(retryAfter({ fingerprint: 'browser-a' })).resolves.toBe(60);
+  });
+
+  it('does nothing when disabled', async () => {
+    Object.assign(pairingGuardConfig, { maxFailures: 0 });
+    const requester = nextRequester();
+    await fail(requester, 20);
+
+    await expect(retryAfter(requester)).resolves.toBe(0);
+  });
+});
+
+describe('guardLookup', () => {
+  const notFound = () => {
+    const error = new Error('Session not found');
+    error.statusCode = 404;
+    return error;
+  };
+
+  it('counts 404s and refuses lookups while locked', async () => {
+    const requester = nextRequester();
+    const lookup = jest.fn().mockRejectedValue(notFound());
+
+    for (let i = 0; i < 5; i += 1) {
+      await expect(
+        pairingGuardService.guardLookup(requester, '000000', lookup)
+      ).rejects.toMatchObject({ statusCode: 404 });
+    }
+
+    await expect(
+      pairingGuardService.guardLookup(requester, '000000', lookup)
+    ).rejects.toMatchObject({ statusCode: 429 });
+    expect(lookup).toHaveBeenCalledTimes(5);
+  });
+
+  it('does not count other errors', async () => {
+    const requester = nextRequester();
+    const error = new Error('Session is full');
+    error.statusCode = 403;
+
+    for (let i = 0; i < 5; i += 1) {
+      await expect(
+        pairingGuardService.guardLookup(requester, '000000', () =>
+          Promise.reject(error)
+        )
+      ).rejects.toBe(error);
+    }
+
+    await expect(retryAfter(requester)).resolves.toBe(0);
+  });
+
+  it('skips the guard without a requester', async () => {
+    await expect(
+      pairingGuardService.guardLookup(null, '000000', async () => 'session')
+    ).resolves.toBe('session');
+  });
+});
+
+describe('recordCodeFailure', () => {
+  it('asks for the session to be closed once enough parallel guesses failed', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 3 }, () =>
+        pairingGuardService.recordCodeFailure('session-a')
+      )
+    );
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  it('is off by default', async () => {
+    Object.assign(pairingGuardConfig, { codeMaxFailures: 0 });
+
+    await expect(
+      pairingGuardService.recordCodeFailure('session-b')
+    ).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Retention Service
+ */
+
+import { jest } from '@jest/globals';
+import { Session, Message, File } from '../../../models/index.js';
+import retentionService from '../../../services/retentionService.js';
+import { getStorage } from '../../../storage/index.js';
+import { mockQuery, objectId } from '../../helpers/mongoose.js';
+
+const EXPIRED = objectId(1);
+const FAILING = objectId(2);
+const ORPHANED = objectId(3);
+
+const file = (n, session) => ({
+  _id: objectId(100 + n),
+  session,
+  storageProvider: 'local',
+  storageKey: `${session}/file-${n}.png`,
+  fileType: 'image/png',
+});
+
+let removeBlob;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  removeBlob = jest.spyOn(getStorage('local'), 'delete').mockResolvedValue();
+  jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+  jest.spyOn(File, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(Message, 'deleteMany').mockResolvedValue({ deletedCount: 4 });
+  jest.spyOn(Message, 'distinct').mockResolvedValue([]);
+  jest.spyOn(File, 'distinct').mockResolvedValue([]);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('markExpiredSessions', () => {
+  it('expires active and closed sessions past expiresAt', async () => {
+    const now = new Date();
+
+    await expect(retentionService.markExpiredSessions(now)).resolves.toBe(2);
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { status: { $in: ['active', 'closed'] }, expiresAt: { $lt: now } },
+      { $set: { status: 'expired' } }
+    );
+  });
+});
+
+describe('purgeExpiredSessions', () => {
+  it('deletes blobs, then file records and messages, then stamps purgedAt', async () => {
+    jest.spyOn(Session, 'find').mockReturnValue(mockQuery([{ _id: EXPIRED }]));
+    jest
+      .spyOn(File, 'find')
+      .mockReturnValue(mockQuery([file(1, EXPIRED), file(2, EXPIRED)]));
+
+    const result = await retentionService.purgeExpiredSessions(10);
+
+    expect(removeBlob).toHaveBeenCalledTimes(2);
+    expect(File.deleteMany).toHaveBeenCalledWith({
+      _id: { $in: [objectId(101), objectId(102)] },
+    });
+    expect(Message.deleteMany).toHaveBeenCalledWith({
+      session: { $in: [EXPIRED] },
+    });
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [EXPIRED] } },
+      { $set: { purgedAt: expect.any(Date) } }
+    );
+    expect(result).toEqual({
+      sessionIds: [EXPIRED],
+      messagesDeleted: 4,
+      filesDeleted: 2,
+      blobFailures: 0,
+    });
+  });
+
+  it('keeps a session unpurged while one of its blobs fails to delete', async () => {
+    jest
+      .spyOn(Session, 'find')
+      .mockReturnValue(mockQuery([{ _id: EXPIRED }, { _id: FAILING }]));
+    jest
+      .spyOn(File, 'find')
+      .mockReturnValue(mockQuery([file(1, EXPIRED), file(2, FAILING)]));
+    removeBlob.mockImplementation(async (key) => {
+      if (key.startsWith(FAILING)) {
+        throw new Error('storage down');
+      }
+    });
+
+    const result = await retentionService.purgeExpiredSessions(10);
+
+    // Its record survives, so the next run retries the blob
+    expect(File.deleteMany).toHaveBeenCalledWith({
+      _id: { $in: [objectId(101)] },
+    });
+    expect(result.sessionIds).toEqual([EXPIRED]);
+    expect(result.blobFailures).toBe(1);
+  });
+
+  it('does nothing without expired sessions', async () => {
+    jest.spyOn(Session, 'find').mockReturnValue(mockQuery([]));
+
+    const result = await retentionService.purgeExpiredSessions(10);
+
+    expect(result.sessionIds).toEqual([]);
+    expect(Message.deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('sweepOrphans', () => {
+  it('removes content whose session no longer exists', async () => {
+    Message.distinct.mockResolvedValue([EXPIRED, ORPHANED]);
+    File.distinct.mockResolvedValue([ORPHANED]);
+    jest.spyOn(Session, 'find').mockReturnValue(mockQuery([{ _id: EXPIRED }]));
+    jest.spyOn(File, 'find').mockReturnValue(mockQuery([file(3, ORPHANED)]));
+
+    const result = await retentionService.sweepOrphans();
+
+    expect(File.find).toHaveBeenCalledWith({ session: { $in: [ORPHANED] } });
+    expect(Message.deleteMany).toHaveBeenCalledWith({
+      session: { $in: [ORPHANED] },
+    });
+    expect(result).toEqual({
+      messagesDeleted: 4,
+      filesDeleted: 1,
+      blobFailures: 0,
+    });
+  });
+});
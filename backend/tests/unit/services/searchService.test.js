@@ -0,0 +1,342 @@
+/**
+ * Search Service
+ *
+ * Session.find, Message.find and File.find are fakes that apply the
+ * filter they are given to a few stored documents, so access control
+ * and the collection filters are checked for what they let through.
+ * $text is approximated by "contains every word".
+ */
+
+import { jest } from '@jest/globals';
+import { Session, Message, File } from '../../../models/index.js';
+import searchService from '../../../services/searchService.js';
+import { objectId } from '../../helpers/mongoose.js';
+
+const ALICE = objectId(1);
+const BOB = objectId(2);
+
+const OWN = objectId(11);
+const JOINED = objectId(12);
+const FOREIGN = objectId(13);
+
+const START = new Date('2026-10-01T12:00:00Z').getTime();
+const at = (minutes) => new Date(START + minutes * 60000);
+
+const sessions = [
+  { _id: OWN, pairingCode: '111111', creator: ALICE, members: [] },
+  { _id: JOINED, pairingCode: '222222', creator: BOB, members: [ALICE] },
+  { _id: FOREIGN, pairingCode: '333333', creator: BOB, members: [] },
+];
+
+let messages;
+let files;
+
+const message = (n, session, content, fields = {}) => ({
+  _id: objectId(100 + n),
+  session,
+  type: 'text',
+  content,
+  createdAt: at(n),
+  ...fields,
+});
+
+const equal = (a, b) => String(a) === String(b);
+
+const satisfies = (value, condition) => {
+  if (condition === null) return value == null;
+  if (typeof condition !== 'object' || condition._bsontype) {
+    return Array.isArray(value)
+      ? value.some((v) => equal(v, condition))
+      : equal(value, condition);
+  }
+  if (condition instanceof Date)
+    return value?.getTime() === condition.getTime();
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$in':
+        return operand.some((o) => equal(o, value));
+      case '$ne':
+        return !equal(value, operand);
+      case '$not':
+        return !satisfies(value, operand);
+      case '$lt':
+        return value != null && value < operand;
+      case '$lte':
+        return value != null && value <= operand;
+      case '$gte':
+        return value != null && value >= operand;
+      default:
+        throw new Error(`Unsupported operator ${op}`);
+    }
+  });
+};
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some((f) => matches(doc, f));
+    if (field === '$and') return condition.every((f) => matches(doc, f));
+    if (field === '$text') {
+      const text = `${doc.content ?? ''} ${doc.originalName ?? ''}`;
+      return condition.$search
+        .toLowerCase()
+        .split(/\s+/)
+        .every((word) => text.toLowerCase().includes(word));
+    }
+    return satisfies(doc[field], condition);
+  });
+
+// Find over a collection, honouring sort({ createdAt: -1 }) and limit()
+const fakeFind = (collection) => (filter) => {
+  let limit = Infinity;
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: (n) => ((limit = n), query),
+    lean: () => query,
+    then: (resolve, reject) => {
+      const found = collection()
+        .filter((doc) => matches(doc, filter))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit)
+        .map((doc) => ({ ...doc, score: 1 }));
+      return Promise.resolve(found).then(resolve, reject);
+    },
+  };
+  return query;
+};
+
+const ids = ({ results }) => results.map((r) => r.id);
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  messages = [];
+  files = [];
+  jest.spyOn(Session, 'find').mockImplementation(fakeFind(() => sessions));
+  jest.spyOn(Message, 'find').mockImplementation(fakeFind(() => messages));
+  jest.spyOn(File, 'find').mockImplementation(fakeFind(() => files));
+});
+
+describe('search', () => {
+  describe('access', () => {
+    beforeEach(() => {
+      messages = [
+        message(1, OWN, 'the api key is in the vault'),
+        message(2, JOINED, 'new api key attached'),
+        message(3, FOREIGN, 'my api key, do not share'),
+      ];
+    });
+
+    it('searches the sessions the user created or joined', async () => {
+      const page = await searchService.search(ALICE, { q: 'api key' });
+
+      expect(ids(page)).toEqual([
+        messages[1]._id.toString(),
+        messages[0]._id.toString(),
+      ]);
+      expect(page.results[0]).toMatchObject({
+        kind: 'message',
+        sessionId: JOINED.toString(),
+        pairingCode: '222222',
+      });
+    });
+
+    it('narrows the search to one of them', async () => {
+      const page = await searchService.search(ALICE, {
+        q: 'api key',
+        sessionId: OWN,
+      });
+
+      expect(ids(page)).toEqual([messages[0]._id.toString()]);
+    });
+
+    it("won't search someone else's session", async () => {
+      await expect(
+        searchService.search(ALICE, { q: 'api key', sessionId: FOREIGN })
+      ).rejects.toMatchObject({
+        statusCode: 404,
+        message: 'Session not found',
+      });
+      expect(Message.find).not.toHaveBeenCalled();
+    });
+
+    it('finds nothing for a user without sessions', async () => {
+      const page = await searchService.search(objectId(9), { q: 'api key' });
+
+      expect(page).toEqual({ results: [], nextCursor: null });
+      expect(Message.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('what can be found', () => {
+    it('leaves out burn-after-reading messages', async () => {
+      messages = [
+        message(1, OWN, 'password hunter2', { burnAfterReading: true }),
+        message(2, OWN, 'password changed', { burnAfterReading: false }),
+      ];
+
+      const page = await searchService.search(ALICE, { q: 'password' });
+
+      expect(ids(page)).toEqual([messages[1]._id.toString()]);
+    });
+
+    it('leaves out expired and system messages', async () => {
+      messages = [
+        message(1, OWN, 'token abc', { expiresAt: new Date(Date.now() - 1) }),
+        message(2, OWN, 'token rotated', { type: 'system' }),
+        message(3, OWN, 'token def', {
+          expiresAt: new Date(Date.now() + 60000),
+        }),
+      ];
+
+      const page = await searchService.search(ALICE, { q: 'token' });
+
+      expect(ids(page)).toEqual([messages[2]._id.toString()]);
+    });
+
+    it('finds uploads by name, but not deleted or encrypted ones', async () => {
+      files = [
+        {
+          _id: objectId(201),
+          session: OWN,
+          originalName: 'invoice.pdf',
+          isDeleted: false,
+          encryption: null,
+          createdAt: at(1),
+        },
+        {
+          _id: objectId(202),
+          session: OWN,
+          originalName: 'invoice-old.pdf',
+          isDeleted: true,
+          encryption: null,
+          createdAt: at(2),
+        },
+        {
+          _id: objectId(203),
+          session: OWN,
+          originalName: 'invoice.bin',
+          isDeleted: false,
+          encryption: { alg: 'AES-GCM' },
+          createdAt: at(3),
+        },
+      ];
+
+      const page = await searchService.search(ALICE, { q: 'invoice' });
+
+      expect(page.results).toEqual([
+        expect.objectContaining({
+          kind: 'file',
+          id: objectId(201).toString(),
+          originalName: 'invoice.pdf',
+        }),
+      ]);
+    });
+
+    it('only searches messages for types other than file', async () => {
+      files = [
+        {
+          _id: objectId(201),
+          session: OWN,
+          originalName: 'notes.txt',
+          isDeleted: false,
+          encryption: null,
+          createdAt: at(1),
+        },
+      ];
+      messages = [
+        message(2, OWN, 'notes for monday', { type: 'code' }),
+        message(3, OWN, 'notes from friday'),
+      ];
+
+      const page = await searchService.search(ALICE, {
+        q: 'notes',
+        type: 'code',
+      });
+
+      expect(ids(page)).toEqual([messages[0]._id.toString()]);
+      expect(File.find).not.toHaveBeenCalled();
+    });
+
+    it('filters by date', async () => {
+      messages = [1, 2, 3].map((n) => message(n, OWN, `deploy ${n}`));
+
+      const page = await searchService.search(ALICE, {
+        q: 'deploy',
+        from: at(2),
+        to: at(2),
+      });
+
+      expect(ids(page)).toEqual([messages[1]._id.toString()]);
+    });
+  });
+
+  describe('pages', () => {
+    it('pages through messages and files newest first', async () => {
+      messages = [1, 3, 5].map((n) => message(n, OWN, `report ${n}`));
+      files = [
+        {
+          _id: objectId(204),
+          session: OWN,
+          originalName: 'report.pdf',
+          isDeleted: false,
+          encryption: null,
+          createdAt: at(4),
+        },
+      ];
+
+      const seen = [];
+      let cursor;
+      do {
+        const page = await searchService.search(ALICE, {
+          q: 'report',
+          limit: 3,
+          cursor,
+        });
+        seen.push(...ids(page));
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual(
+        [objectId(105), objectId(204), objectId(103), objectId(101)].map(String)
+      );
+    });
+
+    it('highlights the match', async () => {
+      messages = [message(1, OWN, 'the staging api key')];
+
+      const { results } = await searchService.search(ALICE, { q: 'key' });
+
+      expect(results[0].highlight).toEqual({
+        snippet: 'the staging api key',
+        ranges: [{ start: 16, end: 19 }],
+      });
+    });
+  });
+
+  describe('validation', () => {
+    it.each([
+      ['a blank query', { q: '   ' }, 'Search query must be 1-200 characters'],
+      [
+        'a long query',
+        { q: 'x'.repeat(201) },
+        'Search query must be 1-200 characters',
+      ],
+      [
+        'the system type',
+        { q: 'key', type: 'system' },
+        'Type must be one of: text, code, link, rich, file',
+      ],
+      [
+        'a reversed range',
+        { q: 'key', from: at(2), to: at(1) },
+        'from must not be after to',
+      ],
+      ['a malformed cursor', { q: 'key', cursor: 'nope' }, 'Invalid cursor'],
+    ])('rejects %s', async (_, params, message) => {
+      await expect(searchService.search(ALICE, params)).rejects.toMatchObject({
+        statusCode: 400,
+        message,
+      });
+    });
+  });
+});
@@ -0,0 +1,580 @@
+/**
+ * Session Service
+ */
+
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { Session } from '../../../models/index.js';
+import sessionService from '../../../services/sessionService.js';
+import pairingGuardService from '../../../services/pairingGuardService.js';
+import joinTokenService from '../../../services/joinTokenService.js';
+import { mockQuery, saveInMemory, objectId } from '../../helpers/mongoose.js';
+
+const USER_ID = objectId(1);
+const OTHER_USER_ID = objectId(2);
+
+const sessionDoc = (fields = {}) =>
+  new Session({ pairingCode: '123456', ...fields });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  saveInMemory(Session);
+});
+
+describe('createSession', () => {
+  beforeEach(() => {
+    jest.spyOn(Session, 'findOne').mockReturnValue(mockQuery(null));
+  });
+
+  it('makes a logged-in user the creator, without a secret', async () => {
+    const { session, creatorSecret } =
+      await sessionService.createSession(USER_ID);
+
+    expect(session.creator.toString()).toBe(USER_ID);
+    expect(session.creatorSecretHash).toBeNull();
+    expect(creatorSecret).toBeNull();
+    expect(session.pairingCode).toMatch(/^\d{6}$/);
+    expect(session.status).toBe('active');
+  });
+
+  it('gives anonymous creators a secret and stores only its hash', async () => {
+    const { session, creatorSecret } = await sessionService.createSession();
+
+    expect(creatorSecret).toMatch(/^[a-f0-9]{64}$/);
+    expect(session.creator).toBeNull();
+    expect(session.creatorSecretHash).toBe(
+      crypto.createHash('sha256').update(creatorSecret).digest('hex')
+    );
+  });
+
+  it('retries pairing codes that are taken', async () => {
+    Session.findOne
+      .mockReturnValueOnce(mockQuery(sessionDoc()))
+      .mockReturnValueOnce(mockQuery(null));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await sessionService.createSession(USER_ID);
+
+    expect(Session.findOne).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('findActiveSessionByCode', () => {
+  it('returns an active session', async () => {
+    const session = sessionDoc();
+    jest.spyOn(Session, 'findOne').mockReturnValue(mockQuery(session));
+
+    await expect(
+      sessionService.findActiveSessionByCode('123456')
+    ).resolves.toBe(session);
+  });
+
+  it('answers 404 for unknown codes', async () => {
+    jest.spyOn(Session, 'findOne').mockReturnValue(mockQuery(null));
+
+    await expect(
+      sessionService.findActiveSessionByCode('123456')
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it.each([
+    ['closed', { status: 'closed' }],
+    ['expired', { expiresAt: new Date(Date.now() - 1000) }],
+  ])('answers 410 for %s sessions', async (_, fields) => {
+    jest
+      .spyOn(Session, 'findOne')
+      .mockReturnValue(mockQuery(sessionDoc(fields)));
+
+    await expect(
+      sessionService.findActiveSessionByCode('123456')
+    ).rejects.toMatchObject({ statusCode: 410 });
+  });
+});
+
+describe('findManagedSession', () => {
+  const secret = 'a'.repeat(64);
+
+  const load = (session) =>
+    jest.spyOn(Session, 'findOne').mockReturnValue(mockQuery(session));
+
+  it('lets the logged-in creator manage the session', async () => {
+    const session = sessionDoc({ creator: USER_ID });
+    load(session);
+
+    await expect(
+      sessionService.findManagedSession('123456', { userId: USER_ID })
+    ).resolves.toBe(session);
+  });
+
+  it('refuses other users', async () => {
+    load(sessionDoc({ creator: USER_ID }));
+
+    await expect(
+      sessionService.findManagedSession('123456', { userId: OTHER_USER_ID })
+    ).rejects.toMatchObject({
+      statusCode: 403,
+      message: 'Only the session creator can do this',
+    });
+  });
+
+  it('checks the creator secret of anonymous sessions', async () => {
+    const session = sessionDoc({
+      creatorSecretHash: Session.hashCreatorSecret(secret),
+    });
+    load(session);
+
+    await expect(
+      sessionService.findManagedSession('123456', {
+        userId: null,
+        creatorSecret: secret,
+      })
+    ).resolves.toBe(session);
+    await expect(
+      sessionService.findManagedSession('123456', {
+        userId: null,
+        creatorSecret: 'b'.repeat(64),
+      })
+    ).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('extendSession', () => {
+  it('sets a new lifetime counted from now', async () => {
+    const session = sessionDoc();
+
+    await sessionService.extendSession(session, 60);
+
+    expect(session.expiresAt.getTime()).toBeGreaterThan(
+      Date.now() + 59 * 60 * 1000
+    );
+    expect(Session.prototype.save).toHaveBeenCalled();
+  });
+
+  it.each([0, 24 * 60 + 1, 1.5])('rejects %p minutes', async (minutes) => {
+    await expect(
+      sessionService.extendSession(sessionDoc(), minutes)
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('closeSession', () => {
+  it('marks the session closed', async () => {
+    const session = await sessionService.closeSession(sessionDoc());
+
+    expect(session.status).toBe('closed');
+    expect(Session.prototype.save).toHaveBeenCalled();
+  });
+});
+
+describe('joining, leaving and disconnecting', () => {
+  let stored;
+
+  const isEntry =
+    ({ device, socketId, isHost }) =>
+    (p) =>
+      p.device.toString() === String(device) &&
+      (!socketId || p.socketId === socketId) &&
+      (isHost === undefined || Boolean(p.isHost) === isHost);
+
+  const isBlocked = (device) =>
+    stored.blockedDevices.some((id) => id.toString() === String(device));
+
+  const has = (device) => stored.participants.some(isEntry({ device }));
+
+  // Entry a positional update ('participants.$.field') applies to
+  const entryFor = (filter) => {
+    const device = filter['participants.device'];
+    const elemMatch = filter.participants?.$elemMatch;
+    if (elemMatch) return stored.participants.find(isEntry(elemMatch));
+    if (device && !device.$ne)
+      return stored.participants.find(isEntry({ device }));
+    return null;
+  };
+
+  // One-session collection for the queries joining and leaving make
+  const matches = (filter) => {
+    const device = filter['participants.device'];
+    if (filter.status && filter.status !== stored.status) return false;
+    if (filter.blockedDevices && isBlocked(filter.blockedDevices.$ne)) {
+      return false;
+    }
+    // The only $expr is the participant limit (see addParticipant)
+    if (
+      filter.$expr &&
+      stored.maxParticipants &&
+      stored.participants.length >= stored.maxParticipants
+    ) {
+      return false;
+    }
+    if (device?.$ne) return !has(device.$ne);
+    if (device || filter.participants?.$elemMatch) {
+      return Boolean(entryFor(filter));
+    }
+    if (filter.participants?.$size !== undefined) {
+      return stored.participants.length === filter.participants.$size;
+    }
+    return true;
+  };
+
+  const update = (filter, { $push, $pull, $addToSet, $set = {} }, options) => {
+    if (!matches(filter)) return mockQuery(null);
+    const before = Session.hydrate(structuredClone(stored));
+    const entry = entryFor(filter);
+    if ($addToSet?.blockedDevices) {
+      stored.blockedDevices.push($addToSet.blockedDevices);
+    }
+    if ($push) stored.participants.push($push.participants);
+    if ($pull) {
+      const leaving = isEntry($pull.participants);
+      stored.participants = stored.participants.filter((p) => !leaving(p));
+    }
+    Object.entries($set).forEach(([field, value]) => {
+      if (field.startsWith('participants.$.')) {
+        entry[field.slice('participants.$.'.length)] = value;
+      } else {
+        stored[field] = value;
+      }
+    });
+    return mockQuery(options?.new ? Session.hydrate(stored) : before);
+  };
+
+  const join = (
+    deviceId,
+    { socketId = `socket-${deviceId}`, ...options } = {}
+  ) =>
+    sessionService.joinSession(
+      '123456',
+      { deviceId, socketId, deviceInfo: 'CLI' },
+      null,
+      options
+    );
+
+  const leave = (deviceId) =>
+    sessionService.leaveSession(stored._id, {
+      deviceId,
+      socketId: `socket-${deviceId}`,
+    });
+
+  const disconnect = (deviceId, socketId = `socket-${deviceId}`) =>
+    sessionService.disconnectParticipant(stored._id, { deviceId, socketId });
+
+  const entryOf = (deviceId) =>
+    stored.participants.find(isEntry({ device: deviceId }));
+
+  beforeEach(() => {
+    stored = sessionDoc().toObject();
+    const load = () => mockQuery(Session.hydrate(stored));
+    jest.spyOn(Session, 'findOne').mockImplementation(load);
+    jest.spyOn(Session, 'findById').mockImplementation(load);
+    jest
+      .spyOn(Session, 'exists')
+      .mockImplementation(({ blockedDevices }) =>
+        mockQuery(isBlocked(blockedDevices) ? { _id: stored._id } : null)
+      );
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(update);
+  });
+
+  it('keeps the session open for the next device after the last one leaves', async () => {
+    // ctrl-w new, then send: join, post, leave
+    await join(objectId(10));
+    const emptied = await leave(objectId(10));
+
+    expect(emptied.participants).toHaveLength(0);
+    expect(emptied.status).toBe('active');
+
+    // ctrl-w recv on another machine
+    const { session, rejoined } = await join(objectId(11));
+
+    expect(rejoined).toBe(false);
+    expect(session.participants.map((p) => p.device.toString())).toEqual([
+      objectId(11),
+    ]);
+  });
+
+  it('ignores a late leave from a replaced connection', async () => {
+    await join(objectId(10));
+
+    await expect(
+      sessionService.leaveSession(stored._id, {
+        deviceId: objectId(10),
+        socketId: 'old-socket',
+      })
+    ).resolves.toBeNull();
+  });
+
+  it('keeps a disconnected device, which rejoins without approval', async () => {
+    stored.requireApproval = true;
+    const requestApproval = jest.fn().mockResolvedValue();
+    await join(objectId(10), { requestApproval });
+
+    const session = await disconnect(objectId(10));
+
+    expect(session.participants).toHaveLength(1);
+    expect(entryOf(objectId(10)).disconnectedAt).toBeInstanceOf(Date);
+
+    // Page refresh: new socket, no approval callback
+    const rejoin = await join(objectId(10), { socketId: 'socket-new' });
+
+    expect(rejoin.rejoined).toBe(true);
+    expect(requestApproval).toHaveBeenCalledTimes(1);
+    expect(entryOf(objectId(10))).toMatchObject({
+      socketId: 'socket-new',
+      disconnectedAt: null,
+    });
+  });
+
+  it('ignores a late disconnect from a replaced connection', async () => {
+    await join(objectId(10), { socketId: 'socket-new' });
+
+    await expect(disconnect(objectId(10), 'socket-old')).resolves.toBeNull();
+    expect(entryOf(objectId(10)).disconnectedAt).toBeFalsy();
+  });
+
+  it('removes devices offline for longer than the grace period', async () => {
+    await join(objectId(10));
+    await join(objectId(11));
+    await join(objectId(12));
+    entryOf(objectId(10)).disconnectedAt = new Date(Date.now() - 121000);
+    entryOf(objectId(11)).disconnectedAt = new Date(Date.now() - 60000);
+    jest
+      .spyOn(Session, 'find')
+      .mockImplementation(() => mockQuery([Session.hydrate(stored)]));
+
+    const removed = await sessionService.removeOfflineParticipants(120);
+
+    expect(removed).toEqual([
+      {
+        sessionId: stored._id.toString(),
+        deviceId: objectId(10),
+        socketId: `socket-${objectId(10)}`,
+        deviceInfo: 'CLI',
+        participantCount: 2,
+      },
+    ]);
+    expect(has(objectId(11))).toBe(true);
+    expect(has(objectId(12))).toBe(true);
+  });
+
+  it('spares a device that rejoined after the sweep loaded its session', async () => {
+    await join(objectId(10));
+    entryOf(objectId(10)).disconnectedAt = new Date(Date.now() - 121000);
+    const loaded = Session.hydrate(structuredClone(stored));
+    jest.spyOn(Session, 'find').mockReturnValue(mockQuery([loaded]));
+    await join(objectId(10), { socketId: 'socket-new' });
+
+    await expect(
+      sessionService.removeOfflineParticipants(120)
+    ).resolves.toEqual([]);
+    expect(has(objectId(10))).toBe(true);
+  });
+
+  describe('participant limit', () => {
+    beforeEach(() => {
+      stored.creator = USER_ID;
+      stored.maxParticipants = 2;
+    });
+
+    it('refuses guests once the session is full', async () => {
+      await join(objectId(10));
+      await join(objectId(11));
+
+      await expect(join(objectId(12))).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Session is full',
+      });
+    });
+
+    it('lets one of two guests racing for the last place in', async () => {
+      await join(objectId(10));
+
+      const results = await Promise.allSettled([
+        join(objectId(11)),
+        join(objectId(12)),
+      ]);
+
+      expect(results.map((r) => r.status).sort()).toEqual([
+        'fulfilled',
+        'rejected',
+      ]);
+      expect(stored.participants).toHaveLength(2);
+    });
+
+    it('always lets the host in', async () => {
+      await join(objectId(10));
+      await join(objectId(11));
+
+      const { isHost } = await join(objectId(12), { userId: USER_ID });
+
+      expect(isHost).toBe(true);
+      expect(stored.participants).toHaveLength(3);
+    });
+
+    it('keeps a reconnecting guest in a full session', async () => {
+      await join(objectId(10));
+      await join(objectId(11));
+
+      await expect(
+        join(objectId(11), { socketId: 'socket-new' })
+      ).resolves.toMatchObject({ rejoined: true });
+    });
+  });
+
+  describe('host approval', () => {
+    beforeEach(() => {
+      stored.creator = USER_ID;
+      stored.requireApproval = true;
+    });
+
+    it('needs a way to ask the host', async () => {
+      await expect(join(objectId(11))).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'This session requires host approval',
+      });
+    });
+
+    it('keeps out guests the host declines', async () => {
+      const declined = new Error('The host declined your request to join');
+      declined.statusCode = 403;
+      const requestApproval = jest.fn().mockRejectedValue(declined);
+
+      await expect(join(objectId(11), { requestApproval })).rejects.toBe(
+        declined
+      );
+      expect(has(objectId(11))).toBe(false);
+    });
+
+    it('does not hold the host for approval', async () => {
+      const requestApproval = jest.fn();
+
+      await join(objectId(10), { userId: USER_ID, requestApproval });
+
+      expect(requestApproval).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PIN', () => {
+    const requester = { ip: '192.0.2.1', fingerprint: null };
+
+    beforeEach(() => {
+      stored.creator = USER_ID;
+      stored.pin = bcrypt.hashSync('4711', 4);
+      stored.pinRequired = true;
+      jest.spyOn(pairingGuardService, 'recordFailure').mockResolvedValue();
+      jest
+        .spyOn(pairingGuardService, 'recordCodeFailure')
+        .mockResolvedValue(false);
+    });
+
+    it('asks a new device for it without counting a failure', async () => {
+      await expect(join(objectId(11))).rejects.toMatchObject({
+        statusCode: 401,
+        message: 'This session requires a PIN',
+      });
+      expect(pairingGuardService.recordCodeFailure).not.toHaveBeenCalled();
+    });
+
+    it('lets a device with the right PIN in', async () => {
+      await expect(join(objectId(11), { pin: '4711' })).resolves.toMatchObject({
+        rejoined: false,
+        isHost: false,
+      });
+    });
+
+    it('counts a wrong PIN against the requester and the session', async () => {
+      await expect(
+        sessionService.verifyPin(Session.hydrate(stored), '0000', requester)
+      ).rejects.toMatchObject({ statusCode: 401, message: 'Incorrect PIN' });
+
+      expect(pairingGuardService.recordFailure).toHaveBeenCalledWith(
+        requester,
+        '123456'
+      );
+      expect(pairingGuardService.recordCodeFailure).toHaveBeenCalledWith(
+        stored._id
+      );
+    });
+
+    it('closes the session after too many wrong PINs', async () => {
+      pairingGuardService.recordCodeFailure.mockResolvedValue(true);
+
+      await expect(join(objectId(11), { pin: '0000' })).rejects.toMatchObject({
+        statusCode: 410,
+        closedSessionId: stored._id.toString(),
+      });
+      expect(Session.prototype.save).toHaveBeenCalled();
+    });
+
+    it('is checked on joins with a token too', async () => {
+      jest
+        .spyOn(joinTokenService, 'redeemJoinToken')
+        .mockResolvedValue(stored._id);
+
+      await expect(
+        sessionService.joinSessionWithToken('token', {
+          deviceId: objectId(11),
+          socketId: 'socket-11',
+          deviceInfo: 'Phone',
+        })
+      ).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('is not asked again on reconnect, or of hosts', async () => {
+      await join(objectId(11), { pin: '4711' });
+
+      await expect(
+        join(objectId(11), { socketId: 'socket-new' })
+      ).resolves.toMatchObject({ rejoined: true });
+      await expect(
+        join(objectId(10), { userId: USER_ID })
+      ).resolves.toMatchObject({ isHost: true });
+    });
+  });
+
+  describe('kickParticipant', () => {
+    beforeEach(async () => {
+      stored.creator = USER_ID;
+      await join(objectId(10), { userId: USER_ID });
+      await join(objectId(11));
+    });
+
+    const kick = (deviceId) =>
+      sessionService.kickParticipant(Session.hydrate(stored), deviceId);
+
+    it('removes the guest and blocks its device', async () => {
+      const { participant, participantCount } = await kick(objectId(11));
+
+      expect(participant.device.toString()).toBe(objectId(11));
+      expect(participantCount).toBe(1);
+      expect(has(objectId(11))).toBe(false);
+      await expect(join(objectId(11))).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'You were removed from this session',
+      });
+    });
+
+    it.each([
+      ['a host', objectId(10)],
+      ['a device that is not in the session', objectId(12)],
+    ])('refuses to kick %s', async (_, deviceId) => {
+      await expect(kick(deviceId)).rejects.toMatchObject({ statusCode: 404 });
+      expect(stored.blockedDevices).toHaveLength(0);
+    });
+  });
+});
+
+describe('serializeSession', () => {
+  it('leaves secrets out', () => {
+    const view = sessionService.serializeSession(
+      sessionDoc({ creatorSecretHash: 'hash', pin: 'hashed-pin' })
+    );
+
+    expect(view).toMatchObject({
+      pairingCode: '123456',
+      status: 'active',
+      participantCount: 0,
+      isOwned: false,
+    });
+    expect(JSON.stringify(view)).not.toMatch(/hash/);
+  });
+});
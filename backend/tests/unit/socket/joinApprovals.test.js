@@ -0,0 +1,140 @@
+/**
+ * Join Approvals
+ */
+
+import { jest } from '@jest/globals';
+import createJoinApprovals from '../../../socket/joinApprovals.js';
+import EVENTS from '../../../socket/events.js';
+
+const guest = { deviceId: 'd2', socketId: 'guest', deviceInfo: 'Pixel 8' };
+let io;
+let emitted;
+let approvals;
+
+const session = (...participants) => ({
+  _id: 's1',
+  participants: participants.map((p) => ({
+    isHost: false,
+    disconnectedAt: null,
+    ...p,
+  })),
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  emitted = [];
+  io = {
+    to: jest.fn((to) => ({
+      emit: (event, payload) => emitted.push({ to, event, payload }),
+    })),
+  };
+  approvals = createJoinApprovals(io);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('request', () => {
+  it('asks the connected hosts only', async () => {
+    const pending = approvals.request(
+      session(
+        { socketId: 'host-tab', isHost: true },
+        { socketId: 'host-phone', isHost: true, disconnectedAt: new Date() }
+      ),
+      guest
+    );
+
+    const [{ to, event, payload }] = emitted;
+    expect(event).toBe(EVENTS.JOIN_REQUESTED);
+    expect(to).toEqual(['host-tab']);
+
+    approvals.respond('s1', payload.requestId, true);
+    await expect(pending).resolves.toBeUndefined();
+  });
+
+  it('refuses at once when every host is offline', async () => {
+    await expect(
+      approvals.request(
+        session({ socketId: 'host', isHost: true, disconnectedAt: new Date() }),
+        guest
+      )
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(emitted).toEqual([]);
+  });
+
+  const ask = () =>
+    approvals.request(session({ socketId: 'host', isHost: true }), guest);
+
+  const requestId = () => emitted[0].payload.requestId;
+
+  it('tells the host who is asking', () => {
+    ask();
+
+    expect(emitted[0].payload).toMatchObject({
+      deviceId: 'd2',
+      deviceInfo: 'Pixel 8',
+      expiresAt: expect.any(Date),
+    });
+  });
+
+  it('refuses the guest when the host declines', async () => {
+    const pending = ask();
+
+    approvals.respond('s1', requestId(), false);
+
+    await expect(pending).rejects.toMatchObject({ statusCode: 403 });
+    expect(emitted.at(-1)).toMatchObject({
+      to: ['host'],
+      event: EVENTS.JOIN_RESOLVED,
+      payload: { requestId: requestId(), approved: false },
+    });
+  });
+
+  it('gives up when the host does not answer in time', async () => {
+    const pending = ask();
+    const settled = expect(pending).rejects.toMatchObject({ statusCode: 408 });
+
+    await jest.advanceTimersByTimeAsync(120 * 1000);
+
+    await settled;
+  });
+
+  it('cancels the request when the guest goes away', async () => {
+    const pending = ask();
+
+    approvals.cancelForSocket('guest');
+
+    await expect(pending).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('respond', () => {
+  it.each([
+    ['an unknown request', 's1', 'nope'],
+    ['a request of another session', 's2', null],
+  ])('answers 404 for %s', (_, sessionId, id) => {
+    approvals
+      .request(session({ socketId: 'host', isHost: true }), guest)
+      .catch(() => {});
+
+    expect(() =>
+      approvals.respond(sessionId, id || emitted[0].payload.requestId, true)
+    ).toThrow(expect.objectContaining({ statusCode: 404 }));
+  });
+
+  it('takes only the first answer', async () => {
+    const pending = approvals.request(
+      session({ socketId: 'host', isHost: true }),
+      guest
+    );
+    const { requestId } = emitted[0].payload;
+
+    approvals.respond('s1', requestId, true);
+
+    expect(() => approvals.respond('s1', requestId, false)).toThrow(
+      'Join request not found or already answered'
+    );
+    await expect(pending).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Receipt Batcher
+ *
+ * messageService is mocked; timers are faked so a flush happens when
+ * the test says so.
+ */
+
+import { jest } from '@jest/globals';
+
+const messageService = {
+  markDelivered: jest.fn(),
+  markRead: jest.fn(),
+  burnReadMessages: jest.fn(),
+};
+
+jest.unstable_mockModule('../../../services/messageService.js', () => ({
+  default: messageService,
+}));
+
+const { default: createReceiptBatcher } = await import(
+  '../../../socket/receiptBatcher.js'
+);
+const { default: EVENTS } = await import('../../../socket/events.js');
+
+const READ_AT = new Date('2026-01-01T12:00:00Z');
+let io;
+let emitted;
+let receipts;
+
+const ack = (deviceId, status, messageIds) =>
+  receipts.queue({
+    sessionId: 's1',
+    deviceId,
+    deviceInfo: `Firefox on ${deviceId}`,
+    status,
+    messageIds,
+  });
+
+const flush = () => jest.advanceTimersByTimeAsync(1000);
+
+const broadcasts = (event) =>
+  emitted.filter((e) => e.event === event).map((e) => e.payload);
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.clearAllMocks();
+  emitted = [];
+  io = {
+    to: jest.fn((room) => ({
+      emit: (event, payload) => emitted.push({ room, event, payload }),
+    })),
+  };
+  receipts = createReceiptBatcher(io, (sessionId) => `session:${sessionId}`);
+
+  messageService.markDelivered.mockImplementation(async (_, __, ids) => ids);
+  messageService.markRead.mockImplementation(async (_, __, ids) => ({
+    messageIds: ids,
+    readAt: READ_AT,
+  }));
+  messageService.burnReadMessages.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('createReceiptBatcher', () => {
+  it('writes nothing until the flush', async () => {
+    ack('d1', 'delivered', ['m1']);
+
+    await jest.advanceTimersByTimeAsync(999);
+
+    expect(messageService.markDelivered).not.toHaveBeenCalled();
+    expect(emitted).toEqual([]);
+  });
+
+  it('writes one batch per device and broadcasts once per status', async () => {
+    ['m1', 'm2', 'm3'].forEach((id) => ack('d1', 'read', [id]));
+    ack('d2', 'delivered', ['m1', 'm2']);
+
+    await flush();
+
+    expect(messageService.markRead).toHaveBeenCalledTimes(1);
+    expect(messageService.markRead).toHaveBeenCalledWith(
+      's1',
+      { deviceId: 'd1', deviceInfo: 'Firefox on d1' },
+      ['m1', 'm2', 'm3']
+    );
+    expect(messageService.markDelivered).toHaveBeenCalledTimes(2);
+    expect(broadcasts(EVENTS.MESSAGE_DELIVERED)).toEqual([
+      { messageIds: ['m1', 'm2', 'm3'] },
+    ]);
+    expect(broadcasts(EVENTS.MESSAGE_READ)).toEqual([
+      {
+        messageIds: ['m1', 'm2', 'm3'],
+        deviceId: 'd1',
+        deviceInfo: 'Firefox on d1',
+        readAt: READ_AT,
+      },
+    ]);
+    expect(io.to).toHaveBeenCalledWith('session:s1');
+  });
+
+  it('counts reads as deliveries', async () => {
+    ack('d1', 'read', ['m1']);
+
+    await flush();
+
+    expect(messageService.markDelivered).toHaveBeenCalledWith('s1', 'd1', [
+      'm1',
+    ]);
+  });
+
+  it('stays quiet when nothing changed', async () => {
+    messageService.markDelivered.mockResolvedValue([]);
+    messageService.markRead.mockResolvedValue({
+      messageIds: [],
+      readAt: READ_AT,
+    });
+    ack('d1', 'read', ['m1']);
+
+    await flush();
+
+    expect(emitted).toEqual([]);
+    expect(messageService.burnReadMessages).not.toHaveBeenCalled();
+  });
+
+  it('deletes burn-after-reading messages on their first read', async () => {
+    messageService.burnReadMessages.mockResolvedValue(['m2']);
+    ack('d1', 'read', ['m1', 'm2']);
+
+    await flush();
+
+    expect(messageService.burnReadMessages).toHaveBeenCalledWith('s1', [
+      'm1',
+      'm2',
+    ]);
+    expect(broadcasts(EVENTS.MESSAGE_DELETED)).toEqual([
+      { messageIds: ['m2'], reason: 'burned' },
+    ]);
+    expect(broadcasts(EVENTS.MESSAGE_DELIVERED)).toEqual([
+      { messageIds: ['m1'] },
+    ]);
+  });
+
+  it('caps what one device can queue per flush', async () => {
+    const ids = Array.from({ length: 1200 }, (_, i) => `m${i}`);
+
+    expect(ack('d1', 'delivered', ids)).toBe(1000);
+    expect(ack('d1', 'read', ['extra'])).toBe(0);
+
+    await flush();
+
+    expect(messageService.markDelivered.mock.calls[0][2]).toHaveLength(1000);
+  });
+
+  it('starts a new batch after a flush', async () => {
+    ack('d1', 'delivered', ['m1']);
+    await flush();
+    ack('d1', 'delivered', ['m2']);
+    await flush();
+
+    expect(messageService.markDelivered.mock.calls.map((c) => c[2])).toEqual([
+      ['m1'],
+      ['m2'],
+    ]);
+  });
+
+  it('logs write errors instead of crashing', async () => {
+    const error = new Error('write failed');
+    messageService.markDelivered.mockRejectedValue(error);
+    const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+    ack('d1', 'delivered', ['m1']);
+
+    await flush();
+
+    expect(log).toHaveBeenCalledWith('Error writing message receipts:', error);
+    log.mockRestore();
+  });
+});
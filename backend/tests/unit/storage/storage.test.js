@@ -0,0 +1,76 @@
+/**
+ * File Storage
+ *
+ * Driver selection and the local disk driver (S3 and Cloudinary need
+ * their services and are not exercised here).
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getStorage, STORAGE_PROVIDERS } from '../../../storage/index.js';
+import createLocalStorage from '../../../storage/localStorage.js';
+
+describe('getStorage', () => {
+  it('defaults to the local driver and reuses it', () => {
+    const storage = getStorage();
+
+    expect(storage.name).toBe('local');
+    expect(getStorage('local')).toBe(storage);
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => getStorage('ftp')).toThrow(
+      `Unknown storage provider "ftp". Use one of: ${STORAGE_PROVIDERS.join(', ')}`
+    );
+  });
+});
+
+describe('local driver', () => {
+  let directory;
+  let storage;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ctrl-w-storage-'));
+    storage = createLocalStorage({
+      directory,
+      publicUrl: 'http://files.test/uploads/',
+    });
+  });
+
+  afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+  it('stores, links and deletes files', async () => {
+    const key = 'session-1/file.png';
+
+    await expect(
+      storage.upload(Buffer.from('bytes'), { key })
+    ).resolves.toEqual({ key });
+    await expect(fs.readFile(path.join(directory, key), 'utf8')).resolves.toBe(
+      'bytes'
+    );
+    await expect(storage.getUrl(key)).resolves.toBe(
+      'http://files.test/uploads/session-1/file.png'
+    );
+
+    await storage.delete(key);
+    await expect(fs.access(path.join(directory, key))).rejects.toThrow();
+  });
+
+  it('ignores deleting a file that is already gone', async () => {
+    await expect(storage.delete('session-1/missing.png')).resolves.toBe(
+      undefined
+    );
+  });
+
+  it.each(['../escape.txt', 'session-1/../../escape.txt', '/etc/passwd'])(
+    'refuses keys outside the storage root (%s)',
+    async (key) => {
+      await expect(storage.upload(Buffer.from('x'), { key })).rejects.toThrow(
+        'Invalid storage key'
+      );
+      await expect(storage.delete(key)).rejects.toThrow('Invalid storage key');
+      await expect(storage.getUrl(key)).rejects.toThrow('Invalid storage key');
+    }
+  );
+});
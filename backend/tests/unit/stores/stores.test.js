@@ -0,0 +1,107 @@
+/**
+ * Key-Value Stores
+ */
+
+import { jest } from '@jest/globals';
+import { StoreEntry } from '../../../models/index.js';
+import { createStore } from '../../../stores/index.js';
+import { mockQuery, applyUpdate } from '../../helpers/mongoose.js';
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createStore', () => {
+  it('rejects unknown drivers', () => {
+    expect(() => createStore('test', 'redis')).toThrow(/Unknown store driver/);
+  });
+});
+
+describe('memory store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore('test');
+  });
+
+  it('returns copies, so callers cannot change stored values', async () => {
+    const value = { codes: ['123456'] };
+    await store.set('key', value, 1000);
+    value.codes.push('654321');
+
+    const stored = await store.get('key');
+    stored.codes.push('111111');
+
+    await expect(store.get('key')).resolves.toEqual({ codes: ['123456'] });
+  });
+
+  it('forgets entries after their TTL', async () => {
+    const now = Date.now();
+    await store.set('key', true, 1000);
+
+    jest.spyOn(Date, 'now').mockReturnValue(now + 1001);
+
+    await expect(store.get('key')).resolves.toBeNull();
+  });
+
+  it('counts parallel increments without losing any', async () => {
+    const counts = await Promise.all(
+      Array.from({ length: 20 }, () => store.incr('hits', 1000))
+    );
+
+    expect(counts.sort((a, b) => a - b)).toEqual(
+      Array.from({ length: 20 }, (_, i) => i + 1)
+    );
+    await expect(store.get('hits')).resolves.toBe(20);
+  });
+
+  it('keeps the first TTL and starts over once it has passed', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await store.incr('hits', 1000);
+
+    Date.now.mockReturnValue(now + 600);
+    await expect(store.incr('hits', 1000)).resolves.toBe(2);
+
+    Date.now.mockReturnValue(now + 1001);
+    await expect(store.incr('hits', 1000)).resolves.toBe(1);
+  });
+});
+
+describe('mongo store', () => {
+  // Stand-in for the entry in the collection, updated like MongoDB would
+  let stored;
+  let store;
+
+  beforeEach(() => {
+    stored = null;
+    store = createStore('test', 'mongo');
+    jest
+      .spyOn(StoreEntry, 'findOneAndUpdate')
+      .mockImplementation((filter, update) => {
+        stored = applyUpdate(stored || { ...filter }, update);
+        return mockQuery({ ...stored });
+      });
+  });
+
+  it('increments in a single upserting update', async () => {
+    await expect(store.incr('hits', 1000)).resolves.toBe(1);
+    await expect(store.incr('hits', 1000)).resolves.toBe(2);
+
+    const [filter, , options] = StoreEntry.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ namespace: 'test', key: 'hits' });
+    expect(options).toEqual({ upsert: true, new: true });
+  });
+
+  it('keeps the first TTL and starts over once it has passed', async () => {
+    await store.incr('hits', 1000);
+    const { expiresAt } = stored;
+
+    await store.incr('hits', 5000);
+    expect(stored.expiresAt).toBe(expiresAt);
+
+    stored.expiresAt = new Date(Date.now() - 1);
+    await expect(store.incr('hits', 1000)).resolves.toBe(1);
+    expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+});
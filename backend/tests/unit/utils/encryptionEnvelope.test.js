@@ -0,0 +1,87 @@
+/**
+ * Encryption Envelope
+ */
+
+import {
+  base64ByteLength,
+  validateEnvelope,
+} from '../../../utils/encryptionEnvelope.js';
+
+const base64 = (bytes) => Buffer.alloc(bytes, 7).toString('base64');
+
+const envelope = (fields = {}) => ({
+  algorithm: 'AES-256-GCM',
+  nonce: base64(12),
+  ciphertext: base64(32),
+  ...fields,
+});
+
+const options = { fields: ['ciphertext'], maxBytes: 64 };
+
+describe('base64ByteLength', () => {
+  it('decodes the length of valid base64', () => {
+    expect(base64ByteLength(base64(24))).toBe(24);
+    expect(base64ByteLength('')).toBe(0);
+  });
+
+  it.each(['abc', 'ab$=', null, 42])('rejects %p', (value) => {
+    expect(base64ByteLength(value)).toBe(-1);
+  });
+});
+
+describe('validateEnvelope', () => {
+  it('keeps only the known fields', () => {
+    expect(validateEnvelope(envelope({ extra: 'x' }), options)).toEqual({
+      algorithm: 'AES-256-GCM',
+      nonce: base64(12),
+      ciphertext: base64(32),
+    });
+  });
+
+  it('accepts the 24-byte nonces of XChaCha20-Poly1305', () => {
+    expect(() =>
+      validateEnvelope(
+        envelope({ algorithm: 'XChaCha20-Poly1305', nonce: base64(24) }),
+        options
+      )
+    ).not.toThrow();
+  });
+
+  it.each([
+    [
+      'a missing envelope',
+      undefined,
+      'Encryption envelope is required in encrypted sessions',
+    ],
+    [
+      'an unknown algorithm',
+      envelope({ algorithm: 'ROT13' }),
+      /^Encryption algorithm must be one of/,
+    ],
+    [
+      'a nonce of the wrong size',
+      envelope({ nonce: base64(24) }),
+      'Nonce must be 12 bytes, base64-encoded',
+    ],
+    [
+      'an empty payload',
+      envelope({ ciphertext: '' }),
+      'Encrypted ciphertext must be a non-empty base64 string',
+    ],
+    [
+      'an oversized payload',
+      envelope({ ciphertext: base64(65) }),
+      'Encrypted ciphertext exceeds 64 bytes',
+    ],
+  ])('rejects %s with 400', (_, value, message) => {
+    let error;
+    try {
+      validateEnvelope(value, options);
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(message);
+  });
+});
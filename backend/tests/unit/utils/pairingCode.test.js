@@ -0,0 +1,65 @@
+/**
+ * Pairing Codes (default format: 6 digits)
+ */
+
+import {
+  generatePairingCode,
+  normalizePairingCode,
+  pairingCodeForLookup,
+  isValidPairingCode,
+} from '../../../utils/pairingCode.js';
+
+describe('generatePairingCode', () => {
+  it('generates canonical codes', () => {
+    const code = generatePairingCode();
+
+    expect(code).toMatch(/^\d{6}$/);
+    expect(isValidPairingCode(code)).toBe(true);
+  });
+});
+
+describe('normalizePairingCode', () => {
+  it.each([
+    ['042917', '042917'],
+    [' 042 917 ', '042917'],
+    ['042-917', '042917'],
+    ['042_917', '042917'],
+  ])('normalizes %p to %p', (input, code) => {
+    expect(normalizePairingCode(input)).toBe(code);
+  });
+
+  it.each(['04291', '0429170', 'abcdef', '', '   ', null, 42917])(
+    'rejects %p',
+    (input) => {
+      expect(normalizePairingCode(input)).toBeNull();
+    }
+  );
+});
+
+describe('pairingCodeForLookup', () => {
+  it('normalizes codes in the configured format', () => {
+    expect(pairingCodeForLookup('042 917')).toBe('042917');
+  });
+
+  it.each(['amber-tiger-42', '7KQ2XM', ' 0429 '])(
+    'passes %p from an earlier format through, trimmed',
+    (input) => {
+      expect(pairingCodeForLookup(input)).toBe(input.trim());
+    }
+  );
+
+  it.each(['not a code', '', '   ', 'x'.repeat(81), null, 42917])(
+    'rejects %p',
+    (input) => {
+      expect(pairingCodeForLookup(input)).toBeNull();
+    }
+  );
+});
+
+describe('isValidPairingCode', () => {
+  it('accepts only the canonical form', () => {
+    expect(isValidPairingCode('042917')).toBe(true);
+    expect(isValidPairingCode('042-917')).toBe(false);
+    expect(isValidPairingCode('amber-tiger-42')).toBe(false);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Rich Text Sanitizing
+ */
+
+import { sanitizeRichHtml } from '../../../utils/richText.js';
+
+describe('sanitizeRichHtml', () => {
+  it('keeps formatting', () => {
+    const html =
+      '<h2>Notes</h2><p><b>bold</b> <em>em</em></p><ul><li>one</li></ul>' +
+      '<pre><code>x = 1</code></pre><table><tbody><tr><td colspan="2">c</td></tr></tbody></table>';
+
+    expect(sanitizeRichHtml(html)).toBe(html);
+  });
+
+  it.each([
+    ['scripts with their content', '<p>hi</p><script>alert(1)</script>'],
+    [
+      'styles with their content',
+      '<style>p { display: none }</style><p>hi</p>',
+    ],
+    ['event handlers', '<p onclick="alert(1)">hi</p>'],
+    ['style attributes', '<p style="position: fixed">hi</p>'],
+    ['iframes', '<p>hi</p><iframe src="https://example.com"></iframe>'],
+  ])('removes %s', (_, html) => {
+    expect(sanitizeRichHtml(html)).toBe('<p>hi</p>');
+  });
+
+  it('drops images, which would report every view to their host', () => {
+    expect(
+      sanitizeRichHtml('<p>hi<img src="https://tracker.example/p.gif"></p>')
+    ).toBe('<p>hi</p>');
+  });
+
+  it.each([
+    'javascript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    '//evil.example/x',
+  ])('strips the link target %s', (href) => {
+    expect(sanitizeRichHtml(`<a href="${href}">x</a>`)).not.toMatch(/href/);
+  });
+
+  it('opens links outside the app without a referrer', () => {
+    expect(
+      sanitizeRichHtml('<a href="https://example.com" target="_self">x</a>')
+    ).toBe(
+      '<a href="https://example.com" target="_blank" rel="noopener noreferrer nofollow">x</a>'
+    );
+  });
+
+  it('returns an empty string when nothing can be shown', () => {
+    expect(sanitizeRichHtml('  <script>alert(1)</script>  ')).toBe('');
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * MIME Type Sniffing
+ */
+
+import {
+  sniffMimeType,
+  isMimeTypeAllowed,
+} from '../../../utils/sniffMimeType.js';
+
+const bytes = (...values) => Buffer.from(values);
+
+describe('sniffMimeType', () => {
+  it.each([
+    ['image/png', bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)],
+    ['image/jpeg', bytes(0xff, 0xd8, 0xff, 0xe0)],
+    ['image/gif', Buffer.from('GIF89a')],
+    ['application/pdf', Buffer.from('%PDF-1.7')],
+    ['image/webp', Buffer.from('RIFF\0\0\0\0WEBPVP8 ')],
+    ['image/heic', Buffer.from('\0\0\0\x18ftypheic')],
+    ['video/mp4', Buffer.from('\0\0\0\x18ftypisom')],
+  ])('detects %s from its magic bytes', (type, buffer) => {
+    expect(sniffMimeType(buffer)).toBe(type);
+  });
+
+  it('reports UTF-8 without a signature as plain text', () => {
+    expect(sniffMimeType(Buffer.from('<html><script>x</script>'))).toBe(
+      'text/plain'
+    );
+    expect(sniffMimeType(Buffer.from('naïve café ☕'))).toBe('text/plain');
+  });
+
+  it('falls back to octet-stream for binary and empty input', () => {
+    expect(sniffMimeType(bytes(0x00, 0xff, 0x00, 0x13))).toBe(
+      'application/octet-stream'
+    );
+    expect(sniffMimeType(Buffer.alloc(0))).toBe('application/octet-stream');
+  });
+});
+
+describe('isMimeTypeAllowed', () => {
+  it.each([
+    ['image/png', ['image/png'], true],
+    ['image/png', ['image/*'], true],
+    ['text/plain', ['image/*'], false],
+    ['application/pdf', ['*'], true],
+    ['image/svg+xml', ['image/png', 'image/jpeg'], false],
+  ])('%s against %p → %p', (type, allowlist, allowed) => {
+    expect(isMimeTypeAllowed(type, allowlist)).toBe(allowed);
+  });
+});
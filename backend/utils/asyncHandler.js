@@ -0,0 +1,19 @@
+/**
+ * Async Route Handler Wrapper
+ *
+ * PURPOSE:
+ * Express 4 does not catch rejected promises from async handlers.
+ * Without this wrapper, a thrown error inside an async route would
+ * become an unhandled rejection and the request would hang.
+ *
+ * USAGE:
+ * router.get('/me', asyncHandler(async (req, res) => { ... }));
+ *
+ * @param {Function} fn - Async route handler (req, res, next)
+ * @returns {Function} - Express middleware that forwards errors to next()
+ */
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+export default asyncHandler;
@@ -0,0 +1,96 @@
+/**
+ * Encryption Envelope Validation
+ *
+ * PURPOSE:
+ * Check the shape of client-side encrypted payloads in E2E sessions
+ *
+ * WHAT THE SERVER CAN CHECK:
+ * - Algorithm is one we document
+ * - Nonce has the right length for that algorithm
+ * - Ciphertext is base64 and within size limits
+ *
+ * WHAT IT CAN'T:
+ * Whether the ciphertext decrypts. The key never reaches the server,
+ * which is the whole point.
+ */
+
+// Nonce size in bytes per supported AEAD algorithm
+const NONCE_BYTES = {
+  'AES-256-GCM': 12,
+  'XChaCha20-Poly1305': 24,
+};
+
+const ENCRYPTION_ALGORITHMS = Object.keys(NONCE_BYTES);
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * Decoded Size Of Base64 String
+ *
+ * @param {string} value - Base64 string
+ * @returns {number} - Byte length, or -1 if not valid base64
+ */
+const base64ByteLength = (value) => {
+  if (
+    typeof value !== 'string' ||
+    value.length % 4 !== 0 ||
+    !BASE64_PATTERN.test(value)
+  ) {
+    return -1;
+  }
+  return Buffer.from(value, 'base64').length;
+};
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Validate Envelope
+ *
+ * @param {Object} envelope - { algorithm, nonce, ciphertext?, metadata? }
+ * @param {Object} options
+ * @param {string[]} options.fields - Base64 payload fields to require
+ * @param {number} options.maxBytes - Max decoded size per payload field
+ * @returns {Object} - Normalized envelope (only known fields)
+ */
+const validateEnvelope = (envelope, { fields, maxBytes }) => {
+  if (!envelope || typeof envelope !== 'object') {
+    throw invalid('Encryption envelope is required in encrypted sessions');
+  }
+
+  const { algorithm, nonce } = envelope;
+
+  if (!ENCRYPTION_ALGORITHMS.includes(algorithm)) {
+    throw invalid(
+      `Encryption algorithm must be one of: ${ENCRYPTION_ALGORITHMS.join(', ')}`
+    );
+  }
+
+  if (base64ByteLength(nonce) !== NONCE_BYTES[algorithm]) {
+    throw invalid(
+      `Nonce must be ${NONCE_BYTES[algorithm]} bytes, base64-encoded`
+    );
+  }
+
+  const normalized = { algorithm, nonce };
+
+  for (const field of fields) {
+    const size = base64ByteLength(envelope[field]);
+
+    if (size <= 0) {
+      throw invalid(`Encrypted ${field} must be a non-empty base64 string`);
+    }
+    if (size > maxBytes) {
+      throw invalid(`Encrypted ${field} exceeds ${maxBytes} bytes`);
+    }
+
+    normalized[field] = envelope[field];
+  }
+
+  return normalized;
+};
+
+export { ENCRYPTION_ALGORITHMS, base64ByteLength, validateEnvelope };
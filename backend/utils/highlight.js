@@ -0,0 +1,87 @@
+/**
+ * Search Highlighting
+ *
+ * PURPOSE:
+ * Show where a search query matched: a short snippet of the text and
+ * the character ranges to emphasise in it
+ *
+ * WHY RANGES AND NOT <mark> TAGS?
+ * The text is user content. Ranges let each client emphasise matches
+ * its own way without the server producing HTML from it.
+ *
+ * APPROXIMATE:
+ * MongoDB matches stemmed words ("keys" finds "key"). We match words
+ * that start with a query term (minus a plural "s"), which covers the
+ * common cases without a stemmer.
+ */
+
+const WORD = '[\\p{L}\\p{N}_]';
+
+// Characters kept on each side of the first match
+const DEFAULT_CONTEXT = 60;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Terms Of Query
+ *
+ * Negated terms ("-draft") are dropped: they never appear in results.
+ *
+ * @param {string} query - $text search string
+ * @returns {string[]} - Lowercase terms, plural "s" removed
+ */
+const termsOf = (query) => {
+  const words =
+    query
+      .replace(/(^|\s)-\S+/g, ' ')
+      .toLowerCase()
+      .match(new RegExp(`${WORD}+`, 'gu')) || [];
+
+  const terms = words.map((word) =>
+    word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word
+  );
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Highlight Text
+ *
+ * @param {string} text - Text that matched
+ * @param {string[]} terms - From termsOf()
+ * @param {Object} [options]
+ * @param {number} [options.context] - Characters around the match
+ * @returns {Object|null} - { snippet, ranges: [{ start, end }] }
+ *   (ranges index into snippet), or null if no term occurs
+ */
+const highlight = (text, terms, { context = DEFAULT_CONTEXT } = {}) => {
+  if (typeof text !== 'string' || !text || terms.length === 0) {
+    return null;
+  }
+
+  const pattern = new RegExp(
+    `(?<!${WORD})(?:${terms.map(escapeRegExp).join('|')})${WORD}*`,
+    'giu'
+  );
+  const matches = [...text.matchAll(pattern)];
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const start = Math.max(0, matches[0].index - context);
+  const end = Math.min(text.length, matches[0].index + context * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  const ranges = matches
+    .filter((m) => m.index >= start && m.index + m[0].length <= end)
+    .map((m) => ({
+      start: m.index - start + prefix.length,
+      end: m.index + m[0].length - start + prefix.length,
+    }));
+
+  return { snippet: prefix + text.slice(start, end) + suffix, ranges };
+};
+
+export { termsOf, highlight };
@@ -0,0 +1,242 @@
+/**
+ * Pairing Codes
+ *
+ * PURPOSE:
+ * One place that knows the configured code format (config/pairingCode.js):
+ * - Generate random codes
+ * - Normalize what users type into the stored (canonical) form
+ * - Let codes from an earlier format through to the lookup
+ * - Describe the format in validation messages
+ *
+ * CANONICAL FORMS:
+ * - digits / crockford / custom: Characters only, e.g. 042917, 7KQ2XM
+ * - words: Lowercase, dash-separated, e.g. amber-tiger-42
+ *
+ * NORMALIZATION:
+ * Users read codes off another screen, so input is forgiving:
+ * - Spaces, dashes and underscores are ignored ("7KQ 2XM", "042-917")
+ * - Case is ignored when the alphabet has a single case
+ * - Crockford look-alikes are mapped: O → 0, I and L → 1
+ *
+ * "Codes are compared in canonical form only, so the unique index on
+ * Session.pairingCode is also the uniqueness check for every format."
+ */
+
+import crypto from 'crypto';
+import pairingCodeConfig from '../config/pairingCode.js';
+import PAIRING_CODE_WORDS from './pairingCodeWords.js';
+
+const { format, alphabet, length, wordCount, wordDigits } = pairingCodeConfig;
+
+const WORD_SET = new Set(PAIRING_CODE_WORDS);
+
+const SEPARATORS = /[\s\-_]+/g;
+
+const CROCKFORD_LOOKALIKES = { O: '0', I: '1', L: '1' };
+
+// Fixed example for messages (PAIRING_CODE_WORD_COUNT is at most 8)
+const EXAMPLE_WORDS = [
+  'amber',
+  'tiger',
+  'river',
+  'maple',
+  'otter',
+  'comet',
+  'lotus',
+  'cedar',
+];
+const EXAMPLE_DIGITS = '420917';
+
+// Longest code any format produces: 8 words of up to 7 letters,
+// 6 digits and the dashes between them
+const MAX_CODE_LENGTH = 80;
+
+/**
+ * Case Folding For The Alphabet
+ *
+ * @returns {Function|null} - Folds input to the alphabet's case, or null
+ *   when the alphabet mixes cases (then input is case-sensitive)
+ */
+const caseFolder = () => {
+  if (!alphabet || alphabet === alphabet.toUpperCase()) {
+    return (value) => value.toUpperCase();
+  }
+  if (alphabet === alphabet.toLowerCase()) {
+    return (value) => value.toLowerCase();
+  }
+  return null;
+};
+
+const foldCase = caseFolder();
+
+/**
+ * Random Digits
+ *
+ * @param {number} count - Number of digits
+ * @returns {string} - e.g. '042'
+ */
+const randomDigits = (count) =>
+  Array.from({ length: count }, () => crypto.randomInt(10)).join('');
+
+/**
+ * Generate Pairing Code
+ *
+ * Uses crypto.randomInt: codes are secrets, Math.random is predictable.
+ *
+ * @returns {string} - Random code in canonical form
+ */
+const generatePairingCode = () => {
+  if (format === 'words') {
+    const parts = Array.from(
+      { length: wordCount },
+      () => PAIRING_CODE_WORDS[crypto.randomInt(PAIRING_CODE_WORDS.length)]
+    );
+
+    if (wordDigits > 0) {
+      parts.push(randomDigits(wordDigits));
+    }
+
+    return parts.join('-');
+  }
+
+  return Array.from(
+    { length },
+    () => alphabet[crypto.randomInt(alphabet.length)]
+  ).join('');
+};
+
+/**
+ * Normalize Word Code
+ *
+ * @param {string} input - Trimmed user input
+ * @returns {string|null} - Canonical code, or null if invalid
+ */
+const normalizeWordCode = (input) => {
+  const parts = input.toLowerCase().split(SEPARATORS).filter(Boolean);
+  const expectedParts = wordCount + (wordDigits > 0 ? 1 : 0);
+
+  if (parts.length !== expectedParts) {
+    return null;
+  }
+
+  const words = parts.slice(0, wordCount);
+  if (!words.every((word) => WORD_SET.has(word))) {
+    return null;
+  }
+
+  if (
+    wordDigits > 0 &&
+    !new RegExp(`^[0-9]{${wordDigits}}$`).test(parts[wordCount])
+  ) {
+    return null;
+  }
+
+  return parts.join('-');
+};
+
+/**
+ * Normalize Character Code
+ *
+ * @param {string} input - Trimmed user input
+ * @returns {string|null} - Canonical code, or null if invalid
+ */
+const normalizeCharacterCode = (input) => {
+  let code = input.replace(SEPARATORS, '');
+
+  if (foldCase) {
+    code = foldCase(code);
+  }
+
+  if (format === 'crockford') {
+    code = code.replace(/[OIL]/g, (char) => CROCKFORD_LOOKALIKES[char]);
+  }
+
+  if (code.length !== length) {
+    return null;
+  }
+
+  return [...code].every((char) => alphabet.includes(char)) ? code : null;
+};
+
+/**
+ * Normalize Pairing Code
+ *
+ * @param {*} input - Code as typed by the user
+ * @returns {string|null} - Canonical code, or null if it can't be one
+ */
+const normalizePairingCode = (input) => {
+  if (typeof input !== 'string' || !input.trim()) {
+    return null;
+  }
+
+  const trimmed = input.trim();
+  return format === 'words'
+    ? normalizeWordCode(trimmed)
+    : normalizeCharacterCode(trimmed);
+};
+
+/**
+ * Pairing Code For Lookup
+ *
+ * PURPOSE:
+ * Sessions created before a format change keep their codes until they
+ * expire. Input that isn't a code in the configured format is looked up
+ * exactly as typed (trimmed), as long as it could be a stored code of
+ * some format: canonical codes never contain spaces.
+ *
+ * @param {*} input - Code as typed by the user
+ * @returns {string|null} - Code to look up, or null if it can't be one
+ */
+const pairingCodeForLookup = (input) => {
+  const code = normalizePairingCode(input);
+  if (code || typeof input !== 'string') {
+    return code;
+  }
+
+  const trimmed = input.trim();
+  return trimmed.length <= MAX_CODE_LENGTH && /^\S+$/.test(trimmed)
+    ? trimmed
+    : null;
+};
+
+/**
+ * Is Canonical Pairing Code
+ *
+ * @param {string} code - Stored code
+ * @returns {boolean} - true if it matches the configured format exactly
+ */
+const isValidPairingCode = (code) => normalizePairingCode(code) === code;
+
+/**
+ * Describe Format
+ *
+ * @returns {string} - Human-readable format, for error messages
+ */
+const describePairingCode = () => {
+  if (format === 'words') {
+    const digits = wordDigits > 0 ? ` and ${wordDigits} digits` : '';
+    const example = [
+      ...EXAMPLE_WORDS.slice(0, wordCount),
+      EXAMPLE_DIGITS.slice(0, wordDigits),
+    ].filter(Boolean);
+    return `${wordCount} words${digits}, e.g. ${example.join('-')}`;
+  }
+
+  if (format === 'digits') {
+    return `${length} digits`;
+  }
+
+  if (format === 'crockford') {
+    return `${length} characters (0-9 and A-Z, without I, L, O and U)`;
+  }
+
+  return `${length} characters from "${alphabet}"`;
+};
+
+export {
+  generatePairingCode,
+  normalizePairingCode,
+  pairingCodeForLookup,
+  isValidPairingCode,
+  describePairingCode,
+};
@@ -0,0 +1,272 @@
+/**
+ * Pairing Code Wordlist
+ *
+ * PURPOSE:
+ * Words for human-friendly codes (PAIRING_CODE_FORMAT=words)
+ *
+ * CHOSEN TO BE:
+ * - Short, lowercase, letters only
+ * - Easy to spell and say out loud
+ * - Exactly 256 entries, so each word adds 8 bits of entropy
+ */
+
+const PAIRING_CODE_WORDS = Object.freeze([
+  'acorn',
+  'actor',
+  'agent',
+  'alarm',
+  'album',
+  'alpha',
+  'amber',
+  'angle',
+  'apple',
+  'apron',
+  'arbor',
+  'arena',
+  'arrow',
+  'aspen',
+  'atlas',
+  'attic',
+  'autumn',
+  'badge',
+  'bagel',
+  'baker',
+  'bamboo',
+  'banjo',
+  'barn',
+  'basil',
+  'beach',
+  'beacon',
+  'berry',
+  'birch',
+  'bison',
+  'blade',
+  'blaze',
+  'bloom',
+  'bluff',
+  'board',
+  'bonus',
+  'breeze',
+  'brick',
+  'bridge',
+  'brook',
+  'brush',
+  'cabin',
+  'cable',
+  'cactus',
+  'camel',
+  'candle',
+  'canoe',
+  'canyon',
+  'cargo',
+  'carpet',
+  'castle',
+  'cedar',
+  'cello',
+  'chalk',
+  'charm',
+  'cherry',
+  'chess',
+  'cider',
+  'cinder',
+  'citrus',
+  'clay',
+  'cliff',
+  'clock',
+  'cloud',
+  'clover',
+  'cobra',
+  'comet',
+  'coral',
+  'cotton',
+  'crane',
+  'crater',
+  'crown',
+  'cube',
+  'cycle',
+  'daisy',
+  'dawn',
+  'delta',
+  'denim',
+  'desert',
+  'diner',
+  'dingo',
+  'dolphin',
+  'dome',
+  'dragon',
+  'dream',
+  'drift',
+  'drum',
+  'dune',
+  'eagle',
+  'echo',
+  'ember',
+  'engine',
+  'epoch',
+  'fable',
+  'falcon',
+  'feather',
+  'fern',
+  'ferry',
+  'fiber',
+  'field',
+  'fig',
+  'finch',
+  'fjord',
+  'flame',
+  'flint',
+  'flora',
+  'flute',
+  'forest',
+  'fossil',
+  'fox',
+  'frost',
+  'galaxy',
+  'garden',
+  'garnet',
+  'gecko',
+  'geyser',
+  'ginger',
+  'glacier',
+  'globe',
+  'gopher',
+  'granite',
+  'grape',
+  'gravel',
+  'grove',
+  'guitar',
+  'hammer',
+  'harbor',
+  'hazel',
+  'heron',
+  'hickory',
+  'honey',
+  'horizon',
+  'husky',
+  'igloo',
+  'indigo',
+  'iris',
+  'island',
+  'ivory',
+  'jade',
+  'jaguar',
+  'jasper',
+  'jelly',
+  'jewel',
+  'jungle',
+  'kayak',
+  'kelp',
+  'kettle',
+  'kiwi',
+  'koala',
+  'lagoon',
+  'lantern',
+  'larch',
+  'lava',
+  'lemon',
+  'lilac',
+  'lime',
+  'linen',
+  'lizard',
+  'llama',
+  'lotus',
+  'lunar',
+  'magnet',
+  'mango',
+  'maple',
+  'marble',
+  'meadow',
+  'melon',
+  'mesa',
+  'meteor',
+  'mint',
+  'mirror',
+  'monsoon',
+  'moose',
+  'mosaic',
+  'moss',
+  'nectar',
+  'needle',
+  'nickel',
+  'nova',
+  'oak',
+  'oasis',
+  'ocean',
+  'olive',
+  'onyx',
+  'opal',
+  'orbit',
+  'orchid',
+  'otter',
+  'owl',
+  'paddle',
+  'panda',
+  'paper',
+  'parrot',
+  'pearl',
+  'pebble',
+  'pepper',
+  'piano',
+  'pilot',
+  'pine',
+  'planet',
+  'plum',
+  'polar',
+  'pond',
+  'poppy',
+  'prairie',
+  'prism',
+  'puffin',
+  'pumpkin',
+  'quartz',
+  'quill',
+  'rabbit',
+  'radar',
+  'rain',
+  'raven',
+  'reef',
+  'ridge',
+  'river',
+  'robin',
+  'rocket',
+  'ruby',
+  'saddle',
+  'saffron',
+  'sage',
+  'salmon',
+  'sand',
+  'satin',
+  'scarlet',
+  'shell',
+  'sierra',
+  'silver',
+  'sketch',
+  'slate',
+  'solar',
+  'sparrow',
+  'spruce',
+  'squid',
+  'star',
+  'stone',
+  'storm',
+  'summit',
+  'sunset',
+  'swan',
+  'tango',
+  'thistle',
+  'thunder',
+  'tiger',
+  'timber',
+  'topaz',
+  'torch',
+  'tulip',
+  'tundra',
+  'turtle',
+  'valley',
+  'velvet',
+  'violet',
+  'walnut',
+  'willow',
+]);
+
+export default PAIRING_CODE_WORDS;
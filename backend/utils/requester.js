@@ -0,0 +1,69 @@
+/**
+ * Requester Identity
+ *
+ * PURPOSE:
+ * Describe who is making a request, for throttling:
+ * - ip: Client address
+ * - fingerprint: Optional device fingerprint sent by the client
+ *
+ * SOURCES:
+ * - HTTP: req.ip plus the X-Device-Fingerprint header
+ * - Socket.io: handshake address plus auth.fingerprint
+ *   io(url, { auth: { token, fingerprint } })
+ *
+ * BEHIND A PROXY:
+ * Set TRUST_PROXY=true only when a reverse proxy sets X-Forwarded-For.
+ * Otherwise clients could spoof the header and dodge IP throttling.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const trustProxy = process.env.TRUST_PROXY === 'true';
+
+const FINGERPRINT_HEADER = 'x-device-fingerprint';
+
+// Fingerprints are hashed before use; this only bounds the input
+const MAX_FINGERPRINT_LENGTH = 512;
+
+const normalizeFingerprint = (value) =>
+  typeof value === 'string' && value.trim()
+    ? value.trim().slice(0, MAX_FINGERPRINT_LENGTH)
+    : null;
+
+/**
+ * Requester From HTTP Request
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} - { ip, fingerprint }
+ */
+const requesterFromRequest = (req) => ({
+  ip: req.ip || null,
+  fingerprint: normalizeFingerprint(req.get(FINGERPRINT_HEADER)),
+});
+
+/**
+ * Requester From Socket
+ *
+ * @param {Socket} socket - Socket.io socket
+ * @returns {Object} - { ip, fingerprint }
+ */
+const requesterFromSocket = (socket) => {
+  const { handshake } = socket;
+  const forwardedFor = handshake.headers['x-forwarded-for'];
+
+  // Same rule as Express with trust proxy = 1: the proxy appends the
+  // address it saw, so the last entry is the one we can trust
+  const ip =
+    trustProxy && typeof forwardedFor === 'string'
+      ? forwardedFor.split(',').pop().trim()
+      : handshake.address;
+
+  return {
+    ip: ip || null,
+    fingerprint: normalizeFingerprint(handshake.auth?.fingerprint),
+  };
+};
+
+export { trustProxy, requesterFromRequest, requesterFromSocket };
@@ -0,0 +1,85 @@
+/**
+ * Rich Text Sanitizing
+ *
+ * PURPOSE:
+ * Clean HTML pasted from a clipboard before it is stored, so 'rich'
+ * messages can be rendered as HTML by every other device
+ *
+ * WHAT SURVIVES:
+ * Formatting only: text styles, headings, lists, quotes, code blocks,
+ * tables and links (http, https and mailto). Scripts, styles, event
+ * handlers, images and iframes are removed, along with their content
+ * where it isn't text (<script>, <style>).
+ *
+ * WHY NOT IMAGES?
+ * A remote <img> is a tracking pixel: it would tell a third party
+ * every time a device displays the message. Images travel as files.
+ */
+
+import sanitizeHtml from 'sanitize-html';
+
+const ALLOWED_TAGS = [
+  'p',
+  'br',
+  'hr',
+  'div',
+  'span',
+  'b',
+  'strong',
+  'i',
+  'em',
+  'u',
+  's',
+  'del',
+  'sub',
+  'sup',
+  'mark',
+  'small',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'ul',
+  'ol',
+  'li',
+  'blockquote',
+  'pre',
+  'code',
+  'a',
+  'table',
+  'thead',
+  'tbody',
+  'tr',
+  'th',
+  'td',
+];
+
+const SANITIZE_OPTIONS = {
+  allowedTags: ALLOWED_TAGS,
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    th: ['colspan', 'rowspan'],
+    td: ['colspan', 'rowspan'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false,
+  // Links open outside the app and don't leak the session URL
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', {
+      target: '_blank',
+      rel: 'noopener noreferrer nofollow',
+    }),
+  },
+};
+
+/**
+ * Sanitize Rich HTML
+ *
+ * @param {string} html - Untrusted HTML from the client
+ * @returns {string} - HTML that is safe to render (may be empty)
+ */
+const sanitizeRichHtml = (html) => sanitizeHtml(html, SANITIZE_OPTIONS).trim();
+
+export { sanitizeRichHtml };
@@ -0,0 +1,148 @@
+/**
+ * MIME Type Sniffing
+ *
+ * PURPOSE:
+ * Detect a file's real type from its first bytes ("magic numbers")
+ * instead of trusting the Content-Type or extension sent by the client
+ *
+ * WHY?
+ * A client can label an HTML page or an executable as image/png.
+ * Served back with the wrong type, that becomes stored XSS or malware
+ * distribution. The bytes don't lie.
+ *
+ * FALLBACK:
+ * Files without a known signature that decode as UTF-8 text are
+ * reported as text/plain. Anything else is application/octet-stream.
+ */
+
+/**
+ * Signatures
+ *
+ * offset: Where the magic bytes start
+ * bytes: Expected values (null = any byte)
+ */
+const SIGNATURES = [
+  { mime: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  {
+    mime: 'image/png',
+    offset: 0,
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mime: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { mime: 'image/bmp', offset: 0, bytes: [0x42, 0x4d] }, // BM
+  { mime: 'image/tiff', offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mime: 'image/tiff', offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { mime: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+  { mime: 'application/zip', offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mime: 'application/gzip', offset: 0, bytes: [0x1f, 0x8b] },
+  { mime: 'audio/mpeg', offset: 0, bytes: [0x49, 0x44, 0x33] }, // ID3
+  { mime: 'video/webm', offset: 0, bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+];
+
+/**
+ * RIFF and ISO-BMFF containers share a prefix, so the real type is
+ * identified by a second marker further into the header.
+ */
+const RIFF_TYPES = {
+  WEBP: 'image/webp',
+  WAVE: 'audio/wav',
+  'AVI ': 'video/x-msvideo',
+};
+
+const FTYP_BRANDS = {
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heif',
+  avif: 'image/avif',
+  qt: 'video/quicktime',
+};
+
+const matches = (buffer, { offset, bytes }) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, i) => byte === null || buffer[offset + i] === byte);
+
+/**
+ * Looks Like UTF-8 Text
+ *
+ * Checks the first 4KB: no NUL bytes and valid UTF-8.
+ * stream: true tolerates a multi-byte character cut at the 4KB boundary.
+ */
+const isText = (buffer) => {
+  const sample = buffer.subarray(0, 4096);
+
+  if (sample.includes(0x00)) {
+    return false;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, {
+      stream: buffer.length > sample.length,
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Sniff MIME Type
+ *
+ * @param {Buffer} buffer - File contents (at least the first few KB)
+ * @returns {string} - Detected MIME type
+ */
+const sniffMimeType = (buffer) => {
+  if (!buffer || buffer.length === 0) {
+    return 'application/octet-stream';
+  }
+
+  const signature = SIGNATURES.find((s) => matches(buffer, s));
+  if (signature) {
+    return signature.mime;
+  }
+
+  // RIFF....WEBP / RIFF....WAVE / RIFF....AVI
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF') {
+    const type = RIFF_TYPES[buffer.toString('ascii', 8, 12)];
+    if (type) {
+      return type;
+    }
+  }
+
+  // ....ftypXXXX (MP4, MOV, HEIC, AVIF)
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12).trim();
+    return FTYP_BRANDS[brand] || 'video/mp4';
+  }
+
+  if (isText(buffer)) {
+    return 'text/plain';
+  }
+
+  return 'application/octet-stream';
+};
+
+/**
+ * Is MIME Type Allowed
+ *
+ * PATTERNS:
+ * - Exact: "image/png"
+ * - Wildcard subtype: "image/*"
+ * - Everything: "*"
+ *
+ * @param {string} mimeType - Detected MIME type
+ * @param {Array<string>} allowlist - Allowed patterns
+ * @returns {boolean} - True if allowed
+ */
+const isMimeTypeAllowed = (mimeType, allowlist) =>
+  allowlist.some((pattern) => {
+    if (pattern === '*' || pattern === '*/*') {
+      return true;
+    }
+    if (pattern.endsWith('/*')) {
+      return mimeType.startsWith(pattern.slice(0, -1));
+    }
+    return pattern === mimeType;
+  });
+
+export { sniffMimeType, isMimeTypeAllowed };
+export default sniffMimeType;
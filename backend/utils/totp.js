@@ -0,0 +1,164 @@
+/**
+ * TOTP (RFC 6238)
+ *
+ * PURPOSE:
+ * - Generate secrets and otpauth:// URIs for authenticator apps
+ * - Check 6-digit codes
+ *
+ * HOW IT WORKS:
+ * code = HOTP(secret, floor(unixTime / 30)), where HOTP is an
+ * HMAC-SHA1 of the step counter truncated to 6 digits (RFC 4226).
+ * Apps and server share only the secret; the clock does the rest.
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 160 bits, the HMAC-SHA1 block the RFC recommends
+const SECRET_BYTES = 20;
+
+/**
+ * Base32 Encode (RFC 4648, no padding)
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 text, as authenticator apps expect
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Base32 Decode
+ *
+ * @param {string} text - Base32 text (case, spaces and padding ignored)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate Secret
+ *
+ * @returns {string} - Random base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * HOTP Code For One Counter (RFC 4226)
+ *
+ * @param {Buffer} key - Decoded secret
+ * @param {number} counter - Time step
+ * @param {number} digits - Code length
+ * @returns {string} - Zero-padded code
+ */
+const hotp = (key, counter, digits) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+
+  // Dynamic truncation: the low nibble of the last byte picks an offset
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Verify Code
+ *
+ * Returns the matching time step instead of a boolean, so callers can
+ * refuse a code that was already used (RFC 6238 section 5.2).
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} options - { digits, stepSeconds, driftSteps }
+ * @returns {number|null} - Matching step, or null
+ */
+const verifyTotp = (secret, code, { digits, stepSeconds, driftSteps }) => {
+  const candidate = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = Math.floor(Date.now() / 1000 / stepSeconds);
+
+  for (let step = current - driftSteps; step <= current + driftSteps; step++) {
+    const expected = hotp(key, step, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build otpauth:// URI
+ *
+ * Format understood by Google Authenticator, 1Password, Authy, ...
+ * otpauth://totp/Issuer:account?secret=...&issuer=Issuer
+ *
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.account - Label, usually the email
+ * @param {string} params.issuer - Service name
+ * @param {number} params.digits - Code length
+ * @param {number} params.stepSeconds - Step length
+ * @returns {string} - URI to render as a QR code
+ */
+const buildOtpauthUri = ({ secret, account, issuer, digits, stepSeconds }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(stepSeconds),
+  });
+
+  return `otpauth://totp/${label}?${query}`;
+};
+
+export { generateSecret, verifyTotp, buildOtpauthUri };
@@ -0,0 +1,58 @@
+/**
+ * User-Agent Description
+ *
+ * PURPOSE:
+ * Turn a User-Agent header into a short label for device lists and
+ * system messages ("Firefox on Windows")
+ *
+ * NOTE:
+ * Deliberately rough: it only labels devices the user already owns,
+ * so a wrong guess is harmless. Users can rename their device.
+ */
+
+// First match wins, so more specific patterns come first
+// (Edge and Opera UAs also contain "Chrome", Chrome's contains "Safari")
+const BROWSERS = [
+  [/Edg\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Safari\//, 'Safari'],
+  [/^curl\//, 'curl'],
+  [/^node|undici/i, 'Node.js'],
+];
+
+const SYSTEMS = [
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux'],
+];
+
+const firstMatch = (list, userAgent) =>
+  list.find(([pattern]) => pattern.test(userAgent))?.[1] || null;
+
+/**
+ * Describe User Agent
+ *
+ * @param {string|null} userAgent - User-Agent header
+ * @returns {string} - e.g. "Firefox on Windows", "Unknown device"
+ */
+const describeUserAgent = (userAgent) => {
+  if (typeof userAgent !== 'string' || !userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = firstMatch(BROWSERS, userAgent);
+  const system = firstMatch(SYSTEMS, userAgent);
+
+  if (browser && system) {
+    return `${browser} on ${system}`;
+  }
+
+  return browser || system || 'Unknown device';
+};
+
+export { describeUserAgent };
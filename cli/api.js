@@ -0,0 +1,89 @@
+/**
+ * HTTP API Client
+ *
+ * PURPOSE:
+ * Call the REST API with the stored tokens, and turn the server's
+ * { success: false, message } bodies into thrown errors
+ *
+ * Uses the fetch/FormData/Blob built into Node 18+.
+ */
+
+/**
+ * API Error
+ *
+ * @param {Response} response - Failed fetch response
+ * @param {Object|null} body - Parsed JSON body, if any
+ * @returns {Error} - Error carrying the server's message and status
+ */
+const apiError = (response, body) => {
+  const details = body?.errors?.map((e) => e.message).join(', ');
+  const error = new Error(
+    details || body?.message || `${response.status} ${response.statusText}`
+  );
+  error.statusCode = response.status;
+  return error;
+};
+
+/**
+ * Create API Client
+ *
+ * @param {Object} settings - { server, token, deviceToken }
+ * @returns {Object} - { request, download }
+ */
+const createApi = ({ server, token, deviceToken }) => {
+  const authHeaders = {
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...(deviceToken ? { 'X-Device-Token': deviceToken } : {}),
+  };
+
+  /**
+   * Request JSON Endpoint
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under the server (e.g. /api/sessions)
+   * @param {Object|FormData} [body] - JSON body or multipart form
+   * @returns {Promise<Object>} - `data` of the response body
+   */
+  const request = async (method, path, body) => {
+    const isForm = body instanceof FormData;
+    const response = await fetch(`${server}${path}`, {
+      method,
+      headers: {
+        ...authHeaders,
+        ...(body && !isForm ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: isForm ? body : body && JSON.stringify(body),
+    });
+
+    const json = await response.json().catch(() => null);
+
+    if (!response.ok || !json?.success) {
+      throw apiError(response, json);
+    }
+
+    return json.data;
+  };
+
+  /**
+   * Download File
+   *
+   * URLs from the storage driver may be absolute (S3, Cloudinary) or
+   * relative to the API server (local driver behind a proxy)
+   *
+   * @param {string} url - File URL from a file payload
+   * @returns {Promise<Buffer>} - File contents
+   */
+  const download = async (url) => {
+    const response = await fetch(new URL(url, server));
+
+    if (!response.ok) {
+      throw apiError(response, null);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+  };
+
+  return { request, download };
+};
+
+export default createApi;
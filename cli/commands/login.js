@@ -0,0 +1,53 @@
+/**
+ * ctrl-w login [token] / ctrl-w logout
+ *
+ * Store a personal API token (create one in the web app or with
+ * POST /api/auth/tokens). Without an argument, the token is read from
+ * stdin so it doesn't end up in shell history:
+ *   ctrl-w login < token.txt
+ *
+ * The CLI uses API tokens, not passwords: access tokens last minutes,
+ * and scripts can't answer a two-factor prompt.
+ */
+
+import { readConfigFile, writeConfigFile } from '../config.js';
+
+const TOKEN_PREFIX = 'ctw_pat_';
+
+const readLine = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8').trim();
+};
+
+const login = async (settings, [token], flags) => {
+  if (!token && process.stdin.isTTY) {
+    console.error('Paste your API token, then press Ctrl+D:');
+  }
+
+  const value = token || (await readLine());
+
+  if (!value.startsWith(TOKEN_PREFIX)) {
+    throw new Error(`API tokens start with ${TOKEN_PREFIX}`);
+  }
+
+  const config = await readConfigFile();
+  const file = await writeConfigFile({
+    ...config,
+    ...(flags.server ? { server: settings.server } : {}),
+    token: value,
+  });
+
+  console.error(`Token saved to ${file}`);
+};
+
+const logout = async () => {
+  const { token, ...config } = await readConfigFile();
+  const file = await writeConfigFile(config);
+
+  console.error(token ? `Token removed from ${file}` : 'Not logged in');
+};
+
+export { login, logout };
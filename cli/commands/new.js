@@ -0,0 +1,30 @@
+/**
+ * ctrl-w new
+ *
+ * Open a session and print its pairing code on stdout, so scripts can
+ * capture it: CODE=$(ctrl-w new)
+ *
+ * Logged in (API token with sessions:write), the session is owned by
+ * the account. Anonymous, the creator secret is printed on stderr.
+ * With --pin (or CTRL_W_PIN), joining the session needs that PIN too.
+ */
+
+import createApi from '../api.js';
+
+const newSession = async (settings) => {
+  const api = createApi(settings);
+  const { session, creatorSecret } = await api.request(
+    'POST',
+    '/api/sessions',
+    settings.pin ? { pin: settings.pin } : {}
+  );
+
+  process.stdout.write(`${session.pairingCode}\n`);
+  console.error(`Expires ${new Date(session.expiresAt).toLocaleString()}`);
+
+  if (creatorSecret) {
+    console.error(`Creator secret (to extend or close): ${creatorSecret}`);
+  }
+};
+
+export default newSession;
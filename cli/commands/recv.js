@@ -0,0 +1,142 @@
+/**
+ * ctrl-w recv <code> [--dir <path>] [--once] [--history]
+ *
+ * Stream a session: text messages go to stdout, files are downloaded
+ * into --dir (default: current directory), status lines go to stderr.
+ * Runs until the session closes or Ctrl+C.
+ *
+ * Code prints as-is, links as their URL and rich messages as their
+ * plaintext fallback, so stdout stays pipeable.
+ *
+ * - --once: Exit after the first message or file
+ *   (ctrl-w recv 042917 --once > notes.txt)
+ * - --history: Print earlier messages first
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import createApi from '../api.js';
+import { joinSession, leaveSession } from '../session.js';
+import EVENTS from '../../backend/socket/events.js';
+
+/**
+ * Plain Text Of Message
+ *
+ * @param {Object} message - Message from the server
+ * @returns {string|null} - What to print on stdout, null for nothing
+ *   (file messages point to uploads, which file:new already saves)
+ */
+const plainTextOf = (message) => {
+  switch (message.type) {
+    case 'link':
+      return message.url;
+    case 'file':
+    case 'system':
+      return null;
+    default:
+      return message.content;
+  }
+};
+
+/**
+ * Free File Path
+ *
+ * Never overwrites: report.pdf, report (1).pdf, report (2).pdf, ...
+ *
+ * @param {string} dir - Target directory
+ * @param {string} name - Name sent by the uploader
+ * @returns {Promise<string>} - Path that doesn't exist yet
+ */
+const freePath = async (dir, name) => {
+  // The name comes from another device: keep only the last segment
+  const safeName = path.basename(name) || 'file';
+  const { name: stem, ext } = path.parse(safeName);
+
+  for (let i = 0; ; i++) {
+    const candidate = path.join(
+      dir,
+      i === 0 ? safeName : `${stem} (${i})${ext}`
+    );
+    try {
+      await fs.access(candidate);
+    } catch {
+      return candidate;
+    }
+  }
+};
+
+const recv = async (settings, [code], flags) => {
+  if (!code) {
+    throw new Error('Usage: ctrl-w recv <code> [--dir <path>] [--once]');
+  }
+
+  const dir = path.resolve(flags.dir || '.');
+  await fs.mkdir(dir, { recursive: true });
+
+  const api = createApi(settings);
+  const { socket, session } = await joinSession(settings, code);
+
+  console.error(
+    `Joined ${session.pairingCode}, waiting for messages (Ctrl+C to stop)`
+  );
+
+  if (flags.history) {
+    for (const message of session.history) {
+      const text = plainTextOf(message);
+      if (text !== null) {
+        process.stdout.write(`${text}\n`);
+      }
+    }
+  }
+
+  await new Promise((resolve, reject) => {
+    const received = () => {
+      if (flags.once) {
+        resolve();
+      }
+    };
+
+    socket.on(EVENTS.MESSAGE_NEW, (message) => {
+      if (message.type === 'system') {
+        console.error(`* ${message.content}`);
+        return;
+      }
+
+      const text = plainTextOf(message);
+      if (text === null) {
+        console.error(`* Shared ${message.file?.originalName || 'a file'}`);
+        return;
+      }
+      process.stdout.write(`${text}\n`);
+      received();
+    });
+
+    socket.on(EVENTS.FILE_NEW, (file) => {
+      api
+        .download(file.url)
+        .then(async (buffer) => {
+          const target = await freePath(dir, file.originalName);
+          await fs.writeFile(target, buffer);
+          console.error(`Saved ${target}`);
+          received();
+        })
+        .catch(reject);
+    });
+
+    socket.on(EVENTS.SESSION_CLOSED, () => {
+      console.error('Session closed');
+      resolve();
+    });
+
+    socket.on('disconnect', (reason) => {
+      if (reason !== 'io client disconnect') {
+        reject(new Error(`Disconnected: ${reason}`));
+      }
+    });
+
+    process.once('SIGINT', resolve);
+  }).finally(() => leaveSession(socket));
+};
+
+export { plainTextOf, freePath };
+export default recv;
@@ -0,0 +1,149 @@
+/**
+ * ctrl-w send <code> [file...]
+ *
+ * - With files: upload each one into the session
+ * - Without: send stdin as text (split into several messages when it
+ *   is longer than the server's message limit)
+ *
+ * Uploads go over HTTP like the web client's; the server only accepts
+ * them from a device in the session, so we join over the socket first.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import createApi from '../api.js';
+import { emitWithAck, joinSession, leaveSession } from '../session.js';
+import EVENTS from '../../backend/socket/events.js';
+
+// Server limit for text messages (MESSAGE_LIMITS.text)
+const MAX_MESSAGE_LENGTH = 10000;
+
+const isBlank = (char) => /\s/.test(char);
+
+/**
+ * Read Stdin
+ *
+ * @returns {Promise<string>} - Everything piped in
+ */
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Split Text Into Messages
+ *
+ * The server trims every message and rejects blank ones, so chunks are
+ * cut between two non-whitespace characters: nothing at a cut is
+ * trimmed away, and joining the chunks gives back the trimmed text.
+ * Only a run of whitespace longer than a whole message can't be cut
+ * that way; it is cut at the limit and loses what the server trims
+ * (blank chunks are left out). Splits on code points, so no character
+ * is cut in half.
+ *
+ * @param {string} text - Text to send
+ * @returns {string[]} - Chunks of at most MAX_MESSAGE_LENGTH chars
+ */
+const splitText = (text) => {
+  const chars = Array.from(text.trim());
+  const chunks = [];
+  let start = 0;
+
+  while (start < chars.length) {
+    let end = start;
+    let length = 0;
+    while (
+      end < chars.length &&
+      length + chars[end].length <= MAX_MESSAGE_LENGTH
+    ) {
+      length += chars[end].length;
+      end++;
+    }
+
+    if (end < chars.length) {
+      let cut = end;
+      while (cut > start && (isBlank(chars[cut - 1]) || isBlank(chars[cut]))) {
+        cut--;
+      }
+      if (cut > start) {
+        end = cut;
+      }
+    }
+
+    const chunk = chars.slice(start, end).join('');
+    if (chunk.trim()) {
+      chunks.push(chunk);
+    }
+    start = end;
+  }
+
+  return chunks;
+};
+
+/**
+ * Upload File
+ *
+ * @param {Object} api - API client
+ * @param {string} code - Pairing code
+ * @param {string} filePath - File to upload
+ * @returns {Promise<Object>} - File payload from the server
+ */
+const uploadFile = async (api, code, filePath) => {
+  const form = new FormData();
+  form.append(
+    'file',
+    new Blob([await fs.readFile(filePath)]),
+    path.basename(filePath)
+  );
+
+  const { file } = await api.request(
+    'POST',
+    `/api/sessions/${encodeURIComponent(code)}/files`,
+    form
+  );
+  return file;
+};
+
+const send = async (settings, [code, ...files]) => {
+  if (!code) {
+    throw new Error('Usage: ctrl-w send <code> [file...]');
+  }
+
+  if (files.length === 0 && process.stdin.isTTY) {
+    throw new Error('Pipe text into ctrl-w send, or pass files to upload');
+  }
+
+  // Read stdin before connecting, so a slow producer can't leave us
+  // sitting in the session
+  const text = files.length === 0 ? await readStdin() : null;
+
+  if (text !== null && !text.trim()) {
+    throw new Error('Nothing to send: stdin was empty');
+  }
+
+  const { socket, deviceToken } = await joinSession(settings, code);
+  const api = createApi({ ...settings, deviceToken });
+
+  try {
+    if (text !== null) {
+      for (const content of splitText(text)) {
+        await emitWithAck(socket, EVENTS.MESSAGE_SEND, { content });
+      }
+      console.error('Sent');
+      return;
+    }
+
+    for (const filePath of files) {
+      const file = await uploadFile(api, code, filePath);
+      console.error(`Uploaded ${file.originalName} (${file.fileSize} bytes)`);
+    }
+  } finally {
+    await leaveSession(socket);
+  }
+};
+
+export { splitText };
+export default send;
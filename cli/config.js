@@ -0,0 +1,114 @@
+/**
+ * CLI Configuration
+ *
+ * PURPOSE:
+ * - Remember the server URL and API token between runs
+ * - Remember this machine's device token, per server
+ * - Let environment variables and flags override them
+ *
+ * PRECEDENCE (highest first):
+ * 1. --server flag
+ * 2. CTRL_W_SERVER / CTRL_W_TOKEN environment variables (CI)
+ * 3. Config file written by `ctrl-w login`
+ * 4. Default server http://localhost:5000, anonymous
+ *
+ * SESSION PIN:
+ * --pin or CTRL_W_PIN, never written to the file
+ *
+ * FILE:
+ * $XDG_CONFIG_HOME/ctrl-w/config.json (~/.config/ctrl-w/config.json),
+ * written with mode 0600 because it holds a token.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const DEFAULT_SERVER = 'http://localhost:5000';
+
+const configDir = () =>
+  path.join(
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'),
+    'ctrl-w'
+  );
+
+const configPath = () => path.join(configDir(), 'config.json');
+
+/**
+ * Read Config File
+ *
+ * @returns {Promise<Object>} - { server?, token?, devices? } ({} when
+ *   missing)
+ */
+const readConfigFile = async () => {
+  try {
+    return JSON.parse(await fs.readFile(configPath(), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(`Cannot read ${configPath()}: ${error.message}`);
+  }
+};
+
+/**
+ * Write Config File
+ *
+ * @param {Object} config - { server?, token?, devices? }
+ * @returns {Promise<string>} - Path written
+ */
+const writeConfigFile = async (config) => {
+  await fs.mkdir(configDir(), { recursive: true });
+  await fs.writeFile(configPath(), `${JSON.stringify(config, null, 2)}\n`, {
+    mode: 0o600,
+  });
+  return configPath();
+};
+
+/**
+ * Resolve Settings
+ *
+ * @param {Object} [flags] - Parsed command-line flags ({ server })
+ * @returns {Promise<Object>} - { server, token, deviceToken } (token
+ *   and deviceToken may be null)
+ */
+const resolveSettings = async (flags = {}) => {
+  const file = await readConfigFile();
+
+  const server =
+    flags.server || process.env.CTRL_W_SERVER || file.server || DEFAULT_SERVER;
+
+  const normalized = server.replace(/\/+$/, '');
+
+  return {
+    server: normalized,
+    token: process.env.CTRL_W_TOKEN || file.token || null,
+    deviceToken: file.devices?.[normalized] || null,
+    pin: flags.pin || process.env.CTRL_W_PIN || null,
+  };
+};
+
+/**
+ * Save Device Token
+ *
+ * Device tokens are issued per server, so they are kept by server URL
+ *
+ * @param {string} server - Server that issued the token
+ * @param {string} deviceToken - Token from device:assigned
+ * @returns {Promise<string>} - Path written
+ */
+const saveDeviceToken = async (server, deviceToken) => {
+  const config = await readConfigFile();
+  return writeConfigFile({
+    ...config,
+    devices: { ...config.devices, [server]: deviceToken },
+  });
+};
+
+export {
+  DEFAULT_SERVER,
+  readConfigFile,
+  writeConfigFile,
+  resolveSettings,
+  saveDeviceToken,
+};
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * ctrl-w Command-Line Client
+ *
+ * PURPOSE:
+ * Send and receive through pairing-code sessions from a terminal,
+ * using the same HTTP and Socket.io APIs as the web client
+ *
+ * COMMANDS:
+ * - ctrl-w new                   Open a session, print its code
+ * - ctrl-w send <code> [file...]  Send stdin as text, or upload files
+ * - ctrl-w recv <code>           Print messages, download files
+ * - ctrl-w login [token]         Store a personal API token
+ * - ctrl-w logout                Forget it
+ *
+ * EXAMPLES:
+ *   make 2>&1 | ctrl-w send 042917
+ *   ctrl-w send 042917 screenshot.png
+ *   ctrl-w recv 042917 --dir ~/Downloads
+ *   ctrl-w recv 042917 --pin 8812
+ *
+ * EXIT CODES:
+ * 0 success, 1 error (message on stderr), 2 usage error
+ */
+
+import { parseArgs } from 'util';
+import { resolveSettings } from './config.js';
+import newSession from './commands/new.js';
+import send from './commands/send.js';
+import recv from './commands/recv.js';
+import { login, logout } from './commands/login.js';
+
+const USAGE = `Usage: ctrl-w <command> [options]
+
+Commands:
+  new                      Open a session and print its pairing code
+  send <code> [file...]    Send stdin as text, or upload files
+  recv <code>              Print messages and download files
+  login [token]            Store a personal API token (ctw_pat_...)
+  logout                   Remove the stored token
+
+Options:
+  --server <url>    API server (default: CTRL_W_SERVER, saved, localhost:5000)
+  --pin <pin>       Session PIN: new sets it, send/recv present it
+  --dir <path>      recv: where to save files (default: .)
+  --once            recv: exit after the first message or file
+  --history         recv: print earlier messages first
+  -h, --help        Show this help
+
+Environment:
+  CTRL_W_SERVER, CTRL_W_TOKEN   Override the saved server and token
+  CTRL_W_PIN                    Session PIN (keeps it out of ps output)`;
+
+const COMMANDS = {
+  new: newSession,
+  send,
+  recv,
+  login,
+  logout,
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        server: { type: 'string' },
+        pin: { type: 'string' },
+        dir: { type: 'string' },
+        once: { type: 'boolean' },
+        history: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values: flags, positionals } = parsed;
+  const [command, ...args] = positionals;
+
+  if (flags.help || !command) {
+    console.error(USAGE);
+    return flags.help ? 0 : 2;
+  }
+
+  const run = COMMANDS[command];
+  if (!run) {
+    console.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    await run(await resolveSettings(flags), args, flags);
+    return 0;
+  } catch (error) {
+    console.error(`ctrl-w: ${error.message}`);
+    return 1;
+  }
+};
+
+main().then((code) => process.exit(code));
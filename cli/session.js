@@ -0,0 +1,122 @@
+/**
+ * Session Connection
+ *
+ * PURPOSE:
+ * Join a session over Socket.io exactly like the web client:
+ * same events, same acknowledgements, same tokens in the handshake
+ *
+ * DEVICE:
+ * The first connection to a server is assigned a device token, which
+ * is saved to the config file. Later runs present it, so every run on
+ * this machine is the same device in a session's participant list.
+ */
+
+import os from 'os';
+import { io } from 'socket.io-client';
+import EVENTS from '../backend/socket/events.js';
+import { saveDeviceToken } from './config.js';
+
+// How long a finished command waits for session:leave to be confirmed
+const LEAVE_TIMEOUT_MS = 2000;
+
+/**
+ * Emit And Wait For Acknowledgement
+ *
+ * @param {Socket} socket - Connected socket
+ * @param {string} event - Event name from EVENTS
+ * @param {Object} payload - Event data
+ * @returns {Promise<*>} - Ack data; rejects with the server's message
+ */
+const emitWithAck = (socket, event, payload) =>
+  new Promise((resolve, reject) => {
+    socket.emit(event, payload, (res) => {
+      if (res?.success) {
+        resolve(res.data);
+      } else {
+        reject(new Error(res?.message || `${event} failed`));
+      }
+    });
+  });
+
+/**
+ * Connect And Join
+ *
+ * @param {Object} settings - { server, token, deviceToken, pin }
+ * @param {string} pairingCode - Code of the session to join
+ * @returns {Promise<Object>} - { socket, session, deviceToken }
+ *   (session = join ack; deviceToken for X-Device-Token uploads)
+ */
+const joinSession = async (
+  { server, token, deviceToken, pin },
+  pairingCode
+) => {
+  const socket = io(server, {
+    auth: {
+      ...(token ? { token } : {}),
+      ...(deviceToken ? { deviceToken } : {}),
+    },
+    transports: ['websocket'],
+    reconnection: false,
+  });
+
+  // Sent on connect, before any ack, when our token is missing or
+  // was retired by the server
+  let assigned = null;
+  socket.on(EVENTS.DEVICE_ASSIGNED, (payload) => {
+    // An unwritable config only costs us the identity on the next run
+    assigned = saveDeviceToken(server, payload.deviceToken)
+      .catch((error) => console.error(`Warning: ${error.message}`))
+      .then(() => payload.deviceToken);
+  });
+
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('connect_error', (error) =>
+      reject(new Error(`Cannot connect to ${server}: ${error.message}`))
+    );
+  });
+
+  try {
+    const session = await emitWithAck(socket, EVENTS.SESSION_JOIN, {
+      pairingCode,
+      deviceInfo: `ctrl-w CLI (${os.hostname()})`,
+      ...(pin ? { pin } : {}),
+    });
+
+    // Keys are agreed between browsers over PAKE; the CLI has no
+    // implementation, and would only see ciphertext
+    if (session.encrypted) {
+      throw new Error('Encrypted sessions are not supported by the CLI yet');
+    }
+
+    return {
+      socket,
+      session,
+      deviceToken: assigned ? await assigned : deviceToken,
+    };
+  } catch (error) {
+    socket.disconnect();
+    throw error;
+  }
+};
+
+/**
+ * Leave And Disconnect
+ *
+ * A dropped connection keeps the device listed (offline) until the
+ * server's grace period ends; a command that is done leaves for good.
+ *
+ * @param {Socket} socket - Socket from joinSession
+ * @returns {Promise<void>} - Resolves once disconnected (never rejects)
+ */
+const leaveSession = async (socket) => {
+  if (socket.connected) {
+    await socket
+      .timeout(LEAVE_TIMEOUT_MS)
+      .emitWithAck(EVENTS.SESSION_LEAVE, {})
+      .catch(() => {});
+  }
+  socket.disconnect();
+};
+
+export { emitWithAck, joinSession, leaveSession };
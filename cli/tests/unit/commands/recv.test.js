@@ -0,0 +1,75 @@
+/**
+ * ctrl-w recv: Output
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { plainTextOf, freePath } from '../../../commands/recv.js';
+
+describe('plainTextOf', () => {
+  it.each([
+    ['text', { type: 'text', content: 'hi' }, 'hi'],
+    ['code as-is', { type: 'code', content: '  x = 1\n' }, '  x = 1\n'],
+    [
+      'links as their URL',
+      { type: 'link', url: 'https://a.example', content: 'see' },
+      'https://a.example',
+    ],
+    [
+      'rich messages as their fallback',
+      { type: 'rich', html: '<b>hi</b>', content: 'hi' },
+      'hi',
+    ],
+    ['nothing for files', { type: 'file', fileId: 'f1' }, null],
+    [
+      'nothing for system messages',
+      { type: 'system', content: 'Joined' },
+      null,
+    ],
+  ])('prints %s', (_, message, expected) => {
+    expect(plainTextOf(message)).toBe(expected);
+  });
+});
+
+describe('freePath', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ctrl-w-recv-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('keeps the uploaded name when it is free', async () => {
+    await expect(freePath(dir, 'report.pdf')).resolves.toBe(
+      path.join(dir, 'report.pdf')
+    );
+  });
+
+  it('numbers the name instead of overwriting', async () => {
+    await fs.writeFile(path.join(dir, 'report.pdf'), '');
+    await fs.writeFile(path.join(dir, 'report (1).pdf'), '');
+
+    await expect(freePath(dir, 'report.pdf')).resolves.toBe(
+      path.join(dir, 'report (2).pdf')
+    );
+  });
+
+  it('numbers names without an extension', async () => {
+    await fs.writeFile(path.join(dir, 'notes'), '');
+
+    await expect(freePath(dir, 'notes')).resolves.toBe(
+      path.join(dir, 'notes (1)')
+    );
+  });
+
+  it('stays in the target directory', async () => {
+    await expect(freePath(dir, '../../etc/passwd')).resolves.toBe(
+      path.join(dir, 'passwd')
+    );
+    await expect(freePath(dir, '')).resolves.toBe(path.join(dir, 'file'));
+  });
+});
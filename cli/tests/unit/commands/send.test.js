@@ -0,0 +1,92 @@
+/**
+ * ctrl-w send: Splitting Text
+ *
+ * Every chunk goes through the server's real message validation
+ * (messageService.createMessage, saved in memory), so a chunk the
+ * server would reject fails here too.
+ */
+
+import { jest } from '@jest/globals';
+import { splitText } from '../../../commands/send.js';
+import { Message } from '../../../../backend/models/index.js';
+import messageService from '../../../../backend/services/messageService.js';
+import {
+  saveInMemory,
+  objectId,
+} from '../../../../backend/tests/helpers/mongoose.js';
+
+// What the server stores for each chunk, in order
+const sendAll = async (chunks) => {
+  const stored = [];
+  for (const content of chunks) {
+    const message = await messageService.createMessage({
+      sessionId: objectId(1),
+      senderDeviceId: objectId(2),
+      content,
+    });
+    stored.push(message.content);
+  }
+  return stored;
+};
+
+const words = (length) => {
+  let text = '';
+  for (let i = 0; text.length < length; i++) {
+    text += i % 12 === 11 ? 'line\n' : `word${i} `;
+  }
+  return text.slice(0, length);
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  saveInMemory(Message);
+});
+
+describe('splitText', () => {
+  it('sends short text as one message', async () => {
+    expect(splitText('  hello\n')).toEqual(['hello']);
+  });
+
+  it('splits long text into messages the server accepts', async () => {
+    const text = words(35000);
+
+    const chunks = splitText(text);
+    const stored = await sendAll(chunks);
+
+    expect(chunks.length).toBe(4);
+    chunks.forEach((chunk) => expect(chunk.length).toBeLessThanOrEqual(10000));
+    expect(stored.join('')).toBe(text.trim());
+  });
+
+  it('keeps the whitespace where it cuts', async () => {
+    const text = `${'x'.repeat(9999)}\n\n  ${'y'.repeat(100)}`;
+
+    const stored = await sendAll(splitText(text));
+
+    expect(stored.join('')).toBe(text);
+  });
+
+  it('never sends a blank chunk', async () => {
+    const text = `a${' '.repeat(25000)}b`;
+
+    const stored = await sendAll(splitText(text));
+
+    expect(stored).toEqual(['a', 'b']);
+  });
+
+  it('cuts at the limit when there is no whitespace', async () => {
+    const chunks = splitText('z'.repeat(20001));
+
+    expect(chunks.map((c) => c.length)).toEqual([10000, 10000, 1]);
+  });
+
+  it('never cuts a character in half', async () => {
+    const text = '\u{1F600}'.repeat(6000);
+
+    const chunks = splitText(text);
+    const stored = await sendAll(chunks);
+
+    expect(chunks.map((c) => c.length)).toEqual([10000, 2000]);
+    expect(stored.join('')).toBe(text);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * CLI Configuration
+ *
+ * XDG_CONFIG_HOME points at a temporary directory, so the real config
+ * file is never read or written.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_SERVER,
+  resolveSettings,
+  writeConfigFile,
+  saveDeviceToken,
+  readConfigFile,
+} from '../../config.js';
+
+const ENV = ['XDG_CONFIG_HOME', 'CTRL_W_SERVER', 'CTRL_W_TOKEN', 'CTRL_W_PIN'];
+const saved = {};
+let home;
+
+beforeEach(async () => {
+  ENV.forEach((name) => {
+    saved[name] = process.env[name];
+    delete process.env[name];
+  });
+  home = await fs.mkdtemp(path.join(os.tmpdir(), 'ctrl-w-config-'));
+  process.env.XDG_CONFIG_HOME = home;
+});
+
+afterEach(async () => {
+  ENV.forEach((name) => {
+    if (saved[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = saved[name];
+    }
+  });
+  await fs.rm(home, { recursive: true, force: true });
+});
+
+describe('resolveSettings', () => {
+  it('defaults to a local server, anonymous', async () => {
+    await expect(resolveSettings()).resolves.toEqual({
+      server: DEFAULT_SERVER,
+      token: null,
+      deviceToken: null,
+      pin: null,
+    });
+  });
+
+  it('reads the config file', async () => {
+    await writeConfigFile({
+      server: 'https://file.example/',
+      token: 'file-token',
+      devices: { 'https://file.example': 'device-token' },
+    });
+
+    await expect(resolveSettings()).resolves.toEqual({
+      server: 'https://file.example',
+      token: 'file-token',
+      deviceToken: 'device-token',
+      pin: null,
+    });
+  });
+
+  it('prefers the environment to the config file', async () => {
+    await writeConfigFile({ server: 'https://file.example', token: 'file' });
+    process.env.CTRL_W_SERVER = 'https://env.example';
+    process.env.CTRL_W_TOKEN = 'env-token';
+    process.env.CTRL_W_PIN = '1111';
+
+    await expect(resolveSettings()).resolves.toMatchObject({
+      server: 'https://env.example',
+      token: 'env-token',
+      pin: '1111',
+    });
+  });
+
+  it('prefers flags to the environment', async () => {
+    await writeConfigFile({ server: 'https://file.example' });
+    process.env.CTRL_W_SERVER = 'https://env.example';
+    process.env.CTRL_W_PIN = '1111';
+
+    await expect(
+      resolveSettings({ server: 'https://flag.example//', pin: '2222' })
+    ).resolves.toMatchObject({ server: 'https://flag.example', pin: '2222' });
+  });
+
+  it('uses the device token of the server it resolved to', async () => {
+    await writeConfigFile({
+      server: 'https://file.example',
+      devices: {
+        'https://file.example': 'file-device',
+        'https://flag.example': 'flag-device',
+      },
+    });
+
+    const settings = await resolveSettings({ server: 'https://flag.example' });
+
+    expect(settings.deviceToken).toBe('flag-device');
+  });
+
+  it('reports an unreadable config file', async () => {
+    await fs.mkdir(path.join(home, 'ctrl-w'));
+    await fs.writeFile(path.join(home, 'ctrl-w', 'config.json'), '{ nope');
+
+    await expect(resolveSettings()).rejects.toThrow(/^Cannot read /);
+  });
+});
+
+describe('saveDeviceToken', () => {
+  it('keeps the rest of the config file, readable only by the owner', async () => {
+    await writeConfigFile({
+      token: 't',
+      devices: { 'https://a.example': 'a' },
+    });
+
+    const written = await saveDeviceToken('https://b.example', 'b');
+
+    await expect(readConfigFile()).resolves.toEqual({
+      token: 't',
+      devices: { 'https://a.example': 'a', 'https://b.example': 'b' },
+    });
+    expect((await fs.stat(written)).mode & 0o777).toBe(0o600);
+  });
+});
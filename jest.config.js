@@ -0,0 +1,15 @@
+/**
+ * Jest Configuration
+ *
+ * The code is native ES modules, so nothing is transformed: npm test
+ * runs Jest with --experimental-vm-modules. Tests mock their models
+ * and never need a database.
+ */
+
+export default {
+  testEnvironment: 'node',
+  transform: {},
+  roots: ['<rootDir>/backend', '<rootDir>/cli'],
+  testMatch: ['**/tests/**/*.test.js'],
+  setupFiles: ['<rootDir>/backend/tests/setup.js'],
+};